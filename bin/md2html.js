@@ -5,13 +5,19 @@
  * Uses commander for argument parsing.
  */
 
-import { program } from 'commander';
+import { program, Option, InvalidArgumentError } from 'commander';
 import { readFileSync } from 'fs';
-import { resolve, dirname } from 'path';
+import { basename, dirname, join, relative, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { convert } from '../src/converter.js';
-import { watch } from '../src/watcher.js';
-import { fileExists, deriveOutputPath } from '../src/fileHandler.js';
+import { convert, convertString } from '../src/converter.js';
+import { fileExists, deriveOutputPath, isDirectory, readFile, readStream, writeFile } from '../src/fileHandler.js';
+import { convertBatch, findSources, watchBatch, watchFile } from '../src/batch.js';
+import { isGlob } from '../src/glob.js';
+import { loadPlugins } from '../src/plugins.js';
+import { THEMES } from '../src/stylesheets.js';
+import { startServer } from '../src/server.js';
+import { configStartDir, loadConfig } from '../src/config.js';
+import { checkLinks } from '../src/links.js';
 
 // Resolve package.json for version
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -19,61 +25,596 @@ const pkg = JSON.parse(
   readFileSync(resolve(__dirname, '../package.json'), 'utf-8')
 );
 
+/**
+ * Parses a heading level option value (1–6).
+ * @param {string} value
+ * @returns {number}
+ */
+function parseHeadingLevel(value) {
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 1 || level > 6) {
+    throw new InvalidArgumentError('Must be a heading level from 1 to 6.');
+  }
+  return level;
+}
+
+/**
+ * Collects a repeatable option's values.
+ * @param {string} value
+ * @param {string[]} previous
+ * @returns {string[]}
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Builds convert() options from the parsed CLI options. Plugins are loaded
+ * here so that a broken plugin stops the CLI before anything is written.
+ * @param {object} options — commander options
+ * @returns {Promise<object>}
+ */
+async function buildConvertOptions(options) {
+  let plugins;
+  try {
+    plugins = await loadPlugins(options.plugin);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+
+  return {
+    headingIds: options.headingIds,
+    rewriteLinks: options.rewriteLinks,
+    anchorLinks: Boolean(options.anchorLinks),
+    toc: Boolean(options.toc),
+    tocMinLevel: options.tocMinLevel,
+    tocMaxLevel: options.tocMaxLevel,
+    highlight: options.highlight,
+    lineNumbers: Boolean(options.lineNumbers),
+    footnotes: options.footnotes,
+    taskLists: options.taskLists,
+    strikethrough: options.strikethrough,
+    definitionLists: options.definitionLists,
+    math: options.math,
+    admonitions: options.admonitions,
+    includes: options.includes,
+    safe: Boolean(options.safe),
+    html: options.html,
+    plugins,
+    template: options.template ? resolve(options.template) : undefined,
+    css: options.css,
+    inlineCss: Boolean(options.inlineCss),
+    theme: options.theme,
+    fragment: Boolean(options.fragment),
+  };
+}
+
+/**
+ * Prints a watchBatch or watchFile event.
+ * @param {{ type: string, inputPath: string, outputPath?: string, error?: string }} event
+ */
+function reportBatchEvent({ type, inputPath, outputPath, error }) {
+  if (type === 'failed') process.stderr.write(`Error during recompile: ${error}\n`);
+  else if (type === 'removed') process.stdout.write(`Removed: ${outputPath}\n`);
+  else process.stdout.write(`${type === 'copied' ? 'Copied' : 'Recompiled'}: ${inputPath} → ${outputPath}\n`);
+}
+
+/**
+ * Checks the links of Markdown files (see checkLinks) and prints each
+ * broken one as `file:line`.
+ * @param {string[]} files
+ * @param {object} convertOptions — so heading ids match the built pages
+ * @returns {Promise<boolean>} whether any link is broken
+ */
+async function reportBrokenLinks(files, convertOptions) {
+  const broken = await checkLinks(files, convertOptions);
+  for (const { file, line, url, reason, includedIn } of broken) {
+    const where = includedIn ? `; included in ${relative(process.cwd(), includedIn)}` : '';
+    process.stderr.write(`${relative(process.cwd(), file)}:${line}: broken link ${url} (${reason}${where})\n`);
+  }
+  process.stdout.write(`Links: ${broken.length === 0 ? 'all OK' : `${broken.length} broken`}\n`);
+  return broken.length > 0;
+}
+
+/**
+ * Describes a convertBatch summary in one line, e.g.
+ * `Done: 2 converted, 3 assets copied, 340 unchanged, 0 failed`.
+ * @param {object} summary — from convertBatch
+ * @returns {string}
+ */
+function describeSummary(summary) {
+  const parts = [`${summary.converted.length} converted`];
+  if (summary.copied.length > 0) parts.push(`${summary.copied.length} assets copied`);
+  if (summary.skipped.length > 0) parts.push(`${summary.skipped.length} unchanged`);
+  if (summary.removed.length > 0) parts.push(`${summary.removed.length} removed`);
+  parts.push(`${summary.failed.length} failed`);
+  return `Done: ${parts.join(', ')}`;
+}
+
+/**
+ * Converts a directory or glob input, mirroring the tree under the output
+ * directory. Every file is attempted; the exit code is 1 if any failed.
+ * @param {string} input — directory path or glob pattern
+ * @param {object} options — commander options
+ * @param {{ site?: boolean }} [mode] — `site` builds a navigable site (see
+ *   convertBatch)
+ */
+async function runBatch(input, options, { site = false } = {}) {
+  const outputDir = options.output ? resolve(options.output) : undefined;
+  const batchOptions = {
+    ...(await buildConvertOptions(options)),
+    include: options.include,
+    exclude: options.exclude,
+    assets: options.assets,
+    force: Boolean(options.force),
+    site,
+  };
+
+  let summary;
+  try {
+    summary = await convertBatch(input, outputDir, batchOptions);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+
+  for (const result of summary.converted) {
+    process.stdout.write(`Converted: ${result.inputPath} → ${result.outputPath}\n`);
+  }
+  for (const { inputPath, error } of summary.failed) {
+    // Some errors (e.g. front matter ones) already name the file
+    process.stderr.write(`Error: ${error.startsWith(inputPath) ? error : `${inputPath}: ${error}`}\n`);
+  }
+  for (const { outputPath } of summary.removed) {
+    process.stdout.write(`Removed: ${outputPath}\n`);
+  }
+  process.stdout.write(`${describeSummary(summary)}\n`);
+
+  let linksBroken = false;
+  if (options.checkLinks) {
+    const { baseDir, files } = await findSources(input, { include: options.include, exclude: options.exclude, outputDir });
+    linksBroken = await reportBrokenLinks(files.map((file) => join(baseDir, file)), batchOptions);
+  }
+
+  if (options.watch) {
+    const handle = await watchBatch(input, outputDir, {
+      ...batchOptions,
+      keepOutputs: Boolean(options.keepOutputs),
+      poll: Boolean(options.poll),
+      onEvent: reportBatchEvent,
+    });
+    handleShutdown(handle);
+    return;
+  }
+  if (summary.failed.length > 0 || (linksBroken && options.strict)) process.exit(1);
+}
+
+/**
+ * Converts a single document read from stdin or written to stdout
+ * (`-` as the input or output path), for use in pipelines. When the HTML
+ * goes to stdout, nothing else does.
+ * @param {string} input — `-` or a Markdown file path
+ * @param {object} options — commander options
+ */
+async function runStream(input, options) {
+  if (options.watch) {
+    process.stderr.write('Error: --watch cannot be used with stdin or stdout\n');
+    process.exit(1);
+  }
+  if (input !== '-' && (await isBatchInput(input))) {
+    process.stderr.write('Error: a directory or glob input cannot be written to stdout\n');
+    process.exit(1);
+  }
+
+  const inputPath = input === '-' ? undefined : await resolveInputFile(input);
+  const toStdout = options.output === undefined || options.output === '-';
+  const outputPath = toStdout ? undefined : resolve(options.output);
+  const convertOptions = await buildConvertOptions(options);
+
+  try {
+    const markdown = inputPath ? await readFile(inputPath) : await readStream(process.stdin);
+    const { html } = await convertString(markdown, { ...convertOptions, sourcePath: inputPath, outputPath });
+    if (toStdout) {
+      process.stdout.write(html);
+    } else {
+      await writeFile(outputPath, html);
+      process.stdout.write(`Converted: <stdin> → ${outputPath}\n`);
+    }
+  } catch (err) {
+    process.stderr.write(`Error during conversion: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Closes a watcher on SIGINT / SIGTERM, then exits.
+ * @param {{ close: () => Promise<void> }} handle
+ */
+function handleShutdown(handle) {
+  const shutdown = async () => {
+    await handle.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Loads the project config for an input and applies it to a command's
+ * options, under any flags given on the command line. `outDir` becomes
+ * the output path: the directory itself for a directory or glob input, the
+ * page in it for a file. Exits on an invalid config.
+ * @param {import('commander').Command} command
+ * @param {string} [input]
+ * @returns {Promise<string | null>} the config file, or null when there is none
+ */
+async function applyConfig(command, input) {
+  let loaded;
+  try {
+    loaded = await loadConfig(await configStartDir(input));
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const { outDir, plugins, ...config } = loaded.config;
+  if (plugins !== undefined) config.plugin = plugins;
+  for (const [key, value] of Object.entries(config)) {
+    if (command.getOptionValueSource(key) !== 'cli') command.setOptionValueWithSource(key, value, 'config');
+  }
+  if (outDir !== undefined && command.getOptionValueSource('output') !== 'cli' && input !== undefined && input !== '-') {
+    const output = (await isBatchInput(input)) ? outDir : deriveOutputPath(resolve(input), outDir);
+    command.setOptionValueWithSource('output', output, 'config');
+  }
+  return loaded.path;
+}
+
+/**
+ * Prints the effective options and where each value came from: the
+ * command line, the config file, or the default.
+ * @param {import('commander').Command} command
+ * @param {string | null} configPath
+ */
+function printConfig(command, configPath) {
+  const options = command.opts();
+  const entries = command.options
+    .map((option) => option.attributeName())
+    .filter((key, i, keys) => keys.indexOf(key) === i && !['version', 'help', 'printConfig'].includes(key))
+    .map((key) => {
+      const source = command.getOptionValueSource(key);
+      return [
+        key === 'plugin' ? 'plugins' : key,
+        JSON.stringify(options[key]) ?? '(not set)',
+        source === 'cli' ? 'command line' : source === 'config' ? configPath : 'default',
+      ];
+    });
+  const width = Math.max(...entries.map(([key]) => key.length));
+  process.stdout.write(`Config file: ${configPath ?? '(none)'}\n`);
+  for (const [key, value, source] of entries) {
+    process.stdout.write(`  ${key.padEnd(width)}  ${value}  (${source})\n`);
+  }
+}
+
+/**
+ * Parses a port option value (0–65535).
+ * @param {string} value
+ * @returns {number}
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidArgumentError('Must be a port number from 0 to 65535.');
+  }
+  return port;
+}
+
+/**
+ * Builds a directory or glob input as a navigable site.
+ * @param {string} input — directory path or glob pattern
+ * @param {object} options — commander options
+ * @param {import('commander').Command} command
+ */
+async function runBuild(input, options, command) {
+  if (input === '-' || options.output === '-') {
+    process.stderr.write('Error: build cannot read from stdin or write to stdout\n');
+    process.exit(1);
+  }
+  await applyConfig(command, input);
+  if (!(await isBatchInput(input))) {
+    process.stderr.write(`Error: build needs a directory or glob input: ${input}\n`);
+    process.exit(1);
+  }
+  await runBatch(input, options, { site: true });
+}
+
+/**
+ * Builds the input, serves the output with live reload and rebuilds on
+ * changes. Build errors are shown in the browser instead of stopping the
+ * server.
+ * @param {string} input — Markdown file, directory or glob pattern
+ * @param {object} options — commander options
+ * @param {import('commander').Command} command
+ */
+async function runServe(input, options, command) {
+  if (input === '-' || options.output === '-') {
+    process.stderr.write('Error: serve cannot read from stdin or write to stdout\n');
+    process.exit(1);
+  }
+  await applyConfig(command, input);
+  const batch = await isBatchInput(input);
+  const convertOptions = await buildConvertOptions(options);
+
+  let inputPath;
+  let outputPath;
+  let root;
+  if (batch) {
+    outputPath = options.output ? resolve(options.output) : undefined;
+    try {
+      root = outputPath ?? (await findSources(input, { include: options.include, exclude: options.exclude })).baseDir;
+    } catch (err) {
+      process.stderr.write(`Error: ${err.message}\n`);
+      process.exit(1);
+    }
+  } else {
+    inputPath = await resolveInputFile(input);
+    outputPath = options.output ? resolve(options.output) : deriveOutputPath(inputPath);
+    root = dirname(outputPath);
+  }
+
+  let server;
+  try {
+    server = await startServer({ root, port: options.port, host: options.host });
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+
+  let handle;
+  if (batch) {
+    const batchOptions = {
+      ...convertOptions,
+      include: options.include,
+      exclude: options.exclude,
+      assets: options.assets,
+      force: Boolean(options.force),
+    };
+    let summary;
+    try {
+      summary = await convertBatch(input, outputPath, batchOptions);
+    } catch (err) {
+      process.stderr.write(`Error: ${err.message}\n`);
+      await server.close();
+      process.exit(1);
+    }
+    process.stdout.write(`${describeSummary(summary)}\n`);
+    if (summary.failed.length > 0) {
+      const messages = summary.failed.map(({ inputPath: path, error }) => (error.startsWith(path) ? error : `${path}: ${error}`));
+      for (const message of messages) process.stderr.write(`Error: ${message}\n`);
+      server.showError(messages.join('\n\n'));
+    }
+
+    handle = await watchBatch(input, outputPath, {
+      ...batchOptions,
+      keepOutputs: Boolean(options.keepOutputs),
+      poll: Boolean(options.poll),
+      onEvent: (event) => {
+        reportBatchEvent(event);
+        if (event.type === 'failed') server.showError(`${event.inputPath}: ${event.error}`);
+        else server.reload();
+      },
+    });
+  } else {
+    let includedFiles = [];
+    try {
+      const result = await convert(inputPath, outputPath, convertOptions);
+      includedFiles = result.includes;
+      process.stdout.write(`Converted: ${result.inputPath} → ${result.outputPath}\n`);
+    } catch (err) {
+      process.stderr.write(`Error during conversion: ${err.message}\n`);
+      server.showError(err.message);
+    }
+
+    handle = watchFile(inputPath, outputPath, {
+      ...convertOptions,
+      includedFiles,
+      keepOutputs: Boolean(options.keepOutputs),
+      poll: Boolean(options.poll),
+      onEvent: (event) => {
+        reportBatchEvent(event);
+        if (event.type === 'failed') server.showError(event.error);
+        else server.reload();
+      },
+    });
+  }
+
+  process.stdout.write(`Serving ${root} at ${server.url}${batch ? '' : encodeURIComponent(basename(outputPath))}\n`);
+  handleShutdown({
+    async close() {
+      await handle.close();
+      await server.close();
+    },
+  });
+}
+
+/**
+ * Adds the options that control how each page is converted.
+ * @param {import('commander').Command} command
+ * @returns {import('commander').Command}
+ */
+function addConvertOptions(command) {
+  return command
+    .option('--toc', 'insert a table of contents at the top of the document')
+    .option('--no-toc', 'do not insert a table of contents (overrides the config file)')
+    .option('--toc-min-level <level>', 'shallowest heading level in the table of contents', parseHeadingLevel, 1)
+    .option('--toc-max-level <level>', 'deepest heading level in the table of contents', parseHeadingLevel, 6)
+    .option('--anchor-links', 'add a # link to each heading')
+    .option('--no-anchor-links', 'do not add # links to headings (overrides the config file)')
+    .option('--no-heading-ids', 'do not add id attributes to headings')
+    .option('--no-rewrite-links', 'keep links to .md files as they are instead of pointing them at the .html pages')
+    .option('--no-highlight', 'do not syntax-highlight code blocks')
+    .option('--line-numbers', 'number the lines of code blocks')
+    .option('--no-line-numbers', 'do not number the lines of code blocks (overrides the config file)')
+    .option('--no-footnotes', 'do not parse [^1] footnotes')
+    .option('--no-task-lists', 'do not turn [ ] and [x] list items into checkboxes')
+    .option('--no-strikethrough', 'do not parse ~~strikethrough~~')
+    .option('--no-definition-lists', 'do not parse definition lists (Term, then : definition)')
+    .option('--no-math', 'do not parse $math$ and $$display math$$')
+    .option('--no-admonitions', 'do not parse :::note containers and > [!NOTE] callouts')
+    .option('--no-includes', 'leave <!-- include: --> directives and file= code blocks alone')
+    .option('--safe', 'treat input as untrusted: sanitize raw HTML, drop dangerous link/image URLs and ignore includes')
+    .option('--no-safe', 'treat input as trusted (overrides the config file)')
+    .addOption(
+      new Option('--html <mode>', 'how raw HTML is output (default: sanitize with --safe, otherwise raw)')
+        .choices(['raw', 'sanitize', 'escape'])
+    )
+    .option('--plugin <path>', 'load a parser plugin module (repeatable)', collect, [])
+    .option('--template <file>', 'HTML page template (see README for placeholders)')
+    .option('--css <path|url>', 'add a stylesheet (repeatable)', collect, [])
+    .option('--inline-css', 'inline local --css stylesheets instead of linking them')
+    .option('--no-inline-css', 'link local --css stylesheets (overrides the config file)')
+    .addOption(new Option('--theme <name>', 'built-in theme').choices(THEMES))
+    .option('--fragment', 'output only the converted content, without the page template and stylesheets')
+    .option('--no-fragment', 'output a full page (overrides the config file)');
+}
+
+/**
+ * Checks whether an input is a batch input (a directory, or a glob).
+ * A file whose name merely looks like a glob is still a single file.
+ * @param {string} input
+ * @returns {Promise<boolean>}
+ */
+async function isBatchInput(input) {
+  return (await isDirectory(input)) || (isGlob(input) && !(await fileExists(input)));
+}
+
+/**
+ * Resolves a single input file, exiting if it does not exist.
+ * @param {string} input
+ * @returns {Promise<string>} absolute path
+ */
+async function resolveInputFile(input) {
+  const inputPath = resolve(input);
+
+  // Validate input file exists
+  const exists = await fileExists(inputPath);
+  if (!exists) {
+    process.stderr.write(`Error: Input file not found: ${inputPath}\n`);
+    process.exit(1);
+  }
+
+  // Validate .md extension
+  if (!inputPath.endsWith('.md')) {
+    process.stderr.write(`Warning: Input file does not have a .md extension: ${inputPath}\n`);
+  }
+  return inputPath;
+}
+
 program
   .name('md2html')
   .description('Convert Markdown files to HTML')
   .version(pkg.version, '-V, --version', 'output the current version')
-  .argument('<input>', 'path to the input Markdown file')
-  .option('-o, --output <path>', 'output file path (default: derived from input)')
+  .enablePositionalOptions()
+  .argument('[input]', 'input Markdown file, directory, or quoted glob pattern (e.g. "docs/**/*.md"), or - for stdin (default: stdin when it is piped)')
+  .option('-o, --output <path>', 'output file path, - for stdout, or output directory for a directory or glob input (default: next to the input; stdout for stdin)')
+  .option('--include <glob>', 'with a directory or glob input, convert only matching Markdown files (repeatable)', collect, [])
+  .option('--exclude <glob>', 'with a directory or glob input, skip matching files and directories (repeatable)', collect, [])
+  .option('--no-assets', 'with a directory or glob input, do not copy images and other assets to the output directory')
   .option('-w, --watch', 'watch for file changes and recompile automatically')
-  .action(async (input, options) => {
-    const inputPath = resolve(input);
+  .option('--poll', 'with --watch, poll for changes (for network and container file systems)')
+  .option('--keep-outputs', 'with --watch, keep the HTML of deleted sources instead of removing it')
+  .option('--force', 'with a directory or glob input, rebuild every page, including unchanged ones')
+  .option('--check-links', 'report links to missing files and headings, as file:line')
+  .option('--no-check-links', 'do not check links (overrides the config file)')
+  .option('--strict', 'with --check-links, exit with status 1 if any link is broken')
+  .option('--no-strict', 'report broken links without failing (overrides the config file)')
+  .option('--print-config', 'print the effective options, from the command line and the project config file, and exit');
 
-    // Validate input file exists
-    const exists = await fileExists(inputPath);
-    if (!exists) {
-      process.stderr.write(`Error: Input file not found: ${inputPath}\n`);
-      process.exit(1);
+addConvertOptions(program)
+  .action(async (input, options, command) => {
+    if (options.printConfig) {
+      printConfig(command, await applyConfig(command, input));
+      return;
     }
-
-    // Validate .md extension
-    if (!inputPath.endsWith('.md')) {
-      process.stderr.write(`Warning: Input file does not have a .md extension: ${inputPath}\n`);
+    if (input === undefined) {
+      if (process.stdin.isTTY) program.error("error: missing required argument 'input'");
+      input = '-';
+    }
+    await applyConfig(command, input);
+    if (input === '-' || options.output === '-') {
+      await runStream(input, options);
+      return;
+    }
+    if (await isBatchInput(input)) {
+      await runBatch(input, options);
+      return;
     }
 
+    const inputPath = await resolveInputFile(input);
     const outputPath = options.output ? resolve(options.output) : deriveOutputPath(inputPath);
+    const convertOptions = await buildConvertOptions(options);
 
     // Perform initial conversion
+    let result;
     try {
-      const result = await convert(inputPath, outputPath);
+      result = await convert(inputPath, outputPath, convertOptions);
       process.stdout.write(`Converted: ${result.inputPath} → ${result.outputPath}\n`);
     } catch (err) {
       process.stderr.write(`Error during conversion: ${err.message}\n`);
       process.exit(1);
     }
 
+    if (options.checkLinks && (await reportBrokenLinks([inputPath], convertOptions)) && options.strict && !options.watch) {
+      process.exit(1);
+    }
+
     // Watch mode
     if (options.watch) {
-      const handle = watch(inputPath, async (changedPath) => {
-        try {
-          const result = await convert(changedPath, outputPath);
-          process.stdout.write(`Recompiled: ${result.inputPath} → ${result.outputPath}\n`);
-        } catch (err) {
-          process.stderr.write(`Error during recompile: ${err.message}\n`);
-        }
+      const handle = watchFile(inputPath, outputPath, {
+        ...convertOptions,
+        includedFiles: result.includes,
+        keepOutputs: Boolean(options.keepOutputs),
+        poll: Boolean(options.poll),
+        onEvent: reportBatchEvent,
       });
 
-      // Graceful shutdown
-      const shutdown = async () => {
-        await handle.close();
-        process.exit(0);
-      };
-
-      process.on('SIGINT', shutdown);
-      process.on('SIGTERM', shutdown);
+      handleShutdown(handle);
     }
   });
 
+addConvertOptions(
+  program
+    .command('serve')
+    .description('convert, then serve the output with live reload, rebuilding on changes')
+    .argument('<input>', 'input Markdown file, directory, or quoted glob pattern')
+    .option('-o, --output <path>', 'output file path, or output directory for a directory or glob input (default: next to the input)')
+    .option('--include <glob>', 'with a directory or glob input, convert only matching Markdown files (repeatable)', collect, [])
+    .option('--exclude <glob>', 'with a directory or glob input, skip matching files and directories (repeatable)', collect, [])
+    .option('--no-assets', 'with a directory or glob input, do not copy images and other assets to the output directory')
+    .option('--poll', 'poll for changes (for network and container file systems)')
+    .option('--keep-outputs', 'keep the HTML of deleted sources instead of removing it')
+    .option('--force', 'with a directory or glob input, rebuild every page, including unchanged ones')
+    .option('-p, --port <number>', 'port to listen on (0 picks a free one)', parsePort, 4000)
+    .option('--host <host>', 'host to listen on', 'localhost')
+).action(runServe);
+
+addConvertOptions(
+  program
+    .command('build')
+    .description('build a directory as a site, with navigation, breadcrumbs, previous/next links and index pages')
+    .argument('<input>', 'input directory, or quoted glob pattern')
+    .option('-o, --output <path>', 'output directory (default: next to the sources)')
+    .option('--include <glob>', 'build only matching Markdown files (repeatable)', collect, [])
+    .option('--exclude <glob>', 'skip matching files and directories (repeatable)', collect, [])
+    .option('--no-assets', 'do not copy images and other assets to the output directory')
+    .option('--force', 'rebuild every page, including unchanged ones')
+    .option('--check-links', 'report links to missing files and headings, as file:line')
+    .option('--no-check-links', 'do not check links (overrides the config file)')
+    .option('--strict', 'with --check-links, exit with status 1 if any link is broken')
+    .option('--no-strict', 'report broken links without failing (overrides the config file)')
+).action(runBuild);
+
 program.parseAsync(process.argv).catch((err) => {
   process.stderr.write(`Fatal error: ${err.message}\n`);
   process.exit(1);
@@ -0,0 +1,524 @@
+/**
+ * src/batch.js
+ * Batch conversion of a directory tree or a glob pattern: finds the
+ * Markdown sources, converts each one to the mirrored path under the output
+ * directory and copies assets (images and the like) alongside, so relative
+ * links between them keep working. A failing file does not stop the rest;
+ * failures are collected in the returned summary. Rebuilds skip the files
+ * that have not changed (see src/manifest.js). watchBatch keeps the
+ * output up to date as sources are added, changed, renamed or removed;
+ * watchFile does the same for a single file and the files it includes.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { dirname, extname, join, relative, resolve } from 'path';
+import { convert, convertString, loadTemplate } from './converter.js';
+import { loadPlugins } from './plugins.js';
+import { copyFile, deriveOutputPath, fileExists, isDirectory, removeFile, writeFile } from './fileHandler.js';
+import { createMatcher, globBase, globToRegExp, isGlob } from './glob.js';
+import { buildFingerprint, hashContent, hashDependencies, readManifest, writeManifest } from './manifest.js';
+import { createSite, readPageInfo } from './site.js';
+import { watch } from './watcher.js';
+
+/**
+ * Patterns selecting the Markdown files of a directory input.
+ * @type {string[]}
+ */
+export const MARKDOWN_FILES = ['*.md', '*.markdown'];
+
+/**
+ * Extensions of files copied to the output as assets.
+ * @type {string[]}
+ */
+export const ASSET_EXTENSIONS = [
+  'apng', 'avif', 'bmp', 'gif', 'ico', 'jpeg', 'jpg', 'png', 'svg', 'webp',
+  'mp3', 'mp4', 'ogg', 'wav', 'webm',
+  'css', 'otf', 'ttf', 'woff', 'woff2',
+  'pdf', 'zip',
+];
+
+// Never searched, in addition to hidden directories
+const SKIPPED_DIRS = new Set(['node_modules']);
+
+/**
+ * Makes a path relative to baseDir, with forward slashes.
+ * @param {string} baseDir
+ * @param {string} path
+ * @returns {string}
+ */
+function toRelative(baseDir, path) {
+  return relative(baseDir, resolve(path)).split('\\').join('/');
+}
+
+/**
+ * Works out which files of a batch input are sources and assets, and
+ * where their output goes. Shared by findSources, convertBatch and
+ * watchBatch so that all three select the same files.
+ * @param {string} input — directory path or glob pattern
+ * @param {string} [outputDir]
+ * @param {{ include?: string[], exclude?: string[], assets?: boolean }} [options]
+ * @returns {Promise<object>} `baseDir` and `targetDir`, and `skipDir`,
+ *   `isSource`, `isAsset` and `outputFor`, which take paths relative to
+ *   baseDir with forward slashes
+ * @throws {Error} if the input directory does not exist or a pattern is invalid
+ */
+async function planBatch(input, outputDir, { include = [], exclude = [], assets = true } = {}) {
+  const globInput = isGlob(input) && !(await isDirectory(input));
+  const base = globInput ? globBase(input) : input;
+  const baseDir = resolve(base);
+  if (!(await isDirectory(baseDir))) {
+    throw new Error(`Input directory not found: ${baseDir}`);
+  }
+  const targetDir = outputDir ? resolve(outputDir) : baseDir;
+
+  let matchesInput = createMatcher(MARKDOWN_FILES);
+  if (globInput) {
+    const regex = globToRegExp(base === '.' ? input.replace(/^\.\//, '') : input.slice(base.length).replace(/^\//, ''));
+    matchesInput = (path) => regex.test(path);
+  }
+  const included = include.length > 0 ? createMatcher(include) : () => true;
+  const excluded = createMatcher(exclude);
+
+  const skipDir = (path) => {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    return name.startsWith('.') || SKIPPED_DIRS.has(name) || excluded(path)
+      || (targetDir !== baseDir && join(baseDir, path) === targetDir);
+  };
+  // Paths from the watcher have not been through the directory walk
+  const inSkippedDir = (path) => {
+    const segments = path.split('/');
+    return segments.slice(0, -1).some((_, i) => skipDir(segments.slice(0, i + 1).join('/')));
+  };
+  const isCandidate = (path) => !path.startsWith('../')
+    && !path.slice(path.lastIndexOf('/') + 1).startsWith('.')
+    && !excluded(path)
+    && !inSkippedDir(path);
+
+  return {
+    baseDir,
+    targetDir,
+    skipDir,
+    isSource: (path) => isCandidate(path) && matchesInput(path) && included(path),
+    isAsset: (path) => assets && isCandidate(path) && ASSET_EXTENSIONS.includes(extname(path).slice(1).toLowerCase()),
+    outputFor: (path) => deriveOutputPath(join(baseDir, path), join(targetDir, dirname(path))),
+  };
+}
+
+/**
+ * Lists the files under a directory, recursively, as sorted paths relative
+ * to baseDir with forward slashes.
+ * @param {string} dir — absolute directory path
+ * @param {string} baseDir — absolute directory the paths are relative to
+ * @param {(relativePath: string) => boolean} skipDir — prunes directories
+ * @returns {Promise<string[]>}
+ */
+async function walk(dir, baseDir, skipDir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const files = [];
+  for (const entry of entries) {
+    const absolutePath = join(dir, entry.name);
+    const relativePath = toRelative(baseDir, absolutePath);
+    if (entry.isDirectory()) {
+      if (!skipDir(relativePath)) files.push(...(await walk(absolutePath, baseDir, skipDir)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists the sources and assets of a plan.
+ * @param {object} plan — from planBatch
+ * @returns {Promise<{ files: string[], assets: string[] }>}
+ */
+async function listFiles(plan) {
+  const all = await walk(plan.baseDir, plan.baseDir, plan.skipDir);
+  return {
+    files: all.filter(plan.isSource),
+    assets: all.filter((path) => !plan.isSource(path) && plan.isAsset(path)),
+  };
+}
+
+/**
+ * Finds the Markdown sources and assets for a batch input.
+ * A directory input selects all Markdown files (MARKDOWN_FILES) under it;
+ * a glob input (`"docs/guide/*.md"`) selects the files matching it,
+ * relative to its leading directories. `include` patterns narrow either
+ * selection; `exclude` patterns remove files and whole directories.
+ * Patterns follow src/glob.js. Hidden files and directories,
+ * `node_modules` and the output directory (when it lies inside the input)
+ * are skipped.
+ * @param {string} input — directory path or glob pattern
+ * @param {object} [options]
+ * @param {string[]} [options.include] — globs for Markdown files
+ * @param {string[]} [options.exclude] — globs for files and directories to skip
+ * @param {boolean} [options.assets=true] — also collect asset files (see ASSET_EXTENSIONS)
+ * @param {string} [options.outputDir]
+ * @returns {Promise<{ baseDir: string, files: string[], assets: string[] }>}
+ *   files and assets are relative to baseDir, with forward slashes
+ * @throws {Error} if the input directory does not exist or a pattern is invalid
+ */
+export async function findSources(input, options = {}) {
+  const plan = await planBatch(input, options.outputDir, options);
+  return { baseDir: plan.baseDir, ...(await listFiles(plan)) };
+}
+
+/**
+ * Loads a template and plugins given as paths once, rather than for every
+ * file.
+ * @param {object} convertOptions
+ * @returns {Promise<object>}
+ */
+async function preloadOptions(convertOptions) {
+  const options = { ...convertOptions };
+  if (typeof options.template === 'string') options.template = await loadTemplate(options.template);
+  if (options.plugins) options.plugins = await loadPlugins(options.plugins);
+  return options;
+}
+
+/**
+ * Converts every Markdown file of a directory or glob input, mirroring the
+ * directory structure under outputDir, and copies assets alongside.
+ * Without outputDir, pages are written next to their sources and nothing
+ * is copied.
+ *
+ * Builds are incremental: a build manifest (see src/manifest.js) in the
+ * output directory records what each output was built from, and files
+ * whose source, included files, template, plugins, options and md2html
+ * version are all unchanged are skipped. When a source recorded there no longer exists,
+ * its output is removed.
+ *
+ * With `site`, the pages are built as a navigable site (see src/site.js):
+ * each page gets the site navigation and, as its `<title>`, the title the
+ * navigation shows; directories without an index.md get a generated index
+ * page. A change to any page's title or
+ * order rebuilds every page, since all their navigation shows it.
+ * @param {string} input — directory path or glob pattern
+ * @param {string} [outputDir]
+ * @param {object} [options] — `include`, `exclude` and `assets` as for
+ *   findSources, `force` to rebuild everything and `site` for site mode;
+ *   everything else is passed to convert()
+ * @returns {Promise<{
+ *   converted: { inputPath: string, outputPath: string, metadata: object }[],
+ *   copied: { inputPath: string, outputPath: string }[],
+ *   skipped: { inputPath: string, outputPath: string }[],
+ *   removed: { inputPath: string, outputPath: string }[],
+ *   failed: { inputPath: string, error: string }[],
+ * }>} `skipped` lists the unchanged files, `removed` the outputs of deleted
+ *   sources; generated index pages are listed with their directory as
+ *   `inputPath`
+ * @throws {Error} if no Markdown files are found, the template or a
+ *   plugin cannot be loaded, or the manifest cannot be written
+ */
+export async function convertBatch(input, outputDir, options = {}) {
+  const { include, exclude, assets, force = false, site = false, ...rest } = options;
+  const plan = await planBatch(input, outputDir, { include, exclude, assets });
+  const { files, assets: assetFiles } = await listFiles(plan);
+  if (files.length === 0) {
+    throw new Error(`No Markdown files found in ${input}`);
+  }
+  let fingerprint = await buildFingerprint(rest);
+  const convertOptions = await preloadOptions(rest);
+
+  let siteMap = null;
+  const titles = new Map();
+  if (site) {
+    const pages = [];
+    for (const file of files) {
+      const info = await readPageInfo(join(plan.baseDir, file));
+      titles.set(file, info.title);
+      pages.push({ file, output: toRelative(plan.targetDir, plan.outputFor(file)), ...info });
+    }
+    siteMap = createSite(pages);
+    fingerprint = hashContent(fingerprint, siteMap.fingerprint);
+  }
+
+  const previous = await readManifest(plan.targetDir);
+  const entries = { ...previous.entries };
+  const summary = { converted: [], copied: [], skipped: [], removed: [], failed: [] };
+
+  /**
+   * Builds one output unless the manifest shows it is up to date.
+   * @param {string} file — relative to baseDir
+   * @param {string} outputPath
+   * @param {(content: Buffer) => string} hashOf
+   * @param {(inputPath: string) => Promise<object>} build — returns the
+   *   summary entry, with the absolute paths of any files it `includes`
+   * @param {object[]} done — summary list for built files
+   */
+  const update = async (file, outputPath, hashOf, build, done) => {
+    const inputPath = join(plan.baseDir, file);
+    const key = toRelative(plan.targetDir, inputPath);
+    const fromTarget = (paths = []) => paths.map((path) => resolve(plan.targetDir, path));
+    try {
+      const sourceHash = hashOf(await readFile(inputPath));
+      const recorded = previous.entries[key];
+      if (
+        !force
+        && recorded
+        && recorded.hash === (await hashDependencies(sourceHash, fromTarget(recorded.includes)))
+        && (await fileExists(outputPath))
+      ) {
+        summary.skipped.push({ inputPath, outputPath });
+        return;
+      }
+      const { includes = [], ...result } = await build(inputPath);
+      done.push(result);
+      const entry = { output: toRelative(plan.targetDir, outputPath), hash: await hashDependencies(sourceHash, includes) };
+      if (includes.length > 0) entry.includes = includes.map((path) => toRelative(plan.targetDir, path));
+      entries[key] = entry;
+    } catch (err) {
+      delete entries[key];
+      summary.failed.push({ inputPath, error: err.message });
+    }
+  };
+
+  for (const file of files) {
+    const outputPath = plan.outputFor(file);
+    await update(
+      file,
+      outputPath,
+      (content) => hashContent(fingerprint, toRelative(plan.targetDir, outputPath), content),
+      (inputPath) => convert(
+        inputPath,
+        outputPath,
+        siteMap ? { ...convertOptions, title: titles.get(file), site: siteMap.pageData(file) } : convertOptions
+      ),
+      summary.converted
+    );
+  }
+
+  // Generated index pages have no source file; the manifest keys them by
+  // their directory, with a trailing slash
+  const indexKeys = new Set();
+  for (const index of siteMap?.indexes ?? []) {
+    const inputPath = join(plan.baseDir, index.dir);
+    const outputPath = join(plan.targetDir, index.output);
+    const key = `${toRelative(plan.targetDir, inputPath) || '.'}/`;
+    indexKeys.add(key);
+    try {
+      const hash = hashContent(fingerprint, 'index', index.markdown);
+      if (!force && previous.entries[key]?.hash === hash && (await fileExists(outputPath))) {
+        summary.skipped.push({ inputPath, outputPath });
+        continue;
+      }
+      const { html, metadata } = await convertString(index.markdown, {
+        ...convertOptions,
+        title: index.title,
+        outputPath,
+        site: index.data,
+      });
+      await writeFile(outputPath, html);
+      summary.converted.push({ inputPath, outputPath, metadata });
+      entries[key] = { output: toRelative(plan.targetDir, outputPath), hash };
+    } catch (err) {
+      delete entries[key];
+      summary.failed.push({ inputPath, error: err.message });
+    }
+  }
+
+  if (plan.targetDir !== plan.baseDir) {
+    for (const file of assetFiles) {
+      const outputPath = join(plan.targetDir, file);
+      await update(
+        file,
+        outputPath,
+        (content) => hashContent('asset', content),
+        async (inputPath) => {
+          await copyFile(inputPath, outputPath);
+          return { inputPath, outputPath };
+        },
+        summary.copied
+      );
+    }
+  }
+
+  // Remove the outputs of sources that have been deleted. Sources that
+  // still exist but were not selected this time keep theirs. Generated
+  // index pages go when their directory no longer needs one, unless a
+  // page now takes their place.
+  for (const [key, entry] of Object.entries(previous.entries)) {
+    const inputPath = resolve(plan.targetDir, key);
+    if (key.endsWith('/') ? indexKeys.has(key) : await fileExists(inputPath)) continue;
+    const outputPath = resolve(plan.targetDir, entry.output);
+    try {
+      if (key.endsWith('/')) {
+        delete entries[key];
+        if (Object.values(entries).some((other) => other.output === entry.output)) continue;
+      }
+      await removeFile(outputPath);
+      delete entries[key];
+      summary.removed.push({ inputPath, outputPath });
+    } catch (err) {
+      summary.failed.push({ inputPath, error: err.message });
+    }
+  }
+
+  await writeManifest(plan.targetDir, { entries });
+  return summary;
+}
+
+/**
+ * Watches a directory or glob input and keeps the output in step with it:
+ * only the affected file is handled on each change. Added and changed
+ * sources are converted and assets copied; when a source or asset is
+ * removed its output is deleted, unless `keepOutputs` is set. A rename is
+ * a removal plus an addition. A change to a file that sources include
+ * (inside the watched directory) converts those sources again; what each
+ * source includes is known from the last batch build's manifest and from
+ * converting it.
+ * @param {string} input — directory path or glob pattern
+ * @param {string} [outputDir]
+ * @param {object} [options] — as for convertBatch, plus:
+ * @param {boolean} [options.keepOutputs=false] — keep the output of removed files
+ * @param {boolean} [options.poll=false] — poll for changes (see watch)
+ * @param {(event: { type: 'converted'|'copied'|'removed'|'failed', inputPath: string, outputPath?: string, error?: string }) => void} [options.onEvent]
+ *   — told about each output update
+ * @returns {Promise<{ close: () => Promise<void>, ready: Promise<void> }>} the watcher handle
+ * @throws {Error} if the input directory does not exist, or the template or
+ *   a plugin cannot be loaded
+ */
+export async function watchBatch(input, outputDir, options = {}) {
+  // `force` is accepted for convertBatch's sake: watching always rebuilds
+  const { include, exclude, assets, force, keepOutputs = false, poll, onEvent = () => {}, ...rest } = options;
+  const plan = await planBatch(input, outputDir, { include, exclude, assets });
+  const convertOptions = await preloadOptions(rest);
+  const copiesAssets = plan.targetDir !== plan.baseDir;
+
+  const outputOf = (file) => (plan.isSource(file) ? plan.outputFor(file) : join(plan.targetDir, file));
+
+  // Sources by the absolute paths of the files they include
+  const dependents = new Map();
+  const recordIncludes = (file, includes) => {
+    for (const sources of dependents.values()) sources.delete(file);
+    for (const path of includes) {
+      if (!dependents.has(path)) dependents.set(path, new Set());
+      dependents.get(path).add(file);
+    }
+  };
+  const { entries } = await readManifest(plan.targetDir);
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!key.endsWith('/') && Array.isArray(entry.includes)) {
+      const file = toRelative(plan.baseDir, resolve(plan.targetDir, key));
+      recordIncludes(file, entry.includes.map((path) => resolve(plan.targetDir, path)));
+    }
+  }
+
+  const convertSource = async (file) => {
+    const inputPath = join(plan.baseDir, file);
+    try {
+      const result = await convert(inputPath, outputOf(file), convertOptions);
+      recordIncludes(file, result.includes);
+      onEvent({ type: 'converted', inputPath, outputPath: result.outputPath });
+    } catch (err) {
+      onEvent({ type: 'failed', inputPath, error: err.message });
+    }
+  };
+
+  return watch(plan.baseDir, {
+    async onChange(path) {
+      const file = toRelative(plan.baseDir, path);
+      const inputPath = join(plan.baseDir, file);
+      if (plan.isSource(file)) {
+        await convertSource(file);
+      } else if (copiesAssets && plan.isAsset(file)) {
+        try {
+          await copyFile(inputPath, outputOf(file));
+          onEvent({ type: 'copied', inputPath, outputPath: outputOf(file) });
+        } catch (err) {
+          onEvent({ type: 'failed', inputPath, error: err.message });
+        }
+      }
+      for (const dependent of [...(dependents.get(resolve(path)) ?? [])]) {
+        if (dependent !== file) await convertSource(dependent);
+      }
+    },
+
+    async onUnlink(path) {
+      const file = toRelative(plan.baseDir, path);
+      const inputPath = join(plan.baseDir, file);
+      if (!keepOutputs && (plan.isSource(file) || (copiesAssets && plan.isAsset(file)))) {
+        try {
+          await removeFile(outputOf(file));
+          onEvent({ type: 'removed', inputPath, outputPath: outputOf(file) });
+        } catch (err) {
+          onEvent({ type: 'failed', inputPath, error: err.message });
+        }
+      }
+      if (plan.isSource(file)) recordIncludes(file, []);
+      // Sources including the file now fail, and say so
+      for (const dependent of [...(dependents.get(resolve(path)) ?? [])]) {
+        if (dependent !== file) await convertSource(dependent);
+      }
+    },
+  }, {
+    filter: (path) => {
+      const file = toRelative(plan.baseDir, path);
+      return plan.isSource(file) || (copiesAssets && plan.isAsset(file)) || dependents.has(resolve(path));
+    },
+    // Prune skipped directories (hidden, node_modules, excluded, the output)
+    ignored: (path) => {
+      const file = toRelative(plan.baseDir, path);
+      return file !== '' && !file.startsWith('../') && plan.skipDir(file);
+    },
+    poll,
+  });
+}
+
+/**
+ * Watches a single Markdown file and the files it includes, converting it
+ * again when any of them changes. When the file is removed its output is
+ * deleted, unless `keepOutputs` is set; when an included file is removed,
+ * converting fails and says so. The included files are watched as of the
+ * last successful conversion.
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options] — as for convert, plus:
+ * @param {string[]} [options.includedFiles=[]] — absolute paths of the files
+ *   the input included when it was last converted (see convert)
+ * @param {boolean} [options.keepOutputs=false] — keep the output if the input is removed
+ * @param {boolean} [options.poll=false] — poll for changes (see watch)
+ * @param {(event: { type: 'converted'|'removed'|'failed', inputPath: string, outputPath?: string, error?: string }) => void} [options.onEvent]
+ *   — told about each output update
+ * @returns {{ close: () => Promise<void>, ready: Promise<void> }} the watcher handle
+ */
+export function watchFile(inputPath, outputPath, options = {}) {
+  const { includedFiles = [], keepOutputs = false, poll, onEvent = () => {}, ...convertOptions } = options;
+  let included = new Set(includedFiles);
+
+  const rebuild = async () => {
+    try {
+      const result = await convert(inputPath, outputPath, convertOptions);
+      const next = new Set(result.includes);
+      handle.unwatch([...included].filter((path) => !next.has(path)));
+      handle.add([...next].filter((path) => !included.has(path)));
+      included = next;
+      onEvent({ type: 'converted', inputPath, outputPath: result.outputPath });
+    } catch (err) {
+      onEvent({ type: 'failed', inputPath, error: err.message });
+    }
+  };
+
+  const handle = watch([inputPath, ...included], {
+    onChange: rebuild,
+
+    async onUnlink(path) {
+      // Converting now fails, and says which include is missing
+      if (path !== inputPath) {
+        await rebuild();
+        return;
+      }
+      if (keepOutputs) return;
+      try {
+        await removeFile(outputPath);
+        onEvent({ type: 'removed', inputPath, outputPath });
+      } catch (err) {
+        onEvent({ type: 'failed', inputPath, error: err.message });
+      }
+    },
+  }, { poll });
+  return handle;
+}
@@ -0,0 +1,946 @@
+/**
+ * src/blockParser.js
+ * Block-level tokenizer: splits Markdown source into a tree of block nodes.
+ * Each line is offered to the block rules in order and the first rule that
+ * matches consumes the lines of its block. Container blocks (blockquotes,
+ * list items) strip their markers and parse their content recursively,
+ * up to MAX_NESTING containers deep; leaf blocks keep their raw inline text
+ * for src/inlineParser.js.
+ */
+
+import {
+  OPEN_TAG,
+  CLOSE_TAG,
+  normalizeLabel,
+  parseReferenceDefinition,
+  unescapeString,
+} from './inlineParser.js';
+
+/**
+ * How deeply container blocks may nest. Content nested deeper is parsed as
+ * paragraphs only, so hostile input cannot exhaust the stack.
+ * @type {number}
+ */
+export const MAX_NESTING = 100;
+
+// List item marker: up to 3 spaces of indent, a bullet (-, *, +) or an ordered
+// number (1-9 digits followed by . or )), then whitespace or end of line.
+const LIST_MARKER_RE = /^( {0,3})([-*+]|\d{1,9}[.)])(?=[ \t]|$)/;
+
+// Thematic break: three or more -, * or _ (optionally space-separated)
+const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+
+// Setext heading underline: = for level 1, - for level 2
+const SETEXT_UNDERLINE_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+
+// ATX heading: 1-6 # chars followed by whitespace or end of line
+const ATX_HEADING_RE = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+
+// Code fence: 3+ backticks or tildes, optional info string
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+
+// Blockquote marker: up to 3 spaces of indent, >, optional space or tab
+const BLOCKQUOTE_RE = /^ {0,3}>( |\t)?/;
+
+// Task list item marker at the start of an item's first paragraph: `[ ]`,
+// `[x]` or `[X]`, then whitespace and the item text
+const TASK_MARKER_RE = /^\[([ xX])\][ \t]+(?=\S)/;
+
+// Footnote definition: `[^label]:`, the label without spaces or brackets
+const FOOTNOTE_DEFINITION_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*/;
+
+// Definition list marker: up to 3 spaces, `:`, whitespace, then content
+const DEFINITION_MARKER_RE = /^ {0,3}:[ \t]+(?=\S)/;
+
+// Display math opening: up to 3 spaces, then `$$`
+const MATH_BLOCK_RE = /^ {0,3}\$\$(.*)$/;
+
+// Admonition container: `:::kind` with an optional title, closed by `:::`
+const ADMONITION_OPEN_RE = /^ {0,3}:{3,}[ \t]*([A-Za-z]+)(?:[ \t]+(.*?))?[ \t]*$/;
+const ADMONITION_CLOSE_RE = /^ {0,3}:{3,}[ \t]*$/;
+
+// GitHub alert: `[!KIND]` with an optional title, first in a blockquote
+const ALERT_MARKER_RE = /^ {0,3}\[!([A-Za-z]+)\](?:[ \t]+(.*?))?[ \t]*$/;
+
+// Admonition kinds, with their default titles
+const ADMONITION_TITLES = { note: 'Note', tip: 'Tip', important: 'Important', warning: 'Warning', caution: 'Caution' };
+
+const HTML_BLOCK_TAGS =
+  'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|' +
+  'dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h1|h2|h3|h4|h5|h6|' +
+  'head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|' +
+  'p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+
+// CommonMark HTML block start conditions: [start, end, can interrupt a paragraph].
+// An end of null means the block ends at the next blank line.
+const HTML_BLOCK_CONDITIONS = [
+  [/^<(?:script|pre|style|textarea)(?:\s|>|$)/i, /<\/(?:script|pre|style|textarea)>/i, true],
+  [/^<!--/, /-->/, true],
+  [/^<[?]/, /\?>/, true],
+  [/^<![A-Za-z]/, />/, true],
+  [/^<!\[CDATA\[/, /\]\]>/, true],
+  [new RegExp(`^</?(?:${HTML_BLOCK_TAGS})(?:\\s|/?>|$)`, 'i'), null, true],
+  [new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG})[ \\t]*$`), null, false],
+];
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+/**
+ * @param {string} line
+ * @returns {number} number of leading spaces
+ */
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Removes up to `count` leading spaces from a line.
+ * @param {string} line
+ * @param {number} count
+ * @returns {string}
+ */
+function stripIndent(line, count) {
+  return line.slice(Math.min(indentOf(line), count));
+}
+
+/**
+ * Expands tabs in the leading whitespace of a line to spaces (tab stops of 4).
+ * @param {string} line
+ * @param {number} [column] — column at which the line starts
+ * @returns {string}
+ */
+function expandLeadingTabs(line, column = 0) {
+  const leading = line.match(/^[ \t]*/)[0];
+  if (!leading.includes('\t')) return line;
+  let col = column;
+  let expanded = '';
+  for (const ch of leading) {
+    const width = ch === '\t' ? 4 - (col % 4) : 1;
+    expanded += ' '.repeat(width);
+    col += width;
+  }
+  return expanded + line.slice(leading.length);
+}
+
+/**
+ * Splits a pipe-table row into trimmed cell strings.
+ * Leading/trailing pipes are optional; `\|` is an escaped pipe inside a cell.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parses a table delimiter row (e.g. `| :--- | :---: | ---: |`).
+ * @param {string} line
+ * @returns {Array<'left'|'center'|'right'|null>|null} alignments, or null if not a delimiter row
+ */
+function parseTableDelimiter(line) {
+  if (!line.includes('-') || !/^[\s|:-]+$/.test(line)) return null;
+  const cells = splitTableRow(line);
+  if (!cells.every((cell) => /^:?-+:?$/.test(cell))) return null;
+  return cells.map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+}
+
+/**
+ * Returns the list marker info for a line, or null if it does not start a list item.
+ * @param {string} line
+ * @returns {{ bullet: string|null, delimiter: string|null, start: number, contentIndent: number, content: string }|null}
+ */
+function matchListMarker(line) {
+  const match = line.match(LIST_MARKER_RE);
+  // A thematic break (e.g. "- - -" or "* * *") is not a list item
+  if (!match || THEMATIC_BREAK_RE.test(line)) return null;
+
+  const marker = match[2];
+  const markerEnd = match[0].length;
+  const rest = expandLeadingTabs(line.slice(markerEnd), markerEnd);
+  const spaces = indentOf(rest);
+  const ordered = /\d/.test(marker);
+
+  // An empty first line, or content indented 5+ spaces (indented code),
+  // puts the content column one space after the marker
+  const contentOffset = isBlank(rest) || spaces >= 5 ? 1 : spaces;
+  return {
+    bullet: ordered ? null : marker,
+    delimiter: ordered ? marker.slice(-1) : null,
+    start: ordered ? parseInt(marker, 10) : 1,
+    contentIndent: markerEnd + contentOffset,
+    content: isBlank(rest) ? '' : rest.slice(contentOffset),
+  };
+}
+
+/**
+ * Prepares a lazy continuation line for its container's content. A lazy line
+ * is always paragraph text, so an `===` line is escaped to keep it from
+ * being read as a setext underline (`---` lines never get here, since a
+ * thematic break interrupts the paragraph).
+ * @param {string} line
+ * @returns {string}
+ */
+function lazyLine(line) {
+  return SETEXT_UNDERLINE_RE.test(line) ? `\\${line.trimStart()}` : line;
+}
+
+/**
+ * Checks whether a parsed block tree ends in a paragraph, i.e. whether a
+ * following line could be a lazy continuation of it.
+ * @param {object[]} nodes
+ * @returns {boolean}
+ */
+function endsInParagraph(nodes) {
+  const last = nodes[nodes.length - 1];
+  if (!last) return false;
+  if (last.type === 'paragraph') return true;
+  if (['blockquote', 'list', 'listItem', 'definitionList', 'definitionDescription'].includes(last.type)) {
+    return endsInParagraph(last.children);
+  }
+  return false;
+}
+
+/**
+ * Parsing state for one run of lines (the document or a container's content).
+ */
+class BlockState {
+  /**
+   * @param {string[]} lines
+   * @param {object} env — document-wide parse environment (rules, references)
+   * @param {number} offset — document line index of lines[0]
+   * @param {number} [depth=0] — containers around these lines
+   */
+  constructor(lines, env, offset, depth = 0) {
+    this.lines = lines;
+    this.env = env;
+    this.offset = offset;
+    this.depth = depth;
+    this.line = 0;
+  }
+
+  /**
+   * Parses container content with the same rules and environment.
+   * @param {string[]} lines — content lines with container markers stripped
+   * @param {number} firstLine — index (in this.lines) of the first content line
+   * @returns {object[]} block nodes
+   */
+  parseNested(lines, firstLine) {
+    return parseLines(lines, this.env, this.offset + firstLine, this.depth + 1);
+  }
+
+  /**
+   * Builds a node position from line indexes in this.lines.
+   * @param {number} start — first line index
+   * @param {number} end — index just past the last line
+   * @returns {{ start: number, end: number }} 1-based document line numbers
+   */
+  position(start, end) {
+    return { start: this.offset + start + 1, end: this.offset + Math.max(end, start + 1) };
+  }
+
+  /**
+   * Checks whether the line at `index` starts a block that may interrupt a paragraph.
+   * @param {number} index
+   * @returns {boolean}
+   */
+  interruptsParagraph(index) {
+    const saved = this.line;
+    this.line = index;
+    try {
+      return this.env.rules.some((rule) => rule.interruptsParagraph && rule.parse(this, true));
+    } finally {
+      this.line = saved;
+    }
+  }
+
+  /**
+   * Checks whether the line at `index` is a lazy continuation line for a
+   * container whose content so far is `contentLines`: it must continue an
+   * open paragraph and must not start a new block.
+   * @param {string[]} contentLines
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isLazyContinuation(contentLines, index) {
+    if (isBlank(this.lines[index]) || contentLines.length === 0) return false;
+    // A list item marker always starts a new item rather than continuing
+    if (matchListMarker(this.lines[index])) return false;
+    if (isBlank(contentLines[contentLines.length - 1]) || this.interruptsParagraph(index)) return false;
+    // Parse with a scratch environment so definitions are not registered twice
+    const scratch = { ...this.env, references: Object.create(null), footnotes: Object.create(null) };
+    return endsInParagraph(parseLines(contentLines, scratch, 0, this.depth + 1));
+  }
+}
+
+/**
+ * Indented code block: lines indented 4+ spaces. Cannot interrupt a paragraph.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function indentedCode(state, silent) {
+  const { lines } = state;
+  if (silent || indentOf(lines[state.line]) < 4 || isBlank(lines[state.line])) return false;
+  let end = state.line;
+  let last = state.line;
+  while (end < lines.length && (isBlank(lines[end]) || indentOf(lines[end]) >= 4)) {
+    if (!isBlank(lines[end])) last = end;
+    end++;
+  }
+  const value = lines
+    .slice(state.line, last + 1)
+    .map((line) => stripIndent(line, 4))
+    .join('\n');
+  state.line = last + 1;
+  return { type: 'codeBlock', fenced: false, info: '', lang: null, value };
+}
+
+/**
+ * Builds the pattern of the line that closes a code fence.
+ * @param {string} fence — the opening backticks or tildes
+ * @returns {RegExp}
+ */
+function fenceCloser(fence) {
+  return new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`);
+}
+
+/**
+ * Fenced code block: ``` or ~~~ with an optional info string. An unclosed
+ * fence runs to the end of its container.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function fencedCode(state, silent) {
+  const { lines } = state;
+  const match = lines[state.line].match(FENCE_RE);
+  if (!match) return false;
+  const [, indent, fence, rawInfo] = match;
+  if (fence[0] === '`' && rawInfo.includes('`')) return false;
+  if (silent) return true;
+
+  const closing = fenceCloser(fence);
+  const content = [];
+  let i = state.line + 1;
+  while (i < lines.length && !closing.test(lines[i])) {
+    content.push(stripIndent(lines[i], indent.length));
+    i++;
+  }
+  state.line = Math.min(i + 1, lines.length);
+
+  const info = unescapeString(rawInfo.trim());
+  return { type: 'codeBlock', fenced: true, info, lang: info.split(/\s+/)[0] || null, value: content.join('\n') };
+}
+
+/**
+ * Display math: `$$` up to a line ending in `$$`, or `$$ ... $$` on one
+ * line. TeX math cannot contain blank lines, so a `$$` that is not closed
+ * before one is left to the paragraph (and its inline math).
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function mathBlock(state, silent) {
+  const { lines } = state;
+  const match = lines[state.line].match(MATH_BLOCK_RE);
+  if (!match) return false;
+
+  const content = [];
+  let i = state.line;
+  let rest = match[1];
+  for (;;) {
+    const close = rest.indexOf('$$');
+    if (close !== -1) {
+      if (rest.slice(close + 2).trim() !== '') return false;
+      content.push(rest.slice(0, close));
+      break;
+    }
+    content.push(rest);
+    i++;
+    if (i >= lines.length || isBlank(lines[i])) return false;
+    rest = lines[i];
+  }
+  const value = content.join('\n').trim();
+  if (value === '') return false;
+  if (silent) return true;
+
+  state.line = i + 1;
+  return { type: 'mathBlock', value };
+}
+
+/**
+ * Blockquote: `>`-prefixed lines plus lazy continuation lines, parsed recursively.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function blockquote(state, silent) {
+  const { lines } = state;
+  if (!BLOCKQUOTE_RE.test(lines[state.line])) return false;
+  if (silent) return true;
+
+  const start = state.line;
+  const content = [];
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(BLOCKQUOTE_RE);
+    if (match) {
+      // A tab after > counts as one space of marker plus the rest of its width
+      const rest = lines[i].slice(match[0].length);
+      content.push(match[1] === '\t' ? `  ${rest}` : expandLeadingTabs(rest));
+    } else if (state.isLazyContinuation(content, i)) {
+      content.push(lazyLine(lines[i]));
+    } else {
+      break;
+    }
+    i++;
+  }
+  state.line = i;
+
+  // A first line of `[!NOTE]` makes it an admonition, as on GitHub
+  const alert = state.env.extensions?.admonitions && content[0].match(ALERT_MARKER_RE);
+  if (alert && alert[1].toLowerCase() in ADMONITION_TITLES) {
+    return createAdmonition(state, alert[1], alert[2], start, state.parseNested(content.slice(1), start + 1));
+  }
+  return { type: 'blockquote', children: state.parseNested(content, start) };
+}
+
+/**
+ * Builds an admonition node; its first child is the title.
+ * @param {BlockState} state
+ * @param {string} kind — a key of ADMONITION_TITLES, in any case
+ * @param {string|undefined} title — custom title, if any
+ * @param {number} start — line index of the opening line
+ * @param {object[]} children — the parsed content
+ * @returns {object}
+ */
+function createAdmonition(state, kind, title, start, children) {
+  const type = kind.toLowerCase();
+  const heading = { type: 'admonitionTitle', raw: title || ADMONITION_TITLES[type], position: state.position(start, start + 1) };
+  return { type: 'admonition', kind: type, children: [heading, ...children] };
+}
+
+/**
+ * Admonition container: `:::note`, `:::warning` etc., with an optional
+ * title after the kind, up to a `:::` line. Containers nest (up to
+ * MAX_NESTING, like other containers), and `:::` lines inside fenced code
+ * do not count. An unclosed container runs to the end of its own
+ * container.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function admonition(state, silent) {
+  const { lines } = state;
+  const match = lines[state.line].match(ADMONITION_OPEN_RE);
+  if (!match || !(match[1].toLowerCase() in ADMONITION_TITLES)) return false;
+  if (silent) return true;
+
+  const start = state.line;
+  let depth = 0;
+  let closing = null;
+  let i = start + 1;
+  for (; i < lines.length; i++) {
+    if (closing) {
+      if (closing.test(lines[i])) closing = null;
+      continue;
+    }
+    const fence = lines[i].match(FENCE_RE);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+      closing = fenceCloser(fence[2]);
+    } else if (ADMONITION_CLOSE_RE.test(lines[i])) {
+      if (depth === 0) break;
+      depth--;
+    } else if (ADMONITION_OPEN_RE.test(lines[i])) {
+      depth++;
+    }
+  }
+  state.line = Math.min(i + 1, lines.length);
+  return createAdmonition(state, match[1], match[2], start, state.parseNested(lines.slice(start + 1, i), start + 1));
+}
+
+/**
+ * ATX heading: `# Title`, with optional closing `#` sequence.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function atxHeading(state, silent) {
+  const match = state.lines[state.line].match(ATX_HEADING_RE);
+  if (!match) return false;
+  if (silent) return true;
+  const raw = match[2]
+    .replace(/^[ \t]+/, '')
+    .replace(/(?:^|[ \t]+)#+[ \t]*$/, '')
+    .trim();
+  state.line++;
+  return { type: 'heading', level: match[1].length, raw };
+}
+
+/**
+ * Thematic break: ---, *** or ___.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function thematicBreak(state, silent) {
+  if (!THEMATIC_BREAK_RE.test(state.lines[state.line])) return false;
+  if (silent) return true;
+  state.line++;
+  return { type: 'thematicBreak' };
+}
+
+/**
+ * List: consecutive items with the same kind of marker. Item content is the
+ * lines indented to the item's content column (plus lazy continuation lines),
+ * parsed recursively. A list is loose when items are separated by blank
+ * lines or an item has blank lines between its direct children.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function list(state, silent) {
+  const { lines } = state;
+  const first = matchListMarker(lines[state.line]);
+  if (!first) return false;
+  // Only bullet lists and lists starting at 1 may interrupt a paragraph,
+  // and never with an empty item
+  if (silent) return (first.bullet !== null || first.start === 1) && first.content.trim() !== '';
+
+  const sameList = (marker) =>
+    marker !== null && marker.bullet === first.bullet && marker.delimiter === first.delimiter;
+
+  const items = [];
+  let loose = false;
+  let i = state.line;
+
+  while (i < lines.length) {
+    const marker = matchListMarker(lines[i]);
+    if (!sameList(marker)) break;
+
+    const itemStart = i;
+    const content = [marker.content];
+    i++;
+
+    // An item can begin with at most one blank line
+    const startsBlank = marker.content === '';
+    if (!(startsBlank && i < lines.length && isBlank(lines[i]))) {
+      while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+          content.push('');
+        } else if (indentOf(line) >= marker.contentIndent) {
+          content.push(line.slice(marker.contentIndent));
+        } else if (!state.isLazyContinuation(content, i)) {
+          break;
+        } else {
+          content.push(lazyLine(line));
+        }
+        i++;
+      }
+    }
+
+    // Trailing blank lines belong between items, not to the item itself
+    let trailingBlanks = 0;
+    while (content.length > 1 && isBlank(content[content.length - 1])) {
+      content.pop();
+      trailingBlanks++;
+    }
+    // An item that began with a blank line stopped before the next one
+    while (i < lines.length && isBlank(lines[i])) {
+      i++;
+      trailingBlanks++;
+    }
+
+    const children = state.parseNested(content, itemStart);
+    for (let c = 1; c < children.length; c++) {
+      if (children[c].position.start > children[c - 1].position.end + 1) loose = true;
+    }
+    const item = {
+      type: 'listItem',
+      children,
+      position: state.position(itemStart, itemStart + content.length),
+    };
+    if (state.env.extensions?.taskLists) markTask(item);
+    items.push(item);
+
+    if (trailingBlanks > 0) {
+      if (i < lines.length && sameList(matchListMarker(lines[i]))) {
+        loose = true;
+      } else {
+        // The blank lines end the list; leave them to the caller
+        i -= trailingBlanks;
+        break;
+      }
+    }
+  }
+
+  state.line = i;
+  return {
+    type: 'list',
+    ordered: first.bullet === null,
+    start: first.start,
+    tight: !loose,
+    children: items,
+  };
+}
+
+/**
+ * Turns a list item whose text starts with `[ ]` or `[x]` into a task list
+ * item: sets its `checked` flag and removes the marker.
+ * @param {object} item — listItem node
+ */
+function markTask(item) {
+  const [first] = item.children;
+  if (first?.type !== 'paragraph') return;
+  const match = TASK_MARKER_RE.exec(first.raw);
+  if (!match) return;
+  item.checked = match[1] !== ' ';
+  first.raw = first.raw.slice(match[0].length);
+}
+
+/**
+ * Collects the content lines of a block that starts on `state.line` with a
+ * marker: the rest of the first line, then the lines indented to
+ * `contentIndent` (with the indent removed), blank lines and lazy
+ * continuation lines. Trailing blank lines are left to the caller.
+ * @param {BlockState} state
+ * @param {string} first — the first line without its marker
+ * @param {number} contentIndent
+ * @param {(line: string) => boolean} [startsNext] — lines that start the
+ *   next block of the same kind, which are never lazy continuations
+ * @returns {{ content: string[], end: number }} the lines, and the index
+ *   just past the last one
+ */
+function collectIndented(state, first, contentIndent, startsNext = () => false) {
+  const { lines } = state;
+  const content = [first];
+  let i = state.line + 1;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      content.push('');
+    } else if (indentOf(line) >= contentIndent) {
+      content.push(line.slice(contentIndent));
+    } else if (!startsNext(line) && state.isLazyContinuation(content, i)) {
+      content.push(lazyLine(line));
+    } else {
+      break;
+    }
+    i++;
+  }
+  while (content.length > 1 && isBlank(content[content.length - 1])) {
+    content.pop();
+    i--;
+  }
+  return { content, end: i };
+}
+
+/**
+ * Raw HTML block, following the seven CommonMark start/end conditions.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function htmlBlock(state, silent) {
+  const { lines } = state;
+  const line = lines[state.line];
+  if (indentOf(line) > 3) return false;
+  const text = line.trimStart();
+  const condition = HTML_BLOCK_CONDITIONS.find(([start]) => start.test(text));
+  if (!condition) return false;
+  const [, end, canInterrupt] = condition;
+  if (silent) return canInterrupt;
+
+  let i = state.line;
+  if (end === null) {
+    while (i < lines.length && !isBlank(lines[i])) i++;
+  } else {
+    while (i < lines.length && !end.test(lines[i])) i++;
+    i = Math.min(i + 1, lines.length);
+  }
+  const value = lines.slice(state.line, i).join('\n');
+  state.line = i;
+  return { type: 'htmlBlock', value };
+}
+
+/**
+ * GitHub-flavored pipe table: header row, delimiter row, then body rows until
+ * a blank line or the start of another block. Rows with fewer cells are
+ * padded; extra cells are dropped.
+ * @param {BlockState} state
+ * @param {boolean} silent
+ * @returns {object|boolean}
+ */
+function table(state, silent) {
+  const { lines } = state;
+  const start = state.line;
+  if (start + 1 >= lines.length || !lines[start].includes('|')) return false;
+  const align = parseTableDelimiter(lines[start + 1]);
+  const header = splitTableRow(lines[start]);
+  if (align === null || align.length !== header.length) return false;
+  if (silent) return true;
+
+  const row = (cells, isHeader, index) => ({
+    type: 'tableRow',
+    header: isHeader,
+    children: align.map((cellAlign, col) => ({
+      type: 'tableCell',
+      header: isHeader,
+      align: cellAlign,
+      raw: cells[col] ?? '',
+    })),
+    position: state.position(index, index + 1),
+  });
+
+  const rows = [row(header, true, start)];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && !state.interruptsParagraph(i)) {
+    rows.push(row(splitTableRow(lines[i]), false, i));
+    i++;
+  }
+  state.line = i;
+  return { type: 'table', align, children: rows };
+}
+
+/**
+ * Footnote definition: `[^label]: text`, continued by lines indented four
+ * spaces (which may hold further paragraphs and other blocks) and lazy
+ * continuation lines. Like link reference definitions, footnotes are
+ * registered in `env.footnotes` rather than left in the tree; the first
+ * definition of a label wins. See src/footnotes.js for where they end up.
+ * @param {BlockState} state
+ * @returns {boolean}
+ */
+function footnoteDefinition(state) {
+  const match = FOOTNOTE_DEFINITION_RE.exec(state.lines[state.line]);
+  if (!match) return false;
+
+  const start = state.line;
+  const { content, end } = collectIndented(
+    state,
+    state.lines[start].slice(match[0].length),
+    4,
+    (line) => FOOTNOTE_DEFINITION_RE.test(line)
+  );
+  const label = normalizeLabel(match[1]);
+  if (!(label in state.env.footnotes)) {
+    state.env.footnotes[label] = { label, children: state.parseNested(content, start) };
+  }
+  state.line = end;
+  return true;
+}
+
+/**
+ * Finds the term lines of a definition list group starting at `index`:
+ * lines of text followed (possibly after blank lines) by a `: definition`.
+ * @param {BlockState} state
+ * @param {number} index
+ * @returns {number} the index just past the terms, or -1 when there is no group
+ */
+function definitionTermsEnd(state, index) {
+  const { lines } = state;
+  let end = index;
+  while (end < lines.length && !isBlank(lines[end]) && !DEFINITION_MARKER_RE.test(lines[end])) end++;
+  let next = end;
+  while (next < lines.length && isBlank(lines[next])) next++;
+  if (end === index || next === lines.length || !DEFINITION_MARKER_RE.test(lines[next])) return -1;
+  // Every line must be a term of its own, not the start of another block
+  for (let i = index + 1; i < end; i++) {
+    if (SETEXT_UNDERLINE_RE.test(lines[i]) || state.interruptsParagraph(i)) return -1;
+  }
+  return end;
+}
+
+/**
+ * Definition list: groups of term lines, each followed by definitions that
+ * start with `:`. A definition's content is the lines indented past its
+ * marker (plus lazy continuation lines), parsed recursively. A blank line
+ * before a definition makes the list loose. Cannot interrupt a paragraph.
+ * @param {BlockState} state
+ * @returns {object|boolean}
+ */
+function definitionList(state) {
+  const { lines } = state;
+  const children = [];
+  let loose = false;
+  let i = state.line;
+
+  let termsEnd;
+  while ((termsEnd = definitionTermsEnd(state, i)) !== -1) {
+    for (; i < termsEnd; i++) {
+      children.push({ type: 'definitionTerm', raw: lines[i].trim(), position: state.position(i, i + 1) });
+    }
+    for (;;) {
+      let next = i;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      const marker = next < lines.length ? DEFINITION_MARKER_RE.exec(lines[next]) : null;
+      if (!marker) break;
+      if (next > i) loose = true;
+
+      state.line = next;
+      const { content, end } = collectIndented(
+        state,
+        lines[next].slice(marker[0].length),
+        marker[0].length,
+        (line) => DEFINITION_MARKER_RE.test(line)
+      );
+      children.push({
+        type: 'definitionDescription',
+        children: state.parseNested(content, next),
+        position: state.position(next, end),
+      });
+      i = end;
+    }
+    // Blank lines may separate groups
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) next++;
+    if (next === i || definitionTermsEnd(state, next) === -1) break;
+    i = next;
+  }
+
+  if (children.length === 0) return false;
+  state.line = i;
+  return { type: 'definitionList', tight: !loose, children };
+}
+
+/**
+ * Paragraph: consecutive lines until a blank line or a block that can
+ * interrupt it. A setext underline turns it into a heading. Link reference
+ * definitions at its start are registered and removed.
+ * @param {BlockState} state
+ * @returns {object|boolean}
+ */
+function paragraph(state) {
+  const { lines } = state;
+  const content = [lines[state.line].trimStart()];
+  let level = 0;
+  let i = state.line + 1;
+  while (i < lines.length && !isBlank(lines[i])) {
+    const underline = lines[i].match(SETEXT_UNDERLINE_RE);
+    if (underline) {
+      level = underline[1][0] === '=' ? 1 : 2;
+      break;
+    }
+    if (state.interruptsParagraph(i)) break;
+    content.push(lines[i].trimStart());
+    i++;
+  }
+
+  let raw = content.join('\n');
+  let definition;
+  while ((definition = parseReferenceDefinition(raw)) !== null) {
+    const label = normalizeLabel(definition.label);
+    // The first definition of a label wins
+    if (!(label in state.env.references)) {
+      state.env.references[label] = { url: definition.url, title: definition.title };
+    }
+    raw = raw.slice(definition.end);
+  }
+  raw = raw.replace(/[ \t]+$/, '');
+
+  if (raw === '') {
+    // Only definitions: a following underline is ordinary paragraph text
+    state.line = i;
+    return true;
+  }
+  if (level) {
+    state.line = i + 1;
+    return { type: 'heading', level, raw };
+  }
+  state.line = i;
+  return { type: 'paragraph', raw };
+}
+
+/**
+ * Default block rules, in the order they are tried.
+ * `interruptsParagraph` rules are also consulted (in silent mode) to decide
+ * where a paragraph or lazy continuation ends. Rules with an `extension`
+ * only run when that parser option is on (see parseToAst).
+ * @type {Array<{ name: string, parse: (state: BlockState, silent: boolean) => object|boolean, interruptsParagraph?: boolean, extension?: string }>}
+ */
+export const BLOCK_RULES = [
+  { name: 'indentedCode', parse: indentedCode },
+  { name: 'fencedCode', parse: fencedCode, interruptsParagraph: true },
+  { name: 'mathBlock', parse: mathBlock, interruptsParagraph: true, extension: 'math' },
+  { name: 'blockquote', parse: blockquote, interruptsParagraph: true },
+  { name: 'admonition', parse: admonition, interruptsParagraph: true, extension: 'admonitions' },
+  { name: 'atxHeading', parse: atxHeading, interruptsParagraph: true },
+  { name: 'thematicBreak', parse: thematicBreak, interruptsParagraph: true },
+  { name: 'list', parse: list, interruptsParagraph: true },
+  { name: 'htmlBlock', parse: htmlBlock, interruptsParagraph: true },
+  { name: 'table', parse: table, interruptsParagraph: true },
+  { name: 'footnoteDefinition', parse: footnoteDefinition, extension: 'footnotes' },
+  { name: 'definitionList', parse: definitionList, extension: 'definitionLists' },
+  { name: 'paragraph', parse: paragraph },
+];
+
+/**
+ * Parses a run of lines into block nodes. Past MAX_NESTING only the
+ * paragraph rule runs, so the lines become paragraph text.
+ * @param {string[]} lines
+ * @param {object} env
+ * @param {number} offset — document line index of lines[0]
+ * @param {number} [depth=0] — containers around these lines
+ * @returns {object[]}
+ */
+function parseLines(lines, env, offset, depth = 0) {
+  if (depth > MAX_NESTING) {
+    env = { ...env, rules: env.rules.filter((rule) => rule.name === 'paragraph') };
+  }
+  const state = new BlockState(lines, env, offset, depth);
+  const nodes = [];
+
+  while (state.line < lines.length) {
+    if (isBlank(lines[state.line])) {
+      state.line++;
+      continue;
+    }
+    const start = state.line;
+    for (const rule of env.rules) {
+      const result = rule.parse(state, false);
+      if (!result) continue;
+      if (typeof result === 'object') {
+        result.position ??= state.position(start, state.line);
+        nodes.push(result);
+      }
+      break;
+    }
+    // Guard against a rule that matched without consuming its line
+    if (state.line === start) state.line++;
+  }
+
+  return nodes;
+}
+
+/**
+ * Parses a Markdown document into block nodes. Leaf blocks that contain
+ * inline content carry it unparsed in a `raw` property; link reference
+ * definitions are collected into `env.references`.
+ * @param {string} markdown — source with normalized (\n) line endings
+ * @param {{ rules: object[], references: object, footnotes?: object, extensions?: object }} env
+ *   — footnote definitions are collected into `footnotes`; `extensions`
+ *   holds the parser options that switch Markdown extensions on
+ * @returns {object[]} block nodes
+ */
+export function parseBlocks(markdown, env) {
+  // The final newline ends the last line rather than starting an empty one
+  const lines = markdown.replace(/\n$/, '').split('\n').map((line) => expandLeadingTabs(line));
+  return parseLines(lines, env, 0);
+}
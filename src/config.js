@@ -0,0 +1,256 @@
+/**
+ * src/config.js
+ * Project configuration, so options need not be repeated on every command
+ * line. The config is the first of md2html.config.js, md2html.config.json
+ * or an "md2html" key in package.json found walking up from the input.
+ * Its values are defaults that command-line flags override. Relative paths
+ * in it are relative to the file it is in.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { globBase, isGlob } from './glob.js';
+import { THEMES, isStylesheetUrl } from './stylesheets.js';
+import { isPathSpecifier } from './plugins.js';
+
+/**
+ * Config file names, in the order they are looked for in each directory.
+ * package.json only counts when it has an "md2html" key.
+ * @type {string[]}
+ */
+export const CONFIG_FILES = ['md2html.config.js', 'md2html.config.json', 'package.json'];
+
+// Value checks: each returns what is wrong with a value, or undefined
+const boolean = (value) => (typeof value === 'boolean' ? undefined : 'must be true or false');
+const string = (value) => (typeof value === 'string' && value !== '' ? undefined : 'must be a non-empty string');
+const stringList = (value) => (Array.isArray(value) && value.every((item) => string(item) === undefined)
+  ? undefined
+  : 'must be an array of strings');
+const oneOf = (choices) => (value) => (choices.includes(value)
+  ? undefined
+  : `must be one of ${choices.map((choice) => JSON.stringify(choice)).join(', ')}`);
+const headingLevel = (value) => (Number.isInteger(value) && value >= 1 && value <= 6
+  ? undefined
+  : 'must be a heading level from 1 to 6');
+const pluginList = (value) => (Array.isArray(value)
+  && value.every((item) => string(item) === undefined || (item !== null && typeof item === 'object'))
+  ? undefined
+  : 'must be an array of module paths, package names or plugin objects');
+
+/**
+ * The keys a config may set, with their checks. They match the CLI's
+ * options, except `outDir` (the output directory; `-o` overrides it) and
+ * `plugins` (`--plugin`).
+ * @type {Record<string, (value: unknown) => string | undefined>}
+ */
+export const CONFIG_SCHEMA = {
+  outDir: string,
+  include: stringList,
+  exclude: stringList,
+  assets: boolean,
+  template: string,
+  theme: oneOf(THEMES),
+  css: stringList,
+  inlineCss: boolean,
+  plugins: pluginList,
+  safe: boolean,
+  html: oneOf(['raw', 'sanitize', 'escape']),
+  headingIds: boolean,
+  rewriteLinks: boolean,
+  anchorLinks: boolean,
+  toc: boolean,
+  tocMinLevel: headingLevel,
+  tocMaxLevel: headingLevel,
+  highlight: boolean,
+  lineNumbers: boolean,
+  footnotes: boolean,
+  taskLists: boolean,
+  strikethrough: boolean,
+  definitionLists: boolean,
+  math: boolean,
+  admonitions: boolean,
+  includes: boolean,
+  fragment: boolean,
+  checkLinks: boolean,
+  strict: boolean,
+};
+
+/**
+ * Computes the edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the config key an unknown key was probably meant to be, ignoring
+ * case, dashes and underscores (`inline-css` → `inlineCss`).
+ * @param {string} key
+ * @returns {string | undefined}
+ */
+function suggestKey(key) {
+  const normalize = (name) => name.toLowerCase().replace(/[-_]/g, '');
+  let best;
+  let bestDistance = 3;
+  for (const candidate of Object.keys(CONFIG_SCHEMA)) {
+    const distance = editDistance(normalize(key), normalize(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Checks a config object against CONFIG_SCHEMA.
+ * @param {unknown} config
+ * @param {string} source — where the config came from, for the error message
+ * @returns {object} the config
+ * @throws {Error} listing every unknown key and invalid value
+ */
+export function validateConfig(config, source) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config in ${source}: must be an object`);
+  }
+  const problems = [];
+  for (const [key, value] of Object.entries(config)) {
+    const check = CONFIG_SCHEMA[key];
+    if (!check) {
+      const suggestion = suggestKey(key);
+      problems.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      continue;
+    }
+    const problem = check(value);
+    if (problem) problems.push(`"${key}" ${problem}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Makes the paths in a config absolute, relative to the config file's
+ * directory. Stylesheet URLs, package names and plugin objects are kept as
+ * they are.
+ * @param {object} config — a valid config
+ * @param {string} baseDir
+ * @returns {object} a new config
+ */
+export function resolveConfigPaths(config, baseDir) {
+  const resolved = { ...config };
+  if (config.outDir) resolved.outDir = resolve(baseDir, config.outDir);
+  if (config.template) resolved.template = resolve(baseDir, config.template);
+  if (config.css) resolved.css = config.css.map((entry) => (isStylesheetUrl(entry) ? entry : resolve(baseDir, entry)));
+  if (config.plugins) {
+    resolved.plugins = config.plugins.map((plugin) => (typeof plugin === 'string' && isPathSpecifier(plugin)
+      ? resolve(baseDir, plugin)
+      : plugin));
+  }
+  return resolved;
+}
+
+/**
+ * Checks whether a path is an existing file.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function isFile(path) {
+  try {
+    return (await stat(path)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a config file. For package.json, returns its "md2html" key.
+ * @param {string} path
+ * @returns {Promise<unknown>} the raw config; undefined for a package.json
+ *   without an "md2html" key
+ * @throws {Error} if the file cannot be loaded or parsed
+ */
+export async function readConfigFile(path) {
+  if (path.endsWith('.js') || path.endsWith('.mjs')) {
+    let module;
+    try {
+      module = await import(pathToFileURL(path).href);
+    } catch (err) {
+      throw new Error(`Failed to load config ${path}: ${err.message}`);
+    }
+    if (module.default === undefined) {
+      throw new Error(`Config ${path} has no default export`);
+    }
+    return module.default;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in config ${path}: ${err.message}`);
+  }
+  return path.endsWith('package.json') ? data?.md2html : data;
+}
+
+/**
+ * Finds the directory to start looking for a config from, for an input
+ * file, directory, glob or `-` (stdin).
+ * @param {string} [input]
+ * @returns {Promise<string>} absolute directory path
+ */
+export async function configStartDir(input) {
+  if (input === undefined || input === '-') return process.cwd();
+  const path = isGlob(input) && !(await isFile(input)) ? globBase(input) : input;
+  try {
+    return resolve((await stat(path)).isDirectory() ? path : dirname(path));
+  } catch {
+    return resolve(dirname(path));
+  }
+}
+
+/**
+ * Finds and loads the project config, walking up from a directory.
+ * A package.json that cannot be parsed is skipped, as it may not be ours
+ * to report on.
+ * @param {string} startDir
+ * @returns {Promise<{ path: string | null, config: object }>} the config
+ *   file and its validated config, with absolute paths; `path` is null and
+ *   the config empty when there is none
+ * @throws {Error} if a config file is invalid
+ */
+export async function loadConfig(startDir) {
+  let dir = resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const path = join(dir, name);
+      if (!(await isFile(path))) continue;
+      let config;
+      try {
+        config = await readConfigFile(path);
+      } catch (err) {
+        if (name === 'package.json') continue;
+        throw err;
+      }
+      if (config === undefined && name === 'package.json') continue;
+      const source = name === 'package.json' ? `${path} ("md2html" key)` : path;
+      return { path, config: resolveConfigPaths(validateConfig(config, source), dir) };
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return { path: null, config: {} };
+    dir = parent;
+  }
+}
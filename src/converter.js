@@ -1,32 +1,224 @@
 /**
  * src/converter.js
  * Orchestrates the Markdown→HTML conversion pipeline.
- * Wires together parser.js and fileHandler.js.
+ * Wires together parser.js, frontMatter.js and fileHandler.js.
  */
 
-import { parseMarkdown } from './parser.js';
+import { renderMarkdown } from './parser.js';
+import { extractFrontMatter } from './frontMatter.js';
+import { resolveIncludes } from './includes.js';
+import { loadPlugins } from './plugins.js';
+import { compileTemplate } from './template.js';
+import { resolveStylesheets } from './stylesheets.js';
 import { readFile, writeFile, deriveOutputPath } from './fileHandler.js';
 import { basename } from 'path';
 
 /**
- * Wraps an HTML fragment in a minimal valid HTML5 document.
- * @param {string} fragment — inner HTML content
- * @param {string} title — document title (derived from filename)
- * @returns {string} full HTML document string
+ * The built-in page template (see src/template.js for the syntax).
  */
-export function wrapHtmlDocument(fragment, title) {
-  return `<!DOCTYPE html>
-<html lang="en">
+export const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html lang="{{lang}}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
+  {{#if description}}
+  <meta name="description" content="{{description}}">
+  {{/if}}
+  {{#if author}}
+  <meta name="author" content="{{author}}">
+  {{/if}}
+  {{#if keywords}}
+  <meta name="keywords" content="{{keywords}}">
+  {{/if}}
+  <title>{{title}}</title>
+  {{#each styles}}
+  <style>
+{{{this}}}
+  </style>
+  {{/each}}
+  {{#each stylesheets}}
+  <link rel="stylesheet" href="{{this}}">
+  {{/each}}
 </head>
 <body>
-${fragment}
+{{#if nav}}
+<nav class="site-nav" aria-label="Site">
+{{{nav}}}
+</nav>
+<main class="site-main">
+{{/if}}
+{{#if breadcrumbs}}
+<nav class="breadcrumbs" aria-label="Breadcrumb">
+{{{breadcrumbs}}}
+</nav>
+{{/if}}
+{{{content}}}
+{{#if nav}}
+<nav class="pager" aria-label="Previous and next page">
+{{#if prev}}
+<a class="pager-prev" rel="prev" href="{{prev.url}}">← {{prev.title}}</a>
+{{/if}}
+{{#if next}}
+<a class="pager-next" rel="next" href="{{next.url}}">{{next.title}} →</a>
+{{/if}}
+</nav>
+</main>
+{{/if}}
 </body>
 </html>
 `;
+
+const defaultTemplate = compileTemplate(DEFAULT_TEMPLATE, 'default template');
+
+/**
+ * Reads a front-matter value meant as text: a string, or a number as a
+ * string. Anything else (maps, lists, booleans, null) is ignored.
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+function textValue(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return undefined;
+}
+
+/**
+ * Reads the `keywords` front-matter value: text, or a list of text joined
+ * with commas.
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+function keywordsValue(value) {
+  if (!Array.isArray(value)) return textValue(value);
+  const keywords = value.map(textValue).filter((keyword) => keyword !== undefined);
+  return keywords.length > 0 ? keywords.join(', ') : undefined;
+}
+
+/**
+ * Wraps an HTML fragment in a full HTML5 document, using the built-in
+ * template unless another is given.
+ * Templates receive `content` (raw HTML), `title`, `lang`, `description`,
+ * `author`, `keywords`, `toc` (raw HTML), `styles` (inline CSS),
+ * `stylesheets` (hrefs) and `meta` (all front-matter values); in site mode
+ * also `nav` and `breadcrumbs` (raw HTML) and `prev` / `next`
+ * (`{ title, url }`, absent at either end).
+ * @param {string} fragment — inner HTML content
+ * @param {string} title — document title (derived from filename)
+ * @param {object} [metadata] — front-matter values; `title` overrides the
+ *   title argument, `lang` sets the document language (default "en"), and
+ *   `description`, `author` and `keywords` become meta tags. These must be
+ *   strings or numbers (`keywords` also a list of them); other values are
+ *   ignored, though templates still see them in `meta`
+ * @param {object} [page] — extra page data
+ * @param {(data: object) => string} [page.template] — compiled template (see compileTemplate)
+ * @param {string} [page.toc] — table of contents HTML
+ * @param {string[]} [page.styles] — CSS to inline in <style> elements
+ * @param {string[]} [page.stylesheets] — stylesheet hrefs to link
+ * @param {string} [page.nav] — site navigation HTML (see src/site.js)
+ * @param {string} [page.breadcrumbs] — breadcrumbs HTML
+ * @param {{ title: string, url: string }} [page.prev] — previous page
+ * @param {{ title: string, url: string }} [page.next] — next page
+ * @returns {string} full HTML document string
+ */
+export function wrapHtmlDocument(fragment, title, metadata = {}, page = {}) {
+  const {
+    template = defaultTemplate, toc = '', styles = [], stylesheets = [], nav = '', breadcrumbs = '', prev, next,
+  } = page;
+  return template({
+    content: fragment,
+    title: textValue(metadata.title) ?? title,
+    lang: textValue(metadata.lang) ?? 'en',
+    description: textValue(metadata.description),
+    author: textValue(metadata.author),
+    keywords: keywordsValue(metadata.keywords),
+    toc,
+    styles,
+    stylesheets,
+    nav,
+    breadcrumbs,
+    prev,
+    next,
+    meta: metadata,
+  });
+}
+
+/**
+ * Reads and compiles a template file.
+ * @param {string} templatePath
+ * @returns {Promise<(data: object) => string>}
+ * @throws {Error} if the file cannot be read or has template syntax errors
+ */
+export async function loadTemplate(templatePath) {
+  return compileTemplate(await readFile(templatePath), templatePath);
+}
+
+/**
+ * Converts Markdown text to an HTML page, or to just its content with
+ * `fragment`. Nothing is written; templates, plugins and stylesheets given
+ * as paths are still loaded.
+ * @param {string} markdown — source text, optionally with front matter
+ * @param {object} [options] — as for convert, plus:
+ * @param {string} [options.sourcePath] — path of the source, for the
+ *   default title and error messages
+ * @param {string} [options.outputPath] — where the page will be written, for
+ *   stylesheet hrefs (default: the working directory)
+ * @param {boolean} [options.fragment=false] — return the rendered content
+ *   only, without the page template and stylesheets
+ * @param {string} [options.title] — title when the front matter has none
+ *   (default: the sourcePath file name, else "Untitled")
+ * @param {object} [options.site] — site navigation for the page template
+ *   (`nav`, `breadcrumbs`, `prev`, `next`; see createSite); also adds the
+ *   site layout stylesheet
+ * @param {boolean} [options.includes=true] — resolve `<!-- include: -->`
+ *   and `file=` code includes, relative to sourcePath (see
+ *   src/includes.js); never in `safe` mode, since they read files
+ * @returns {Promise<{ html: string, metadata: object, includes: string[] }>}
+ *   metadata is the parsed front matter ({} when there is none); includes
+ *   lists the absolute paths of the included files
+ * @throws {Error} if front-matter parsing, an include, parse, or loading a
+ *   template, plugin or stylesheet fails
+ */
+export async function convertString(markdown, options = {}) {
+  const {
+    sourcePath, outputPath, fragment: fragmentOnly = false, title: defaultTitle, site, includes = true, ...rest
+  } = options;
+
+  // Split off front matter
+  let frontMatter;
+  try {
+    frontMatter = extractFrontMatter(markdown);
+  } catch (err) {
+    throw new Error(sourcePath ? `${sourcePath}: ${err.message}` : err.message);
+  }
+  const { data: metadata, content, lines } = frontMatter;
+
+  // Pull in included files
+  const { markdown: source, files } = includes && !rest.safe
+    ? await resolveIncludes(content, { sourcePath, lineOffset: lines })
+    : { markdown: content, files: [] };
+
+  // Load plugins and the page template when given as paths
+  const plugins = rest.plugins ? await loadPlugins(rest.plugins) : undefined;
+
+  // Parse to HTML fragment
+  const renderOptions = { headingIds: true, highlight: true, rewriteLinks: true, ...rest, plugins };
+  const { html: fragment, toc } = renderMarkdown(source, renderOptions);
+  if (fragmentOnly) return { html: `${fragment}\n`, metadata, includes: files };
+
+  const template = typeof rest.template === 'string' ? await loadTemplate(rest.template) : rest.template;
+
+  // The highlighting stylesheet is only added to pages with code blocks
+  const { styles, stylesheets } = await resolveStylesheets(
+    { ...rest, highlight: renderOptions.highlight && /<pre[\s>]/.test(fragment), site: Boolean(site) },
+    outputPath
+  );
+
+  // Derive title from filename (strip extension); front matter may override it
+  const title = defaultTitle ?? (sourcePath ? basename(sourcePath).replace(/\.md$/i, '') : 'Untitled');
+
+  // Wrap in full HTML document
+  const html = wrapHtmlDocument(fragment, title, metadata, { template, toc, styles, stylesheets, ...site });
+  return { html, metadata, includes: files };
 }
 
 /**
@@ -34,26 +226,32 @@ ${fragment}
  * @param {string} inputPath — path to the .md source file
  * @param {string} [outputPath] — optional explicit output path;
  *   if omitted, derived via deriveOutputPath(inputPath)
- * @returns {Promise<{ inputPath: string, outputPath: string }>}
- * @throws {Error} if read, parse, or write fails
+ * @param {object} [options] — parser options (see parseMarkdown); heading
+ *   ids are on by default so converted documents can be deep-linked,
+ *   code blocks are syntax-highlighted unless `highlight` is false, and
+ *   links to Markdown files point at their pages unless `rewriteLinks` is
+ *   false.
+ *   `plugins` may mix plugin objects and module paths (relative to the
+ *   working directory). `template` is a page template path (or a function
+ *   from loadTemplate). `theme`, `css` and `inlineCss` select stylesheets
+ *   (see resolveStylesheets). `fragment` writes the content only and
+ *   `includes: false` leaves include directives alone (see convertString)
+ * @returns {Promise<{ inputPath: string, outputPath: string, metadata: object, includes: string[] }>}
+ *   metadata is the parsed front matter ({} when there is none); includes
+ *   lists the absolute paths of the included files
+ * @throws {Error} if read, front-matter parsing, an include, parse, or
+ *   write fails
  */
-export async function convert(inputPath, outputPath) {
+export async function convert(inputPath, outputPath, options = {}) {
   const resolvedOutput = outputPath ?? deriveOutputPath(inputPath);
 
   // Read source
   const markdown = await readFile(inputPath);
 
-  // Parse to HTML fragment
-  const fragment = parseMarkdown(markdown);
-
-  // Derive title from filename (strip extension)
-  const title = basename(inputPath).replace(/\.md$/i, '');
-
-  // Wrap in full HTML document
-  const html = wrapHtmlDocument(fragment, title);
+  const { html, metadata, includes } = await convertString(markdown, { ...options, sourcePath: inputPath, outputPath: resolvedOutput });
 
   // Write output
   await writeFile(resolvedOutput, html);
 
-  return { inputPath, outputPath: resolvedOutput };
+  return { inputPath, outputPath: resolvedOutput, metadata, includes };
 }
@@ -0,0 +1,83 @@
+/**
+ * src/entities.js
+ * HTML character reference decoding for the inline parser.
+ * Covers numeric references and the named entities that appear in everyday
+ * writing; unknown names are left as literal text.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', micro: 'µ',
+  para: '¶', sect: '§', middot: '·', times: '×', divide: '÷', frac12: '½',
+  frac14: '¼', frac34: '¾', sup1: '¹', sup2: '²', sup3: '³', cent: '¢',
+  pound: '£', euro: '€', yen: '¥', curren: '¤', laquo: '«', raquo: '»',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', prime: '′', Prime: '″',
+  dagger: '†', Dagger: '‡', permil: '‰', lsaquo: '‹', rsaquo: '›',
+  iexcl: '¡', iquest: '¿', shy: '\u00ad', macr: '¯', acute: '´', cedil: '¸',
+  ordf: 'ª', ordm: 'º', not: '¬', uml: '¨', brvbar: '¦', ensp: '\u2002',
+  emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d',
+  larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔', lArr: '⇐', rArr: '⇒',
+  hArr: '⇔', forall: '∀', part: '∂', exist: '∃', empty: '∅', nabla: '∇',
+  isin: '∈', notin: '∉', ni: '∋', prod: '∏', sum: '∑', minus: '−', lowast: '∗',
+  radic: '√', prop: '∝', infin: '∞', ang: '∠', and: '∧', or: '∨', cap: '∩',
+  cup: '∪', int: '∫', there4: '∴', sim: '∼', cong: '≅', asymp: '≈', ne: '≠',
+  equiv: '≡', le: '≤', ge: '≥', sub: '⊂', sup: '⊃', nsub: '⊄', sube: '⊆',
+  supe: '⊇', oplus: '⊕', otimes: '⊗', perp: '⊥', sdot: '⋅', loz: '◊',
+  spades: '♠', clubs: '♣', hearts: '♥', diams: '♦',
+  Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Epsilon: 'Ε', Zeta: 'Ζ',
+  Eta: 'Η', Theta: 'Θ', Iota: 'Ι', Kappa: 'Κ', Lambda: 'Λ', Mu: 'Μ', Nu: 'Ν',
+  Xi: 'Ξ', Omicron: 'Ο', Pi: 'Π', Rho: 'Ρ', Sigma: 'Σ', Tau: 'Τ',
+  Upsilon: 'Υ', Phi: 'Φ', Chi: 'Χ', Psi: 'Ψ', Omega: 'Ω',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ', sigmaf: 'ς', sigma: 'σ', tau: 'τ',
+  upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å',
+  AElig: 'Æ', Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë',
+  Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð', Ntilde: 'Ñ',
+  Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö', Oslash: 'Ø',
+  Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý', THORN: 'Þ',
+  szlig: 'ß', agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä',
+  aring: 'å', aelig: 'æ', ccedil: 'ç', egrave: 'è', eacute: 'é', ecirc: 'ê',
+  euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î', iuml: 'ï', eth: 'ð',
+  ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö',
+  oslash: 'ø', ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý',
+  thorn: 'þ', yuml: 'ÿ', OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š',
+  Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+};
+
+// Matches a complete character reference at the start of a string
+export const ENTITY_RE = /^&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/;
+
+/**
+ * Decodes a single character reference such as `&amp;`, `&#35;` or `&#x22;`.
+ * Invalid code points decode to U+FFFD, as required by CommonMark.
+ * @param {string} entity — the full reference including `&` and `;`
+ * @returns {string|null} decoded text, or null for an unknown named entity
+ */
+export function decodeEntity(entity) {
+  const match = entity.match(ENTITY_RE);
+  if (!match) return null;
+  const [, hex, decimal, name] = match;
+  if (name !== undefined) {
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : null;
+  }
+  const codePoint = hex !== undefined ? parseInt(hex, 16) : parseInt(decimal, 10);
+  if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+    return '\uFFFD';
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Decodes every known character reference in a string.
+ * @param {string} str
+ * @returns {string}
+ */
+export function decodeEntities(str) {
+  return str.replace(/&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g, (entity) => {
+    const decoded = decodeEntity(entity);
+    return decoded === null ? entity : decoded;
+  });
+}
@@ -4,7 +4,7 @@
  * All functions are named exports for ESM compatibility.
  */
 
-import { readFile as fsReadFile, writeFile as fsWriteFile, access } from 'fs/promises';
+import { readFile as fsReadFile, writeFile as fsWriteFile, copyFile as fsCopyFile, rm, access, stat } from 'fs/promises';
 import { mkdir } from 'fs/promises';
 import { dirname, extname, join, resolve, basename } from 'path';
 import { constants } from 'fs';
@@ -30,6 +30,19 @@ export async function readFile(filePath) {
   }
 }
 
+/**
+ * Reads a whole UTF-8 text stream, such as stdin.
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<string>} stream contents
+ */
+export async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
 /**
  * Writes content to a file, creating parent directories as needed.
  * @param {string} filePath — destination path
@@ -55,6 +68,55 @@ export async function writeFile(filePath, content) {
   }
 }
 
+/**
+ * Copies a file, creating the destination's parent directories as needed.
+ * @param {string} sourcePath
+ * @param {string} destinationPath
+ * @returns {Promise<void>}
+ * @throws {Error} with descriptive message on failure
+ */
+export async function copyFile(sourcePath, destinationPath) {
+  const source = resolve(sourcePath);
+  const destination = resolve(destinationPath);
+  try {
+    await mkdir(dirname(destination), { recursive: true });
+    await fsCopyFile(source, destination);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`File not found: ${source}`);
+    }
+    throw new Error(`Failed to copy ${source} to ${destination}: ${err.message}`);
+  }
+}
+
+/**
+ * Deletes a file. A file that is already gone is not an error.
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ * @throws {Error} with descriptive message on failure
+ */
+export async function removeFile(filePath) {
+  const resolved = resolve(filePath);
+  try {
+    await rm(resolved, { force: true });
+  } catch (err) {
+    throw new Error(`Failed to remove file ${resolved}: ${err.message}`);
+  }
+}
+
+/**
+ * Checks whether a path is an existing directory.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+export async function isDirectory(path) {
+  try {
+    return (await stat(resolve(path))).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Checks whether a file exists and is readable.
  * @param {string} filePath
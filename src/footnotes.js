@@ -0,0 +1,76 @@
+/**
+ * src/footnotes.js
+ * Footnotes: numbers the footnote references of a parsed document in the
+ * order they first appear and appends the footnotes section, where each
+ * footnote links back to every reference to it. Footnotes that are never
+ * referenced are left out. Definitions are collected by the block parser
+ * (see footnoteDefinition in src/blockParser.js).
+ */
+
+/**
+ * Builds the id of a footnote reference; the first reference to a footnote
+ * gets the plain id, later ones a `-2`, `-3`, ... suffix.
+ * @param {number} number — footnote number
+ * @param {number} index — 1-based index of the reference to that footnote
+ * @returns {string}
+ */
+export function footnoteRefId(number, index) {
+  return index === 1 ? `fnref-${number}` : `fnref-${number}-${index}`;
+}
+
+/**
+ * Numbers footnote references and appends a `footnotes` node listing the
+ * referenced footnotes, in place. References get `number` and `index`;
+ * each footnote's last paragraph (or a new one) ends with its
+ * back-references.
+ * @param {object} ast — document node, with inline content parsed
+ * @param {Record<string, { label: string, children: object[] }>} definitions
+ *   — footnote definitions by normalized label, with inline content parsed
+ * @returns {object} the same AST
+ */
+export function resolveFootnotes(ast, definitions) {
+  const notes = [];
+  const byLabel = new Map();
+
+  const visit = (node) => {
+    if (node.type === 'footnoteReference') {
+      let note = byLabel.get(node.label);
+      if (!note) {
+        note = {
+          type: 'footnoteDefinition',
+          label: node.label,
+          number: notes.length + 1,
+          references: 0,
+          children: definitions[node.label].children,
+        };
+        byLabel.set(node.label, note);
+        notes.push(note);
+      }
+      note.references++;
+      node.number = note.number;
+      node.index = note.references;
+    }
+    for (const child of node.children ?? []) visit(child);
+  };
+  visit(ast);
+  // Footnotes may refer to further footnotes, which are numbered after them
+  for (let i = 0; i < notes.length; i++) {
+    for (const child of notes[i].children) visit(child);
+  }
+  if (notes.length === 0) return ast;
+
+  for (const note of notes) {
+    const backrefs = [];
+    for (let index = 1; index <= note.references; index++) {
+      backrefs.push({ type: 'text', value: ' ' }, { type: 'footnoteBackref', number: note.number, index });
+    }
+    const last = note.children[note.children.length - 1];
+    if (last?.type === 'paragraph') {
+      last.children.push(...backrefs);
+    } else {
+      note.children.push({ type: 'paragraph', children: backrefs.slice(1) });
+    }
+  }
+  ast.children.push({ type: 'footnotes', children: notes });
+  return ast;
+}
@@ -0,0 +1,345 @@
+/**
+ * src/frontMatter.js
+ * Extracts a leading YAML front-matter block (`---` … `---`) from Markdown
+ * and parses it into a metadata object.
+ *
+ * Only a YAML subset is supported: plain and quoted scalars, numbers,
+ * booleans and null, block and flow (`[a, b]`) lists, nested maps, and
+ * literal (`|`) / folded (`>`) block scalars. Anchors, tags and multi-document
+ * streams are not.
+ */
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}:,-][^:#]*?|-[^\s:#][^:#]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+const NUMBER_RE = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/**
+ * Builds a front-matter syntax error.
+ * @param {string} message
+ * @param {number} line — 1-based line number in the source file
+ * @returns {Error}
+ */
+function yamlError(message, line) {
+  return new Error(`Invalid front matter at line ${line}: ${message}`);
+}
+
+/**
+ * Measures a line's indentation. Tabs are not allowed in YAML indentation.
+ * @param {{ text: string, line: number }} entry
+ * @returns {number}
+ */
+function indentOf(entry) {
+  const indent = entry.text.match(/^ */)[0].length;
+  if (entry.text[indent] === '\t') throw yamlError('tabs are not allowed for indentation', entry.line);
+  return indent;
+}
+
+/**
+ * Removes a trailing ` # comment` from an unquoted value.
+ * @param {string} value
+ * @returns {string}
+ */
+function stripComment(value) {
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+      return value.slice(0, i).trimEnd();
+    }
+  }
+  return value.trim();
+}
+
+/**
+ * Splits the inside of a flow sequence on top-level commas.
+ * @param {string} inner
+ * @returns {string[]}
+ */
+function splitFlow(inner) {
+  const parts = [];
+  let quote = null;
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        current += ch + (inner[i + 1] ?? '');
+        i++;
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[') {
+      depth++;
+    } else if (ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim() !== '') parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parses a scalar or flow value.
+ * @param {string} raw
+ * @param {number} line — for error messages
+ * @returns {*}
+ */
+function parseScalar(raw, line) {
+  const value = stripComment(raw);
+  if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+  if (/^(?:true|True|TRUE)$/.test(value)) return true;
+  if (/^(?:false|False|FALSE)$/.test(value)) return false;
+  if (NUMBER_RE.test(value)) return Number(value);
+
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) throw yamlError('unterminated double-quoted string', line);
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw yamlError(`invalid escape in ${value}`, line);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) throw yamlError('unterminated single-quoted string', line);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw yamlError('unterminated flow sequence', line);
+    return splitFlow(value.slice(1, -1)).map((item) => parseScalar(item, line));
+  }
+  if (value === '{}') return {};
+  if (value.startsWith('{')) throw yamlError('flow mappings are not supported', line);
+  return value;
+}
+
+/**
+ * Parses a map key, unquoting it if needed.
+ * @param {string} key
+ * @returns {string}
+ */
+function parseKey(key) {
+  if (key.startsWith('"')) return JSON.parse(key);
+  if (key.startsWith("'")) return key.slice(1, -1).replace(/''/g, "'");
+  return key;
+}
+
+/**
+ * Recursive-descent parser over the significant (non-blank, non-comment)
+ * lines of the front matter.
+ */
+class YamlParser {
+  /**
+   * @param {{ text: string, line: number }[]} entries
+   * @param {{ text: string, line: number }[]} allEntries — including blank lines, for block scalars
+   */
+  constructor(entries, allEntries) {
+    this.entries = entries;
+    this.allEntries = allEntries;
+    this.pos = 0;
+  }
+
+  get current() {
+    return this.entries[this.pos];
+  }
+
+  /**
+   * Parses the block (map or sequence) starting at the current line.
+   * @param {number} indent
+   * @returns {object|Array}
+   */
+  parseBlock(indent) {
+    const text = this.current.text.slice(indent);
+    return text === '-' || text.startsWith('- ') ? this.parseSequence(indent) : this.parseMap(indent);
+  }
+
+  /**
+   * Parses a nested value that follows a `key:` or `-` with nothing after
+   * it. Block sequences may sit at the parent's indentation under a key.
+   * @param {number} parentIndent
+   * @param {boolean} allowSameIndentSequence
+   * @returns {*}
+   */
+  parseNestedValue(parentIndent, allowSameIndentSequence) {
+    const next = this.current;
+    if (!next) return null;
+    const indent = indentOf(next);
+    const text = next.text.slice(indent);
+    const isSequence = text === '-' || text.startsWith('- ');
+    if (indent > parentIndent || (allowSameIndentSequence && indent === parentIndent && isSequence)) {
+      return this.parseBlock(indent);
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} indent
+   * @returns {Array}
+   */
+  parseSequence(indent) {
+    const items = [];
+    while (this.current && indentOf(this.current) === indent) {
+      const entry = this.current;
+      const text = entry.text.slice(indent);
+      if (text !== '-' && !text.startsWith('- ')) break;
+
+      const rest = text.slice(1).replace(/^ +/, '');
+      if (rest === '') {
+        this.pos++;
+        items.push(this.parseNestedValue(indent, false));
+      } else if (KEY_RE.test(stripComment(rest))) {
+        // `- key: value` starts a map whose keys line up with `key`
+        const itemIndent = entry.text.length - rest.length;
+        this.entries[this.pos] = { text: ' '.repeat(itemIndent) + rest, line: entry.line };
+        items.push(this.parseMap(itemIndent));
+      } else {
+        this.pos++;
+        items.push(parseScalar(rest, entry.line));
+      }
+    }
+    return items;
+  }
+
+  /**
+   * @param {number} indent
+   * @returns {object}
+   */
+  parseMap(indent) {
+    const map = {};
+    while (this.current) {
+      const entry = this.current;
+      const entryIndent = indentOf(entry);
+      if (entryIndent < indent) break;
+      if (entryIndent > indent) throw yamlError('unexpected indentation', entry.line);
+
+      const text = entry.text.slice(indent);
+      if (text === '-' || text.startsWith('- ')) break;
+      const match = stripComment(text).match(KEY_RE);
+      if (!match) throw yamlError(`expected "key: value", got "${text.trim()}"`, entry.line);
+
+      const key = parseKey(match[1]);
+      const value = match[2] ?? '';
+      this.pos++;
+
+      if (value === '') {
+        map[key] = this.parseNestedValue(indent, true);
+      } else if (/^[|>][-+]?$/.test(value)) {
+        map[key] = this.parseBlockScalar(value, indent, entry);
+      } else {
+        map[key] = parseScalar(value, entry.line);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Parses a literal (`|`) or folded (`>`) block scalar. Chomping
+   * indicators: `-` strips the final newline, `+` keeps trailing blank lines.
+   * @param {string} header — the `|`/`>` indicator
+   * @param {number} indent — indentation of the owning key
+   * @param {{ line: number }} entry — the key's line
+   * @returns {string}
+   */
+  parseBlockScalar(header, indent, entry) {
+    const start = this.allEntries.findIndex((e) => e.line === entry.line) + 1;
+    const lines = [];
+    let blockIndent = null;
+    let i = start;
+    for (; i < this.allEntries.length; i++) {
+      const { text } = this.allEntries[i];
+      if (text.trim() === '') {
+        lines.push('');
+        continue;
+      }
+      const lineIndent = text.match(/^ */)[0].length;
+      if (lineIndent <= indent) break;
+      blockIndent ??= lineIndent;
+      if (lineIndent < blockIndent) break;
+      lines.push(text.slice(blockIndent));
+    }
+
+    // Skip the significant lines consumed by the block
+    const lastLine = i > start ? this.allEntries[i - 1].line : entry.line;
+    while (this.current && this.current.line <= lastLine) this.pos++;
+
+    const trailing = lines.length - lines.findLastIndex((line) => line !== '') - 1;
+    const body = lines.slice(0, lines.length - trailing);
+    let text = '';
+    if (header[0] === '|') {
+      text = body.join('\n');
+    } else {
+      // Folded: line breaks become spaces, blank lines become newlines
+      body.forEach((line, k) => {
+        if (k === 0) text = line;
+        else if (line === '') text += '\n';
+        else text += body[k - 1] === '' ? line : ` ${line}`;
+      });
+    }
+
+    if (header[1] === '-' || body.length === 0) return text;
+    text += '\n';
+    if (header[1] === '+') text += '\n'.repeat(trailing);
+    return text;
+  }
+}
+
+/**
+ * Parses the YAML subset used for front matter.
+ * @param {string} yaml
+ * @param {number} [firstLine=1] — line number of the first YAML line in the file
+ * @returns {object} parsed map (empty for an empty document)
+ * @throws {Error} on syntax the subset does not accept
+ */
+export function parseYaml(yaml, firstLine = 1) {
+  const allEntries = yaml.split('\n').map((text, index) => ({ text: text.replace(/\r$/, ''), line: firstLine + index }));
+  const entries = allEntries.filter(({ text }) => text.trim() !== '' && !text.trim().startsWith('#'));
+  if (entries.length === 0) return {};
+
+  const parser = new YamlParser(entries, allEntries);
+  const indent = indentOf(entries[0]);
+  const result = parser.parseBlock(indent);
+  if (parser.current) throw yamlError('unexpected indentation', parser.current.line);
+  if (Array.isArray(result)) throw yamlError('front matter must be a map of keys to values', entries[0].line);
+  return result;
+}
+
+/**
+ * Splits a leading front-matter block off a Markdown document. The block
+ * must open with `---` on the first line and close with `---` or `...`.
+ * A `---` block whose first line is not a `key:` entry is left alone, since
+ * it is more likely a thematic break followed by a setext heading.
+ * @param {string} markdown
+ * @returns {{ data: object, content: string, lines: number }}
+ *   parsed metadata, the remaining Markdown, and how many lines were removed
+ * @throws {Error} if the front matter is not valid YAML
+ */
+export function extractFrontMatter(markdown) {
+  const source = markdown.replace(/^\uFEFF/, '');
+  const lines = source.split('\n');
+  const none = { data: {}, content: markdown, lines: 0 };
+  if (lines[0].replace(/\r$/, '').trimEnd() !== '---') return none;
+
+  const end = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)[ \t]*\r?$/.test(line));
+  if (end === -1) return none;
+
+  const body = lines.slice(1, end);
+  const firstEntry = body.find((line) => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (firstEntry !== undefined && !KEY_RE.test(stripComment(firstEntry.trim()))) return none;
+
+  return {
+    data: parseYaml(body.join('\n'), 2),
+    content: lines.slice(end + 1).join('\n'),
+    lines: end + 1,
+  };
+}
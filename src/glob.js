@@ -0,0 +1,116 @@
+/**
+ * src/glob.js
+ * Minimal glob matching for selecting files, without dependencies.
+ * Supports `*` (within a path segment), `**` (any number of segments), `?`,
+ * character classes (`[abc]`, `[!abc]`, `[a-z]`), alternatives (`{a,b}`)
+ * and backslash escapes. Patterns and paths use forward slashes.
+ */
+
+const GLOB_CHARS_RE = /[*?[\]{}]/;
+
+/**
+ * Checks whether a string contains glob syntax.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isGlob(pattern) {
+  return GLOB_CHARS_RE.test(pattern);
+}
+
+/**
+ * Returns the leading directories of a glob that contain no glob syntax:
+ * `docs/guide/*.md` → `docs/guide`, `*.md` → `.`.
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (isGlob(segment)) break;
+    base.push(segment);
+  }
+  if (base.length === 0) return '.';
+  return base.join('/') || '/';
+}
+
+/**
+ * Escapes a character for use in a regular expression.
+ * @param {string} ch
+ * @returns {string}
+ */
+function escapeRegExp(ch) {
+  return /[.*+?^${}()|[\]\\/]/.test(ch) ? `\\${ch}` : ch;
+}
+
+/**
+ * Compiles a glob to a regular expression matching whole paths.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {Error} on an unclosed `[` or `{`
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        i++;
+        if (atSegmentStart && pattern[i + 1] === '/') {
+          // `**/` matches zero or more whole directories
+          source += '(?:[^/]*/)*';
+          i++;
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) throw new Error(`Invalid glob "${pattern}": unclosed [`);
+      let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (set[0] === '!') set = `^${set.slice(1)}`;
+      source += `[${set}]`;
+      i = end;
+    } else if (ch === '{') {
+      braces++;
+      source += '(?:';
+    } else if (ch === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (ch === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  if (braces > 0) throw new Error(`Invalid glob "${pattern}": unclosed {`);
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates a matcher for a list of globs. As in .gitignore, a pattern
+ * without a slash matches the file name at any depth (`*.png`); one with a
+ * slash matches the whole path relative to the base directory
+ * (`drafts/**`).
+ * @param {string[]} patterns
+ * @returns {(relativePath: string) => boolean} true if any pattern matches
+ * @throws {Error} on an invalid pattern
+ */
+export function createMatcher(patterns) {
+  const matchers = patterns.map((pattern) => {
+    const normalized = pattern.replace(/^\.\//, '');
+    const regex = globToRegExp(normalized);
+    return normalized.includes('/')
+      ? (path) => regex.test(path)
+      : (path) => regex.test(path.slice(path.lastIndexOf('/') + 1));
+  });
+  return (relativePath) => matchers.some((matches) => matches(relativePath));
+}
@@ -0,0 +1,190 @@
+/**
+ * src/headings.js
+ * Heading ids and tables of contents, as AST transforms.
+ * Slugs follow GitHub's rules so that links written against GitHub's
+ * rendering (`README.md#getting-started`) keep working.
+ */
+
+import { toPlainText } from './inlineParser.js';
+
+// Everything except letters, marks, numbers, connector punctuation, spaces and hyphens
+const SLUG_STRIP_RE = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+
+// A paragraph consisting of just this marker is replaced by the TOC
+const TOC_MARKER_RE = /^\[\[toc\]\]$/i;
+
+/**
+ * Converts heading text to a GitHub-style slug: lowercased, punctuation
+ * removed, spaces turned into hyphens. Non-ASCII letters are kept.
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return text.trim().toLowerCase().replace(SLUG_STRIP_RE, '').replace(/ /g, '-');
+}
+
+/**
+ * Creates a slugger that de-duplicates slugs within one document by
+ * appending `-1`, `-2`, ... to repeats.
+ * @returns {(text: string) => string}
+ */
+export function createSlugger() {
+  const seen = new Set();
+  return (text) => {
+    const base = slugify(text) || 'section';
+    let slug = base;
+    for (let n = 1; seen.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    seen.add(slug);
+    return slug;
+  };
+}
+
+/**
+ * Lists the heading nodes of a document in order, including those nested
+ * in blockquotes and lists.
+ * @param {object} node
+ * @param {object[]} [result]
+ * @returns {object[]}
+ */
+function collectHeadings(node, result = []) {
+  if (node.type === 'heading') {
+    result.push(node);
+  } else if (node.children && node.type !== 'toc') {
+    for (const child of node.children) collectHeadings(child, result);
+  }
+  return result;
+}
+
+/**
+ * Sets a unique slug `id` on every heading in the document.
+ * @param {object} ast — document node from parseToAst
+ * @returns {object[]} the headings, in document order
+ */
+export function addHeadingIds(ast) {
+  const headings = collectHeadings(ast);
+  const slug = createSlugger();
+  for (const heading of headings) {
+    heading.id = slug(toPlainText(heading.children));
+  }
+  return headings;
+}
+
+/**
+ * Checks TOC level options and fills in defaults.
+ * @param {{ tocMinLevel?: number, tocMaxLevel?: number }} options
+ * @returns {{ minLevel: number, maxLevel: number }}
+ * @throws {RangeError} if a level is not 1–6 or min exceeds max
+ */
+function tocLevels(options) {
+  const minLevel = options.tocMinLevel ?? 1;
+  const maxLevel = options.tocMaxLevel ?? 6;
+  for (const [name, value] of [['tocMinLevel', minLevel], ['tocMaxLevel', maxLevel]]) {
+    if (!Number.isInteger(value) || value < 1 || value > 6) {
+      throw new RangeError(`${name} must be an integer from 1 to 6, got ${value}`);
+    }
+  }
+  if (minLevel > maxLevel) {
+    throw new RangeError(`tocMinLevel (${minLevel}) must not be greater than tocMaxLevel (${maxLevel})`);
+  }
+  return { minLevel, maxLevel };
+}
+
+/**
+ * Builds a `toc` node: a nested list of links to the given headings.
+ * Headings outside [minLevel, maxLevel] are skipped; a heading nests under
+ * the closest preceding heading of a lower level.
+ * @param {object[]} headings — heading nodes with ids
+ * @param {{ minLevel: number, maxLevel: number }} levels
+ * @returns {{ type: 'toc', children: object[] }}
+ */
+export function buildToc(headings, { minLevel, maxLevel }) {
+  const newList = () => ({ type: 'list', ordered: false, start: 1, tight: true, children: [] });
+  const root = newList();
+  const stack = [];
+
+  for (const heading of headings) {
+    if (heading.level < minLevel || heading.level > maxLevel) continue;
+
+    while (stack.length > 1 && stack[stack.length - 1].level > heading.level) stack.pop();
+    if (stack.length === 0) {
+      stack.push({ level: heading.level, list: root });
+    } else if (heading.level > stack[stack.length - 1].level) {
+      // Nest under the previous entry, reusing its sublist if it has one
+      const parentItems = stack[stack.length - 1].list.children;
+      const parentItem = parentItems[parentItems.length - 1];
+      let sublist = parentItem.children[parentItem.children.length - 1];
+      if (sublist.type !== 'list') {
+        sublist = newList();
+        parentItem.children.push(sublist);
+      }
+      stack.push({ level: heading.level, list: sublist });
+    }
+
+    const link = {
+      type: 'link',
+      url: `#${heading.id}`,
+      title: null,
+      children: [{ type: 'text', value: toPlainText(heading.children) }],
+    };
+    stack[stack.length - 1].list.children.push({
+      type: 'listItem',
+      children: [{ type: 'paragraph', children: [link] }],
+    });
+  }
+
+  return { type: 'toc', children: root.children.length > 0 ? [root] : [] };
+}
+
+/**
+ * Builds a table of contents for a document whose headings already have
+ * ids (see applyHeadingOptions), for use outside the document body.
+ * @param {object} ast — document node
+ * @param {{ tocMinLevel?: number, tocMaxLevel?: number }} [options]
+ * @returns {object|null} a `toc` node, or null when headings have no ids
+ */
+export function createToc(ast, options = {}) {
+  const headings = collectHeadings(ast).filter((heading) => heading.id);
+  if (headings.length === 0) return null;
+  return buildToc(headings, tocLevels(options));
+}
+
+/**
+ * Checks whether a block is a `[[toc]]` marker paragraph.
+ * @param {object} node
+ * @returns {boolean}
+ */
+function isTocMarker(node) {
+  return node.type === 'paragraph'
+    && node.children.every((child) => child.type === 'text')
+    && TOC_MARKER_RE.test(toPlainText(node.children).trim());
+}
+
+/**
+ * Applies heading-related options to a document AST in place:
+ * - `headingIds`: give every heading a slug `id`
+ * - `toc`: insert a table of contents at the top of the document
+ * - `tocMinLevel` / `tocMaxLevel`: heading levels included in the TOC (1–6)
+ * A `[[toc]]` paragraph is always replaced by the table of contents, and
+ * a TOC turns on heading ids since its links point at them.
+ * @param {object} ast — document node from parseToAst
+ * @param {{ headingIds?: boolean, toc?: boolean, tocMinLevel?: number, tocMaxLevel?: number }} [options]
+ * @returns {object} the same AST
+ */
+export function applyHeadingOptions(ast, options = {}) {
+  const markers = ast.children.filter(isTocMarker);
+  const wantsToc = Boolean(options.toc) || markers.length > 0;
+  if (!options.headingIds && !wantsToc) return ast;
+
+  const headings = addHeadingIds(ast);
+  if (!wantsToc) return ast;
+
+  const levels = tocLevels(options);
+  if (markers.length > 0) {
+    ast.children = ast.children.map((node) => (markers.includes(node) ? buildToc(headings, levels) : node));
+  } else {
+    ast.children.unshift(buildToc(headings, levels));
+  }
+  return ast;
+}
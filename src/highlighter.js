@@ -0,0 +1,323 @@
+/**
+ * src/highlighter.js
+ * Build-time syntax highlighting for code blocks, without dependencies.
+ * Each language is a list of rules tried in order at every position of the
+ * code; the first sticky regex that matches produces a token, and text no
+ * rule matches stays plain. Tokens carry a type that the renderer turns
+ * into `<span class="hl-TYPE">` (styled by themes/syntax/highlight.css).
+ * The grammars aim to be right for everyday code, not to be full parsers.
+ */
+
+/**
+ * @typedef {object} Token
+ * @property {string|null} type — token class, or null for plain text
+ * @property {string} text
+ */
+
+/**
+ * Builds a rule. `type` is a token type, or a function classifying the
+ * matched text (returning null for plain text); `when(code, pos)` can veto
+ * a match based on what precedes it; `tokens(match)` can split a match into
+ * several tokens.
+ * @param {string|((text: string) => string|null)} type
+ * @param {RegExp} pattern — compiled with the sticky flag
+ * @param {{ when?: (code: string, pos: number) => boolean, tokens?: (match: RegExpExecArray) => Token[] }} [extra]
+ * @returns {object}
+ */
+function rule(type, pattern, extra = {}) {
+  return { type, pattern, ...extra };
+}
+
+/**
+ * Classifies words by lookup in sets of keywords, literals and built-ins.
+ * Words followed by `(` are function names.
+ * @param {{ keyword?: Set<string>, literal?: Set<string>, builtIn?: Set<string>, type?: Set<string> }} words
+ * @param {boolean} [functions=true]
+ * @returns {(text: string, code: string, end: number) => string|null}
+ */
+function wordClassifier({ keyword, literal, builtIn, type }, functions = true) {
+  return (text, code, end) => {
+    if (keyword?.has(text)) return 'keyword';
+    if (literal?.has(text)) return 'literal';
+    if (type?.has(text)) return 'type';
+    if (builtIn?.has(text)) return 'built_in';
+    if (functions && /^\s*\(/.test(code.slice(end, end + 20))) return 'function';
+    return null;
+  };
+}
+
+const words = (list) => new Set(list.split(' '));
+
+// The previous non-space character allows a regex literal (rather than division)
+const REGEX_ALLOWED_AFTER = /[(,=:[!&|?{};+\-*%<>~^]$/;
+const REGEX_ALLOWED_KEYWORD = /\b(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/;
+
+/**
+ * Checks whether a `/` at pos starts a regex literal in JavaScript.
+ * @param {string} code
+ * @param {number} pos
+ * @returns {boolean}
+ */
+function regexAllowed(code, pos) {
+  const before = code.slice(Math.max(0, pos - 20), pos).trimEnd();
+  return before === '' || REGEX_ALLOWED_AFTER.test(before) || REGEX_ALLOWED_KEYWORD.test(before);
+}
+
+/**
+ * Checks whether pos is at the start of a word (for shell `#` comments).
+ * @param {string} code
+ * @param {number} pos
+ * @returns {boolean}
+ */
+function atWordStart(code, pos) {
+  return pos === 0 || /[\s;|&(]/.test(code[pos - 1]);
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+const JS_LITERALS = 'true false null undefined NaN Infinity';
+const JS_BUILT_INS = 'Array ArrayBuffer BigInt Boolean Date Error JSON Map Math Number Object Promise Proxy Reflect RegExp Set String Symbol WeakMap WeakSet console document globalThis module process require window';
+const TS_KEYWORDS = 'abstract as asserts declare enum implements infer interface is keyof namespace override private protected public readonly satisfies type unique';
+const TS_TYPES = 'any bigint boolean never number object string symbol unknown void';
+
+const JS_COMMON_RULES = [
+  rule('comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y),
+  rule('string', /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y),
+  rule('regexp', /\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuyv]*/y, { when: regexAllowed }),
+  rule('number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?(?![\w$])/y),
+];
+
+const javascript = [
+  ...JS_COMMON_RULES,
+  rule(wordClassifier({ keyword: words(JS_KEYWORDS), literal: words(JS_LITERALS), builtIn: words(JS_BUILT_INS) }), /[A-Za-z_$][\w$]*/y),
+];
+
+const typescript = [
+  ...JS_COMMON_RULES,
+  rule('meta', /@[A-Za-z_$][\w$.]*/y),
+  rule(
+    wordClassifier({
+      keyword: words(`${JS_KEYWORDS} ${TS_KEYWORDS}`),
+      literal: words(JS_LITERALS),
+      type: words(TS_TYPES),
+      builtIn: words(JS_BUILT_INS),
+    }),
+    /[A-Za-z_$][\w$]*/y
+  ),
+];
+
+const json = [
+  rule('comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y),
+  rule('property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y),
+  rule('string', /"(?:\\.|[^\\"\n])*"?/y),
+  rule('number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y),
+  rule('literal', /\b(?:true|false|null)\b/y),
+];
+
+const SHELL_KEYWORDS = 'if then else elif fi for while until do done case esac in function select time return exit break continue';
+const SHELL_BUILT_INS = 'alias bg cd command declare echo eval exec export fg getopts hash jobs kill local printf pwd read readonly set shift source test trap type ulimit umask unalias unset wait';
+
+const shell = [
+  rule('meta', /^#![^\n]*/y),
+  rule('comment', /#[^\n]*/y, { when: atWordStart }),
+  rule('string', /'[^']*'?|"(?:\\[\s\S]|[^\\"])*"?/y),
+  rule('variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[0-9@#?$!*-])/y),
+  rule(
+    wordClassifier({ keyword: words(SHELL_KEYWORDS), builtIn: words(SHELL_BUILT_INS) }, false),
+    // Whole words only, so `done.txt` or `test-data/` stay plain
+    /[A-Za-z_][\w./-]*/y
+  ),
+];
+
+const PYTHON_KEYWORDS = 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield';
+const PYTHON_LITERALS = 'True False None';
+const PYTHON_BUILT_INS = 'abs all any bool bytes callable chr classmethod dict dir enumerate filter float format frozenset getattr hasattr hash id input int isinstance issubclass iter len list map max min next object open ord pow print property range repr reversed round set setattr slice sorted staticmethod str sum super tuple type vars zip cls self';
+
+const python = [
+  rule('comment', /#[^\n]*/y),
+  rule('string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y),
+  rule('meta', /^[ \t]*@[A-Za-z_][\w.]*/my),
+  rule('number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[jJ]?(?!\w)/y),
+  rule(
+    wordClassifier({ keyword: words(PYTHON_KEYWORDS), literal: words(PYTHON_LITERALS), builtIn: words(PYTHON_BUILT_INS) }),
+    /[A-Za-z_]\w*/y
+  ),
+];
+
+const css = [
+  rule('comment', /\/\*[\s\S]*?(?:\*\/|$)/y),
+  rule('string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y),
+  rule('keyword', /@[\w-]+|!important\b/y),
+  // Property names are followed by a value that ends at ; or } (or at ) in
+  // `@media (max-width: …)`), selectors by {
+  rule('property', /-{0,2}[A-Za-z][\w-]*(?=\s*:(?:[^;{}]*[;}]|[^;{}()]*\)))/y),
+  rule('selector', /(?:[.#]|::?)[A-Za-z_-][\w-]*(?=[^;{}]*\{)/y),
+  rule('tag', /[A-Za-z][\w-]*(?=[^;{}]*\{)/y),
+  rule('function', /[A-Za-z-][\w-]*(?=\()/y),
+  rule('number', /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/y),
+  // Other words (values like `solid`) are plain, taken whole
+  rule(null, /[A-Za-z_-][\w-]*/y),
+];
+
+// Names stop at `<`, so a `<` without a closing `>` fails at the next `<`
+// instead of rescanning the rest of the code
+const HTML_TAG_RE = /<\/?[A-Za-z][^\s/<>]*(?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/y;
+const HTML_ATTRIBUTE_RE = /(\s+)([^\s"'<>/=]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/y;
+
+/**
+ * Splits an HTML tag into tag name, attribute name and value tokens.
+ * @param {string} tag
+ * @returns {Token[]}
+ */
+function tagTokens(tag) {
+  const [, open, name] = tag.match(/^(<\/?)([^\s/<>]+)/);
+  const tokens = [{ type: null, text: open }, { type: 'tag', text: name }];
+  let pos = open.length + name.length;
+  let match;
+  HTML_ATTRIBUTE_RE.lastIndex = pos;
+  while ((match = HTML_ATTRIBUTE_RE.exec(tag)) !== null) {
+    const [, space, attribute, equals, value] = match;
+    tokens.push({ type: null, text: space }, { type: 'attr', text: attribute });
+    if (value !== undefined) tokens.push({ type: null, text: equals }, { type: 'string', text: value });
+    pos = HTML_ATTRIBUTE_RE.lastIndex;
+  }
+  tokens.push({ type: null, text: tag.slice(pos) });
+  return tokens;
+}
+
+const html = [
+  rule('comment', /<!--[\s\S]*?(?:-->|$)/y),
+  rule('meta', /<![A-Za-z][^>]*>?/y),
+  // <script> and <style> contents are highlighted as JavaScript and CSS
+  rule(null, /(<(script|style)\b[^<>]*>)([\s\S]*?)(?=<\/\2\s*>|$)/iy, {
+    tokens: ([, tag, name, content]) => [
+      ...tagTokens(tag),
+      ...tokenize(content, name.toLowerCase() === 'script' ? javascript : css),
+    ],
+  }),
+  rule(null, HTML_TAG_RE, { tokens: ([tag]) => tagTokens(tag) }),
+  rule('literal', /&(?:#\d+|#[xX][\da-fA-F]+|[A-Za-z][A-Za-z\d]*);/y),
+];
+
+const diff = [
+  rule('meta', /^(?:diff|index|\+\+\+|---|new file|deleted file|similarity|rename)[^\n]*/my),
+  rule('hunk', /^@@[^\n]*/my),
+  rule('addition', /^[+>][^\n]*/my),
+  rule('deletion', /^[-<][^\n]*/my),
+];
+
+const GRAMMARS = { javascript, typescript, json, shell, python, html, css, diff };
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  jsonc: 'json',
+  json5: 'json',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  py: 'python',
+  python3: 'python',
+  htm: 'html',
+  xml: 'html',
+  svg: 'html',
+  xhtml: 'html',
+  patch: 'diff',
+};
+
+/**
+ * Names of the languages the highlighter knows, including aliases.
+ * @type {string[]}
+ */
+export const LANGUAGES = [...Object.keys(GRAMMARS), ...Object.keys(ALIASES)].sort();
+
+/**
+ * Finds the grammar for a language name or alias (case-insensitive).
+ * @param {string|null} lang
+ * @returns {object[]|null}
+ */
+function findGrammar(lang) {
+  if (!lang) return null;
+  const name = lang.toLowerCase();
+  return GRAMMARS[ALIASES[name] ?? name] ?? null;
+}
+
+/**
+ * Splits code into tokens with a grammar. Adjacent plain text is merged.
+ * @param {string} code
+ * @param {object[]} grammar
+ * @returns {Token[]}
+ */
+function tokenize(code, grammar) {
+  const tokens = [];
+  const push = (token) => {
+    const last = tokens[tokens.length - 1];
+    if (token.type === null && last && last.type === null) last.text += token.text;
+    else if (token.text !== '') tokens.push(token);
+  };
+
+  let pos = 0;
+  scan: while (pos < code.length) {
+    for (const { type, pattern, when, tokens: split } of grammar) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(code);
+      if (!match || match[0] === '' || (when && !when(code, pos))) continue;
+      const end = pos + match[0].length;
+      if (split) split(match).forEach(push);
+      else push({ type: typeof type === 'function' ? type(match[0], code, end) : type, text: match[0] });
+      pos = end;
+      continue scan;
+    }
+    push({ type: null, text: code[pos] });
+    pos++;
+  }
+  return tokens;
+}
+
+/**
+ * Highlights code in a language.
+ * @param {string} code
+ * @param {string|null} lang — language name or alias, e.g. 'js' or 'python'
+ * @returns {Token[]|null} tokens, or null when the language is unknown
+ */
+export function highlight(code, lang) {
+  const grammar = findGrammar(lang);
+  return grammar ? tokenize(code, grammar) : null;
+}
+
+const LINE_RANGES_RE = /\{\s*(\d+(?:\s*-\s*\d+)?(?:\s*,\s*\d+(?:\s*-\s*\d+)?)*)\s*\}/;
+
+/**
+ * Parses a code block's info string: the language, `{1,3-5}` line
+ * highlights and the `line-numbers` / `no-line-numbers` flags, e.g.
+ * `js {1,3-5} line-numbers`. The braces may follow the language directly.
+ * @param {string} info
+ * @returns {{ lang: string|null, highlightLines: Array<[number, number]>, lineNumbers: boolean|undefined }}
+ *   highlightLines holds inclusive 1-based line ranges; lineNumbers is
+ *   undefined when the info string does not say
+ */
+export function parseInfoString(info) {
+  const lang = info.match(/^[^\s{]*/)[0] || null;
+  const rest = info.slice(lang ? lang.length : 0);
+
+  const ranges = rest.match(LINE_RANGES_RE);
+  const highlightLines = ranges
+    ? ranges[1].split(',').map((part) => {
+      const [from, to = from] = part.split('-').map(Number);
+      return [from, to];
+    })
+    : [];
+
+  const flags = rest.replace(LINE_RANGES_RE, ' ').split(/\s+/);
+  let lineNumbers;
+  if (flags.includes('line-numbers')) lineNumbers = true;
+  if (flags.includes('no-line-numbers')) lineNumbers = false;
+
+  return { lang, highlightLines, lineNumbers };
+}
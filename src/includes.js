@@ -0,0 +1,191 @@
+/**
+ * src/includes.js
+ * File includes, resolved on the Markdown source before it is parsed. A
+ * `<!-- include: path -->` line is replaced by that file's Markdown (without
+ * its front matter, and with its own includes resolved), and a fenced code
+ * block with `file=path` in its info string gets that file's content, or
+ * only `lines=10-30` of it. Paths are relative to the including file.
+ * Directives inside code blocks are left alone. Included Markdown is not
+ * otherwise rewritten, so relative URLs in it resolve against the page.
+ */
+
+import { dirname, isAbsolute, join, resolve } from 'path';
+import { readFile } from './fileHandler.js';
+import { extractFrontMatter } from './frontMatter.js';
+
+/**
+ * How deeply Markdown includes may nest.
+ * @type {number}
+ */
+export const MAX_INCLUDE_DEPTH = 10;
+
+// Include directive: an HTML comment on a line of its own
+const INCLUDE_RE = /^ {0,3}<!--[ \t]*include:[ \t]*(.+?)[ \t]*-->[ \t]*$/;
+
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+
+// Code include attributes in a fence's info string; the path may be quoted
+const FILE_ATTR_RE = /(^|[ \t])file=(?:"([^"]*)"|(\S+))/;
+const LINES_ATTR_RE = /(^|[ \t])lines=(\S*)/;
+const LINE_RANGE_RE = /^(\d+)(?:-(\d*))?$/;
+
+/**
+ * Formats where an include happened, outermost first.
+ * @param {{ path: string, line: number }[]} chain
+ * @returns {string}
+ */
+function formatChain(chain) {
+  return `include chain: ${chain.map(({ path, line }) => `${path}:${line}`).join(' → ')}`;
+}
+
+/**
+ * Reads an included file.
+ * @param {string} path
+ * @param {string} target — the path as written in the directive
+ * @param {{ path: string, line: number }[]} chain — ending with this include
+ * @returns {Promise<string>} the content, with normalized line endings
+ * @throws {Error} naming the include chain if the file cannot be read
+ */
+async function readIncluded(path, target, chain) {
+  try {
+    return (await readFile(path)).replace(/\r\n?/g, '\n');
+  } catch (err) {
+    throw new Error(`Cannot include ${target}: ${err.message} (${formatChain(chain)})`);
+  }
+}
+
+/**
+ * Picks the lines of a code include.
+ * @param {string} code
+ * @param {string|undefined} range — the `lines=` value, e.g. `10-30`, `10-`
+ *   or `10`; all lines when undefined
+ * @param {string} target — the path as written, for error messages
+ * @param {{ path: string, line: number }[]} chain
+ * @returns {string[]}
+ * @throws {Error} if the range is malformed or outside the file
+ */
+function selectLines(code, range, target, chain) {
+  const lines = code.replace(/\n$/, '').split('\n');
+  if (range === undefined) return lines;
+  const match = range.match(LINE_RANGE_RE);
+  const start = match && Number(match[1]);
+  const end = match && (match[2] === undefined ? start : match[2] === '' ? lines.length : Number(match[2]));
+  if (!match || start < 1 || end < start) {
+    throw new Error(`Invalid lines=${range} for ${target}; use e.g. lines=10-30 (${formatChain(chain)})`);
+  }
+  if (end > lines.length) {
+    throw new Error(`lines=${range} is past the end of ${target} (${lines.length} lines) (${formatChain(chain)})`);
+  }
+  return lines.slice(start - 1, end);
+}
+
+/**
+ * Resolves the includes of a Markdown document, recursively.
+ * @param {string} markdown — the document, without front matter
+ * @param {object} [options]
+ * @param {string} [options.sourcePath] — path of the document; includes are
+ *   relative to its directory (default: the working directory)
+ * @param {number} [options.lineOffset=0] — lines before `markdown` in its
+ *   file (its front matter), for line numbers in error messages
+ * @returns {Promise<{ markdown: string, files: string[], origins: { path: string, line: number }[] }>}
+ *   the document with its includes in place; the absolute paths of every
+ *   file included; and for each line of the result, the file and line it
+ *   came from (lines of a code include map to its fence line)
+ * @throws {Error} if an included file cannot be read, includes form a
+ *   cycle or nest more than MAX_INCLUDE_DEPTH deep, or a `lines=` range is
+ *   invalid; the message shows the chain of includes that led there
+ */
+export async function resolveIncludes(markdown, { sourcePath, lineOffset = 0 } = {}) {
+  const files = new Set();
+
+  const expand = async (text, path, offset, chain) => {
+    const dir = path === undefined ? '.' : dirname(path);
+    const label = path ?? '<stdin>';
+    const ancestors = [...chain.map((site) => resolve(site.path)), ...(path === undefined ? [] : [resolve(path)])];
+    const locate = (target) => (isAbsolute(target) ? target : join(dir, target));
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    const origins = [];
+    const emit = (origin, ...added) => {
+      out.push(...added);
+      for (let k = 0; k < added.length; k++) origins.push(origin);
+    };
+    let closing = null;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const site = { path: label, line: i + 1 + offset };
+      if (closing) {
+        if (closing.test(line)) closing = null;
+        emit(site, line);
+        continue;
+      }
+
+      const fence = line.match(FENCE_RE);
+      if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+        const [, indent, marker, info] = fence;
+        const closer = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`);
+        const file = info.match(FILE_ATTR_RE);
+        if (!file) {
+          closing = closer;
+          emit(site, line);
+          continue;
+        }
+        // The block's own body, if any, is replaced
+        let end = i + 1;
+        while (end < lines.length && !closer.test(lines[end])) end++;
+        const target = file[2] ?? file[3];
+        const includePath = locate(target);
+        const code = await readIncluded(includePath, target, [...chain, site]);
+        files.add(resolve(includePath));
+        const range = info.match(LINES_ATTR_RE)?.[2];
+        const body = selectLines(code, range, target, [...chain, site]);
+
+        // Lengthen the fence if the code contains one
+        const longest = Math.max(0, ...body.map((codeLine) => codeLine.match(new RegExp(`^ {0,3}(\\${marker[0]}+)`))?.[1].length ?? 0));
+        const fenceText = marker[0].repeat(Math.max(marker.length, longest + 1));
+        const rest = info.replace(FILE_ATTR_RE, '$1').replace(LINES_ATTR_RE, '$1').replace(/[ \t]+/g, ' ').trim();
+        emit(site, `${indent}${fenceText}${rest}`, ...body, `${indent}${fenceText}`);
+        i = end;
+        continue;
+      }
+
+      const include = line.match(INCLUDE_RE);
+      if (!include) {
+        emit(site, line);
+        continue;
+      }
+      const target = include[1];
+      const includePath = locate(target);
+      const includeChain = [...chain, site];
+      if (ancestors.includes(resolve(includePath))) {
+        throw new Error(`Include cycle: ${includePath} includes itself (${formatChain(includeChain)})`);
+      }
+      if (includeChain.length > MAX_INCLUDE_DEPTH) {
+        throw new Error(`Includes nest more than ${MAX_INCLUDE_DEPTH} deep (${formatChain(includeChain)})`);
+      }
+      const source = await readIncluded(includePath, target, includeChain);
+      files.add(resolve(includePath));
+      let frontMatter;
+      try {
+        frontMatter = extractFrontMatter(source);
+      } catch (err) {
+        throw new Error(`${includePath}: ${err.message} (${formatChain(includeChain)})`);
+      }
+      const included = await expand(frontMatter.content, includePath, frontMatter.lines, includeChain);
+      while (included.lines.length > 1 && included.lines.at(-1) === '') {
+        included.lines.pop();
+        included.origins.pop();
+      }
+      // An include stands for blocks of its own
+      emit(site, '');
+      out.push(...included.lines);
+      origins.push(...included.origins);
+      emit(site, '');
+    }
+    return { lines: out, origins };
+  };
+
+  const { lines, origins } = await expand(markdown, sourcePath, lineOffset, []);
+  return { markdown: lines.join('\n'), files: [...files], origins };
+}
@@ -0,0 +1,877 @@
+/**
+ * src/inlineParser.js
+ * Inline tokenizer: turns the raw text of a paragraph, heading or table cell
+ * into a list of inline AST nodes.
+ * Scans the text once, left to right. Emphasis delimiters and link brackets
+ * are kept on stacks and resolved with the CommonMark delimiter algorithm,
+ * so nesting (`**bold *italic* bold**`) and intraword underscores
+ * (`snake_case_name`) behave as specified.
+ */
+
+import { ENTITY_RE, decodeEntity, decodeEntities } from './entities.js';
+
+const ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+// Characters that may start an inline construct; everything else is plain text
+const SPECIAL_CHARS = '\n\\`*_~[]!<&h$';
+const SPECIAL_CHARS_RE = charClass(SPECIAL_CHARS);
+
+// Plugin inline rules by trigger character, plus the matching special-character
+// pattern, cached per rule list
+const pluginDispatchCache = new WeakMap();
+
+const TAG_NAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTE_NAME = '[a-zA-Z_:][a-zA-Z0-9_.:-]*';
+const ATTRIBUTE_VALUE = '(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*")';
+const ATTRIBUTE = `(?:\\s+${ATTRIBUTE_NAME}(?:\\s*=\\s*${ATTRIBUTE_VALUE})?)`;
+export const OPEN_TAG = `<${TAG_NAME}${ATTRIBUTE}*\\s*/?>`;
+export const CLOSE_TAG = `</${TAG_NAME}\\s*[>]`;
+const HTML_INLINE_RE = new RegExp(
+  `^(?:${OPEN_TAG}|${CLOSE_TAG}|<!-->|<!--->|<!--[\\s\\S]*?-->|<[?][\\s\\S]*?[?]>|<![A-Za-z]+[^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`
+);
+
+const URI_AUTOLINK_RE = /^<([A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*)>/;
+const EMAIL_AUTOLINK_RE =
+  /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const BARE_URL_RE = /^https?:\/\/[^\s<]*/;
+// Footnote reference: `[^label]`, the label without spaces or brackets
+const FOOTNOTE_REFERENCE_RE = /^\[\^([^\]\s]+)\]/;
+
+const WHITESPACE_RE = /\s/;
+const ALPHANUMERIC_RE = /[\p{L}\p{N}]/u;
+const PUNCTUATION_RE = /[\p{P}\p{S}]/u;
+
+/**
+ * Builds a regular expression matching any one of the given characters.
+ * @param {string} chars
+ * @returns {RegExp}
+ */
+function charClass(chars) {
+  return new RegExp(`[${chars.replace(/[\\\]^-]/g, '\\$&')}]`);
+}
+
+/**
+ * Removes backslash escapes and decodes character references, as applied to
+ * link destinations, titles and code fence info strings.
+ * @param {string} str
+ * @returns {string}
+ */
+export function unescapeString(str) {
+  return decodeEntities(str.replace(/\\([!-/:-@[-`{-~])/g, '$1'));
+}
+
+/**
+ * Normalizes a reference label for case-insensitive, whitespace-insensitive lookup.
+ * @param {string} label
+ * @returns {string}
+ */
+export function normalizeLabel(label) {
+  // Lower- then upper-casing approximates Unicode case folding (e.g. ẞ and ss)
+  return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+/**
+ * Parses a link label (`[...]`) at `pos`.
+ * @param {string} src
+ * @param {number} pos — index of the opening bracket
+ * @returns {number} length of the label including brackets, or 0 if none
+ */
+export function parseLinkLabel(src, pos) {
+  if (src[pos] !== '[') return 0;
+  let i = pos + 1;
+  while (i < src.length && i - pos <= 1000) {
+    const ch = src[i];
+    if (ch === '\\' && i + 1 < src.length && ESCAPABLE.includes(src[i + 1])) {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') return 0;
+    if (ch === ']') {
+      return src.slice(pos + 1, i).trim() === '' ? 0 : i - pos + 1;
+    }
+    i++;
+  }
+  return 0;
+}
+
+/**
+ * Parses a link destination at `pos`: `<...>` or a run of non-space
+ * characters with balanced parentheses.
+ * @param {string} src
+ * @param {number} pos
+ * @returns {{ url: string, end: number }|null}
+ */
+export function parseLinkDestination(src, pos) {
+  if (src[pos] === '<') {
+    let i = pos + 1;
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '\\' && ESCAPABLE.includes(src[i + 1] ?? '')) {
+        i += 2;
+        continue;
+      }
+      if (ch === '>') return { url: unescapeString(src.slice(pos + 1, i)), end: i + 1 };
+      if (ch === '<' || ch === '\n') return null;
+      i++;
+    }
+    return null;
+  }
+
+  let i = pos;
+  let depth = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\' && ESCAPABLE.includes(src[i + 1] ?? '')) {
+      i += 2;
+      continue;
+    }
+    if (ch === '(') {
+      depth++;
+      if (depth > 32) return null;
+    } else if (ch === ')') {
+      if (depth === 0) break;
+      depth--;
+    } else if (/[\s\x00-\x1f\x7f]/.test(ch)) {
+      break;
+    }
+    i++;
+  }
+  if (i === pos || depth !== 0) return null;
+  return { url: unescapeString(src.slice(pos, i)), end: i };
+}
+
+/**
+ * Parses a link title at `pos`: `"..."`, `'...'` or `(...)`.
+ * @param {string} src
+ * @param {number} pos
+ * @returns {{ title: string, end: number }|null}
+ */
+export function parseLinkTitle(src, pos) {
+  const open = src[pos];
+  const close = { '"': '"', "'": "'", '(': ')' }[open];
+  if (!close) return null;
+  let i = pos + 1;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\' && ESCAPABLE.includes(src[i + 1] ?? '')) {
+      i += 2;
+      continue;
+    }
+    if (ch === close) return { title: unescapeString(src.slice(pos + 1, i)), end: i + 1 };
+    if (open === '(' && ch === '(') return null;
+    i++;
+  }
+  return null;
+}
+
+/**
+ * Skips spaces, tabs and at most one line ending.
+ * @param {string} src
+ * @param {number} pos
+ * @returns {number} new position
+ */
+function skipSpaces(src, pos) {
+  let i = pos;
+  let newlines = 0;
+  while (i < src.length && /[ \t\n]/.test(src[i])) {
+    if (src[i] === '\n' && ++newlines > 1) break;
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Parses a link reference definition (`[label]: url "title"`) at the start
+ * of `src`. The definition may span lines; the title, if any, must be
+ * followed only by whitespace on its line.
+ * @param {string} src — paragraph text
+ * @returns {{ label: string, url: string, title: string|null, end: number }|null}
+ *   the definition and the index just past it, or null if `src` does not start with one
+ */
+export function parseReferenceDefinition(src) {
+  const labelLength = parseLinkLabel(src, 0);
+  if (labelLength === 0 || src[labelLength] !== ':') return null;
+  const label = src.slice(1, labelLength - 1);
+
+  const destination = parseLinkDestination(src, skipSpaces(src, labelLength + 1));
+  if (!destination) return null;
+
+  const lineEnd = (pos) => {
+    let i = pos;
+    while (src[i] === ' ' || src[i] === '\t') i++;
+    if (i === src.length) return i;
+    return src[i] === '\n' ? i + 1 : -1;
+  };
+
+  const titleStart = skipSpaces(src, destination.end);
+  if (titleStart !== destination.end) {
+    const title = parseLinkTitle(src, titleStart);
+    const end = title ? lineEnd(title.end) : -1;
+    if (end !== -1) return { label, url: destination.url, title: title.title, end };
+  }
+
+  const end = lineEnd(destination.end);
+  return end === -1 ? null : { label, url: destination.url, title: null, end };
+}
+
+/**
+ * Concatenates the text content of inline nodes (used for image alt text
+ * and by consumers that need a plain-text version of a heading).
+ * @param {object[]} nodes
+ * @returns {string}
+ */
+export function toPlainText(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text' || node.type === 'codeSpan' || node.type === 'math') return node.value;
+      if (node.type === 'softBreak' || node.type === 'hardBreak') return ' ';
+      if (node.children) return toPlainText(node.children);
+      return '';
+    })
+    .join('');
+}
+
+/**
+ * Holds the scanning position, output nodes and delimiter/bracket stacks
+ * for a single inline run.
+ */
+class InlineState {
+  /**
+   * @param {string} src — raw inline text
+   * @param {{ references: object }} env — document-wide parse environment
+   */
+  constructor(src, env) {
+    this.src = src;
+    this.pos = 0;
+    this.env = env;
+    this.nodes = [];
+    // Top of the emphasis delimiter stack (doubly linked list)
+    this.delimiters = null;
+    // Top of the link bracket stack
+    this.brackets = null;
+    // Where the last failed search for a closing `$` and `$$` stopped
+    this.mathScanEnd = [0, 0];
+  }
+
+  /**
+   * Appends a node and returns it.
+   * @param {object} node
+   * @returns {object}
+   */
+  push(node) {
+    this.nodes.push(node);
+    return node;
+  }
+
+  /**
+   * Appends a text node and returns it.
+   * @param {string} value
+   * @returns {object}
+   */
+  pushText(value) {
+    const node = { type: 'text', value };
+    this.nodes.push(node);
+    return node;
+  }
+
+  /**
+   * Unlinks a delimiter from the delimiter stack.
+   * @param {object} delim
+   */
+  removeDelimiter(delim) {
+    if (delim.previous) delim.previous.next = delim.next;
+    if (delim.next) delim.next.previous = delim.previous;
+    else this.delimiters = delim.previous;
+  }
+}
+
+/**
+ * Handles a line ending: hard break after two or more trailing spaces,
+ * otherwise a soft break. Trailing spaces before the break and leading
+ * spaces on the next line are dropped.
+ * @param {InlineState} state
+ */
+function parseNewline(state) {
+  const last = state.nodes[state.nodes.length - 1];
+  let hard = false;
+  if (last && last.type === 'text' && !last.delimiter) {
+    hard = / {2,}$/.test(last.value);
+    last.value = last.value.replace(/ +$/, '');
+  }
+  state.nodes.push({ type: hard ? 'hardBreak' : 'softBreak' });
+  state.pos++;
+  while (state.src[state.pos] === ' ' || state.src[state.pos] === '\t') state.pos++;
+}
+
+/**
+ * Handles `\`: escaped punctuation, or a hard line break before a newline.
+ * @param {InlineState} state
+ */
+function parseBackslash(state) {
+  const next = state.src[state.pos + 1];
+  if (next === '\n') {
+    state.nodes.push({ type: 'hardBreak' });
+    state.pos += 2;
+    while (state.src[state.pos] === ' ') state.pos++;
+  } else if (next !== undefined && ESCAPABLE.includes(next)) {
+    state.pushText(next);
+    state.pos += 2;
+  } else {
+    state.pushText('\\');
+    state.pos++;
+  }
+}
+
+/**
+ * Handles a backtick run: a code span if a closing run of the same length
+ * follows, otherwise literal backticks.
+ * @param {InlineState} state
+ */
+function parseBackticks(state) {
+  const { src } = state;
+  const ticks = src.slice(state.pos).match(/^`+/)[0];
+  const start = state.pos + ticks.length;
+  const closer = new RegExp(`(?<!\`)${ticks}(?!\`)`, 'g');
+  closer.lastIndex = start;
+  const match = closer.exec(src);
+  if (!match) {
+    state.pushText(ticks);
+    state.pos = start;
+    return;
+  }
+  let code = src.slice(start, match.index).replace(/\n/g, ' ');
+  // One leading and trailing space is stripped when both are present,
+  // so that code starting or ending with a backtick can be written
+  if (code.length >= 2 && code.startsWith(' ') && code.endsWith(' ') && /[^ ]/.test(code)) {
+    code = code.slice(1, -1);
+  }
+  state.nodes.push({ type: 'codeSpan', value: code });
+  state.pos = match.index + ticks.length;
+}
+
+/**
+ * Handles a `$`: math up to the closing `$` (or `$$` for display math),
+ * kept as source like a code span, so `_` and `*` inside are not emphasis.
+ * Math must close before the next backtick and before a `]` closing a
+ * bracket opened ahead of it, so it never runs into a code span or out of
+ * link text. As in Pandoc, an opening `$` must be followed
+ * by a non-space and a closing `$` preceded by one; in addition, an opening
+ * `$` may not follow a letter or digit nor precede a digit, and a closing
+ * one may not precede a letter or digit, so amounts like `$5 and $10` or
+ * `US$5 and 10$` stay text. A backslash escapes the character after it.
+ * @param {InlineState} state
+ */
+function parseDollar(state) {
+  const { src } = state;
+  const start = state.pos;
+  const display = src[start + 1] === '$';
+  const contentStart = start + (display ? 2 : 1);
+  const opens = display || (
+    /\S/.test(src[contentStart] ?? ' ')
+    && !/\d/.test(src[contentStart])
+    && !ALPHANUMERIC_RE.test(src[start - 1] ?? ' ')
+  );
+  const scan = display ? 1 : 0;
+  if (opens && start >= state.mathScanEnd[scan]) {
+    let i = contentStart;
+    let brackets = 0;
+    for (; i < src.length && src[i] !== '`'; i++) {
+      if (src[i] === '\\') {
+        i++;
+        continue;
+      }
+      if (src[i] === '[') brackets++;
+      if (src[i] === ']' && --brackets < 0) break;
+      if (src[i] !== '$') continue;
+      const closes = display
+        ? src[i + 1] === '$'
+        : /\S/.test(src[i - 1]) && !ALPHANUMERIC_RE.test(src[i + 1] ?? ' ');
+      if (!closes) continue;
+      const value = src.slice(contentStart, i);
+      if (value.trim() === '') break;
+      state.nodes.push({ type: 'math', value: display ? value.trim() : value, display });
+      state.pos = i + (display ? 2 : 1);
+      return;
+    }
+    // No closer before the end, a backtick or an unmatched `]`: a later
+    // opener before that point would stop there too, or sooner
+    if (i >= src.length || src[i] === '`' || brackets < 0) state.mathScanEnd[scan] = i;
+  }
+  state.pushText('$');
+  state.pos++;
+}
+
+/**
+ * Handles a run of `*`, `_` or `~`: pushes it as text and records it on the
+ * delimiter stack with its left/right-flanking status. Only a run of
+ * exactly two tildes can strike through.
+ * @param {InlineState} state
+ */
+function parseDelimiterRun(state) {
+  const { src } = state;
+  const char = src[state.pos];
+  let end = state.pos;
+  while (src[end] === char) end++;
+  const count = end - state.pos;
+  if (char === '~' && count !== 2) {
+    state.pushText(src.slice(state.pos, end));
+    state.pos = end;
+    return;
+  }
+
+  const before = state.pos === 0 ? '\n' : src[state.pos - 1];
+  const after = end >= src.length ? '\n' : src[end];
+  const beforeSpace = WHITESPACE_RE.test(before);
+  const afterSpace = WHITESPACE_RE.test(after);
+  const beforePunct = PUNCTUATION_RE.test(before);
+  const afterPunct = PUNCTUATION_RE.test(after);
+
+  const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+  const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+  let canOpen;
+  let canClose;
+  if (char === '_') {
+    canOpen = leftFlanking && (!rightFlanking || beforePunct);
+    canClose = rightFlanking && (!leftFlanking || afterPunct);
+  } else {
+    canOpen = leftFlanking;
+    canClose = rightFlanking;
+  }
+
+  const node = state.pushText(src.slice(state.pos, end));
+  node.delimiter = true;
+  const delim = {
+    char,
+    count,
+    originalCount: count,
+    node,
+    canOpen,
+    canClose,
+    previous: state.delimiters,
+    next: null,
+  };
+  if (state.delimiters) state.delimiters.next = delim;
+  state.delimiters = delim;
+  state.pos = end;
+}
+
+/**
+ * Resolves emphasis for delimiters above `stackBottom` (CommonMark
+ * "process emphasis" procedure), wrapping the nodes between matched
+ * openers and closers in emphasis/strong nodes.
+ * @param {InlineState} state
+ * @param {object|null} stackBottom
+ */
+function processEmphasis(state, stackBottom) {
+  const openersBottom = {};
+  let closer = state.delimiters;
+  while (closer !== null && closer.previous !== stackBottom) closer = closer.previous;
+
+  while (closer !== null) {
+    if (!closer.canClose) {
+      closer = closer.next;
+      continue;
+    }
+
+    const bottomKey = `${closer.char}${closer.canOpen ? 3 : 0}${closer.originalCount % 3}`;
+    let opener = closer.previous;
+    let openerFound = false;
+    while (opener !== null && opener !== stackBottom && opener !== openersBottom[bottomKey]) {
+      const oddMatch =
+        (closer.canOpen || opener.canClose) &&
+        closer.originalCount % 3 !== 0 &&
+        (opener.originalCount + closer.originalCount) % 3 === 0;
+      if (opener.char === closer.char && opener.canOpen && !oddMatch) {
+        openerFound = true;
+        break;
+      }
+      opener = opener.previous;
+    }
+
+    const oldCloser = closer;
+    if (openerFound) {
+      const used = closer.count >= 2 && opener.count >= 2 ? 2 : 1;
+      opener.count -= used;
+      closer.count -= used;
+      opener.node.value = opener.node.value.slice(0, opener.count);
+      closer.node.value = closer.node.value.slice(0, closer.count);
+
+      const openerIndex = state.nodes.indexOf(opener.node);
+      const closerIndex = state.nodes.indexOf(closer.node);
+      const wrapped = state.nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+      const type = closer.char === '~' ? 'strikethrough' : used === 1 ? 'emphasis' : 'strong';
+      state.nodes.splice(openerIndex + 1, 0, { type, children: wrapped });
+
+      // Delimiters between opener and closer can no longer match
+      opener.next = closer;
+      closer.previous = opener;
+
+      if (opener.count === 0) {
+        state.nodes.splice(state.nodes.indexOf(opener.node), 1);
+        state.removeDelimiter(opener);
+      }
+      if (closer.count === 0) {
+        const next = closer.next;
+        state.nodes.splice(state.nodes.indexOf(closer.node), 1);
+        state.removeDelimiter(closer);
+        closer = next;
+      }
+    } else {
+      closer = closer.next;
+      openersBottom[bottomKey] = oldCloser.previous;
+      if (!oldCloser.canOpen) state.removeDelimiter(oldCloser);
+    }
+  }
+
+  while (state.delimiters !== null && state.delimiters !== stackBottom) {
+    state.removeDelimiter(state.delimiters);
+  }
+}
+
+/**
+ * Handles `[` and `![`: pushes literal text and records a bracket opener.
+ * @param {InlineState} state
+ * @param {boolean} image
+ */
+function parseOpenBracket(state, image) {
+  const node = state.pushText(image ? '![' : '[');
+  state.pos += image ? 2 : 1;
+  if (state.brackets) state.brackets.bracketAfter = true;
+  state.brackets = {
+    node,
+    image,
+    active: true,
+    bracketAfter: false,
+    index: state.pos,
+    previous: state.brackets,
+    previousDelimiter: state.delimiters,
+  };
+}
+
+/**
+ * Handles `]`: tries to close the most recent bracket as an inline link
+ * `[text](url "title")` or a reference link `[text][id]`, `[text][]`, `[text]`.
+ * @param {InlineState} state
+ */
+function parseCloseBracket(state) {
+  const { src } = state;
+  const opener = state.brackets;
+  state.pos++;
+  if (!opener) {
+    state.pushText(']');
+    return;
+  }
+  if (!opener.active) {
+    state.brackets = opener.previous;
+    state.pushText(']');
+    return;
+  }
+
+  const afterBracket = state.pos;
+  let target = null;
+
+  // Inline link: (destination "title")
+  if (src[afterBracket] === '(') {
+    let i = skipSpaces(src, afterBracket + 1);
+    const destination = src[i] === ')' ? { url: '', end: i } : parseLinkDestination(src, i);
+    if (destination) {
+      i = destination.end;
+      const beforeTitle = i;
+      i = skipSpaces(src, i);
+      let title = null;
+      if (i !== beforeTitle) {
+        const parsedTitle = parseLinkTitle(src, i);
+        if (parsedTitle) {
+          title = parsedTitle.title;
+          i = skipSpaces(src, parsedTitle.end);
+        }
+      }
+      if (src[i] === ')') {
+        target = { url: destination.url, title };
+        state.pos = i + 1;
+      }
+    }
+  }
+
+  // Reference link: [text][label], [text][] or [text]
+  if (!target) {
+    let labelLength = parseLinkLabel(src, afterBracket);
+    let label = null;
+    if (labelLength > 2) {
+      label = src.slice(afterBracket + 1, afterBracket + labelLength - 1);
+    } else if (!opener.bracketAfter) {
+      label = src.slice(opener.index, afterBracket - 1);
+      // A collapsed reference's empty `[]` belongs to the link
+      if (src.startsWith('[]', afterBracket)) labelLength = 2;
+    }
+    const reference = label !== null ? state.env.references[normalizeLabel(label)] : undefined;
+    if (reference) {
+      target = { url: reference.url, title: reference.title };
+      state.pos = afterBracket + labelLength;
+    }
+  }
+
+  if (!target) {
+    state.brackets = opener.previous;
+    state.pos = afterBracket;
+    state.pushText(']');
+    return;
+  }
+
+  processEmphasis(state, opener.previousDelimiter);
+  const openerIndex = state.nodes.indexOf(opener.node);
+  const children = state.nodes.splice(openerIndex + 1);
+  const node = opener.image
+    ? { type: 'image', url: target.url, title: target.title, alt: toPlainText(children), children }
+    : { type: 'link', url: target.url, title: target.title, children };
+  state.nodes[openerIndex] = node;
+  state.brackets = opener.previous;
+
+  // Links may not contain other links: deactivate earlier link openers
+  if (!opener.image) {
+    for (let bracket = state.brackets; bracket; bracket = bracket.previous) {
+      if (!bracket.image) bracket.active = false;
+    }
+  }
+}
+
+/**
+ * Handles `[^label]`, a reference to a footnote defined in the document.
+ * @param {InlineState} state
+ * @returns {boolean} whether a footnote reference was produced
+ */
+function parseFootnoteReference(state) {
+  const match = FOOTNOTE_REFERENCE_RE.exec(state.src.slice(state.pos));
+  if (!match) return false;
+  const label = normalizeLabel(match[1]);
+  if (!state.env.footnotes || !(label in state.env.footnotes)) return false;
+  state.nodes.push({ type: 'footnoteReference', label });
+  state.pos += match[0].length;
+  return true;
+}
+
+/**
+ * Handles `<`: autolinks (`<https://...>`, `<user@example.com>`) and raw
+ * inline HTML; anything else is a literal `<`.
+ * @param {InlineState} state
+ */
+function parseAngleBracket(state) {
+  const rest = state.src.slice(state.pos);
+  const uri = rest.match(URI_AUTOLINK_RE);
+  if (uri) {
+    state.nodes.push({ type: 'link', url: uri[1], title: null, autolink: true, children: [{ type: 'text', value: uri[1] }] });
+    state.pos += uri[0].length;
+    return;
+  }
+  const email = rest.match(EMAIL_AUTOLINK_RE);
+  if (email) {
+    state.nodes.push({
+      type: 'link',
+      url: `mailto:${email[1]}`,
+      title: null,
+      autolink: true,
+      children: [{ type: 'text', value: email[1] }],
+    });
+    state.pos += email[0].length;
+    return;
+  }
+  const html = rest.match(HTML_INLINE_RE);
+  if (html) {
+    state.nodes.push({ type: 'htmlInline', value: html[0] });
+    state.pos += html[0].length;
+    return;
+  }
+  state.pushText('<');
+  state.pos++;
+}
+
+/**
+ * Handles `&`: decodes a character reference, or emits a literal `&`.
+ * @param {InlineState} state
+ */
+function parseEntity(state) {
+  const match = state.src.slice(state.pos).match(ENTITY_RE);
+  const decoded = match ? decodeEntity(match[0]) : null;
+  if (decoded !== null) {
+    state.pushText(decoded);
+    state.pos += match[0].length;
+  } else {
+    state.pushText('&');
+    state.pos++;
+  }
+}
+
+/**
+ * Handles a bare `http://` or `https://` URL outside of link text.
+ * Trailing punctuation and unbalanced closing parentheses are not part of
+ * the link.
+ * @param {InlineState} state
+ * @returns {boolean} whether a link was produced
+ */
+function parseBareUrl(state) {
+  const before = state.pos === 0 ? ' ' : state.src[state.pos - 1];
+  if (state.brackets || !/[\s(*_~]/.test(before)) return false;
+  const match = state.src.slice(state.pos).match(BARE_URL_RE);
+  if (!match) return false;
+
+  let url = match[0].replace(/[?!.,:;*_~'"]+$/, '');
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1).replace(/[?!.,:;*_~'"]+$/, '');
+  }
+  if (/^https?:\/\/$/.test(url)) return false;
+
+  state.nodes.push({ type: 'link', url, title: null, autolink: true, children: [{ type: 'text', value: url }] });
+  state.pos += url.length;
+  return true;
+}
+
+/**
+ * Merges adjacent text nodes and drops empty ones, recursively.
+ * @param {object[]} nodes
+ * @returns {object[]}
+ */
+function mergeText(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      delete node.delimiter;
+      if (node.value === '') continue;
+      const last = merged[merged.length - 1];
+      if (last && last.type === 'text') {
+        last.value += node.value;
+        continue;
+      }
+    } else if (node.children) {
+      node.children = mergeText(node.children);
+    }
+    merged.push(node);
+  }
+  return merged;
+}
+
+/**
+ * Offers the current position to plugin inline rules in order.
+ * @param {InlineState} state
+ * @param {object[]} rules
+ * @returns {boolean} whether a rule consumed input
+ * @throws {Error} if a rule reports a match without advancing
+ */
+function tryPluginRules(state, rules) {
+  const start = state.pos;
+  for (const rule of rules) {
+    if (!rule.parse(state)) continue;
+    if (state.pos <= start) throw new Error(`Inline rule "${rule.name}" matched without consuming input`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Indexes plugin inline rules by trigger character and builds the pattern
+ * that ends a plain-text run at any built-in or plugin trigger.
+ * @param {object[]} rules — in priority order
+ * @returns {{ byTrigger: Map<string, object[]>, specialRe: RegExp }}
+ */
+function pluginDispatch(rules) {
+  let dispatch = pluginDispatchCache.get(rules);
+  if (!dispatch) {
+    const byTrigger = new Map();
+    for (const rule of rules) {
+      for (const trigger of rule.triggers) {
+        if (!byTrigger.has(trigger)) byTrigger.set(trigger, []);
+        byTrigger.get(trigger).push(rule);
+      }
+    }
+    dispatch = { byTrigger, specialRe: charClass(SPECIAL_CHARS + [...byTrigger.keys()].join('')) };
+    pluginDispatchCache.set(rules, dispatch);
+  }
+  return dispatch;
+}
+
+/**
+ * Parses inline Markdown into AST nodes.
+ * @param {string} src — raw inline text (leading/trailing whitespace already trimmed)
+ * @param {{ references: object, footnotes?: object, inlineRules?: object[], extensions?: object }} env
+ *   — document-wide parse environment with the link reference and footnote
+ *   definitions collected by the block parser, any plugin inline rules (see
+ *   src/plugins.js) and the parser options that switch extensions on
+ * @returns {object[]} inline nodes
+ */
+export function parseInline(src, env) {
+  const state = new InlineState(src, env);
+  const { byTrigger, specialRe } = env.inlineRules?.length
+    ? pluginDispatch(env.inlineRules)
+    : { byTrigger: null, specialRe: SPECIAL_CHARS_RE };
+
+  while (state.pos < src.length) {
+    const ch = src[state.pos];
+    const pluginRules = byTrigger?.get(ch);
+    if (pluginRules && tryPluginRules(state, pluginRules)) continue;
+
+    switch (ch) {
+      case '\n':
+        parseNewline(state);
+        break;
+      case '\\':
+        parseBackslash(state);
+        break;
+      case '`':
+        parseBackticks(state);
+        break;
+      case '*':
+      case '_':
+        parseDelimiterRun(state);
+        break;
+      case '~':
+        if (state.env.extensions?.strikethrough) {
+          parseDelimiterRun(state);
+        } else {
+          state.pushText('~');
+          state.pos++;
+        }
+        break;
+      case '$':
+        if (state.env.extensions?.math) {
+          parseDollar(state);
+        } else {
+          state.pushText('$');
+          state.pos++;
+        }
+        break;
+      case '[':
+        if (src[state.pos + 1] === '^' && parseFootnoteReference(state)) break;
+        parseOpenBracket(state, false);
+        break;
+      case '!':
+        if (src[state.pos + 1] === '[') {
+          parseOpenBracket(state, true);
+        } else {
+          state.pushText('!');
+          state.pos++;
+        }
+        break;
+      case ']':
+        parseCloseBracket(state);
+        break;
+      case '<':
+        parseAngleBracket(state);
+        break;
+      case '&':
+        parseEntity(state);
+        break;
+      default: {
+        if (ch === 'h' && parseBareUrl(state)) break;
+        // Plain text up to the next special character
+        const rest = src.slice(state.pos + 1);
+        const next = rest.search(specialRe);
+        const end = next === -1 ? src.length : state.pos + 1 + next;
+        state.pushText(src.slice(state.pos, end));
+        state.pos = end;
+      }
+    }
+  }
+
+  processEmphasis(state, null);
+  return mergeText(state.nodes);
+}
@@ -0,0 +1,212 @@
+/**
+ * src/links.js
+ * Links between documents. Relative links to Markdown files are rewritten
+ * to the pages they become (`setup.md#install` → `setup.html#install`), the
+ * same way deriveOutputPath names output files, so they keep working in the
+ * generated site. checkLinks finds links whose target file does not exist
+ * or whose `#fragment` matches no heading id in the target.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { dirname, extname, relative, resolve } from 'path';
+import { parseToAst } from './parser.js';
+import { extractFrontMatter } from './frontMatter.js';
+import { applyHeadingOptions } from './headings.js';
+import { resolveIncludes } from './includes.js';
+import { footnoteRefId } from './footnotes.js';
+
+const MARKDOWN_EXT_RE = /\.(?:md|markdown)$/i;
+
+// Scheme (`https:`, `mailto:`), protocol-relative and root-relative URLs
+// point outside the document tree
+const NON_RELATIVE_RE = /^(?:[A-Za-z][A-Za-z0-9+.-]*:|\/)/;
+
+// id and name attributes in raw HTML, which are link targets too
+const HTML_ANCHOR_RE = /\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+
+/**
+ * Splits a URL into its path and the `?query#fragment` rest.
+ * @param {string} url
+ * @returns {{ path: string, suffix: string, fragment: string | null }}
+ */
+function splitUrl(url) {
+  const match = /^([^?#]*)(\?[^#]*)?(?:#(.*))?$/s.exec(url);
+  return {
+    path: match[1],
+    suffix: url.slice(match[1].length),
+    fragment: match[3] ?? null,
+  };
+}
+
+/**
+ * Checks whether a URL is relative to the document (`setup.md`,
+ * `../guide/`, `#install`).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isRelativeUrl(url) {
+  return !NON_RELATIVE_RE.test(url);
+}
+
+/**
+ * Rewrites relative links to Markdown files to their HTML pages, in place.
+ * Query strings and fragments are kept; images are left alone.
+ * @param {object} ast — document node from parseToAst
+ * @returns {object} the same AST
+ */
+export function rewriteLinks(ast) {
+  const visit = (node) => {
+    if (node.type === 'link' && isRelativeUrl(node.url)) {
+      const { path, suffix } = splitUrl(node.url);
+      if (MARKDOWN_EXT_RE.test(path)) {
+        node.url = `${path.slice(0, -extname(path).length)}.html${suffix}`;
+      }
+    }
+    for (const child of node.children ?? []) visit(child);
+  };
+  visit(ast);
+  return ast;
+}
+
+/**
+ * Lists the links of a document with the source line each is on.
+ * Inline nodes have no positions of their own: a link's line is its block's
+ * first line plus the line breaks before it in the block.
+ * @param {object} ast — document node from parseToAst
+ * @param {number} [lineOffset=0] — added to every line, e.g. for front matter
+ * @returns {{ url: string, line: number }[]}
+ */
+export function collectLinks(ast, lineOffset = 0) {
+  const links = [];
+  let line = 1;
+  const visit = (node) => {
+    if (node.position) line = node.position.start;
+    if (node.type === 'softBreak' || node.type === 'hardBreak') line++;
+    if (node.type === 'link') links.push({ url: node.url, line: line + lineOffset });
+    for (const child of node.children ?? []) {
+      const saved = line;
+      visit(child);
+      // Sibling blocks have positions of their own; inline siblings go on
+      // from where the last one left off
+      if (child.position) line = saved;
+    }
+  };
+  visit(ast);
+  return links;
+}
+
+/**
+ * Collects the ids a document's links can point at: heading ids, footnote
+ * ids, and `id` / `name` attributes in raw HTML.
+ * @param {object} ast — document node, after applyHeadingOptions
+ * @returns {Set<string>}
+ */
+export function collectAnchors(ast) {
+  const anchors = new Set();
+  const visit = (node) => {
+    if (node.type === 'heading' && node.id) anchors.add(node.id);
+    if (node.type === 'footnoteDefinition') anchors.add(`fn-${node.number}`);
+    if (node.type === 'footnoteReference') anchors.add(footnoteRefId(node.number, node.index));
+    if ((node.type === 'htmlBlock' || node.type === 'htmlInline') && typeof node.value === 'string') {
+      for (const match of node.value.matchAll(HTML_ANCHOR_RE)) anchors.add(match[1] ?? match[2] ?? match[3]);
+    }
+    for (const child of node.children ?? []) visit(child);
+  };
+  visit(ast);
+  return anchors;
+}
+
+/**
+ * Decodes a percent-encoded URL path, leaving malformed ones as they are.
+ * @param {string} path
+ * @returns {string}
+ */
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Checks the relative links of Markdown files: the file a link points to
+ * must exist and, when it is a Markdown file, a `#fragment` must match one
+ * of its heading ids (or an id in its raw HTML). A bare `#fragment` is
+ * checked against the file itself. Linked Markdown files outside `files`
+ * are read as needed. Includes are resolved as in convertString, so links
+ * in included files are checked (relative to the including file, where they
+ * end up) and headings in them can be linked to.
+ * @param {string[]} files — Markdown file paths
+ * @param {object} [options] — parser options, as used for the build, so
+ *   that heading ids match the generated ones; `includes: false` or `safe`
+ *   leaves includes alone
+ * @returns {Promise<{ file: string, line: number, url: string, reason: string, includedIn?: string }[]>}
+ *   the broken links, in file and line order; for a link in an included
+ *   file, `file` and `line` locate it there and `includedIn` is the file
+ *   being checked. A link in a file included more than once is reported
+ *   once per distinct problem.
+ */
+export async function checkLinks(files, options = {}) {
+  const documents = new Map();
+
+  /**
+   * Parses a Markdown file once. Files that cannot be read or parsed have
+   * no links and no anchors; building them reports the problem.
+   * @param {string} path — absolute
+   * @returns {Promise<{ links: { url: string, path: string, line: number }[], anchors: Set<string> }>}
+   *   each link with the file and line it was written at
+   */
+  const load = async (path) => {
+    if (!documents.has(path)) {
+      documents.set(path, (async () => {
+        try {
+          const { content, lines } = extractFrontMatter(await readFile(path, 'utf-8'));
+          const { markdown, origins } = options.includes !== false && !options.safe
+            ? await resolveIncludes(content, { sourcePath: path, lineOffset: lines })
+            : { markdown: content, origins: null };
+          const ast = applyHeadingOptions(parseToAst(markdown, options), options);
+          const links = collectLinks(ast).map(({ url, line }) => ({
+            url,
+            ...(origins?.[line - 1] ?? { path, line: line + lines }),
+          }));
+          return { links, anchors: collectAnchors(ast) };
+        } catch {
+          return { links: [], anchors: new Set() };
+        }
+      })());
+    }
+    return documents.get(path);
+  };
+
+  const broken = [];
+  const reported = new Set();
+  for (const file of files.map((path) => resolve(path))) {
+    const { links } = await load(file);
+    for (const { url, path: source, line } of links) {
+      if (!isRelativeUrl(url)) continue;
+      const { path, fragment } = splitUrl(url);
+      const target = path === '' ? file : resolve(dirname(file), decodePath(path));
+      const report = (reason) => {
+        const key = JSON.stringify([source, line, url, reason]);
+        if (reported.has(key)) return;
+        reported.add(key);
+        broken.push(source === file ? { file, line, url, reason } : { file: source, line, url, reason, includedIn: file });
+      };
+
+      const info = await stat(target).catch(() => null);
+      if (!info) {
+        report(`${relative(dirname(file), target) || target} does not exist`);
+        continue;
+      }
+      if (fragment === null || fragment === '' || !info.isFile() || !MARKDOWN_EXT_RE.test(target)) continue;
+
+      const { anchors } = await load(target);
+      const id = decodePath(fragment);
+      if (!anchors.has(id)) {
+        report(path === '' ? `no heading with id "${id}"` : `no heading with id "${id}" in ${relative(dirname(file), target)}`);
+      }
+    }
+  }
+  return broken;
+}
@@ -0,0 +1,135 @@
+/**
+ * src/manifest.js
+ * The build manifest that makes batch builds incremental. It records, for
+ * each output, a hash of everything the output was built from: the source,
+ * the template, plugins and inlined stylesheets, the options (which include
+ * the project config), the files it includes and the md2html version. A
+ * file whose hash is unchanged, and whose output is still there, need not
+ * be rebuilt.
+ * The manifest is a hidden file in the output directory, so batch builds
+ * never mistake it for a source.
+ */
+
+import { createHash } from 'crypto';
+import { readFile as fsReadFile, writeFile as fsWriteFile, mkdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { isStylesheetUrl } from './stylesheets.js';
+import { isPathSpecifier } from './plugins.js';
+
+/**
+ * File name of the manifest, in the output directory.
+ * @type {string}
+ */
+export const MANIFEST_FILE = '.md2html-manifest.json';
+
+// Bumped when the manifest format changes; older manifests are ignored
+const MANIFEST_VERSION = 1;
+
+const { version: MD2HTML_VERSION } = JSON.parse(
+  await fsReadFile(new URL('../package.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Hashes strings and buffers together.
+ * @param {...(string|Buffer)} parts
+ * @returns {string} hex SHA-256
+ */
+export function hashContent(...parts) {
+  const hash = createHash('sha256');
+  for (const part of parts) {
+    hash.update(part);
+    // Keeps ('ab', 'c') and ('a', 'bc') apart
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Reads a file for hashing; a file that cannot be read hashes as empty, so
+ * the build itself reports the problem.
+ * @param {string} path
+ * @returns {Promise<Buffer|string>}
+ */
+async function readForHash(path) {
+  try {
+    return await fsReadFile(path);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Hashes everything besides the source that a batch build's output
+ * depends on. Templates, plugins and inlined stylesheets given as paths
+ * are hashed by content; plugin objects and compiled templates passed in
+ * code are hashed by their source text.
+ * @param {object} convertOptions — as passed to convert()
+ * @returns {Promise<string>}
+ */
+export async function buildFingerprint(convertOptions) {
+  const parts = [
+    MD2HTML_VERSION,
+    JSON.stringify(convertOptions, (key, value) => (typeof value === 'function' ? String(value) : value)),
+  ];
+  if (typeof convertOptions.template === 'string') parts.push(await readForHash(resolve(convertOptions.template)));
+  for (const plugin of convertOptions.plugins ?? []) {
+    if (typeof plugin === 'string' && isPathSpecifier(plugin)) parts.push(await readForHash(resolve(plugin)));
+  }
+  if (convertOptions.inlineCss) {
+    for (const entry of convertOptions.css ?? []) {
+      if (!isStylesheetUrl(entry)) parts.push(await readForHash(resolve(entry)));
+    }
+  }
+  return hashContent(...parts);
+}
+
+/**
+ * Extends a hash with the content of other files an output was built from,
+ * such as the files a page includes.
+ * @param {string} hash
+ * @param {string[]} [paths]
+ * @returns {Promise<string>} `hash` itself when there are no paths
+ */
+export async function hashDependencies(hash, paths = []) {
+  if (paths.length === 0) return hash;
+  const contents = [];
+  for (const path of paths) contents.push(await readForHash(path));
+  return hashContent(hash, ...contents);
+}
+
+/**
+ * Reads the manifest of an output directory. A missing, unreadable or
+ * outdated manifest reads as empty, which rebuilds everything.
+ * @param {string} dir — output directory
+ * @returns {Promise<{ entries: Record<string, { output: string, hash: string, includes?: string[] }> }>}
+ *   entries are keyed by source path, and list the files the source
+ *   includes; paths are relative to dir, with forward slashes
+ */
+export async function readManifest(dir) {
+  try {
+    const manifest = JSON.parse(await fsReadFile(join(dir, MANIFEST_FILE), 'utf-8'));
+    if (manifest.version === MANIFEST_VERSION && manifest.entries && typeof manifest.entries === 'object') {
+      return { entries: manifest.entries };
+    }
+  } catch {
+    // Rebuild from scratch
+  }
+  return { entries: {} };
+}
+
+/**
+ * Writes the manifest of an output directory.
+ * @param {string} dir — output directory
+ * @param {{ entries: object }} manifest
+ * @returns {Promise<void>}
+ * @throws {Error} if the file cannot be written
+ */
+export async function writeManifest(dir, manifest) {
+  const path = join(dir, MANIFEST_FILE);
+  try {
+    await mkdir(dir, { recursive: true });
+    await fsWriteFile(path, `${JSON.stringify({ version: MANIFEST_VERSION, entries: manifest.entries }, null, 2)}\n`, 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to write build manifest ${path}: ${err.message}`);
+  }
+}
@@ -0,0 +1,446 @@
+/**
+ * src/math.js
+ * TeX math to MathML, at build time, so pages need no client-side script.
+ * A practical subset of LaTeX is supported: fractions, roots and binomials,
+ * sub- and superscripts, Greek letters and common symbols, sums, products,
+ * integrals and limits, `\left`/`\right` delimiters, accents, fonts, `\text`
+ * and the matrix, cases and aligned environments. Math that uses anything
+ * else is shown as its source instead (see renderMath).
+ */
+
+// Commands (`\alpha`, `\{`, `\,`), numbers, whitespace and single characters
+const TOKEN_RE = /\\(?:[A-Za-z]+|[^A-Za-z])|\d+(?:\.\d+)?|\s+|./gsu;
+
+const WHITESPACE_RE = /^\s+$/;
+const LETTER_RE = /^\p{L}$/u;
+const NUMBER_RE = /^\d/;
+
+// Characters that are operators as they are; `-` gets a proper minus sign
+const OPERATOR_CHARS = {
+  '+': '+', '-': '−', '=': '=', '<': '<', '>': '>', ',': ',', ';': ';', ':': ':',
+  '!': '!', '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '*': '∗',
+  '.': '.', '?': '?', '@': '@',
+};
+
+const IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+  zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+  lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+  varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  infty: '∞', ell: 'ℓ', hbar: 'ℏ', aleph: 'ℵ', emptyset: '∅', varnothing: '∅',
+  partial: '∂', nabla: '∇', Re: 'ℜ', Im: 'ℑ',
+};
+
+// Capital Greek letters are upright
+const UPRIGHT_IDENTIFIERS = {
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+const OPERATORS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆',
+  circ: '∘', bullet: '∙', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠',
+  ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+  propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋',
+  subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪',
+  cap: '∩', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+  neg: '¬', lnot: '¬', forall: '∀', exists: '∃', to: '→', rightarrow: '→',
+  leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦',
+  uparrow: '↑', downarrow: '↓', oplus: '⊕', otimes: '⊗', perp: '⊥',
+  parallel: '∥', mid: '∣', cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮',
+  ddots: '⋱', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋',
+  lceil: '⌈', rceil: '⌉', prime: '′', angle: '∠', colon: ':',
+  '{': '{', '}': '}', '|': '‖', '$': '$', '%': '%', '&': '&', '#': '#', _: '_',
+};
+
+// Limits go under and over these (in display math)
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+};
+
+// Limits go beside these, as sub- and superscripts
+const INTEGRALS = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'sinh', 'cosh', 'tanh', 'coth',
+  'arcsin', 'arccos', 'arctan', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker',
+  'deg', 'gcd', 'arg', 'hom', 'Pr',
+];
+
+const LIMIT_FUNCTIONS = {
+  lim: 'lim', liminf: 'lim inf', limsup: 'lim sup', max: 'max', min: 'min', sup: 'sup', inf: 'inf',
+};
+
+const SPACES = {
+  ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', '!': '-0.1667em',
+  ' ': '0.3333em', quad: '1em', qquad: '2em',
+};
+
+const FONTS = {
+  mathrm: 'normal', mathbf: 'bold', mathit: 'italic', mathbb: 'double-struck',
+  mathcal: 'script', mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace',
+  boldsymbol: 'bold-italic',
+};
+
+const ACCENTS = {
+  hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', dot: '˙', ddot: '¨',
+  tilde: '~', widetilde: '~', check: 'ˇ', breve: '˘', acute: '´', grave: '`',
+};
+
+const FRACTIONS = ['frac', 'dfrac', 'tfrac', 'cfrac'];
+
+// Matrix-like environments, with their fences and column alignment
+const ENVIRONMENTS = {
+  matrix: {},
+  pmatrix: { open: '(', close: ')' },
+  bmatrix: { open: '[', close: ']' },
+  Bmatrix: { open: '{', close: '}' },
+  vmatrix: { open: '|', close: '|' },
+  Vmatrix: { open: '‖', close: '‖' },
+  cases: { open: '{', align: 'left left' },
+  aligned: { align: 'right left' },
+};
+
+/**
+ * Escapes text for MathML content and attributes.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Groups MathML elements into one.
+ * @param {string[]} items
+ * @returns {string}
+ */
+function row(items) {
+  return items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`;
+}
+
+/**
+ * Builds an `<mo>` element.
+ * @param {string} text
+ * @param {string} [attrs=''] — attributes, with a leading space
+ * @returns {string}
+ */
+function mo(text, attrs = '') {
+  return `<mo${attrs}>${escapeXml(text)}</mo>`;
+}
+
+/**
+ * Wraps content in fences, as `\left` and `\right` do.
+ * @param {string} open — '' for none
+ * @param {string} content
+ * @param {string} close — '' for none
+ * @returns {string}
+ */
+function fenced(open, content, close) {
+  const fence = (text) => (text ? mo(text, ' fence="true" stretchy="true"') : '');
+  return `<mrow>${fence(open)}${content}${fence(close)}</mrow>`;
+}
+
+/**
+ * Recursive-descent parser from TeX tokens to MathML.
+ */
+class TexParser {
+  /**
+   * @param {string} tex
+   */
+  constructor(tex) {
+    this.tokens = tex.match(TOKEN_RE) ?? [];
+    this.pos = 0;
+    // mathvariant for letters, set by font commands
+    this.variant = null;
+  }
+
+  /**
+   * Returns the next token without consuming it, skipping whitespace.
+   * @returns {string|undefined}
+   */
+  peek() {
+    while (this.pos < this.tokens.length && WHITESPACE_RE.test(this.tokens[this.pos])) this.pos++;
+    return this.tokens[this.pos];
+  }
+
+  /**
+   * Consumes the next token, skipping whitespace.
+   * @returns {string}
+   * @throws {Error} at the end of the input
+   */
+  next() {
+    const token = this.peek();
+    if (token === undefined) throw new Error('Unexpected end of math');
+    this.pos++;
+    return token;
+  }
+
+  /**
+   * Consumes a token that must be `expected`.
+   * @param {string} expected
+   * @throws {Error} if the next token is different
+   */
+  expect(expected) {
+    const token = this.peek();
+    if (token !== expected) throw new Error(`Expected ${expected} but found ${token ?? 'the end of math'}`);
+    this.pos++;
+  }
+
+  /**
+   * Parses terms until one of the `stops` tokens (left unconsumed) or the end.
+   * @param {string[]} [stops=[]]
+   * @returns {string[]} MathML elements
+   */
+  parseExpression(stops = []) {
+    const items = [];
+    for (let token = this.peek(); token !== undefined && !stops.includes(token); token = this.peek()) {
+      items.push(this.parseTerm());
+    }
+    return items;
+  }
+
+  /**
+   * Parses an atom with any sub- and superscripts and primes.
+   * @returns {string}
+   */
+  parseTerm() {
+    const next = this.peek();
+    const atom = next === '^' || next === '_' || next === "'" ? { xml: '<mrow></mrow>' } : this.parseAtom();
+    let sub = null;
+    const sup = [];
+    while (this.peek() === "'") {
+      this.pos++;
+      sup.push(mo('′'));
+    }
+    let hasSup = false;
+    for (let token = this.peek(); token === '^' || token === '_'; token = this.peek()) {
+      this.pos++;
+      if (token === '_') {
+        if (sub !== null) throw new Error('Double subscript');
+        sub = this.parseArgument();
+      } else {
+        if (hasSup) throw new Error('Double superscript');
+        hasSup = true;
+        sup.push(this.parseArgument());
+      }
+    }
+    if (sub === null && sup.length === 0) return atom.xml;
+
+    const over = sup.length > 0 ? row(sup) : null;
+    const [under, above, both] = atom.limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+    if (sub !== null && over !== null) return `<${both}>${atom.xml}${sub}${over}</${both}>`;
+    if (sub !== null) return `<${under}>${atom.xml}${sub}</${under}>`;
+    return `<${above}>${atom.xml}${over}</${above}>`;
+  }
+
+  /**
+   * Parses a command or script argument: a group, or a single atom (of a
+   * number, only its first digit, as TeX does).
+   * @returns {string}
+   */
+  parseArgument() {
+    const token = this.peek();
+    if (token === undefined) throw new Error('Missing argument');
+    if (NUMBER_RE.test(token) && token.length > 1) {
+      this.tokens[this.pos] = token.slice(1);
+      return `<mn>${token[0]}</mn>`;
+    }
+    return this.parseAtom().xml;
+  }
+
+  /**
+   * Parses a `{group}`.
+   * @returns {string}
+   */
+  parseGroup() {
+    this.expect('{');
+    const items = this.parseExpression(['}']);
+    this.expect('}');
+    return row(items);
+  }
+
+  /**
+   * Reads the raw text of a `{group}`, for `\text` and environment names.
+   * @returns {string}
+   */
+  parseText() {
+    this.expect('{');
+    let depth = 0;
+    let text = '';
+    for (;;) {
+      const token = this.tokens[this.pos++];
+      if (token === undefined) throw new Error('Unterminated group');
+      if (token === '}' && depth === 0) return text;
+      if (token === '{') depth++;
+      if (token === '}') depth--;
+      else if (token !== '{') text += token.startsWith('\\') && token.length === 2 ? token.slice(1) : token;
+    }
+  }
+
+  /**
+   * Parses one atom: a group, identifier, number, operator or command.
+   * @returns {{ xml: string, limits?: boolean }}
+   * @throws {Error} for unsupported syntax
+   */
+  parseAtom() {
+    const token = this.next();
+    if (token === '{') {
+      this.pos--;
+      return { xml: this.parseGroup() };
+    }
+    if (token.startsWith('\\')) return this.parseCommand(token.slice(1));
+    if (NUMBER_RE.test(token)) return { xml: `<mn>${token}</mn>` };
+    if (LETTER_RE.test(token)) {
+      const variant = this.variant ? ` mathvariant="${this.variant}"` : '';
+      return { xml: `<mi${variant}>${escapeXml(token)}</mi>` };
+    }
+    if (token in OPERATOR_CHARS) return { xml: mo(OPERATOR_CHARS[token]) };
+    if (token === "'") return { xml: mo('′') };
+    if (token === '~') return { xml: `<mspace width="${SPACES[' ']}"></mspace>` };
+    throw new Error(`Unexpected ${token}`);
+  }
+
+  /**
+   * Parses a command and its arguments.
+   * @param {string} name — without the backslash
+   * @returns {{ xml: string, limits?: boolean }}
+   * @throws {Error} for unsupported commands
+   */
+  parseCommand(name) {
+    if (name in IDENTIFIERS) return { xml: `<mi>${IDENTIFIERS[name]}</mi>` };
+    if (name in UPRIGHT_IDENTIFIERS) return { xml: `<mi mathvariant="normal">${UPRIGHT_IDENTIFIERS[name]}</mi>` };
+    if (name in OPERATORS) return { xml: mo(OPERATORS[name]) };
+    if (name in LARGE_OPERATORS) return { xml: mo(LARGE_OPERATORS[name]), limits: true };
+    if (name in INTEGRALS) return { xml: mo(INTEGRALS[name]) };
+    if (FUNCTIONS.includes(name)) return { xml: `<mi>${name}</mi>` };
+    if (name in LIMIT_FUNCTIONS) return { xml: mo(LIMIT_FUNCTIONS[name], ' movablelimits="true"'), limits: true };
+    if (name in SPACES) return { xml: `<mspace width="${SPACES[name]}"></mspace>` };
+
+    if (FRACTIONS.includes(name)) {
+      const numerator = this.parseArgument();
+      return { xml: `<mfrac>${numerator}${this.parseArgument()}</mfrac>` };
+    }
+    if (name === 'binom') {
+      const n = this.parseArgument();
+      return { xml: fenced('(', `<mfrac linethickness="0">${n}${this.parseArgument()}</mfrac>`, ')') };
+    }
+    if (name === 'sqrt') {
+      if (this.peek() === '[') {
+        this.pos++;
+        const index = row(this.parseExpression([']']));
+        this.expect(']');
+        return { xml: `<mroot>${this.parseArgument()}${index}</mroot>` };
+      }
+      return { xml: `<msqrt>${this.parseArgument()}</msqrt>` };
+    }
+    if (name === 'text' || name === 'textrm' || name === 'mbox') {
+      return { xml: `<mtext>${escapeXml(this.parseText())}</mtext>` };
+    }
+    if (name === 'operatorname') return { xml: `<mi>${escapeXml(this.parseText())}</mi>` };
+    if (name in FONTS) {
+      const saved = this.variant;
+      this.variant = FONTS[name];
+      try {
+        return { xml: this.parseArgument() };
+      } finally {
+        this.variant = saved;
+      }
+    }
+    if (name in ACCENTS) {
+      const stretchy = name.startsWith('wide') || name === 'overline' ? 'true' : 'false';
+      return { xml: `<mover accent="true">${this.parseArgument()}${mo(ACCENTS[name], ` stretchy="${stretchy}"`)}</mover>` };
+    }
+    if (name === 'underline') {
+      return { xml: `<munder accentunder="true">${this.parseArgument()}${mo('_', ' stretchy="true"')}</munder>` };
+    }
+    if (name === 'left') {
+      const open = this.parseDelimiter();
+      const content = row(this.parseExpression(['\\right']));
+      this.expect('\\right');
+      return { xml: fenced(open, content, this.parseDelimiter()) };
+    }
+    if (name === 'begin') return { xml: this.parseEnvironment() };
+    throw new Error(`Unsupported command \\${name}`);
+  }
+
+  /**
+   * Parses the delimiter after `\left` or `\right`; `.` is none.
+   * @returns {string}
+   */
+  parseDelimiter() {
+    const token = this.next();
+    if (token === '.') return '';
+    if (token in OPERATOR_CHARS) return OPERATOR_CHARS[token];
+    if (token.startsWith('\\') && token.slice(1) in OPERATORS) return OPERATORS[token.slice(1)];
+    throw new Error(`Unsupported delimiter ${token}`);
+  }
+
+  /**
+   * Parses a `\begin{env}` ... `\end{env}` environment into a table; cells
+   * are separated by `&` and rows by `\\`.
+   * @returns {string}
+   */
+  parseEnvironment() {
+    const name = this.parseText();
+    const environment = ENVIRONMENTS[name];
+    if (!environment) throw new Error(`Unsupported environment ${name}`);
+
+    const rows = [];
+    let cells = [];
+    for (;;) {
+      cells.push(row(this.parseExpression(['&', '\\\\', '\\end'])));
+      const token = this.next();
+      if (token === '&') continue;
+      rows.push(cells);
+      cells = [];
+      if (token === '\\end') break;
+    }
+    if (this.parseText() !== name) throw new Error(`\\begin{${name}} ended by a different \\end`);
+    // A trailing `\\` leaves an empty last row
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0] === '<mrow></mrow>') rows.pop();
+
+    const align = environment.align ? ` columnalign="${environment.align}"` : '';
+    const table = `<mtable${align}>${rows
+      .map((cellsOfRow) => `<mtr>${cellsOfRow.map((cell) => `<mtd>${cell}</mtd>`).join('')}</mtr>`)
+      .join('')}</mtable>`;
+    return environment.open ? fenced(environment.open, table, environment.close ?? '') : table;
+  }
+}
+
+/**
+ * Converts TeX math to a MathML `<math>` element.
+ * @param {string} tex — math source, without the `$` delimiters
+ * @param {{ display?: boolean }} [options] — `display` for block math
+ * @returns {string}
+ * @throws {Error} if the math uses syntax or commands outside the supported
+ *   subset, or its braces do not balance
+ */
+export function texToMathml(tex, { display = false } = {}) {
+  const parser = new TexParser(tex);
+  const items = parser.parseExpression();
+  if (parser.peek() !== undefined) throw new Error(`Unexpected ${parser.peek()}`);
+  return `<math${display ? ' display="block"' : ''}>${row(items)}</math>`;
+}
+
+/**
+ * Renders math as MathML, or, when it uses unsupported syntax, as its
+ * escaped source with its delimiters in a `<span class="math">` (a `<div>`
+ * for a block of math), where a client-side renderer can still pick it up.
+ * @param {string} tex — math source, without the `$` delimiters
+ * @param {{ display?: boolean, block?: boolean }} [options] — `display` for
+ *   display math, `block` for math standing in place of a block element
+ * @returns {string}
+ */
+export function renderMath(tex, { display = false, block = false } = {}) {
+  try {
+    return texToMathml(tex, { display });
+  } catch {
+    const source = display ? `$$${tex}$$` : `$${tex}$`;
+    const tag = block ? 'div' : 'span';
+    return `<${tag} class="math${display ? ' display' : ''}">${escapeXml(source)}</${tag}>`;
+  }
+}
@@ -1,198 +1,157 @@
 /**
  * src/parser.js
- * Pure function Markdown-to-HTML parser using a regex pipeline.
- * Processing order:
- *   1. Extract fenced code blocks as placeholders (protect from further transforms)
- *   2. Block-level: headings, paragraphs
- *   3. Inline: bold, italic, inline code, links
- *   4. Restore code block placeholders
+ * Markdown parser public API.
+ * Parsing happens in two passes over a real tokenizer rather than regex
+ * replacements on the whole document:
+ *   1. Block-level (src/blockParser.js): lines → tree of block nodes; link
+ *      reference definitions are collected from the whole document
+ *   2. Inline (src/inlineParser.js): the raw text of paragraphs, headings and
+ *      table cells → inline nodes (emphasis, code spans, links, images, ...)
+ * The resulting AST is rendered to HTML by src/renderer.js.
  */
 
-const PLACEHOLDER_PREFIX = '\x00CODE_BLOCK_';
-const PLACEHOLDER_SUFFIX = '\x00';
+import { parseBlocks } from './blockParser.js';
+import { parseInline } from './inlineParser.js';
+import { renderHtml } from './renderer.js';
+import { applyHeadingOptions, createToc } from './headings.js';
+import { resolvePlugins } from './plugins.js';
+import { rewriteLinks } from './links.js';
+import { resolveFootnotes } from './footnotes.js';
 
-/**
- * Escapes HTML special characters in a string.
- * @param {string} str
- * @returns {string}
- */
-export function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+export { escapeHtml, renderHtml } from './renderer.js';
 
 /**
- * Step 1: Extract fenced code blocks, replacing them with placeholders.
- * Supports optional language tag: ```js ... ```
- * @param {string} markdown
- * @returns {{ text: string, blocks: string[] }}
+ * Markdown extensions beyond CommonMark, by the parser option that
+ * switches each off (they are on by default).
+ * @type {string[]}
  */
-export function extractCodeBlocks(markdown) {
-  const blocks = [];
-  const text = markdown.replace(
-    /```([\w]*)\n?([\s\S]*?)```/g,
-    (match, lang, code) => {
-      const escaped = escapeHtml(code.replace(/\n$/, ''));
-      const langAttr = lang ? ` class="language-${escapeHtml(lang)}"` : '';
-      const html = `<pre><code${langAttr}>${escaped}</code></pre>`;
-      const index = blocks.length;
-      blocks.push(html);
-      return `${PLACEHOLDER_PREFIX}${index}${PLACEHOLDER_SUFFIX}`;
-    }
-  );
-  return { text, blocks };
-}
+export const EXTENSIONS = ['footnotes', 'taskLists', 'strikethrough', 'definitionLists', 'math', 'admonitions'];
 
 /**
- * Step 2: Process block-level elements.
- * - ATX headings: # through ######
- * - Paragraphs: non-empty lines not already wrapped
- * @param {string} text
- * @returns {string}
+ * Replaces the `raw` text of leaf blocks with parsed inline children, recursively.
+ * @param {object[]} nodes
+ * @param {object} env
  */
-export function processBlockElements(text) {
-  const lines = text.split('\n');
-  const output = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-
-    // ATX Heading: 1-6 # chars followed by space and content
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      const content = headingMatch[2].trim();
-      output.push(`<h${level}>${content}</h${level}>`);
-      i++;
-      continue;
-    }
-
-    // Placeholder lines — pass through untouched
-    if (line.includes(PLACEHOLDER_PREFIX)) {
-      output.push(line);
-      i++;
-      continue;
-    }
-
-    // Empty line — skip (paragraph boundary)
-    if (line.trim() === '') {
-      i++;
-      continue;
-    }
-
-    // Paragraph: collect consecutive non-empty, non-heading, non-placeholder lines
-    const paraLines = [];
-    while (
-      i < lines.length &&
-      lines[i].trim() !== '' &&
-      !lines[i].match(/^#{1,6}\s+/) &&
-      !lines[i].includes(PLACEHOLDER_PREFIX)
-    ) {
-      paraLines.push(lines[i]);
-      i++;
-    }
-    if (paraLines.length > 0) {
-      output.push(`<p>${paraLines.join(' ')}</p>`);
+function parseInlineContent(nodes, env) {
+  for (const node of nodes) {
+    if (typeof node.raw === 'string') {
+      node.children = parseInline(node.raw, env);
+      delete node.raw;
+    } else if (node.children) {
+      parseInlineContent(node.children, env);
     }
   }
-
-  return output.join('\n');
-}
-
-/**
- * Step 3a: Process inline code (backtick spans).
- * Must run before bold/italic to avoid conflict.
- * @param {string} text
- * @returns {string}
- */
-export function processInlineCode(text) {
-  return text.replace(/`([^`]+)`/g, (match, code) => {
-    return `<code>${escapeHtml(code)}</code>`;
-  });
-}
-
-/**
- * Step 3b: Process bold (** or __).
- * @param {string} text
- * @returns {string}
- */
-export function processBold(text) {
-  // **text** or __text__
-  return text
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    .replace(/__([^_]+)__/g, '<strong>$1</strong>');
 }
 
 /**
- * Step 3c: Process italic (* or _).
- * Runs after bold to avoid consuming ** as italic.
- * @param {string} text
- * @returns {string}
+ * Parses Markdown into an AST.
+ * The root is a `document` node whose `children` are block nodes
+ * (heading, paragraph, blockquote, list, listItem, codeBlock, thematicBreak,
+ * htmlBlock, table, tableRow, tableCell, definitionList, definitionTerm,
+ * definitionDescription, mathBlock, admonition, admonitionTitle, and a final
+ * `footnotes` section of footnoteDefinition nodes). Blocks with inline
+ * content have inline `children` (text, emphasis, strong, strikethrough,
+ * codeSpan, math, link, image, htmlInline, softBreak, hardBreak,
+ * footnoteReference). Admonitions have a `kind` and their title as their
+ * first child. Task list items
+ * have a boolean `checked`. Block nodes carry a `position: { start, end }`
+ * with 1-based source line numbers.
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {object[]} [options.plugins] — plugins adding block and inline
+ *   rules (see src/plugins.js)
+ * @param {boolean} [options.footnotes=true] — `[^1]` references and
+ *   `[^1]: text` definitions
+ * @param {boolean} [options.taskLists=true] — `- [ ]` and `- [x]` items
+ * @param {boolean} [options.strikethrough=true] — `~~text~~`
+ * @param {boolean} [options.definitionLists=true] — `Term` lines followed
+ *   by `: definition` lines
+ * @param {boolean} [options.math=true] — `$inline$` and `$$display$$` TeX
+ *   math
+ * @param {boolean} [options.admonitions=true] — `:::note` containers and
+ *   `> [!NOTE]` blockquotes
+ * @returns {{ type: 'document', children: object[], references: object }}
  */
-export function processItalic(text) {
-  // *text* or _text_ (single delimiter)
-  return text
-    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-    .replace(/_([^_]+)_/g, '<em>$1</em>');
-}
+export function parseToAst(markdown, options = {}) {
+  if (typeof markdown !== 'string') {
+    throw new TypeError('parseToAst expects a string input');
+  }
 
-/**
- * Step 3d: Process links [text](url).
- * @param {string} text
- * @returns {string}
- */
-export function processLinks(text) {
-  return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-    return `<a href="${escapeHtml(url)}">${linkText}</a>`;
-  });
-}
+  // Normalize line endings
+  const normalized = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-/**
- * Step 4: Restore code block placeholders with their HTML.
- * @param {string} text
- * @param {string[]} blocks
- * @returns {string}
- */
-export function restoreCodeBlocks(text, blocks) {
-  return text.replace(
-    new RegExp(`${PLACEHOLDER_PREFIX}(\\d+)${PLACEHOLDER_SUFFIX}`, 'g'),
-    (match, index) => blocks[parseInt(index, 10)]
-  );
+  const { blockRules, inlineRules } = resolvePlugins(options.plugins);
+  const extensions = Object.fromEntries(EXTENSIONS.map((name) => [name, options[name] ?? true]));
+  const env = {
+    rules: blockRules.filter((rule) => rule.extension === undefined || extensions[rule.extension]),
+    inlineRules,
+    references: Object.create(null),
+    footnotes: Object.create(null),
+    extensions,
+  };
+  const children = parseBlocks(normalized, env);
+
+  // Inline parsing runs after the whole document has been read so that
+  // reference links and footnotes can use definitions that appear later on
+  parseInlineContent(children, env);
+  for (const footnote of Object.values(env.footnotes)) parseInlineContent(footnote.children, env);
+
+  return resolveFootnotes({ type: 'document', children, references: env.references }, env.footnotes);
 }
 
 /**
  * Main parser entry point.
  * Converts a Markdown string to an HTML fragment (no <html>/<body> wrapper).
  * @param {string} markdown
+ * @param {object} [options]
+ * @param {boolean} [options.headingIds=false] — add slug ids to headings
+ * @param {boolean} [options.anchorLinks=false] — add a `#` link to headings with ids
+ * @param {boolean} [options.toc=false] — insert a table of contents at the top
+ *   (a `[[toc]]` paragraph is replaced by one regardless)
+ * @param {number} [options.tocMinLevel=1] — shallowest heading level in the TOC
+ * @param {number} [options.tocMaxLevel=6] — deepest heading level in the TOC
+ * @param {boolean} [options.safe=false] — for untrusted input: sanitize raw
+ *   HTML and drop links/images with dangerous URL schemes (`javascript:`, ...)
+ * @param {'raw'|'sanitize'|'escape'} [options.html] — how raw HTML is output;
+ *   defaults to 'sanitize' in safe mode and 'raw' (passed through) otherwise
+ * @param {boolean} [options.highlight=false] — syntax-highlight code blocks
+ *   in known languages (see src/highlighter.js)
+ * @param {boolean} [options.lineNumbers=false] — number the lines of
+ *   highlighted code blocks (the info string can override this per block)
+ * @param {boolean} [options.rewriteLinks=false] — point relative links to
+ *   Markdown files at their HTML pages (`setup.md` → `setup.html`)
+ * @param {object[]} [options.plugins] — plugins adding syntax and renderers
+ * @param {boolean} [options.footnotes=true] — footnotes (see parseToAst)
+ * @param {boolean} [options.taskLists=true] — task list items
+ * @param {boolean} [options.strikethrough=true] — `~~strikethrough~~`
+ * @param {boolean} [options.definitionLists=true] — definition lists
+ * @param {boolean} [options.math=true] — TeX math, rendered to MathML (see
+ *   src/math.js)
+ * @param {boolean} [options.admonitions=true] — note, tip and warning
+ *   callouts; turn all six extensions off for strict CommonMark
  * @returns {string} HTML fragment
  */
-export function parseMarkdown(markdown) {
+export function parseMarkdown(markdown, options = {}) {
   if (typeof markdown !== 'string') {
     throw new TypeError('parseMarkdown expects a string input');
   }
+  return renderMarkdown(markdown, options).html;
+}
 
-  // Normalize line endings
-  const normalized = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-
-  // Step 1: Protect code blocks
-  const { text: withPlaceholders, blocks } = extractCodeBlocks(normalized);
-
-  // Step 2: Block-level elements
-  const withBlocks = processBlockElements(withPlaceholders);
-
-  // Step 3: Inline elements (order matters: code → bold → italic → links)
-  let withInline = processInlineCode(withBlocks);
-  withInline = processBold(withInline);
-  withInline = processItalic(withInline);
-  withInline = processLinks(withInline);
-
-  // Step 4: Restore code blocks
-  const result = restoreCodeBlocks(withInline, blocks);
-
-  return result;
+/**
+ * Like parseMarkdown, but also returns the table of contents on its own,
+ * for page templates that place it outside the content.
+ * @param {string} markdown
+ * @param {object} [options] — as for parseMarkdown
+ * @returns {{ html: string, toc: string }} the HTML fragment, and the TOC
+ *   HTML ('' when headings have no ids)
+ */
+export function renderMarkdown(markdown, options = {}) {
+  const ast = applyHeadingOptions(parseToAst(markdown, options), options);
+  if (options.rewriteLinks) rewriteLinks(ast);
+  const toc = createToc(ast, options);
+  return {
+    html: renderHtml(ast, options),
+    toc: toc ? renderHtml(toc, options) : '',
+  };
 }
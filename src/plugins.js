@@ -0,0 +1,175 @@
+/**
+ * src/plugins.js
+ * Plugin support: lets plugins add block rules, inline rules and renderer
+ * overrides without changing the built-in parser.
+ *
+ * A plugin is a plain object:
+ *   {
+ *     name: 'issues',
+ *     blockRules: [{ name, parse(state, silent), interruptsParagraph?, before?, after?, priority? }],
+ *     inlineRules: [{ name, triggers, parse(state), priority? }],
+ *     renderers: { nodeType: (node, ctx, parent) => html },
+ *   }
+ *
+ * Block rules follow the built-in contract (see src/blockParser.js): return
+ * a node, `true` for lines consumed without a node, or false. A rule is
+ * placed before the built-in `paragraph` rule unless it names another rule
+ * in `before` or `after`. Inline rules are tried, in priority order, at
+ * each of their `triggers` characters before the built-in syntax; they
+ * push nodes onto `state.nodes`, advance `state.pos` and return true, or
+ * return false to decline. Higher `priority` goes first (default 0).
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { BLOCK_RULES } from './blockParser.js';
+
+// `./x`, `../x`, `/x`, and Windows `C:\x`; anything else is a package name
+const PATH_SPECIFIER_RE = /^(?:\.{1,2}[/\\]|[/\\]|[A-Za-z]:[/\\])/;
+
+/**
+ * Checks whether a plugin specifier is a file path rather than a package
+ * name.
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+export function isPathSpecifier(specifier) {
+  return PATH_SPECIFIER_RE.test(specifier);
+}
+
+/**
+ * Checks a plugin's shape.
+ * @param {*} plugin
+ * @param {number} index — position in the plugin list, for error messages
+ * @throws {TypeError}
+ */
+function validatePlugin(plugin, index) {
+  if (plugin === null || typeof plugin !== 'object') {
+    throw new TypeError(`Plugin at index ${index} must be an object`);
+  }
+  const label = `Plugin "${plugin.name ?? index}"`;
+  for (const key of ['blockRules', 'inlineRules']) {
+    if (plugin[key] === undefined) continue;
+    if (!Array.isArray(plugin[key])) throw new TypeError(`${label}: ${key} must be an array`);
+    for (const rule of plugin[key]) {
+      if (!rule || typeof rule.name !== 'string' || typeof rule.parse !== 'function') {
+        throw new TypeError(`${label}: each of ${key} needs a name and a parse function`);
+      }
+    }
+  }
+  for (const rule of plugin.inlineRules ?? []) {
+    if (typeof rule.triggers !== 'string' || rule.triggers === '') {
+      throw new TypeError(`${label}: inline rule "${rule.name}" needs a non-empty triggers string`);
+    }
+  }
+  if (plugin.renderers !== undefined) {
+    if (plugin.renderers === null || typeof plugin.renderers !== 'object') {
+      throw new TypeError(`${label}: renderers must be an object`);
+    }
+    for (const [type, render] of Object.entries(plugin.renderers)) {
+      if (typeof render !== 'function') throw new TypeError(`${label}: renderer for "${type}" must be a function`);
+    }
+  }
+}
+
+/**
+ * Sorts rules by descending priority, keeping registration order for ties.
+ * @param {object[]} rules
+ * @returns {object[]}
+ */
+function byPriority(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (b.rule.priority ?? 0) - (a.rule.priority ?? 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Builds the block rule chain: the built-in rules with plugin rules
+ * inserted at their anchors.
+ * @param {object[]} pluginRules
+ * @returns {object[]}
+ * @throws {Error} if a rule is anchored to a rule that does not exist
+ */
+function composeBlockRules(pluginRules) {
+  const rules = [...BLOCK_RULES];
+  const insertedAfter = new Map();
+  for (const rule of byPriority(pluginRules)) {
+    const anchor = rule.after ?? rule.before ?? 'paragraph';
+    const anchorIndex = rules.findIndex((existing) => existing.name === anchor);
+    if (anchorIndex === -1) {
+      throw new Error(`Block rule "${rule.name}" is positioned relative to unknown rule "${anchor}"`);
+    }
+    if (rule.after !== undefined) {
+      // Keep earlier (higher-priority) rules after the same anchor first
+      const count = insertedAfter.get(anchor) ?? 0;
+      rules.splice(anchorIndex + 1 + count, 0, rule);
+      insertedAfter.set(anchor, count + 1);
+    } else {
+      rules.splice(anchorIndex, 0, rule);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Combines a list of plugins into the rule chains and renderer overrides
+ * used by the parser and renderer. Later plugins' renderers win.
+ * @param {object[]} [plugins]
+ * @returns {{ blockRules: object[], inlineRules: object[], renderers: object }}
+ * @throws {TypeError} if a plugin is malformed
+ */
+export function resolvePlugins(plugins = []) {
+  if (!Array.isArray(plugins)) throw new TypeError('plugins must be an array');
+  plugins.forEach(validatePlugin);
+
+  const blockRules = plugins.flatMap((plugin) => plugin.blockRules ?? []);
+  const inlineRules = plugins.flatMap((plugin) => plugin.inlineRules ?? []);
+  const renderers = Object.assign({}, ...plugins.map((plugin) => plugin.renderers ?? {}));
+
+  return {
+    blockRules: blockRules.length > 0 ? composeBlockRules(blockRules) : BLOCK_RULES,
+    inlineRules: byPriority(inlineRules),
+    renderers,
+  };
+}
+
+/**
+ * Loads a plugin module by path (relative to `baseDir`) or package name.
+ * The module's default export must be a plugin or an array of plugins.
+ * @param {string} specifier
+ * @param {string} [baseDir=process.cwd()]
+ * @returns {Promise<object[]>}
+ * @throws {Error} if the module cannot be loaded or exports no plugin
+ */
+export async function loadPlugin(specifier, baseDir = process.cwd()) {
+  const url = isPathSpecifier(specifier) ? pathToFileURL(resolve(baseDir, specifier)).href : specifier;
+
+  let module;
+  try {
+    module = await import(url);
+  } catch (err) {
+    throw new Error(`Failed to load plugin ${specifier}: ${err.message}`);
+  }
+  if (module.default === undefined) {
+    throw new Error(`Plugin ${specifier} has no default export`);
+  }
+  const plugins = Array.isArray(module.default) ? module.default : [module.default];
+  plugins.forEach(validatePlugin);
+  return plugins;
+}
+
+/**
+ * Loads plugins given as module specifiers; plugin objects pass through.
+ * @param {Array<string|object>} plugins
+ * @param {string} [baseDir=process.cwd()]
+ * @returns {Promise<object[]>}
+ */
+export async function loadPlugins(plugins, baseDir = process.cwd()) {
+  const loaded = [];
+  for (const plugin of plugins) {
+    if (typeof plugin === 'string') loaded.push(...(await loadPlugin(plugin, baseDir)));
+    else loaded.push(plugin);
+  }
+  return loaded;
+}
@@ -0,0 +1,328 @@
+/**
+ * src/renderer.js
+ * Renders a Markdown AST (from parseToAst) to an HTML fragment.
+ * Each node type has a render function in NODE_RENDERERS; block nodes are
+ * joined with newlines, inline nodes are concatenated.
+ */
+
+import { toPlainText } from './inlineParser.js';
+import { isSafeUrl, sanitizeHtml } from './sanitizer.js';
+import { resolvePlugins } from './plugins.js';
+import { highlight, parseInfoString } from './highlighter.js';
+import { footnoteRefId } from './footnotes.js';
+import { renderMath } from './math.js';
+
+const HTML_MODES = ['raw', 'sanitize', 'escape'];
+
+// Characters that may appear in an href/src without percent-encoding
+const URL_SAFE_RE = /[A-Za-z0-9;/?:@&=+$,\-_.!~*'()#]/;
+
+/**
+ * Escapes HTML special characters in a string.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes text content. Apostrophes are left alone since they are only
+ * significant inside single-quoted attributes, which are never emitted.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeText(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Percent-encodes characters that are not allowed in a URL, leaving
+ * existing %XX escapes intact.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  let result = '';
+  const chars = Array.from(url);
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (ch === '%' && /^[0-9a-fA-F]{2}$/.test(chars.slice(i + 1, i + 3).join(''))) {
+      result += ch;
+    } else {
+      result += URL_SAFE_RE.test(ch) ? ch : encodeURIComponent(ch);
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds an optional title attribute.
+ * @param {string|null} title
+ * @returns {string}
+ */
+function titleAttr(title) {
+  return title ? ` title="${escapeText(title)}"` : '';
+}
+
+/**
+ * Renders raw HTML from the source according to the `html` option:
+ * 'raw' passes it through as CommonMark specifies, 'sanitize' filters it
+ * against the allowlist in src/sanitizer.js and 'escape' shows it as text.
+ * Safe mode defaults to 'sanitize', otherwise the default is 'raw'.
+ * @param {string} html
+ * @param {object} options — render options
+ * @param {boolean} block — whether this is an HTML block
+ * @returns {string}
+ */
+function renderRawHtml(html, options, block) {
+  const mode = options.html ?? (options.safe ? 'sanitize' : 'raw');
+  if (mode === 'raw') return html;
+  if (mode === 'sanitize') return sanitizeHtml(html);
+  if (mode === 'escape') return block ? `<p>${escapeText(html)}</p>` : escapeText(html);
+  throw new TypeError(`Unknown html mode "${mode}" (expected one of: ${HTML_MODES.join(', ')})`);
+}
+
+/**
+ * Renders highlighter tokens to HTML, one string per source line. A token
+ * that spans lines is closed at each line end and reopened on the next, so
+ * lines can be wrapped individually.
+ * @param {{ type: string|null, text: string }[]} tokens
+ * @returns {string[]}
+ */
+function renderTokenLines(tokens) {
+  const lines = [''];
+  for (const { type, text } of tokens) {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push('');
+      if (part === '') return;
+      lines[lines.length - 1] += type ? `<span class="hl-${type}">${escapeText(part)}</span>` : escapeText(part);
+    });
+  }
+  return lines;
+}
+
+/**
+ * Renders a code block with syntax highlighting (see src/highlighter.js).
+ * Code in an unknown language is only escaped. Line numbers and `{1,3-5}`
+ * line highlights from the info string wrap each line in a
+ * `<span class="line">`.
+ * @param {object} node — codeBlock node
+ * @param {object} options — render options
+ * @returns {string}
+ */
+function renderHighlightedCode(node, options) {
+  const { lang, highlightLines, lineNumbers = Boolean(options.lineNumbers) } = parseInfoString(node.info);
+  const tokens = highlight(node.value, lang) ?? [{ type: null, text: node.value }];
+  let lines = renderTokenLines(tokens);
+  if (lineNumbers || highlightLines.length > 0) {
+    lines = lines.map((html, index) => {
+      const marked = highlightLines.some(([from, to]) => index + 1 >= from && index + 1 <= to);
+      return `<span class="line${marked ? ' highlighted' : ''}">${html}</span>`;
+    });
+  }
+  const preAttr = lineNumbers ? ' class="line-numbers"' : '';
+  const langAttr = lang ? ` class="language-${escapeText(lang)}"` : '';
+  return `<pre${preAttr}><code${langAttr}>${lines.join('\n')}</code></pre>`;
+}
+
+/**
+ * Renders a list item or definition. In tight lists, paragraphs render as
+ * bare inline content; other blocks go on their own lines.
+ * @param {string} open — opening tag
+ * @param {string} close — closing tag
+ * @param {object} node — listItem or definitionDescription node
+ * @param {object} ctx — render context
+ * @param {boolean} tight
+ * @returns {string}
+ */
+function renderItem(open, close, node, ctx, tight) {
+  let html = open;
+  for (const child of node.children) {
+    if (tight && child.type === 'paragraph') {
+      html += ctx.renderInline(child.children, child);
+    } else {
+      if (!html.endsWith('\n')) html += '\n';
+      html += `${ctx.render(child, node)}\n`;
+    }
+  }
+  return `${html}${close}`;
+}
+
+/**
+ * Render functions by node type. Each receives the node, the render
+ * context ({ options, render, renderInline, renderBlocks }) and the parent node.
+ * @type {Record<string, (node: object, ctx: object, parent: object|null) => string>}
+ */
+export const NODE_RENDERERS = {
+  document: (node, ctx) => ctx.renderBlocks(node.children, node),
+
+  paragraph: (node, ctx) => `<p>${ctx.renderInline(node.children, node)}</p>`,
+
+  // Headings get an id when one was assigned (see src/headings.js), plus a
+  // self-link when the anchorLinks option is on
+  heading: (node, ctx) => {
+    if (!node.id) return `<h${node.level}>${ctx.renderInline(node.children, node)}</h${node.level}>`;
+    const id = escapeText(node.id);
+    const anchor = ctx.options.anchorLinks
+      ? `<a class="anchor" href="#${escapeText(normalizeUrl(node.id))}" aria-hidden="true">#</a>`
+      : '';
+    return `<h${node.level} id="${id}">${anchor}${ctx.renderInline(node.children, node)}</h${node.level}>`;
+  },
+
+  blockquote: (node, ctx) => {
+    const content = ctx.renderBlocks(node.children, node);
+    return content === '' ? '<blockquote>\n</blockquote>' : `<blockquote>\n${content}\n</blockquote>`;
+  },
+
+  list: (node, ctx) => {
+    const tag = node.ordered ? 'ol' : 'ul';
+    const startAttr = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+    return `<${tag}${startAttr}>\n${ctx.renderBlocks(node.children, node)}\n</${tag}>`;
+  },
+
+  // Task list items start with a checkbox, inside their first paragraph
+  listItem: (node, ctx, parent) => {
+    const tight = parent ? parent.tight : false;
+    if (typeof node.checked !== 'boolean') return renderItem('<li>', '</li>', node, ctx, tight);
+    const [first, ...rest] = node.children;
+    const checkbox = { type: 'taskCheckbox', checked: node.checked };
+    const children = [{ ...first, children: [checkbox, { type: 'text', value: ' ' }, ...first.children] }, ...rest];
+    return renderItem('<li class="task-list-item">', '</li>', { ...node, children }, ctx, tight);
+  },
+
+  taskCheckbox: (node) => `<input type="checkbox" disabled=""${node.checked ? ' checked=""' : ''} />`,
+
+  codeBlock: (node, ctx) => {
+    if (ctx.options.highlight) return renderHighlightedCode(node, ctx.options);
+    const langAttr = node.lang ? ` class="language-${escapeText(node.lang)}"` : '';
+    return `<pre><code${langAttr}>${escapeText(node.value)}</code></pre>`;
+  },
+
+  admonition: (node, ctx) => `<aside class="admonition ${node.kind}">\n${ctx.renderBlocks(node.children, node)}\n</aside>`,
+
+  admonitionTitle: (node, ctx) => `<p class="admonition-title">${ctx.renderInline(node.children, node)}</p>`,
+
+  mathBlock: (node) => renderMath(node.value, { display: true, block: true }),
+
+  thematicBreak: () => '<hr />',
+
+  htmlBlock: (node, ctx) => renderRawHtml(node.value, ctx.options, true),
+
+  toc: (node, ctx) => {
+    const content = ctx.renderBlocks(node.children, node);
+    return content === '' ? '<nav class="toc">\n</nav>' : `<nav class="toc">\n${content}\n</nav>`;
+  },
+
+  table: (node, ctx) => {
+    const [head, ...body] = node.children;
+    const parts = ['<table>', '<thead>', ctx.render(head, node), '</thead>'];
+    if (body.length > 0) {
+      parts.push('<tbody>', ctx.renderBlocks(body, node), '</tbody>');
+    }
+    parts.push('</table>');
+    return parts.join('\n');
+  },
+
+  tableRow: (node, ctx) => `<tr>\n${ctx.renderBlocks(node.children, node)}\n</tr>`,
+
+  tableCell: (node, ctx) => {
+    const tag = node.header ? 'th' : 'td';
+    const alignAttr = node.align ? ` align="${node.align}"` : '';
+    return `<${tag}${alignAttr}>${ctx.renderInline(node.children, node)}</${tag}>`;
+  },
+
+  definitionList: (node, ctx) => `<dl>\n${ctx.renderBlocks(node.children, node)}\n</dl>`,
+
+  definitionTerm: (node, ctx) => `<dt>${ctx.renderInline(node.children, node)}</dt>`,
+
+  definitionDescription: (node, ctx, parent) => renderItem('<dd>', '</dd>', node, ctx, parent ? parent.tight : false),
+
+  footnotes: (node, ctx) => `<section class="footnotes">\n<ol>\n${ctx.renderBlocks(node.children, node)}\n</ol>\n</section>`,
+
+  footnoteDefinition: (node, ctx) => `<li id="fn-${node.number}">\n${ctx.renderBlocks(node.children, node)}\n</li>`,
+
+  text: (node) => escapeText(node.value),
+
+  softBreak: () => ' ',
+
+  hardBreak: () => '<br />\n',
+
+  emphasis: (node, ctx) => `<em>${ctx.renderInline(node.children, node)}</em>`,
+
+  strong: (node, ctx) => `<strong>${ctx.renderInline(node.children, node)}</strong>`,
+
+  strikethrough: (node, ctx) => `<del>${ctx.renderInline(node.children, node)}</del>`,
+
+  codeSpan: (node) => `<code>${escapeText(node.value)}</code>`,
+
+  math: (node) => renderMath(node.value, { display: node.display }),
+
+  // In safe mode, links with a dangerous scheme render as their text and
+  // such images as their alt text
+  link: (node, ctx) => {
+    if (ctx.options.safe && !isSafeUrl(node.url)) return ctx.renderInline(node.children, node);
+    return `<a href="${escapeText(normalizeUrl(node.url))}"${titleAttr(node.title)}>${ctx.renderInline(node.children, node)}</a>`;
+  },
+
+  image: (node, ctx) => {
+    const alt = escapeText(toPlainText(node.children));
+    if (ctx.options.safe && !isSafeUrl(node.url, { image: true })) return alt;
+    return `<img src="${escapeText(normalizeUrl(node.url))}" alt="${alt}"${titleAttr(node.title)} />`;
+  },
+
+  htmlInline: (node, ctx) => renderRawHtml(node.value, ctx.options, false),
+
+  footnoteReference: (node) =>
+    `<sup class="footnote-ref"><a href="#fn-${node.number}" id="${footnoteRefId(node.number, node.index)}">${node.number}</a></sup>`,
+
+  footnoteBackref: (node) => {
+    const label = node.index === 1 ? `${node.number}` : `${node.number}-${node.index}`;
+    return `<a href="#${footnoteRefId(node.number, node.index)}" class="footnote-backref" aria-label="Back to reference ${label}">↩</a>`;
+  },
+};
+
+/**
+ * Renders an AST (or any node of it) to HTML.
+ * @param {object} ast — a node produced by parseToAst, usually the document
+ * @param {object} [options] — rendering options:
+ *   `anchorLinks` adds a `#` self-link to headings that have an id;
+ *   `safe` drops links and images with dangerous URL schemes and sanitizes
+ *   raw HTML; `html` ('raw' | 'sanitize' | 'escape') sets how raw HTML is output;
+ *   `highlight` syntax-highlights code blocks, with `lineNumbers` numbering
+ *   their lines;
+ *   `plugins` may override or add renderers by node type
+ * @returns {string} HTML fragment
+ */
+export function renderHtml(ast, options = {}) {
+  const renderers = options.plugins
+    ? { ...NODE_RENDERERS, ...resolvePlugins(options.plugins).renderers }
+    : NODE_RENDERERS;
+  const ctx = {
+    options,
+    render(node, parent = null) {
+      const renderNode = renderers[node.type];
+      if (!renderNode) {
+        throw new Error(`No renderer for node type "${node.type}"`);
+      }
+      return renderNode(node, ctx, parent);
+    },
+    renderInline(nodes, parent) {
+      return nodes.map((node) => ctx.render(node, parent)).join('');
+    },
+    renderBlocks(nodes, parent) {
+      // Blocks that render to nothing (e.g. a sanitized-away <script>) leave no blank line
+      return nodes.map((node) => ctx.render(node, parent)).filter((html) => html !== '').join('\n');
+    },
+  };
+  return ctx.render(ast);
+}
@@ -0,0 +1,201 @@
+/**
+ * src/sanitizer.js
+ * Safe-mode helpers: URL scheme filtering and an allowlist-based sanitizer
+ * for raw HTML embedded in Markdown.
+ * Tags outside the allowlist are removed (their text content stays), except
+ * for tags like <script> whose content is removed with them. Attributes
+ * outside the allowlist, including all event handlers, are dropped.
+ */
+
+import { decodeEntities } from './entities.js';
+
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'tel', 'ftp']);
+
+// Raster images only: SVG can carry script
+const SAFE_DATA_IMAGE_RE = /^data:image\/(?:png|gif|jpe?g|webp|avif|bmp)[;,]/i;
+
+const SCHEME_RE = /^([A-Za-z][A-Za-z0-9+.-]*):/;
+
+const GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir', 'align'];
+
+/**
+ * Tags allowed in sanitized HTML, with the attributes each may keep in
+ * addition to GLOBAL_ATTRIBUTES.
+ * @type {Readonly<Record<string, string[]>>}
+ */
+export const DEFAULT_ALLOWLIST = Object.freeze({
+  a: ['href', 'name'],
+  abbr: [],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  caption: [],
+  cite: [],
+  code: ['class'],
+  dd: [],
+  del: ['cite', 'datetime'],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height'],
+  ins: ['cite', 'datetime'],
+  kbd: [],
+  li: ['value'],
+  mark: [],
+  ol: ['start', 'type', 'reversed'],
+  p: [],
+  pre: [],
+  q: ['cite'],
+  rp: [],
+  rt: [],
+  ruby: [],
+  s: [],
+  samp: [],
+  small: [],
+  span: [],
+  strike: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  tfoot: [],
+  th: ['colspan', 'rowspan', 'scope'],
+  thead: [],
+  tr: [],
+  tt: [],
+  u: [],
+  ul: [],
+  var: [],
+  wbr: [],
+});
+
+// Disallowed tags whose content is removed too, not just the tags
+const DROP_CONTENT_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'noframes',
+  'template', 'textarea', 'title', 'xmp', 'svg', 'math',
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+// Attribute names stop at `<`, so a `<` without a closing `>` fails at the
+// next `<` instead of rescanning the rest of the input
+const TAG_RE = /<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const ATTRIBUTE_RE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const SKIP_RE = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[!?][^>]*(?:>|$)/y;
+
+/**
+ * Checks whether a URL is safe to emit in safe mode: relative URLs and
+ * http(s), mailto, tel and ftp are; `javascript:`, `vbscript:`, `data:`
+ * and other schemes are not, except raster `data:image/…` URLs for images.
+ * @param {string} url — decoded URL, as stored in the AST
+ * @param {{ image?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function isSafeUrl(url, { image = false } = {}) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const cleaned = url.replace(/[\x00-\x20\x7f]/g, '');
+  const match = cleaned.match(SCHEME_RE);
+  if (!match) return true;
+  if (SAFE_SCHEMES.has(match[1].toLowerCase())) return true;
+  return image && SAFE_DATA_IMAGE_RE.test(cleaned);
+}
+
+/**
+ * Escapes an attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Rebuilds an allowed start tag with only its allowed attributes.
+ * @param {string} name — lowercase tag name
+ * @param {string} attributeSource
+ * @param {Record<string, string[]>} allowlist
+ * @returns {string}
+ */
+function sanitizeStartTag(name, attributeSource, allowlist) {
+  const allowed = new Set([...GLOBAL_ATTRIBUTES, ...allowlist[name]]);
+  let attributes = '';
+  ATTRIBUTE_RE.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_RE.exec(attributeSource)) !== null) {
+    const attribute = match[1].toLowerCase();
+    if (!allowed.has(attribute)) continue;
+    const raw = match[2] ?? match[3] ?? match[4];
+    if (raw === undefined) {
+      attributes += ` ${attribute}`;
+      continue;
+    }
+    const value = decodeEntities(raw);
+    if (URL_ATTRIBUTES.has(attribute) && !isSafeUrl(value, { image: name === 'img' })) continue;
+    attributes += ` ${attribute}="${escapeAttribute(value)}"`;
+  }
+  return `<${name}${attributes}>`;
+}
+
+/**
+ * Sanitizes a fragment of raw HTML against an allowlist. Comments,
+ * processing instructions and declarations are removed, and a `<` that
+ * does not start a tag is escaped.
+ * @param {string} html
+ * @param {Record<string, string[]>} [allowlist=DEFAULT_ALLOWLIST] — tag name → allowed attributes
+ * @returns {string}
+ */
+export function sanitizeHtml(html, allowlist = DEFAULT_ALLOWLIST) {
+  let output = '';
+  let pos = 0;
+  while (pos < html.length) {
+    const next = html.indexOf('<', pos);
+    if (next === -1) {
+      output += html.slice(pos);
+      break;
+    }
+    output += html.slice(pos, next);
+    pos = next;
+
+    SKIP_RE.lastIndex = pos;
+    const skipped = SKIP_RE.exec(html);
+    if (skipped) {
+      pos += skipped[0].length;
+      continue;
+    }
+
+    TAG_RE.lastIndex = pos;
+    const tag = TAG_RE.exec(html);
+    if (!tag) {
+      output += '&lt;';
+      pos++;
+      continue;
+    }
+    pos += tag[0].length;
+
+    const [, slash, rawName, attributeSource] = tag;
+    const name = rawName.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(allowlist, name)) {
+      output += slash ? `</${name}>` : sanitizeStartTag(name, attributeSource, allowlist);
+    } else if (!slash && DROP_CONTENT_TAGS.has(name)) {
+      const close = new RegExp(`</${name}\\s*>`, 'ig');
+      close.lastIndex = pos;
+      pos = close.exec(html) ? close.lastIndex : html.length;
+    }
+  }
+  return output;
+}
@@ -0,0 +1,290 @@
+/**
+ * src/server.js
+ * A small preview server for generated pages, built on node:http.
+ * Serves the output directory as static files and pushes events to open
+ * pages over Server-Sent Events: `reload` after a rebuild, and build errors,
+ * which the pages show as an overlay. The client script is injected into
+ * HTML responses as they are served, so files on disk never contain it.
+ */
+
+import { createServer } from 'http';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream';
+import { readdir, readFile, stat } from 'fs/promises';
+import { extname, join, relative, resolve } from 'path';
+import { escapeHtml } from './renderer.js';
+
+/**
+ * URL path of the Server-Sent Events stream.
+ * @type {string}
+ */
+export const EVENTS_PATH = '/__md2html/events';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+// Reloads the page on `reload`, and shows `build-error` messages in an
+// overlay (a reload clears it)
+const CLIENT_SCRIPT = `<script>
+(() => {
+  const events = new EventSource('${EVENTS_PATH}');
+  let overlay = null;
+  events.addEventListener('reload', () => location.reload());
+  events.addEventListener('build-error', (event) => {
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'md2html-error-overlay';
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;'
+        + 'background:rgba(20,20,20,.92);color:#ffb4ab;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace';
+      const title = document.createElement('strong');
+      title.textContent = 'md2html: build failed';
+      title.style.cssText = 'display:block;margin-bottom:1rem;color:#fff;font-size:16px';
+      const message = document.createElement('pre');
+      message.style.cssText = 'margin:0;white-space:pre-wrap';
+      overlay.append(title, message);
+      document.body.append(overlay);
+    }
+    overlay.querySelector('pre').textContent = JSON.parse(event.data).message;
+  });
+})();
+</script>`;
+
+/**
+ * Adds the live-reload client script to an HTML page, before `</body>`
+ * when there is one.
+ * @param {string} html
+ * @returns {string}
+ */
+export function injectLiveReload(html) {
+  const index = html.toLowerCase().lastIndexOf('</body>');
+  return index === -1 ? `${html}\n${CLIENT_SCRIPT}\n` : `${html.slice(0, index)}${CLIENT_SCRIPT}\n${html.slice(index)}`;
+}
+
+/**
+ * Builds a minimal HTML page for listings and errors.
+ * @param {string} title
+ * @param {string} body — HTML
+ * @returns {string}
+ */
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a directory listing.
+ * @param {string} dir — absolute directory path
+ * @param {string} urlPath — its URL path, ending in /
+ * @returns {Promise<string>}
+ */
+async function listDirectory(dir, urlPath) {
+  const entries = (await readdir(dir, { withFileTypes: true }))
+    .filter((entry) => !entry.name.startsWith('.'))
+    .sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || (a.name < b.name ? -1 : 1));
+  const items = entries.map((entry) => {
+    const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+    return `<li><a href="${escapeHtml(encodeURIComponent(entry.name))}${entry.isDirectory() ? '/' : ''}">${escapeHtml(name)}</a></li>`;
+  });
+  if (urlPath !== '/') items.unshift('<li><a href="../">../</a></li>');
+  return page(`Index of ${urlPath}`, `<h1>Index of ${escapeHtml(urlPath)}</h1>\n<ul>\n${items.join('\n')}\n</ul>`);
+}
+
+/**
+ * Starts a preview server over a directory.
+ * @param {object} options
+ * @param {string} options.root — directory to serve
+ * @param {number} [options.port=4000] — 0 picks a free port
+ * @param {string} [options.host='localhost']
+ * @returns {Promise<{
+ *   url: string,
+ *   port: number,
+ *   reload: () => void,
+ *   showError: (message: string) => void,
+ *   close: () => Promise<void>,
+ * }>} handle: reload() reloads open pages and clears the error overlay,
+ *   showError() shows a build error on open pages (and on pages opened
+ *   later, until the next reload)
+ * @throws {Error} if the server cannot listen, e.g. the port is in use
+ */
+export async function startServer({ root, port = 4000, host = 'localhost' }) {
+  const rootDir = resolve(root);
+  const clients = new Set();
+  let currentError = null;
+
+  /**
+   * Sends an event to every connected page.
+   * @param {string} event
+   * @param {object} [data]
+   */
+  const broadcast = (event, data = {}) => {
+    for (const client of clients) client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendHtml = (res, status, html, method) => {
+    const body = injectLiveReload(html);
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-store' });
+    res.end(method === 'HEAD' ? undefined : body);
+  };
+
+  const handleEvents = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+    res.write('retry: 1000\n\n');
+    if (currentError !== null) res.write(`event: build-error\ndata: ${JSON.stringify({ message: currentError })}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  };
+
+  const handleFile = async (req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+      sendHtml(res, 400, page('Bad request', '<h1>Bad request</h1>'), req.method);
+      return;
+    }
+    const filePath = join(rootDir, urlPath);
+    const inRoot = relative(rootDir, filePath);
+    if (inRoot.startsWith('..') || urlPath.includes('\0')) {
+      sendHtml(res, 403, page('Forbidden', '<h1>Forbidden</h1>'), req.method);
+      return;
+    }
+
+    let info = await stat(filePath).catch(() => null);
+    let target = filePath;
+    if (info?.isDirectory()) {
+      // Relative links in index pages need the trailing slash
+      if (!urlPath.endsWith('/')) {
+        res.writeHead(301, { Location: `${encodeURI(urlPath)}/` });
+        res.end();
+        return;
+      }
+      target = join(filePath, 'index.html');
+      info = await stat(target).catch(() => null);
+      if (!info) {
+        sendHtml(res, 200, await listDirectory(filePath, urlPath), req.method);
+        return;
+      }
+    }
+    if (!info?.isFile()) {
+      sendHtml(res, 404, page('Not found', `<h1>Not found</h1>\n<p>${escapeHtml(urlPath)}</p>`), req.method);
+      return;
+    }
+
+    const type = CONTENT_TYPES[extname(target).toLowerCase()] ?? 'application/octet-stream';
+    if (type === CONTENT_TYPES['.html']) {
+      sendHtml(res, 200, await readFile(target, 'utf-8'), req.method);
+      return;
+    }
+    const headers = { 'Content-Type': type, 'Content-Length': info.size, 'Cache-Control': 'no-store' };
+    if (req.method === 'HEAD') {
+      res.writeHead(200, headers);
+      res.end();
+      return;
+    }
+    // Headers wait for the file to open, so a file removed or unreadable
+    // since stat() still gets an error page
+    const stream = createReadStream(target);
+    stream.on('error', (err) => {
+      // Once the body has started, pipeline() cuts the response short
+      if (res.headersSent) return;
+      if (err.code === 'ENOENT') sendHtml(res, 404, page('Not found', `<h1>Not found</h1>\n<p>${escapeHtml(urlPath)}</p>`), req.method);
+      else sendHtml(res, 500, page('Server error', `<h1>Server error</h1>\n<pre>${escapeHtml(err.message)}</pre>`), req.method);
+    });
+    stream.once('open', () => {
+      res.writeHead(200, headers);
+      pipeline(stream, res, () => {});
+    });
+  };
+
+  const server = createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    if (req.url.split('?')[0] === EVENTS_PATH) {
+      handleEvents(req, res);
+      return;
+    }
+    handleFile(req, res).catch((err) => {
+      if (!res.headersSent) sendHtml(res, 500, page('Server error', `<h1>Server error</h1>\n<pre>${escapeHtml(err.message)}</pre>`), req.method);
+      else res.end();
+    });
+  });
+
+  await new Promise((resolvePromise, reject) => {
+    server.once('error', (err) => {
+      reject(err.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : err);
+    });
+    server.listen(port, host, resolvePromise);
+  });
+  const actualPort = server.address().port;
+
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${actualPort}/`,
+    port: actualPort,
+
+    reload() {
+      currentError = null;
+      broadcast('reload');
+    },
+
+    showError(message) {
+      currentError = message;
+      broadcast('build-error', { message });
+    },
+
+    /**
+     * Disconnects open pages and stops the server.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      for (const client of clients) client.end();
+      clients.clear();
+      const closed = new Promise((resolvePromise) => server.close(() => resolvePromise()));
+      // Idle keep-alive connections would otherwise hold close() open
+      // (closeAllConnections() is new in Node 18.2)
+      server.closeAllConnections?.();
+      await closed;
+    },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * src/site.js
+ * Site mode for batch builds: turns the pages of a directory tree into a
+ * navigable site. Pages are arranged by directory and ordered by their
+ * front-matter `order` and then their title; each page gets a navigation
+ * tree, breadcrumbs and previous/next links, which the page template
+ * places (see DEFAULT_TEMPLATE in src/converter.js). A directory without
+ * an index.md gets a generated index page listing its contents.
+ */
+
+import { readFile } from 'fs/promises';
+import { basename, posix } from 'path';
+import { extractFrontMatter } from './frontMatter.js';
+import { parseToAst } from './parser.js';
+import { toPlainText } from './inlineParser.js';
+import { escapeHtml } from './renderer.js';
+
+const INDEX_RE = /^index\.(?:md|markdown)$/i;
+const MARKDOWN_EXT_RE = /\.(?:md|markdown)$/i;
+const ATX_H1_RE = /^ {0,3}# .*$/m;
+
+// Characters that could start Markdown syntax in generated text
+const MARKDOWN_SPECIAL_RE = /[\\`*_{}[\]()<>#+\-.!|~&]/g;
+
+/**
+ * Reads the title and order of a page: the front-matter `title`, else its
+ * first `# heading`, else its file name; `order` when it is a number.
+ * A page that cannot be read or parsed falls back to its file name, and
+ * building it reports the problem.
+ * @param {string} path
+ * @returns {Promise<{ title: string, order?: number }>}
+ */
+export async function readPageInfo(path) {
+  const fallback = basename(path).replace(MARKDOWN_EXT_RE, '');
+  try {
+    const { data, content } = extractFrontMatter(await readFile(path, 'utf-8'));
+    let title = typeof data.title === 'string' || typeof data.title === 'number' ? String(data.title) : undefined;
+    if (title === undefined) {
+      const heading = ATX_H1_RE.exec(content);
+      const node = heading && parseToAst(heading[0]).children[0];
+      if (node?.type === 'heading') title = toPlainText(node.children).trim() || undefined;
+    }
+    const info = { title: title ?? fallback };
+    if (typeof data.order === 'number' && Number.isFinite(data.order)) info.order = data.order;
+    return info;
+  } catch {
+    return { title: fallback };
+  }
+}
+
+/**
+ * Orders pages and directories: by `order` (those without one last), then
+ * by title.
+ * @param {{ title: string, order?: number }} a
+ * @param {{ title: string, order?: number }} b
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+  if (a.order !== b.order) {
+    if (a.order === undefined) return 1;
+    if (b.order === undefined) return -1;
+    return a.order - b.order;
+  }
+  return a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Escapes text for use in generated Markdown.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_SPECIAL_RE, '\\$&');
+}
+
+/**
+ * Computes the relative URL from one output file to another.
+ * @param {string} from — output path, relative to the output directory
+ * @param {string} to — output path, relative to the output directory
+ * @returns {string}
+ */
+function urlFrom(from, to) {
+  return encodeURI(posix.relative(posix.dirname(from), to) || posix.basename(to));
+}
+
+/**
+ * Arranges the pages of a site and prepares the navigation of each.
+ * @param {{ file: string, output: string, title: string, order?: number }[]} pages
+ *   — `file` is the source and `output` the page, as paths relative to the
+ *   input and output directories, with forward slashes
+ * @returns {{
+ *   fingerprint: string,
+ *   pageData: (file: string) => object,
+ *   indexes: { dir: string, output: string, title: string, markdown: string, data: object }[],
+ * }} `pageData` gives the template data of a source's page (`nav`,
+ *   `breadcrumbs`, `prev`, `next`); `indexes` are the generated index pages,
+ *   with their Markdown; `fingerprint` changes whenever any page's
+ *   navigation would
+ */
+export function createSite(pages) {
+  const newDir = (path, name) => ({ type: 'dir', path, name, index: null, children: [], dirs: new Map() });
+  const root = newDir('', '');
+
+  for (const page of pages) {
+    const segments = page.file.split('/');
+    const name = segments.pop();
+    let dir = root;
+    for (const segment of segments) {
+      if (!dir.dirs.has(segment)) {
+        const child = newDir(dir.path ? `${dir.path}/${segment}` : segment, segment);
+        dir.dirs.set(segment, child);
+        dir.children.push(child);
+      }
+      dir = dir.dirs.get(segment);
+    }
+    const node = { type: 'page', ...page };
+    if (INDEX_RE.test(name) && !dir.index) dir.index = node;
+    else dir.children.push(node);
+  }
+
+  // Directories take their title and order from their index page
+  const indexes = [];
+  const finish = (dir) => {
+    if (!dir.index) {
+      const output = dir.path ? `${dir.path}/index.html` : 'index.html';
+      dir.index = { type: 'page', file: null, output, title: dir.path ? dir.name : 'Home' };
+      indexes.push(dir);
+    }
+    dir.title = dir.index.title;
+    dir.order = dir.index.order;
+    for (const child of dir.children) if (child.type === 'dir') finish(child);
+    dir.children.sort(compareEntries);
+  };
+  finish(root);
+
+  // Reading order: a directory's index, then its contents
+  const sequence = [];
+  const trail = new Map();
+  const walk = (dir, ancestors) => {
+    sequence.push(dir.index);
+    trail.set(dir.index, ancestors);
+    for (const child of dir.children) {
+      if (child.type === 'dir') {
+        walk(child, [...ancestors, dir]);
+      } else {
+        sequence.push(child);
+        trail.set(child, [...ancestors, dir]);
+      }
+    }
+  };
+  walk(root, []);
+
+  const renderNav = (current) => {
+    const link = (page, title) => `<a href="${escapeHtml(urlFrom(current.output, page.output))}"${page === current ? ' aria-current="page"' : ''}>${escapeHtml(title)}</a>`;
+    const list = (dir) => dir.children.map((child) => (child.type === 'dir'
+      ? `<li>${link(child.index, child.title)}\n<ul>\n${list(child).join('\n')}\n</ul>\n</li>`
+      : `<li>${link(child, child.title)}</li>`));
+    return `<ul>\n${[`<li>${link(root.index, root.title)}</li>`, ...list(root)].join('\n')}\n</ul>`;
+  };
+
+  const dataFor = (page) => {
+    const position = sequence.indexOf(page);
+    const neighbour = (other) => other && { title: other.title, url: urlFrom(page.output, other.output) };
+    // The current page ends the trail; a directory index is its directory's crumb
+    const crumbs = trail.get(page).filter((dir) => dir.index !== page);
+    const breadcrumbs = page === root.index
+      ? ''
+      : `<ol>\n${crumbs.map((dir) => `<li><a href="${escapeHtml(urlFrom(page.output, dir.index.output))}">${escapeHtml(dir.title)}</a></li>`).join('\n')}\n<li aria-current="page">${escapeHtml(page.title)}</li>\n</ol>`;
+    return {
+      nav: renderNav(page),
+      breadcrumbs,
+      prev: neighbour(sequence[position - 1]),
+      next: neighbour(sequence[position + 1]),
+    };
+  };
+
+  const byFile = new Map(sequence.filter((page) => page.file !== null).map((page) => [page.file, page]));
+
+  return {
+    fingerprint: JSON.stringify(sequence.map(({ file, output, title }) => [file, output, title])),
+
+    pageData(file) {
+      return dataFor(byFile.get(file));
+    },
+
+    indexes: indexes.map((dir) => {
+      const items = dir.children.map((child) => {
+        const page = child.type === 'dir' ? child.index : child;
+        return `- [${escapeMarkdown(child.title)}](<${urlFrom(dir.index.output, page.output)}>)`;
+      });
+      return {
+        dir: dir.path,
+        output: dir.index.output,
+        title: dir.title,
+        markdown: `# ${escapeMarkdown(dir.title)}\n\n${items.join('\n')}\n`,
+        data: dataFor(dir.index),
+      };
+    }),
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * src/stylesheets.js
+ * Built-in themes and user stylesheets for generated pages.
+ * Themes ship as CSS files in themes/ and are always inlined, so pages stay
+ * self-contained. User stylesheets are linked by default, or inlined on
+ * request; remote URLs are always linked.
+ */
+
+import { readdirSync } from 'fs';
+import { dirname, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from './fileHandler.js';
+
+const THEMES_DIR = fileURLToPath(new URL('../themes/', import.meta.url));
+const HIGHLIGHT_CSS_PATH = resolve(THEMES_DIR, 'syntax', 'highlight.css');
+const SITE_CSS_PATH = resolve(THEMES_DIR, 'site', 'site.css');
+
+/**
+ * Names of the built-in themes.
+ * @type {string[]}
+ */
+export const THEMES = readdirSync(THEMES_DIR)
+  .filter((file) => file.endsWith('.css'))
+  .map((file) => file.slice(0, -'.css'.length))
+  .sort();
+
+// URLs that are linked as-is rather than treated as local files (the
+// two-character minimum keeps Windows drive letters out)
+const URL_RE = /^(?:[A-Za-z][A-Za-z0-9+.-]+:|\/\/)/;
+
+/**
+ * Checks whether a stylesheet is given as a URL rather than a local path.
+ * @param {string} entry
+ * @returns {boolean}
+ */
+export function isStylesheetUrl(entry) {
+  return URL_RE.test(entry);
+}
+
+/**
+ * Reads a built-in theme's CSS.
+ * @param {string} name — one of THEMES
+ * @returns {Promise<string>}
+ * @throws {Error} for an unknown theme
+ */
+export async function loadTheme(name) {
+  if (!THEMES.includes(name)) {
+    throw new Error(`Unknown theme "${name}" (available: ${THEMES.join(', ')})`);
+  }
+  return readFile(resolve(THEMES_DIR, `${name}.css`));
+}
+
+/**
+ * Reads the stylesheet for syntax-highlighted code (token colours, line
+ * numbers and highlighted lines). Themes can recolour it through its
+ * `--hl-*` custom properties.
+ * @returns {Promise<string>}
+ */
+export async function loadHighlightStylesheet() {
+  return readFile(HIGHLIGHT_CSS_PATH);
+}
+
+/**
+ * Reads the layout stylesheet of site mode: the navigation sidebar,
+ * breadcrumbs and previous/next links.
+ * @returns {Promise<string>}
+ */
+export async function loadSiteStylesheet() {
+  return readFile(SITE_CSS_PATH);
+}
+
+/**
+ * Computes the href for a local stylesheet as seen from the output file,
+ * with each path segment URL-encoded (a space, `#` or `?` in a file name).
+ * @param {string} cssPath
+ * @param {string} [outputPath] — without one, the page is taken to be in
+ *   the working directory
+ * @returns {string}
+ */
+function hrefFrom(cssPath, outputPath) {
+  const pageDir = outputPath ? dirname(resolve(outputPath)) : process.cwd();
+  return relative(pageDir, resolve(cssPath)).split(sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Keeps CSS from closing the <style> element it is inlined into.
+ * @param {string} css
+ * @returns {string}
+ */
+function escapeStyle(css) {
+  return css.replace(/<\/style/gi, '<\\/style');
+}
+
+/**
+ * Resolves the theme and user stylesheets for a page into the template's
+ * `styles` (inline CSS: theme first, then the highlighting and site layout
+ * stylesheets) and
+ * `stylesheets` (hrefs).
+ * Local paths are relative to the working directory; when linked, their
+ * href is made relative to the output file. URLs (`https://…`, `//…`) are
+ * always linked as given.
+ * @param {object} options
+ * @param {string[]} [options.css] — user stylesheet paths or URLs, in order
+ * @param {boolean} [options.inlineCss=false] — inline local stylesheets
+ * @param {string} [options.theme] — built-in theme name
+ * @param {boolean} [options.highlight=false] — inline the stylesheet for
+ *   syntax-highlighted code
+ * @param {boolean} [options.site=false] — inline the site layout stylesheet
+ * @param {string} [outputPath] — the page being written; omitted when it
+ *   has no file (stdout), so hrefs are relative to the working directory
+ * @returns {Promise<{ styles: string[], stylesheets: string[] }>}
+ * @throws {Error} for an unknown theme or an unreadable inlined stylesheet
+ */
+export async function resolveStylesheets({ css = [], inlineCss = false, theme, highlight = false, site = false } = {}, outputPath) {
+  const styles = [];
+  const stylesheets = [];
+  if (theme) styles.push(escapeStyle(await loadTheme(theme)));
+  if (highlight) styles.push(await loadHighlightStylesheet());
+  if (site) styles.push(await loadSiteStylesheet());
+
+  for (const entry of css) {
+    if (isStylesheetUrl(entry)) {
+      stylesheets.push(entry);
+    } else if (inlineCss) {
+      styles.push(escapeStyle(await readFile(entry)));
+    } else {
+      stylesheets.push(hrefFrom(entry, outputPath));
+    }
+  }
+  return { styles, stylesheets };
+}
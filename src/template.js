@@ -0,0 +1,269 @@
+/**
+ * src/template.js
+ * A small logic-less template engine for page templates, with
+ * Handlebars-style syntax:
+ *   {{ name }}           value, HTML-escaped (arrays are joined with ", ")
+ *   {{{ name }}}         value inserted raw
+ *   {{ meta.author }}    dotted paths into objects
+ *   {{#if name}}…{{else}}…{{/if}}, {{#unless name}}…{{/unless}}
+ *   {{#each list}}…{{/each}}  with {{ this }}, {{ @index }}, {{ @first }},
+ *                        {{ @last }} (and {{ @key }} for objects)
+ *   {{! comment }}
+ * Names are looked up in the current `each` item first, then in enclosing
+ * scopes. A block tag alone on its line takes the whole line with it, so
+ * templates can be indented naturally.
+ */
+
+import { escapeHtml } from './renderer.js';
+
+const TAG_RE = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_RE = /^(?:this|@[A-Za-z]+|[A-Za-z_$][\w$-]*)(?:\.[A-Za-z_$][\w$-]*)*$/;
+const BLOCK_HELPERS = new Set(['if', 'unless', 'each']);
+
+/**
+ * Builds a template error pointing at a line of the template.
+ * @param {string} name — template name, usually its file path
+ * @param {number} line
+ * @param {string} message
+ * @returns {Error}
+ */
+function templateError(name, line, message) {
+  return new Error(`Template error in ${name}:${line}: ${message}`);
+}
+
+/**
+ * Splits a template into alternating text and tag tokens (text first and
+ * last, possibly empty).
+ * @param {string} source
+ * @returns {object[]}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  let line = 1;
+  let match;
+  TAG_RE.lastIndex = 0;
+  while ((match = TAG_RE.exec(source)) !== null) {
+    const text = source.slice(last, match.index);
+    tokens.push({ type: 'text', value: text });
+    line += text.split('\n').length - 1;
+
+    const raw = match[1] !== undefined;
+    const body = raw ? match[1] : match[2];
+    const kind = raw ? 'raw' : (['#', '/', '!'].includes(body[0]) ? body[0] : body === 'else' ? 'else' : 'var');
+    tokens.push({ type: 'tag', kind, body: kind === '#' || kind === '/' ? body.slice(1).trim() : body, line });
+
+    line += match[0].split('\n').length - 1;
+    last = TAG_RE.lastIndex;
+  }
+  tokens.push({ type: 'text', value: source.slice(last) });
+  return tokens;
+}
+
+/**
+ * Removes the line of a block tag (`#`, `/`, `else`, `!`) that stands
+ * alone on it: the indentation before it and the line break after it.
+ * @param {object[]} tokens — alternating text/tag tokens
+ */
+function stripStandaloneLines(tokens) {
+  // Decide on the original text first, since stripping changes the neighbours
+  const standalone = [];
+  for (let i = 1; i < tokens.length; i += 2) {
+    if (tokens[i].kind === 'var' || tokens[i].kind === 'raw') continue;
+    const before = tokens[i - 1].value;
+    const after = tokens[i + 1].value;
+    const lineStart = before.lastIndexOf('\n');
+    // Without a newline, text before the tag is only on its line at the template start
+    if (lineStart === -1 && i !== 1) continue;
+    if (!/^[ \t]*$/.test(before.slice(lineStart + 1))) continue;
+    const lineEnd = after.indexOf('\n');
+    const isLast = i + 1 === tokens.length - 1;
+    if (lineEnd === -1 ? !(isLast && /^[ \t]*$/.test(after)) : !/^[ \t]*$/.test(after.slice(0, lineEnd))) continue;
+    standalone.push(i);
+  }
+
+  for (const i of standalone) {
+    const before = tokens[i - 1].value;
+    const after = tokens[i + 1].value;
+    tokens[i - 1].value = before.slice(0, before.lastIndexOf('\n') + 1);
+    const lineEnd = after.indexOf('\n');
+    tokens[i + 1].value = lineEnd === -1 ? '' : after.slice(lineEnd + 1);
+  }
+}
+
+/**
+ * Checks a variable path and splits it into segments.
+ * @param {string} path
+ * @param {string} name
+ * @param {number} line
+ * @returns {string[]}
+ */
+function parsePath(path, name, line) {
+  if (!PATH_RE.test(path)) throw templateError(name, line, `invalid name "${path}"`);
+  return path.split('.');
+}
+
+/**
+ * Compiles a template to a render function.
+ * @param {string} source
+ * @param {string} [name='template'] — used in error messages
+ * @returns {(data: object) => string}
+ * @throws {Error} on unknown or unbalanced block tags and invalid names
+ */
+export function compileTemplate(source, name = 'template') {
+  const tokens = tokenize(source.replace(/\r\n/g, '\n'));
+  stripStandaloneLines(tokens);
+
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  for (const token of tokens) {
+    const target = current().inElse ? current().inverse : current().children;
+    if (token.type === 'text') {
+      if (token.value) target.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    switch (token.kind) {
+      case 'var':
+      case 'raw':
+        target.push({ type: 'var', path: parsePath(token.body, name, token.line), raw: token.kind === 'raw' });
+        break;
+      case '!':
+        break;
+      case '#': {
+        const [helper, path, ...extra] = token.body.split(/\s+/);
+        if (!BLOCK_HELPERS.has(helper)) throw templateError(name, token.line, `unknown block helper "#${helper}"`);
+        if (!path || extra.length > 0) throw templateError(name, token.line, `{{#${helper}}} takes exactly one name`);
+        const section = { type: 'section', helper, path: parsePath(path, name, token.line), children: [], inverse: [], line: token.line };
+        target.push(section);
+        stack.push(section);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current().inElse) throw templateError(name, token.line, 'unexpected {{else}}');
+        current().inElse = true;
+        break;
+      case '/': {
+        if (stack.length === 1) throw templateError(name, token.line, `unexpected {{/${token.body}}}`);
+        if (current().helper !== token.body) {
+          throw templateError(name, token.line, `{{/${token.body}}} does not close {{#${current().helper}}} from line ${current().line}`);
+        }
+        delete current().inElse;
+        stack.pop();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw templateError(name, current().line, `unclosed {{#${current().helper}}}`);
+  }
+  return (data) => renderNodes(root.children, [{ value: data, frame: {} }]);
+}
+
+/**
+ * Looks up a path in the scope chain.
+ * @param {string[]} path
+ * @param {{ value: *, frame: object }[]} scopes — innermost last
+ * @returns {*}
+ */
+function lookup(path, scopes) {
+  const [first, ...rest] = path;
+  let value;
+  if (first === 'this') {
+    value = scopes[scopes.length - 1].value;
+  } else if (first.startsWith('@')) {
+    value = scopes[scopes.length - 1].frame[first.slice(1)];
+  } else {
+    const scope = [...scopes].reverse().find(({ value: v }) => v !== null && typeof v === 'object' && Object.hasOwn(v, first));
+    value = scope ? scope.value[first] : undefined;
+  }
+  // Own properties only, so templates cannot reach into prototypes
+  for (const key of rest) {
+    if (value === null || value === undefined || !Object.hasOwn(Object(value), key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Template truthiness: empty arrays and empty strings are false.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Converts a value to text for output.
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  return String(value);
+}
+
+/**
+ * @param {object[]} nodes
+ * @param {{ value: *, frame: object }[]} scopes
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const text = stringify(lookup(node.path, scopes));
+      output += node.raw ? text : escapeHtml(text);
+    } else {
+      output += renderSection(node, scopes);
+    }
+  }
+  return output;
+}
+
+/**
+ * @param {object} node — an if/unless/each section
+ * @param {{ value: *, frame: object }[]} scopes
+ * @returns {string}
+ */
+function renderSection(node, scopes) {
+  const value = lookup(node.path, scopes);
+  if (node.helper === 'if' || node.helper === 'unless') {
+    const show = isTruthy(value) === (node.helper === 'if');
+    return renderNodes(show ? node.children : node.inverse, scopes);
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value !== null && typeof value === 'object'
+      ? Object.entries(value)
+      : [];
+  if (entries.length === 0) return renderNodes(node.inverse, scopes);
+
+  return entries
+    .map(([key, item], index) => {
+      const frame = { index, key, first: index === 0, last: index === entries.length - 1 };
+      return renderNodes(node.children, [...scopes, { value: item, frame }]);
+    })
+    .join('');
+}
+
+/**
+ * Compiles and renders a template in one step.
+ * @param {string} source
+ * @param {object} data
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function renderTemplate(source, data, name) {
+  return compileTemplate(source, name)(data);
+}
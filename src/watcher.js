@@ -1,69 +1,116 @@
 /**
  * src/watcher.js
- * Wraps chokidar to watch a file for changes.
- * Debounces rapid changes with a 100ms window.
+ * Wraps chokidar to watch files and directory trees for changes.
+ * Debounces each file separately with a 100ms window, so a change to one
+ * file never cancels the pending rebuild of another; within a window the
+ * last event wins (an editor's delete-and-recreate save is a change).
  * Logs events to stderr.
  */
 
 import chokidar from 'chokidar';
 
 const DEBOUNCE_MS = 100;
+const POLL_INTERVAL_MS = 300;
+
+const EVENT_LABELS = { add: 'File added', change: 'File changed', unlink: 'File removed' };
 
 /**
- * Watches a file for changes and calls onChange on each debounced change event.
+ * Watches files or directories and reports debounced per-file events.
+ * A rename is reported as the removal of the old path and the addition of
+ * the new one.
  *
- * @param {string} filePath — path to the file to watch
- * @param {(filePath: string) => void | Promise<void>} onChange — callback invoked on change
- * @returns {{ close: () => Promise<void> }} handle with a close() method
+ * @param {string|string[]} paths — files or directories to watch
+ * @param {((filePath: string, event: 'add'|'change') => void | Promise<void>) | {
+ *   onChange?: (filePath: string, event: 'add'|'change') => void | Promise<void>,
+ *   onUnlink?: (filePath: string) => void | Promise<void>,
+ * }} handlers — called with the path of each added, changed or removed
+ *   file; a function is shorthand for `{ onChange }`
+ * @param {object} [options]
+ * @param {(filePath: string) => boolean} [options.filter] — only report files it accepts
+ * @param {(path: string) => boolean} [options.ignored] — paths (files or whole
+ *   directories) not to watch at all
+ * @param {boolean} [options.poll=false] — poll for changes instead of using
+ *   native file system events, for network and container file systems
+ *   where those do not fire
+ * @param {number} [options.interval=300] — polling interval in ms
+ * @returns {{ close: () => Promise<void>, ready: Promise<void>, add: (paths: string[]) => void, unwatch: (paths: string[]) => void }}
+ *   handle with a close() method, and add() and unwatch() to change what
+ *   is watched; `ready` resolves once the initial scan is done
  */
-export function watch(filePath, onChange) {
-  let debounceTimer = null;
+export function watch(paths, handlers, options = {}) {
+  const { onChange, onUnlink } = typeof handlers === 'function' ? { onChange: handlers } : handlers;
+  const { filter = () => true, ignored, poll = false, interval = POLL_INTERVAL_MS } = options;
+  const timers = new Map();
+  const label = [].concat(paths).join(', ');
 
-  const watcher = chokidar.watch(filePath, {
+  const watcher = chokidar.watch(paths, {
     persistent: true,
     ignoreInitial: true,
+    ignored,
+    usePolling: poll,
+    interval,
+    binaryInterval: interval,
     awaitWriteFinish: {
       stabilityThreshold: 50,
       pollInterval: 10,
     },
   });
 
-  const handleChange = (changedPath) => {
-    if (debounceTimer) {
-      clearTimeout(debounceTimer);
-    }
-    debounceTimer = setTimeout(async () => {
-      debounceTimer = null;
-      process.stderr.write(`[md2html] File changed: ${changedPath}\n`);
+  const handleEvent = (event, changedPath) => {
+    if (!filter(changedPath)) return;
+    clearTimeout(timers.get(changedPath));
+    timers.set(changedPath, setTimeout(async () => {
+      timers.delete(changedPath);
+      process.stderr.write(`[md2html] ${EVENT_LABELS[event]}: ${changedPath}\n`);
       try {
-        await onChange(changedPath);
+        if (event === 'unlink') await onUnlink?.(changedPath);
+        else await onChange?.(changedPath, event);
       } catch (err) {
         process.stderr.write(`[md2html] Error processing change: ${err.message}\n`);
       }
-    }, DEBOUNCE_MS);
+    }, DEBOUNCE_MS));
   };
 
+  const ready = new Promise((resolve) => watcher.once('ready', resolve));
+
   watcher
-    .on('change', handleChange)
-    .on('add', handleChange)
+    .on('change', (changedPath) => handleEvent('change', changedPath))
+    .on('add', (changedPath) => handleEvent('add', changedPath))
+    .on('unlink', (changedPath) => handleEvent('unlink', changedPath))
     .on('error', (err) => {
       process.stderr.write(`[md2html] Watcher error: ${err.message}\n`);
     });
 
-  process.stderr.write(`[md2html] Watching: ${filePath}\n`);
+  process.stderr.write(`[md2html] Watching${poll ? ' (polling)' : ''}: ${label}\n`);
 
   return {
+    ready,
+
+    /**
+     * Starts watching more files or directories.
+     * @param {string[]} added
+     */
+    add: (added) => {
+      if (added.length > 0) watcher.add(added);
+    },
+
+    /**
+     * Stops watching some of the files or directories.
+     * @param {string[]} removed
+     */
+    unwatch: (removed) => {
+      if (removed.length > 0) watcher.unwatch(removed);
+    },
+
     /**
-     * Stops the file watcher.
+     * Stops the file watcher. Pending debounced events are dropped.
      * @returns {Promise<void>}
      */
     close: async () => {
-      if (debounceTimer) {
-        clearTimeout(debounceTimer);
-        debounceTimer = null;
-      }
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
       await watcher.close();
-      process.stderr.write(`[md2html] Stopped watching: ${filePath}\n`);
+      process.stderr.write(`[md2html] Stopped watching: ${label}\n`);
     },
   };
 }
@@ -0,0 +1,253 @@
+/**
+ * test/batch.test.js
+ * Unit tests for src/batch.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir, readFile as fsReadFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { findSources, convertBatch } from '../src/batch.js';
+import { MANIFEST_FILE } from '../src/manifest.js';
+import { fileExists, readFile } from '../src/fileHandler.js';
+
+let tmpDir;
+
+/**
+ * Creates files under tmpDir from a path → content map.
+ * @param {Record<string, string>} files
+ */
+async function createTree(files) {
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(join(tmpDir, path, '..'), { recursive: true });
+    await writeFile(join(tmpDir, path), content);
+  }
+}
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-batch-'));
+  await createTree({
+    'docs/index.md': '# Home',
+    'docs/guide/intro.md': '# Intro\n\n![logo](img/logo.png)',
+    'docs/guide/img/logo.png': 'PNG',
+    'docs/drafts/wip.md': '# WIP',
+    'docs/notes.txt': 'not an asset',
+    'docs/.hidden/secret.md': '# Secret',
+    'docs/node_modules/pkg/readme.md': '# Package',
+  });
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('findSources', () => {
+  it('finds Markdown files and assets in a directory, skipping hidden and node_modules', async () => {
+    const sources = await findSources(join(tmpDir, 'docs'));
+    expect(sources).toEqual({
+      baseDir: join(tmpDir, 'docs'),
+      files: ['drafts/wip.md', 'guide/intro.md', 'index.md'],
+      assets: ['guide/img/logo.png'],
+    });
+  });
+
+  it('applies include and exclude patterns', async () => {
+    const docs = join(tmpDir, 'docs');
+    expect((await findSources(docs, { exclude: ['drafts'] })).files).toEqual(['guide/intro.md', 'index.md']);
+    expect((await findSources(docs, { include: ['guide/**'] })).files).toEqual(['guide/intro.md']);
+    expect((await findSources(docs, { exclude: ['*.png'] })).assets).toEqual([]);
+  });
+
+  it('selects files with a glob relative to its base directory', async () => {
+    const sources = await findSources(`${tmpDir}/docs/*.md`);
+    expect(sources.baseDir).toBe(join(tmpDir, 'docs'));
+    expect(sources.files).toEqual(['index.md']);
+
+    expect((await findSources(`${tmpDir}/docs/**/*.md`, { exclude: ['wip.md'] })).files).toEqual(['guide/intro.md', 'index.md']);
+  });
+
+  it('skips the output directory when it is inside the input', async () => {
+    await createTree({ 'docs/site/index.md': '# Old output' });
+    const sources = await findSources(join(tmpDir, 'docs'), { outputDir: join(tmpDir, 'docs', 'site') });
+    expect(sources.files).not.toContain('site/index.md');
+  });
+
+  it('can leave assets out', async () => {
+    expect((await findSources(join(tmpDir, 'docs'), { assets: false })).assets).toEqual([]);
+  });
+
+  it('reports a missing input directory', async () => {
+    await expect(findSources(join(tmpDir, 'missing'))).rejects.toThrow('Input directory not found');
+    await expect(findSources(`${tmpDir}/missing/*.md`)).rejects.toThrow('Input directory not found');
+  });
+});
+
+describe('convertBatch', () => {
+  it('mirrors the tree under the output directory and copies assets', async () => {
+    const site = join(tmpDir, 'site');
+    const summary = await convertBatch(join(tmpDir, 'docs'), site);
+
+    expect(summary.converted.map((result) => result.outputPath)).toEqual([
+      join(site, 'drafts', 'wip.html'),
+      join(site, 'guide', 'intro.html'),
+      join(site, 'index.html'),
+    ]);
+    expect(summary.copied).toEqual([
+      { inputPath: join(tmpDir, 'docs', 'guide', 'img', 'logo.png'), outputPath: join(site, 'guide', 'img', 'logo.png') },
+    ]);
+    expect(summary.failed).toEqual([]);
+    expect(await readFile(join(site, 'guide', 'intro.html'))).toContain('<img src="img/logo.png" alt="logo" />');
+    expect(await fsReadFile(join(site, 'guide', 'img', 'logo.png'), 'utf-8')).toBe('PNG');
+  });
+
+  it('writes next to the sources without an output directory', async () => {
+    const summary = await convertBatch(join(tmpDir, 'docs'), undefined, { exclude: ['drafts'] });
+    expect(summary.converted).toHaveLength(2);
+    expect(summary.copied).toEqual([]);
+    expect(await fileExists(join(tmpDir, 'docs', 'guide', 'intro.html'))).toBe(true);
+  });
+
+  it('converts the remaining files when one fails', async () => {
+    await createTree({ 'docs/broken.md': '---\ntitle: [unclosed\n---\n' });
+    const summary = await convertBatch(join(tmpDir, 'docs'), join(tmpDir, 'site'));
+
+    expect(summary.converted).toHaveLength(3);
+    expect(summary.failed).toEqual([
+      { inputPath: join(tmpDir, 'docs', 'broken.md'), error: expect.stringContaining('Invalid front matter at line 2') },
+    ]);
+  });
+
+  it('passes options to each conversion', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site, { toc: true, include: ['index.md'] });
+    expect(await readFile(join(site, 'index.html'))).toContain('<nav class="toc">');
+    expect(await fileExists(join(site, 'guide', 'intro.html'))).toBe(false);
+  });
+
+  it('fails when nothing matches', async () => {
+    await expect(convertBatch(join(tmpDir, 'docs'), undefined, { include: ['nothing/**'] })).rejects.toThrow(
+      `No Markdown files found in ${join(tmpDir, 'docs')}`
+    );
+  });
+});
+
+describe('convertBatch incremental builds', () => {
+  it('skips unchanged files and rebuilds changed ones', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site);
+    expect(await fileExists(join(site, MANIFEST_FILE))).toBe(true);
+
+    const unchanged = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(unchanged.converted).toEqual([]);
+    expect(unchanged.copied).toEqual([]);
+    expect(unchanged.skipped).toHaveLength(4);
+
+    await writeFile(join(tmpDir, 'docs', 'index.md'), '# Home again');
+    const changed = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(changed.converted.map((result) => result.outputPath)).toEqual([join(site, 'index.html')]);
+    expect(changed.skipped).toHaveLength(3);
+    expect(await readFile(join(site, 'index.html'))).toContain('Home again');
+  });
+
+  it('rebuilds everything when the options change, or with force', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site);
+
+    const withToc = await convertBatch(join(tmpDir, 'docs'), site, { toc: true });
+    expect(withToc.converted).toHaveLength(3);
+    expect(withToc.skipped).toHaveLength(1); // the asset
+
+    const forced = await convertBatch(join(tmpDir, 'docs'), site, { toc: true, force: true });
+    expect(forced.converted).toHaveLength(3);
+    expect(forced.copied).toHaveLength(1);
+    expect(forced.skipped).toEqual([]);
+  });
+
+  it('rebuilds outputs that have been deleted', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site);
+    await rm(join(site, 'guide', 'intro.html'));
+
+    const summary = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(summary.converted.map((result) => result.outputPath)).toEqual([join(site, 'guide', 'intro.html')]);
+  });
+
+  it('retries files that failed', async () => {
+    const site = join(tmpDir, 'site');
+    await createTree({ 'docs/broken.md': '---\ntitle: [unclosed\n---\n' });
+    await convertBatch(join(tmpDir, 'docs'), site);
+    const again = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(again.failed).toHaveLength(1);
+  });
+
+  it('rebuilds pages whose included files change', async () => {
+    const site = join(tmpDir, 'site');
+    await createTree({ 'docs/index.md': '# Home\n\n<!-- include: ../shared/notice.md -->', 'shared/notice.md': 'Old notice' });
+    await convertBatch(join(tmpDir, 'docs'), site);
+    const manifest = JSON.parse(await readFile(join(site, MANIFEST_FILE)));
+    expect(manifest.entries['../docs/index.md'].includes).toEqual(['../shared/notice.md']);
+    expect((await convertBatch(join(tmpDir, 'docs'), site)).converted).toEqual([]);
+
+    await writeFile(join(tmpDir, 'shared', 'notice.md'), 'New notice');
+    const changed = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(changed.converted).toEqual([expect.objectContaining({ outputPath: join(site, 'index.html') })]);
+    expect(await readFile(join(site, 'index.html'))).toContain('New notice');
+  });
+
+  it('removes the outputs of deleted sources, but not of unselected ones', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site);
+    await rm(join(tmpDir, 'docs', 'guide'), { recursive: true });
+
+    const summary = await convertBatch(join(tmpDir, 'docs'), site, { exclude: ['drafts'] });
+    expect(summary.removed).toEqual([
+      { inputPath: join(tmpDir, 'docs', 'guide', 'intro.md'), outputPath: join(site, 'guide', 'intro.html') },
+      { inputPath: join(tmpDir, 'docs', 'guide', 'img', 'logo.png'), outputPath: join(site, 'guide', 'img', 'logo.png') },
+    ]);
+    expect(await fileExists(join(site, 'guide', 'intro.html'))).toBe(false);
+    expect(await fileExists(join(site, 'drafts', 'wip.html'))).toBe(true);
+
+    const next = await convertBatch(join(tmpDir, 'docs'), site);
+    expect(next.removed).toEqual([]);
+  });
+});
+
+describe('convertBatch site mode', () => {
+  it('adds the site navigation and generates missing index pages', async () => {
+    const site = join(tmpDir, 'site');
+    const summary = await convertBatch(join(tmpDir, 'docs'), site, { site: true });
+    expect(summary.failed).toEqual([]);
+    expect(summary.converted.map(({ outputPath }) => outputPath)).toContain(join(site, 'guide', 'index.html'));
+
+    const intro = await readFile(join(site, 'guide', 'intro.html'));
+    expect(intro).toContain('<nav class="site-nav" aria-label="Site">');
+    expect(intro).toContain('<title>Intro</title>');
+    expect(intro).toContain('<li aria-current="page">Intro</li>');
+    expect(intro).toContain('<a class="pager-prev" rel="prev" href="index.html">← guide</a>');
+
+    const index = await readFile(join(site, 'guide', 'index.html'));
+    expect(index).toContain('<title>guide</title>');
+    expect(index).toContain('<li><a href="intro.html">Intro</a></li>');
+  });
+
+  it('rebuilds every page when a title changes and drops unneeded index pages', async () => {
+    const site = join(tmpDir, 'site');
+    await convertBatch(join(tmpDir, 'docs'), site, { site: true });
+    expect((await convertBatch(join(tmpDir, 'docs'), site, { site: true })).converted).toEqual([]);
+
+    await writeFile(join(tmpDir, 'docs', 'guide', 'index.md'), '# The Guide');
+    const summary = await convertBatch(join(tmpDir, 'docs'), site, { site: true });
+    expect(summary.converted).toHaveLength(5);
+    expect(summary.removed).toEqual([]);
+    expect(await readFile(join(site, 'guide', 'index.html'))).toContain('<h1 id="the-guide">The Guide</h1>');
+    expect(Object.keys(JSON.parse(await fsReadFile(join(site, MANIFEST_FILE), 'utf-8')).entries))
+      .not.toContain('../docs/guide/');
+
+    await rm(join(tmpDir, 'docs', 'drafts'), { recursive: true });
+    const next = await convertBatch(join(tmpDir, 'docs'), site, { site: true });
+    expect(next.removed.map(({ outputPath }) => outputPath)).toEqual([
+      join(site, 'drafts', 'wip.html'),
+      join(site, 'drafts', 'index.html'),
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * test/cli.test.js
+ * Tests for bin/md2html.js, run as a child process
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFile } from 'child_process';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const BIN = fileURLToPath(new URL('../bin/md2html.js', import.meta.url));
+
+let tmpDir;
+
+/**
+ * Runs md2html in the temporary directory.
+ * @param {string[]} args
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function run(args) {
+  return promisify(execFile)(process.execPath, [BIN, ...args], { cwd: tmpDir, timeout: 30000 });
+}
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-cli-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('config file options', () => {
+  beforeEach(async () => {
+    await writeFile(join(tmpDir, 'page.md'), '# Title\n\n## Part\n\n<b onclick="x()">b</b>\n');
+    await writeFile(join(tmpDir, 'md2html.config.json'), JSON.stringify({
+      toc: true, safe: true, anchorLinks: true, lineNumbers: true, fragment: true, checkLinks: true, strict: true,
+    }));
+  });
+
+  it('applies booleans the config turns on', async () => {
+    const { stdout } = await run(['page.md', '-o', '-']);
+    expect(stdout).toContain('<nav class="toc">');
+    expect(stdout).toContain('<b>b</b>');
+    expect(stdout).toContain('class="anchor"');
+    expect(stdout).not.toContain('<!DOCTYPE html>');
+  });
+
+  it('lets --no- flags override them', async () => {
+    const { stdout } = await run(['page.md', '-o', '-', '--no-toc', '--no-safe', '--no-fragment', '--no-anchor-links']);
+    expect(stdout).not.toContain('<nav class="toc">');
+    expect(stdout).toContain('<b onclick="x()">b</b>');
+    expect(stdout).toContain('<!DOCTYPE html>');
+    expect(stdout).not.toContain('class="anchor"');
+  });
+
+  it('shows the overrides as coming from the command line', async () => {
+    const flags = ['--no-toc', '--no-safe', '--no-anchor-links', '--no-line-numbers', '--no-inline-css', '--no-fragment', '--no-check-links', '--no-strict'];
+    const { stdout } = await run(['page.md', ...flags, '--print-config']);
+    for (const key of ['toc', 'safe', 'anchorLinks', 'lineNumbers', 'inlineCss', 'fragment', 'checkLinks', 'strict']) {
+      expect(stdout).toMatch(new RegExp(`^ {2}${key} +false {2}\\(command line\\)$`, 'm'));
+    }
+  });
+});
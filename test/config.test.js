@@ -0,0 +1,147 @@
+/**
+ * test/config.test.js
+ * Unit tests for src/config.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { configStartDir, loadConfig, readConfigFile, resolveConfigPaths, validateConfig } from '../src/config.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-config-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('validateConfig', () => {
+  it('accepts valid configs', () => {
+    const config = {
+      outDir: 'site',
+      include: ['guide/**'],
+      theme: 'github',
+      plugins: ['./plugin.js', 'md2html-plugin-x', { name: 'inline' }],
+      safe: true,
+      html: 'escape',
+      tocMaxLevel: 3,
+    };
+    expect(validateConfig(config, 'md2html.config.json')).toBe(config);
+    expect(validateConfig({}, 'md2html.config.json')).toEqual({});
+  });
+
+  it('lists every problem, suggesting keys for typos', () => {
+    let error;
+    try {
+      validateConfig({ tehme: 'dark', 'inline-css': true, toc: 'yes', tocMinLevel: 0, theme: 'neon', css: 'a.css', nonsense: 1 }, 'md2html.config.json');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe([
+      'Invalid config in md2html.config.json:',
+      '  - unknown key "tehme" (did you mean "theme"?)',
+      '  - unknown key "inline-css" (did you mean "inlineCss"?)',
+      '  - "toc" must be true or false',
+      '  - "tocMinLevel" must be a heading level from 1 to 6',
+      '  - "theme" must be one of "auto", "dark", "github", "light", "print"',
+      '  - "css" must be an array of strings',
+      '  - unknown key "nonsense"',
+    ].join('\n'));
+  });
+
+  it('rejects configs that are not objects', () => {
+    expect(() => validateConfig(['toc'], 'x.json')).toThrow('Invalid config in x.json: must be an object');
+    expect(() => validateConfig(null, 'x.json')).toThrow('must be an object');
+  });
+});
+
+describe('resolveConfigPaths', () => {
+  it('resolves paths against the config directory', () => {
+    const resolved = resolveConfigPaths({
+      outDir: 'site',
+      template: 'layout/page.html',
+      css: ['style.css', 'https://cdn.example.com/x.css'],
+      plugins: ['./plugins/a.js', 'md2html-plugin-x'],
+      toc: true,
+    }, '/project');
+    expect(resolved).toEqual({
+      outDir: join('/project', 'site'),
+      template: join('/project', 'layout/page.html'),
+      css: [join('/project', 'style.css'), 'https://cdn.example.com/x.css'],
+      plugins: [join('/project', 'plugins/a.js'), 'md2html-plugin-x'],
+      toc: true,
+    });
+  });
+});
+
+describe('readConfigFile', () => {
+  it('reports invalid JSON with the file name', async () => {
+    const path = join(tmpDir, 'md2html.config.json');
+    await writeFile(path, '{ "toc": true, }');
+    await expect(readConfigFile(path)).rejects.toThrow(`Invalid JSON in config ${path}`);
+  });
+
+  it('reads the default export of a JavaScript config', async () => {
+    const path = join(tmpDir, 'md2html.config.js');
+    await writeFile(path, 'export default { toc: true };\n');
+    await writeFile(join(tmpDir, 'package.json'), '{ "type": "module" }');
+    expect(await readConfigFile(path)).toEqual({ toc: true });
+  });
+});
+
+describe('loadConfig', () => {
+  it('finds the nearest config walking up from the start directory', async () => {
+    await mkdir(join(tmpDir, 'docs', 'guide'), { recursive: true });
+    await writeFile(join(tmpDir, 'md2html.config.json'), '{ "outDir": "site", "theme": "dark" }');
+
+    const { path, config } = await loadConfig(join(tmpDir, 'docs', 'guide'));
+    expect(path).toBe(join(tmpDir, 'md2html.config.json'));
+    expect(config).toEqual({ outDir: join(tmpDir, 'site'), theme: 'dark' });
+  });
+
+  it('prefers md2html.config.js, then md2html.config.json, then package.json', async () => {
+    await writeFile(join(tmpDir, 'package.json'), '{ "type": "module", "md2html": { "theme": "print" } }');
+    expect((await loadConfig(tmpDir)).config).toEqual({ theme: 'print' });
+
+    await writeFile(join(tmpDir, 'md2html.config.json'), '{ "theme": "light" }');
+    expect((await loadConfig(tmpDir)).config).toEqual({ theme: 'light' });
+
+    await writeFile(join(tmpDir, 'md2html.config.js'), 'export default { theme: "github" };\n');
+    expect((await loadConfig(tmpDir)).config).toEqual({ theme: 'github' });
+  });
+
+  it('skips package.json files without an md2html key or that do not parse', async () => {
+    await mkdir(join(tmpDir, 'a', 'b'), { recursive: true });
+    await writeFile(join(tmpDir, 'md2html.config.json'), '{ "toc": true }');
+    await writeFile(join(tmpDir, 'a', 'package.json'), '{ "name": "a" }');
+    await writeFile(join(tmpDir, 'a', 'b', 'package.json'), '{ broken');
+
+    expect(await loadConfig(join(tmpDir, 'a', 'b'))).toEqual({ path: join(tmpDir, 'md2html.config.json'), config: { toc: true } });
+  });
+
+  it('names the package.json key in validation errors', async () => {
+    await writeFile(join(tmpDir, 'package.json'), '{ "md2html": { "tocc": true } }');
+    await expect(loadConfig(tmpDir)).rejects.toThrow(`Invalid config in ${join(tmpDir, 'package.json')} ("md2html" key):`);
+  });
+});
+
+describe('configStartDir', () => {
+  it('starts from the input file directory, the input directory or a glob base', async () => {
+    await mkdir(join(tmpDir, 'docs'));
+    await writeFile(join(tmpDir, 'docs', 'a.md'), '# A');
+
+    expect(await configStartDir(join(tmpDir, 'docs', 'a.md'))).toBe(join(tmpDir, 'docs'));
+    expect(await configStartDir(join(tmpDir, 'docs'))).toBe(join(tmpDir, 'docs'));
+    expect(await configStartDir(`${tmpDir}/docs/**/*.md`)).toBe(join(tmpDir, 'docs'));
+    expect(await configStartDir(join(tmpDir, 'missing', 'x.md'))).toBe(join(tmpDir, 'missing'));
+  });
+
+  it('starts from the working directory for stdin', async () => {
+    expect(await configStartDir('-')).toBe(process.cwd());
+    expect(await configStartDir(undefined)).toBe(process.cwd());
+  });
+});
@@ -4,9 +4,10 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { convert, wrapHtmlDocument } from '../src/converter.js';
+import { convert, convertString, wrapHtmlDocument, loadTemplate } from '../src/converter.js';
+import { compileTemplate } from '../src/template.js';
 import { readFile } from '../src/fileHandler.js';
-import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
 import { tmpdir } from 'os';
 import { join } from 'path';
 
@@ -34,6 +35,59 @@ describe('wrapHtmlDocument', () => {
     const html = wrapHtmlDocument('', 'Empty');
     expect(html).toContain('charset="UTF-8"');
   });
+
+  it('defaults to lang="en" without metadata', () => {
+    const html = wrapHtmlDocument('', 'Doc');
+    expect(html).toContain('<html lang="en">');
+    expect(html).not.toContain('name="description"');
+  });
+
+  it('uses metadata for title, lang and meta tags', () => {
+    const html = wrapHtmlDocument('', 'file-name', {
+      title: 'Q&A',
+      lang: 'de',
+      description: 'All about "it"',
+      author: 'Ann',
+      keywords: ['markdown', 'html'],
+    });
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('<title>Q&amp;A</title>');
+    expect(html).toContain('<meta name="description" content="All about &quot;it&quot;">');
+    expect(html).toContain('<meta name="author" content="Ann">');
+    expect(html).toContain('<meta name="keywords" content="markdown, html">');
+  });
+
+  it('ignores metadata values that are not text', () => {
+    const html = wrapHtmlDocument('', 'file-name', {
+      title: ['a', 'b'],
+      lang: true,
+      description: { text: 'x' },
+      author: { name: 'Ann' },
+      keywords: ['markdown', { tag: 'x' }, 2024],
+    });
+    expect(html).not.toContain('[object Object]');
+    expect(html).toContain('<title>file-name</title>');
+    expect(html).toContain('<html lang="en">');
+    expect(html).not.toContain('name="description"');
+    expect(html).not.toContain('name="author"');
+    expect(html).toContain('<meta name="keywords" content="markdown, 2024">');
+    expect(wrapHtmlDocument('', 'file-name', { title: 42 })).toContain('<title>42</title>');
+  });
+
+  it('links stylesheets', () => {
+    expect(wrapHtmlDocument('', 'Doc', {}, { stylesheets: ['a.css'] })).toContain('<link rel="stylesheet" href="a.css">');
+  });
+
+  it('renders a custom template with page data', () => {
+    const template = compileTemplate('<title>{{title}}</title><nav>{{{toc}}}</nav><main>{{{content}}}</main><i>{{meta.section}}</i>');
+    expect(wrapHtmlDocument('<p>x</p>', 'file', { title: 'T', section: 'Guides' }, { template, toc: '<ul></ul>' })).toBe(
+      '<title>T</title><nav><ul></ul></nav><main><p>x</p></main><i>Guides</i>'
+    );
+  });
+
+  it('accepts keywords as a string', () => {
+    expect(wrapHtmlDocument('', 'Doc', { keywords: 'a, b' })).toContain('<meta name="keywords" content="a, b">');
+  });
 });
 
 describe('convert', () => {
@@ -46,7 +100,7 @@ describe('convert', () => {
 
     expect(result.outputPath).toBe(outputPath);
     const html = await readFile(outputPath);
-    expect(html).toContain('<h1>Hello World</h1>');
+    expect(html).toContain('<h1 id="hello-world">Hello World</h1>');
     expect(html).toContain('<strong>bold</strong>');
     expect(html).toContain('<!DOCTYPE html>');
   });
@@ -59,7 +113,7 @@ describe('convert', () => {
 
     expect(result.outputPath).toMatch(/readme\.html$/);
     const html = await readFile(result.outputPath);
-    expect(html).toContain('<h1>README</h1>');
+    expect(html).toContain('<h1 id="readme">README</h1>');
   });
 
   it('sets document title from filename', async () => {
@@ -71,6 +125,148 @@ describe('convert', () => {
     expect(html).toContain('<title>my-doc</title>');
   });
 
+  it('applies front matter and returns it as metadata', async () => {
+    const inputPath = join(tmpDir, 'post.md');
+    const outputPath = join(tmpDir, 'post.html');
+    await writeFile(inputPath, '---\ntitle: My Post\nlang: fr\ntags: [a, b]\n---\n# Heading\n');
+
+    const result = await convert(inputPath, outputPath);
+
+    expect(result.metadata).toEqual({ title: 'My Post', lang: 'fr', tags: ['a', 'b'] });
+    const html = await readFile(outputPath);
+    expect(html).toContain('<title>My Post</title>');
+    expect(html).toContain('<html lang="fr">');
+    expect(html).toContain('<h1 id="heading">Heading</h1>');
+    expect(html).not.toContain('title: My Post');
+  });
+
+  it('passes parser options through', async () => {
+    const inputPath = join(tmpDir, 'guide.md');
+    const outputPath = join(tmpDir, 'guide.html');
+    await writeFile(inputPath, '# Guide\n\n## Setup\n');
+
+    await convert(inputPath, outputPath, { toc: true, tocMinLevel: 2 });
+    const html = await readFile(outputPath);
+    expect(html).toContain('<nav class="toc">\n<ul>\n<li><a href="#setup">Setup</a></li>\n</ul>\n</nav>');
+  });
+
+  it('can turn heading ids off', async () => {
+    const inputPath = join(tmpDir, 'plain-headings.md');
+    const outputPath = join(tmpDir, 'plain-headings.html');
+    await writeFile(inputPath, '# Title');
+
+    await convert(inputPath, outputPath, { headingIds: false });
+    expect(await readFile(outputPath)).toContain('<h1>Title</h1>');
+  });
+
+  it('applies a theme and stylesheets', async () => {
+    const inputPath = join(tmpDir, 'styled.md');
+    const outputPath = join(tmpDir, 'out', 'styled.html');
+    await writeFile(inputPath, '# Styled');
+
+    await convert(inputPath, outputPath, { theme: 'github', css: [join(tmpDir, 'site.css'), 'https://cdn.example.com/x.css'] });
+    const html = await readFile(outputPath);
+    expect(html).toContain('<style>\n/* md2html theme: github');
+    expect(html).toContain('<link rel="stylesheet" href="../site.css">\n  <link rel="stylesheet" href="https://cdn.example.com/x.css">');
+    expect(html.indexOf('<style>')).toBeLessThan(html.indexOf('<link rel="stylesheet"'));
+  });
+
+  it('inlines stylesheets with inlineCss', async () => {
+    const cssPath = join(tmpDir, 'site.css');
+    await writeFile(cssPath, 'h1 { color: teal; }');
+    const inputPath = join(tmpDir, 'inline.md');
+    const outputPath = join(tmpDir, 'inline.html');
+    await writeFile(inputPath, '# Inline');
+
+    await convert(inputPath, outputPath, { css: [cssPath], inlineCss: true });
+    const html = await readFile(outputPath);
+    expect(html).toContain('<style>\nh1 { color: teal; }\n  </style>');
+    expect(html).not.toContain('<link rel="stylesheet"');
+  });
+
+  it('highlights code blocks and adds their stylesheet', async () => {
+    const inputPath = join(tmpDir, 'code.md');
+    await writeFile(inputPath, '```js\nconst a = 1;\n```');
+
+    const outputPath = join(tmpDir, 'code.html');
+    await convert(inputPath, outputPath);
+    const html = await readFile(outputPath);
+    expect(html).toContain('<span class="hl-keyword">const</span>');
+    expect(html).toContain('.hl-keyword {');
+
+    await convert(inputPath, outputPath, { highlight: false });
+    const plain = await readFile(outputPath);
+    expect(plain).toContain('<code class="language-js">const a = 1;</code>');
+    expect(plain).not.toContain('<style>');
+  });
+
+  it('leaves the highlighting stylesheet out of pages without code', async () => {
+    const inputPath = join(tmpDir, 'prose.md');
+    const outputPath = join(tmpDir, 'prose.html');
+    await writeFile(inputPath, 'Just `inline` code.');
+
+    await convert(inputPath, outputPath);
+    expect(await readFile(outputPath)).not.toContain('<style>');
+  });
+
+  it('renders through a template file', async () => {
+    const templatePath = join(tmpDir, 'page.html');
+    await writeFile(templatePath, [
+      '<header>Docs</header>',
+      '{{#if toc}}',
+      '<aside>{{{toc}}}</aside>',
+      '{{/if}}',
+      '<main>{{{content}}}</main>',
+      '<footer>{{title}} by {{meta.author}}</footer>',
+      '',
+    ].join('\n'));
+    const inputPath = join(tmpDir, 'page.md');
+    const outputPath = join(tmpDir, 'page-out.html');
+    await writeFile(inputPath, '---\ntitle: A & B\nauthor: Ann\n---\n# Intro\n');
+
+    await convert(inputPath, outputPath, { template: templatePath });
+    expect(await readFile(outputPath)).toBe([
+      '<header>Docs</header>',
+      '<aside><nav class="toc">',
+      '<ul>',
+      '<li><a href="#intro">Intro</a></li>',
+      '</ul>',
+      '</nav></aside>',
+      '<main><h1 id="intro">Intro</h1></main>',
+      '<footer>A &amp; B by Ann</footer>',
+      '',
+    ].join('\n'));
+  });
+
+  it('reports template errors with the template path', async () => {
+    const templatePath = join(tmpDir, 'broken.html');
+    await writeFile(templatePath, '{{#if toc}}');
+    const inputPath = join(tmpDir, 'doc.md');
+    await writeFile(inputPath, '# Doc');
+
+    await expect(convert(inputPath, join(tmpDir, 'doc.html'), { template: templatePath })).rejects.toThrow(
+      `Template error in ${templatePath}:1: unclosed {{#if}}`
+    );
+    await expect(loadTemplate(join(tmpDir, 'missing.html'))).rejects.toThrow('File not found');
+  });
+
+  it('returns empty metadata without front matter', async () => {
+    const inputPath = join(tmpDir, 'plain.md');
+    await writeFile(inputPath, '# Plain');
+
+    const result = await convert(inputPath, join(tmpDir, 'plain.html'));
+    expect(result.metadata).toEqual({});
+  });
+
+  it('reports invalid front matter with the file path', async () => {
+    const inputPath = join(tmpDir, 'bad.md');
+    await writeFile(inputPath, '---\ntitle: "open\n---\n');
+
+    await expect(convert(inputPath, join(tmpDir, 'bad.html'))).rejects.toThrow(
+      `${inputPath}: Invalid front matter at line 2`
+    );
+  });
+
   it('throws if input file does not exist', async () => {
     await expect(
       convert(join(tmpDir, 'nonexistent.md'), join(tmpDir, 'out.html'))
@@ -86,4 +282,108 @@ describe('convert', () => {
     const html = await readFile(outputPath);
     expect(html).toContain('<!DOCTYPE html>');
   });
+
+  it('points links to Markdown files at their pages unless rewriteLinks is false', async () => {
+    const inputPath = join(tmpDir, 'links.md');
+    await writeFile(inputPath, '[Setup](guide/setup.md#install)', 'utf-8');
+
+    await convert(inputPath, join(tmpDir, 'links.html'));
+    expect(await readFile(join(tmpDir, 'links.html'))).toContain('<a href="guide/setup.html#install">Setup</a>');
+
+    await convert(inputPath, join(tmpDir, 'links.html'), { rewriteLinks: false });
+    expect(await readFile(join(tmpDir, 'links.html'))).toContain('<a href="guide/setup.md#install">Setup</a>');
+  });
+
+  it('writes only the content with fragment', async () => {
+    const inputPath = join(tmpDir, 'part.md');
+    const outputPath = join(tmpDir, 'part.html');
+    await writeFile(inputPath, '---\ntitle: Part\n---\n# Part\n', 'utf-8');
+
+    await convert(inputPath, outputPath, { fragment: true, theme: 'dark' });
+    expect(await readFile(outputPath)).toBe('<h1 id="part">Part</h1>\n');
+  });
+});
+
+describe('convert includes', () => {
+  it('resolves includes relative to the source and returns the included files', async () => {
+    await mkdir(join(tmpDir, 'docs', 'snippets'), { recursive: true });
+    await writeFile(join(tmpDir, 'docs', 'snippets', 'license.md'), 'Licensed under *MIT*.\n', 'utf-8');
+    await writeFile(join(tmpDir, 'docs', 'app.js'), 'const a = 1;\nconst b = 2;\n', 'utf-8');
+    const inputPath = join(tmpDir, 'docs', 'index.md');
+    await writeFile(inputPath, '---\ntitle: Doc\n---\n<!-- include: ./snippets/license.md -->\n\n```js file=app.js lines=2\n```\n', 'utf-8');
+
+    const result = await convert(inputPath, join(tmpDir, 'out', 'index.html'), { fragment: true, highlight: false });
+    expect(await readFile(result.outputPath)).toBe(
+      '<p>Licensed under <em>MIT</em>.</p>\n<pre><code class="language-js">const b = 2;</code></pre>\n'
+    );
+    expect(result.includes).toEqual([join(tmpDir, 'docs', 'snippets', 'license.md'), join(tmpDir, 'docs', 'app.js')]);
+  });
+
+  it('reports a missing include with the front-matter-adjusted line', async () => {
+    const inputPath = join(tmpDir, 'page.md');
+    await writeFile(inputPath, '---\ntitle: Page\n---\n# Page\n<!-- include: gone.md -->\n', 'utf-8');
+    await expect(convert(inputPath)).rejects.toThrow(`(include chain: ${inputPath}:5)`);
+  });
+
+  it('leaves includes alone in safe mode or with includes off', async () => {
+    const md = '<!-- include: /etc/passwd -->\n';
+    expect((await convertString(md, { safe: true, fragment: true })).html).toBe('\n');
+    expect((await convertString(md, { includes: false, fragment: true })).html).toBe('<!-- include: /etc/passwd -->\n');
+  });
+});
+
+describe('convertString', () => {
+  it('converts Markdown text to a page without writing anything', async () => {
+    const { html, metadata } = await convertString('---\nlang: fr\n---\n# Bonjour\n');
+    expect(metadata).toEqual({ lang: 'fr' });
+    expect(html).toContain('<html lang="fr">');
+    expect(html).toContain('<title>Untitled</title>');
+    expect(html).toContain('<h1 id="bonjour">Bonjour</h1>');
+  });
+
+  it('takes the title from sourcePath', async () => {
+    const { html } = await convertString('text', { sourcePath: join(tmpDir, 'notes.md') });
+    expect(html).toContain('<title>notes</title>');
+  });
+
+  it('returns only the content with fragment', async () => {
+    const { html } = await convertString('# Hi *there*\n\n```js\nlet a;\n```\n', { fragment: true });
+    expect(html).toMatch(/^<h1 id="hi-there">Hi <em>there<\/em><\/h1>\n<pre/);
+    expect(html).not.toContain('<!DOCTYPE html>');
+    expect(html).not.toContain('<style>');
+  });
+
+  it('links stylesheets relative to outputPath, or to the working directory', async () => {
+    const cssPath = join(process.cwd(), 'assets', 'site.css');
+    const linked = await convertString('x', { css: [cssPath], outputPath: join(process.cwd(), 'out', 'page.html') });
+    expect(linked.html).toContain('<link rel="stylesheet" href="../assets/site.css">');
+
+    const fromCwd = await convertString('x', { css: [cssPath] });
+    expect(fromCwd.html).toContain('<link rel="stylesheet" href="assets/site.css">');
+  });
+
+  it('names the source in front matter errors only when it has a path', async () => {
+    await expect(convertString('---\ntitle: [x\n---\n')).rejects.toThrow(/^Invalid front matter/);
+    await expect(convertString('---\ntitle: [x\n---\n', { sourcePath: 'a.md' })).rejects.toThrow(/^a\.md: Invalid front matter/);
+  });
+
+  it('places the site navigation and its stylesheet with site', async () => {
+    const { html } = await convertString('# Page', {
+      title: 'Page',
+      site: {
+        nav: '<ul><li>nav</li></ul>',
+        breadcrumbs: '<ol><li>crumbs</li></ol>',
+        prev: { title: 'A & B', url: 'a.html' },
+      },
+    });
+    expect(html).toContain('<title>Page</title>');
+    expect(html).toContain('<nav class="site-nav" aria-label="Site">\n<ul><li>nav</li></ul>\n</nav>\n<main class="site-main">');
+    expect(html).toContain('<nav class="breadcrumbs" aria-label="Breadcrumb">\n<ol><li>crumbs</li></ol>\n</nav>');
+    expect(html).toContain('<a class="pager-prev" rel="prev" href="a.html">← A &amp; B</a>');
+    expect(html).not.toContain('rel="next"');
+    expect(html).toContain('.site-nav');
+
+    const plain = await convertString('# Page');
+    expect(plain.html).not.toContain('site-nav');
+  });
 });
@@ -4,7 +4,8 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { readFile, writeFile, fileExists, deriveOutputPath } from '../src/fileHandler.js';
+import { readFile, readStream, writeFile, copyFile, fileExists, isDirectory, deriveOutputPath } from '../src/fileHandler.js';
+import { Readable } from 'stream';
 import { mkdtemp, rm, writeFile as fsWriteFile } from 'fs/promises';
 import { tmpdir } from 'os';
 import { join } from 'path';
@@ -32,6 +33,18 @@ describe('readFile', () => {
   });
 });
 
+describe('readStream', () => {
+  it('reads a whole stream, joining multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('# Café\n');
+    const stream = Readable.from([bytes.subarray(0, 5), bytes.subarray(5)]);
+    expect(await readStream(stream)).toBe('# Café\n');
+  });
+
+  it('returns an empty string for an empty stream', async () => {
+    expect(await readStream(Readable.from([]))).toBe('');
+  });
+});
+
 describe('writeFile', () => {
   it('writes content to a file', async () => {
     const filePath = join(tmpDir, 'output.html');
@@ -84,3 +97,27 @@ describe('deriveOutputPath', () => {
     expect(result).toMatch(/notes\.html$/);
   });
 });
+
+describe('copyFile', () => {
+  it('copies a file, creating directories', async () => {
+    const source = join(tmpDir, 'image.png');
+    await fsWriteFile(source, 'PNG');
+    const destination = join(tmpDir, 'out', 'img', 'image.png');
+    await copyFile(source, destination);
+    expect(await readFile(destination)).toBe('PNG');
+  });
+
+  it('throws descriptive error for missing source', async () => {
+    await expect(copyFile(join(tmpDir, 'missing.png'), join(tmpDir, 'out.png'))).rejects.toThrow('File not found');
+  });
+});
+
+describe('isDirectory', () => {
+  it('tells directories from files and missing paths', async () => {
+    const filePath = join(tmpDir, 'file.md');
+    await fsWriteFile(filePath, 'content', 'utf-8');
+    expect(await isDirectory(tmpDir)).toBe(true);
+    expect(await isDirectory(filePath)).toBe(false);
+    expect(await isDirectory(join(tmpDir, 'missing'))).toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+// Test plugin: @name mentions rendered as profile links
+export default {
+  name: 'mentions',
+  inlineRules: [
+    {
+      name: 'mention',
+      triggers: '@',
+      parse(state) {
+        const previous = state.src[state.pos - 1];
+        if (previous !== undefined && /\w/.test(previous)) return false;
+        const match = state.src.slice(state.pos).match(/^@([A-Za-z0-9-]+)/);
+        if (!match) return false;
+        state.push({ type: 'mention', user: match[1] });
+        state.pos += match[0].length;
+        return true;
+      },
+    },
+  ],
+  renderers: {
+    mention: (node) => `<a class="mention" href="https://github.com/${node.user}">@${node.user}</a>`,
+  },
+};
@@ -0,0 +1 @@
+export const plugin = { name: 'unused' };
@@ -0,0 +1,59 @@
+/**
+ * test/footnotes.test.js
+ * Unit tests for src/footnotes.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { footnoteRefId, resolveFootnotes } from '../src/footnotes.js';
+import { parseToAst } from '../src/parser.js';
+
+describe('footnoteRefId', () => {
+  it('suffixes references after the first', () => {
+    expect(footnoteRefId(3, 1)).toBe('fnref-3');
+    expect(footnoteRefId(3, 2)).toBe('fnref-3-2');
+  });
+});
+
+describe('resolveFootnotes', () => {
+  it('numbers footnotes by first reference and counts repeated references', () => {
+    // Labels are normalized like link labels
+    const ast = parseToAst('[^b] [^a] [^b]\n\n[^a]: A\n[^b]: B');
+    const refs = ast.children[0].children.filter((node) => node.type === 'footnoteReference');
+    expect(refs).toEqual([
+      { type: 'footnoteReference', label: 'B', number: 1, index: 1 },
+      { type: 'footnoteReference', label: 'A', number: 2, index: 1 },
+      { type: 'footnoteReference', label: 'B', number: 1, index: 2 },
+    ]);
+    const section = ast.children[ast.children.length - 1];
+    expect(section.type).toBe('footnotes');
+    expect(section.children.map(({ label, number, references }) => ({ label, number, references }))).toEqual([
+      { label: 'B', number: 1, references: 2 },
+      { label: 'A', number: 2, references: 1 },
+    ]);
+    expect(section.children[0].children[0].children.slice(1)).toEqual([
+      { type: 'text', value: ' ' },
+      { type: 'footnoteBackref', number: 1, index: 1 },
+      { type: 'text', value: ' ' },
+      { type: 'footnoteBackref', number: 1, index: 2 },
+    ]);
+  });
+
+  it('numbers footnotes referenced from other footnotes after them', () => {
+    const ast = parseToAst('Text[^outer]\n\n[^outer]: See[^inner], and itself[^outer].\n[^inner]: Inner.');
+    const section = ast.children[ast.children.length - 1];
+    expect(section.children.map(({ label, number, references }) => [label, number, references])).toEqual([
+      ['OUTER', 1, 2],
+      ['INNER', 2, 1],
+    ]);
+  });
+
+  it('leaves out footnotes that are never referenced', () => {
+    const ast = parseToAst('No references.\n\n[^unused]: Never shown.');
+    expect(ast.children.map((node) => node.type)).toEqual(['paragraph']);
+  });
+
+  it('returns the AST it was given', () => {
+    const ast = { type: 'document', children: [] };
+    expect(resolveFootnotes(ast, {})).toBe(ast);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * test/frontMatter.test.js
+ * Unit tests for src/frontMatter.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { extractFrontMatter, parseYaml } from '../src/frontMatter.js';
+
+describe('extractFrontMatter', () => {
+  it('splits front matter from the document body', () => {
+    const result = extractFrontMatter('---\ntitle: Hello\n---\n# Body\n');
+    expect(result.data).toEqual({ title: 'Hello' });
+    expect(result.content).toBe('# Body\n');
+    expect(result.lines).toBe(3);
+  });
+
+  it('accepts ... as the closing delimiter', () => {
+    expect(extractFrontMatter('---\ntitle: Hi\n...\nText').content).toBe('Text');
+  });
+
+  it('handles CRLF line endings', () => {
+    const result = extractFrontMatter('---\r\ntitle: Hi\r\n---\r\nText');
+    expect(result.data).toEqual({ title: 'Hi' });
+    expect(result.content).toBe('Text');
+  });
+
+  it('strips an empty front-matter block', () => {
+    expect(extractFrontMatter('---\n---\nText')).toEqual({ data: {}, content: 'Text', lines: 2 });
+  });
+
+  it('returns the input unchanged without front matter', () => {
+    expect(extractFrontMatter('# Title\n')).toEqual({ data: {}, content: '# Title\n', lines: 0 });
+  });
+
+  it('ignores a block that does not start on the first line', () => {
+    const markdown = '\n---\ntitle: x\n---\n';
+    expect(extractFrontMatter(markdown).content).toBe(markdown);
+  });
+
+  it('leaves a thematic break followed by a setext heading alone', () => {
+    const markdown = '---\nJust a heading\n---\n';
+    expect(extractFrontMatter(markdown).content).toBe(markdown);
+  });
+
+  it('leaves an unclosed block alone', () => {
+    const markdown = '---\ntitle: x\n\nText';
+    expect(extractFrontMatter(markdown).content).toBe(markdown);
+  });
+
+  it('reports errors with the line number in the file', () => {
+    expect(() => extractFrontMatter('---\ntitle: x\n  bad: indent\n---\n')).toThrow(
+      'Invalid front matter at line 3: unexpected indentation'
+    );
+  });
+});
+
+describe('parseYaml', () => {
+  it('parses scalars', () => {
+    expect(parseYaml('a: text\nb: 42\nc: -1.5\nd: true\ne: false\nf: null\ng: ~\nh:')).toEqual({
+      a: 'text', b: 42, c: -1.5, d: true, e: false, f: null, g: null, h: null,
+    });
+  });
+
+  it('parses quoted strings', () => {
+    expect(parseYaml('a: "x: y"\nb: \'it\'\'s\'\nc: "tab\\there"\nd: "42"')).toEqual({
+      a: 'x: y', b: "it's", c: 'tab\there', d: '42',
+    });
+  });
+
+  it('keeps colons inside plain values', () => {
+    expect(parseYaml('url: https://example.com/a?b=c\ntitle: Part 1: Intro')).toEqual({
+      url: 'https://example.com/a?b=c', title: 'Part 1: Intro',
+    });
+  });
+
+  it('strips comments', () => {
+    expect(parseYaml('# leading\na: 1 # trailing\nb: "# not a comment"\nc: a#b')).toEqual({
+      a: 1, b: '# not a comment', c: 'a#b',
+    });
+  });
+
+  it('parses block lists, indented or not', () => {
+    expect(parseYaml('a:\n  - one\n  - two\nb:\n- three')).toEqual({ a: ['one', 'two'], b: ['three'] });
+  });
+
+  it('parses flow lists', () => {
+    expect(parseYaml('tags: [md, "a, b", 3, []]')).toEqual({ tags: ['md', 'a, b', 3, []] });
+  });
+
+  it('parses nested maps', () => {
+    expect(parseYaml('site:\n  name: Docs\n  social:\n    github: md2html\nafter: 1')).toEqual({
+      site: { name: 'Docs', social: { github: 'md2html' } },
+      after: 1,
+    });
+  });
+
+  it('parses lists of maps', () => {
+    expect(parseYaml('authors:\n  - name: Ann\n    email: ann@example.com\n  - name: Bob')).toEqual({
+      authors: [{ name: 'Ann', email: 'ann@example.com' }, { name: 'Bob' }],
+    });
+  });
+
+  it('parses literal and folded block scalars', () => {
+    const yaml = 'literal: |\n  one\n  two\n\nfolded: >\n  three\n  four\n\n  five\nstripped: |-\n  six\nnext: 1';
+    expect(parseYaml(yaml)).toEqual({
+      literal: 'one\ntwo\n',
+      folded: 'three four\nfive\n',
+      stripped: 'six',
+      next: 1,
+    });
+  });
+
+  it('returns an empty object for an empty document', () => {
+    expect(parseYaml('\n# only a comment\n')).toEqual({});
+  });
+
+  it('rejects a top-level list', () => {
+    expect(() => parseYaml('- a\n- b')).toThrow('front matter must be a map');
+  });
+
+  it('rejects lines that are not key/value pairs', () => {
+    expect(() => parseYaml('title: x\njust text')).toThrow('Invalid front matter at line 2: expected "key: value"');
+  });
+
+  it('rejects tab indentation', () => {
+    expect(() => parseYaml('a:\n\tb: 1')).toThrow('tabs are not allowed');
+  });
+
+  it('rejects unterminated strings', () => {
+    expect(() => parseYaml('a: "open')).toThrow('unterminated double-quoted string');
+  });
+});
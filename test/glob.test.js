@@ -0,0 +1,81 @@
+/**
+ * test/glob.test.js
+ * Unit tests for src/glob.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isGlob, globBase, globToRegExp, createMatcher } from '../src/glob.js';
+
+describe('isGlob', () => {
+  it('detects glob syntax', () => {
+    expect(isGlob('docs/*.md')).toBe(true);
+    expect(isGlob('docs/{a,b}.md')).toBe(true);
+    expect(isGlob('docs/readme.md')).toBe(false);
+  });
+});
+
+describe('globBase', () => {
+  it('returns the leading directories without glob syntax', () => {
+    expect(globBase('docs/guide/*.md')).toBe('docs/guide');
+    expect(globBase('docs/**/*.md')).toBe('docs');
+    expect(globBase('*.md')).toBe('.');
+    expect(globBase('/srv/*.md')).toBe('/srv');
+    expect(globBase('/*.md')).toBe('/');
+  });
+});
+
+describe('globToRegExp', () => {
+  const matches = (pattern, path) => globToRegExp(pattern).test(path);
+
+  it('keeps * within a path segment', () => {
+    expect(matches('*.md', 'a.md')).toBe(true);
+    expect(matches('*.md', 'dir/a.md')).toBe(false);
+  });
+
+  it('lets **/ match any number of directories, including none', () => {
+    expect(matches('**/*.md', 'a.md')).toBe(true);
+    expect(matches('**/*.md', 'a/b/c.md')).toBe(true);
+    expect(matches('guide/**/x.md', 'guide/x.md')).toBe(true);
+    expect(matches('guide/**', 'guide/a/b.png')).toBe(true);
+  });
+
+  it('supports ?, classes, alternatives and escapes', () => {
+    expect(matches('v?.md', 'v1.md')).toBe(true);
+    expect(matches('[a-c].md', 'b.md')).toBe(true);
+    expect(matches('[!a-c].md', 'b.md')).toBe(false);
+    expect(matches('*.{png,jpg}', 'x.jpg')).toBe(true);
+    expect(matches('*.{png,jpg}', 'x.gif')).toBe(false);
+    expect(matches('\\*.md', '*.md')).toBe(true);
+    expect(matches('\\*.md', 'a.md')).toBe(false);
+  });
+
+  it('treats regex characters literally', () => {
+    expect(matches('a+b (1).md', 'a+b (1).md')).toBe(true);
+    expect(matches('a.md', 'abmd')).toBe(false);
+  });
+
+  it('rejects unclosed classes and alternatives', () => {
+    expect(() => globToRegExp('[ab')).toThrow('Invalid glob "[ab": unclosed [');
+    expect(() => globToRegExp('{a,b')).toThrow('Invalid glob "{a,b": unclosed {');
+  });
+});
+
+describe('createMatcher', () => {
+  it('matches slash-less patterns against the file name at any depth', () => {
+    const matches = createMatcher(['*.draft.md']);
+    expect(matches('a.draft.md')).toBe(true);
+    expect(matches('deep/dir/a.draft.md')).toBe(true);
+    expect(matches('a.md')).toBe(false);
+  });
+
+  it('matches patterns with a slash against the whole path', () => {
+    const matches = createMatcher(['drafts/*.md', './api/**']);
+    expect(matches('drafts/a.md')).toBe(true);
+    expect(matches('old/drafts/a.md')).toBe(false);
+    expect(matches('api/v1/index.md')).toBe(true);
+  });
+
+  it('matches nothing without patterns', () => {
+    expect(createMatcher([])('a.md')).toBe(false);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * test/headings.test.js
+ * Unit tests for src/headings.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { slugify, createSlugger, addHeadingIds, applyHeadingOptions } from '../src/headings.js';
+import { parseMarkdown, parseToAst } from '../src/parser.js';
+
+describe('slugify', () => {
+  it('lowercases and joins words with hyphens', () => {
+    expect(slugify('Getting Started')).toBe('getting-started');
+  });
+  it('removes punctuation', () => {
+    expect(slugify("What's new? (v2.0)")).toBe('whats-new-v20');
+  });
+  it('keeps hyphens and underscores', () => {
+    expect(slugify('snake_case and kebab-case')).toBe('snake_case-and-kebab-case');
+  });
+  it('keeps each space, as GitHub does', () => {
+    expect(slugify('A & B')).toBe('a--b');
+  });
+  it('keeps non-ASCII letters and numbers', () => {
+    expect(slugify('Café Ünïcode 日本語 ٣')).toBe('café-ünïcode-日本語-٣');
+  });
+  it('removes emoji', () => {
+    expect(slugify('Launch 🚀')).toBe('launch-');
+  });
+});
+
+describe('createSlugger', () => {
+  it('appends -1, -2 to repeated slugs', () => {
+    const slug = createSlugger();
+    expect([slug('Intro'), slug('Intro'), slug('intro')]).toEqual(['intro', 'intro-1', 'intro-2']);
+  });
+  it('skips suffixes that are already taken', () => {
+    const slug = createSlugger();
+    expect([slug('a-1'), slug('a'), slug('a')]).toEqual(['a-1', 'a', 'a-2']);
+  });
+  it('falls back to "section" for headings without slug characters', () => {
+    const slug = createSlugger();
+    expect([slug('!!!'), slug('???')]).toEqual(['section', 'section-1']);
+  });
+});
+
+describe('addHeadingIds', () => {
+  it('derives ids from text with inline markup stripped', () => {
+    const ast = parseToAst('# Using `convert()` with *options*');
+    addHeadingIds(ast);
+    expect(ast.children[0].id).toBe('using-convert-with-options');
+  });
+  it('reaches headings nested in containers', () => {
+    const ast = parseToAst('# Top\n\n> ## Quoted\n\n- ### Listed');
+    expect(addHeadingIds(ast).map((heading) => heading.id)).toEqual(['top', 'quoted', 'listed']);
+  });
+});
+
+describe('applyHeadingOptions', () => {
+  it('leaves the AST alone without options or a marker', () => {
+    const ast = parseToAst('# Title');
+    applyHeadingOptions(ast);
+    expect(ast.children[0].id).toBeUndefined();
+  });
+  it('rejects out-of-range levels', () => {
+    expect(() => applyHeadingOptions(parseToAst('# A'), { toc: true, tocMaxLevel: 7 })).toThrow(RangeError);
+  });
+  it('rejects a min level above the max level', () => {
+    expect(() => applyHeadingOptions(parseToAst('# A'), { toc: true, tocMinLevel: 3, tocMaxLevel: 2 })).toThrow(
+      'tocMinLevel (3) must not be greater than tocMaxLevel (2)'
+    );
+  });
+});
+
+describe('parseMarkdown heading options', () => {
+  it('does not add ids by default', () => {
+    expect(parseMarkdown('# Title')).toBe('<h1>Title</h1>');
+  });
+
+  it('adds ids with headingIds', () => {
+    expect(parseMarkdown('# Title\n## Title', { headingIds: true })).toBe(
+      '<h1 id="title">Title</h1>\n<h2 id="title-1">Title</h2>'
+    );
+  });
+
+  it('adds anchor links with anchorLinks', () => {
+    expect(parseMarkdown('## Setup', { headingIds: true, anchorLinks: true })).toBe(
+      '<h2 id="setup"><a class="anchor" href="#setup" aria-hidden="true">#</a>Setup</h2>'
+    );
+  });
+
+  it('percent-encodes non-ASCII ids in anchor links', () => {
+    expect(parseMarkdown('# Café', { headingIds: true, anchorLinks: true })).toContain('href="#caf%C3%A9"');
+  });
+
+  it('replaces a [[toc]] marker with a nested table of contents', () => {
+    const html = parseMarkdown('# Doc\n\n[[toc]]\n\n## One\n### One A\n### One B\n## Two');
+    expect(html).toBe([
+      '<h1 id="doc">Doc</h1>',
+      '<nav class="toc">',
+      '<ul>',
+      '<li><a href="#doc">Doc</a>',
+      '<ul>',
+      '<li><a href="#one">One</a>',
+      '<ul>',
+      '<li><a href="#one-a">One A</a></li>',
+      '<li><a href="#one-b">One B</a></li>',
+      '</ul>',
+      '</li>',
+      '<li><a href="#two">Two</a></li>',
+      '</ul>',
+      '</li>',
+      '</ul>',
+      '</nav>',
+      '<h2 id="one">One</h2>',
+      '<h3 id="one-a">One A</h3>',
+      '<h3 id="one-b">One B</h3>',
+      '<h2 id="two">Two</h2>',
+    ].join('\n'));
+  });
+
+  it('matches the marker case-insensitively', () => {
+    expect(parseMarkdown('[[TOC]]\n\n# A')).toContain('<nav class="toc">');
+  });
+
+  it('does not treat the marker inside other text as a TOC', () => {
+    expect(parseMarkdown('See [[toc]] here')).toBe('<p>See [[toc]] here</p>');
+  });
+
+  it('inserts a TOC at the top with the toc option', () => {
+    expect(parseMarkdown('# A\n## B', { toc: true })).toMatch(/^<nav class="toc">\n<ul>\n<li><a href="#a">A<\/a>/);
+  });
+
+  it('limits the TOC to tocMinLevel..tocMaxLevel', () => {
+    const html = parseMarkdown('# Title\n## Kept\n### Also kept\n#### Dropped', { toc: true, tocMinLevel: 2, tocMaxLevel: 3 });
+    const nav = html.slice(0, html.indexOf('</nav>'));
+    expect(nav).not.toContain('#title');
+    expect(nav).toContain('<a href="#kept">Kept</a>');
+    expect(nav).toContain('<a href="#also-kept">Also kept</a>');
+    expect(nav).not.toContain('#dropped');
+  });
+
+  it('nests a deeper heading under the closest shallower one', () => {
+    const html = parseMarkdown('## A\n#### Deep\n### Mid', { toc: true });
+    expect(html).toContain('<li><a href="#a">A</a>\n<ul>\n<li><a href="#deep">Deep</a></li>\n<li><a href="#mid">Mid</a></li>\n</ul>\n</li>');
+  });
+
+  it('renders an empty nav when no headings are in range', () => {
+    expect(parseMarkdown('Text', { toc: true })).toBe('<nav class="toc">\n</nav>\n<p>Text</p>');
+  });
+
+  it('uses plain text for TOC entries', () => {
+    expect(parseMarkdown('# The [API](api.md) `docs`', { toc: true })).toContain('<a href="#the-api-docs">The API docs</a>');
+  });
+});
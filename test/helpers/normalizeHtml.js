@@ -0,0 +1,102 @@
+/**
+ * test/helpers/normalizeHtml.js
+ * HTML normalization for comparing parser output with expected HTML,
+ * modelled on the CommonMark spec test runner's normalizer:
+ * - whitespace runs outside <pre> collapse to one space
+ * - whitespace next to block-level tags is removed
+ * - attributes are sorted and self-closing slashes dropped (`<br />` → `<br>`)
+ * - character references are decoded and text re-escaped consistently
+ * - optionally, the trailing newline of a code block (<code> in a bare
+ *   <pre>, as the spec renders them) is dropped; md2html intentionally emits
+ *   code blocks without it, so only the spec's HTML needs this
+ */
+
+import { decodeEntities } from '../../src/entities.js';
+
+const BLOCK_TAGS = new Set([
+  'article', 'aside', 'blockquote', 'body', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html', 'li', 'link', 'main',
+  'meta', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title',
+  'tr', 'ul',
+]);
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[!?][^>]*>|<\/?[A-Za-z][^>]*>|[^<]+|</g;
+
+/**
+ * Re-escapes text after entity decoding.
+ * @param {string} str
+ * @returns {string}
+ */
+function escape(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalizes a start or end tag.
+ * @param {string} tag
+ * @returns {{ name: string, closing: boolean, html: string }}
+ */
+function normalizeTag(tag) {
+  const closing = tag.startsWith('</');
+  const name = tag.match(/^<\/?([A-Za-z][A-Za-z0-9-]*)/)[1].toLowerCase();
+  if (closing) return { name, closing, html: `</${name}>` };
+
+  const attrs = [];
+  const attrRe = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.slice(name.length + 1).replace(/\/?>$/, '');
+  let match;
+  while ((match = attrRe.exec(body)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attrs.push(value === undefined ? match[1].toLowerCase() : `${match[1].toLowerCase()}="${escape(decodeEntities(value))}"`);
+  }
+  attrs.sort();
+  return { name, closing, html: `<${name}${attrs.length ? ` ${attrs.join(' ')}` : ''}>` };
+}
+
+/**
+ * Normalizes an HTML fragment for comparison.
+ * @param {string} html
+ * @param {{ dropCodeNewline?: boolean }} [options] — dropCodeNewline removes
+ *   the final newline of each code block
+ * @returns {string}
+ */
+export function normalizeHtml(html, { dropCodeNewline = false } = {}) {
+  const tokens = html.match(TOKEN_RE) || [];
+  let output = '';
+  let inPre = 0;
+  let inBarePre = false;
+  let lastWasBlock = true;
+
+  for (const token of tokens) {
+    if (/^<\/?[A-Za-z]/.test(token)) {
+      const tag = normalizeTag(token);
+      if (tag.name === 'pre') {
+        inPre += tag.closing ? -1 : 1;
+        inBarePre = !tag.closing && tag.html === '<pre>';
+      }
+      if (BLOCK_TAGS.has(tag.name)) {
+        output = output.replace(/ $/, '');
+        lastWasBlock = true;
+      } else {
+        lastWasBlock = false;
+      }
+      if (dropCodeNewline && tag.closing && tag.name === 'code' && inBarePre) {
+        output = output.replace(/\n$/, '');
+      }
+      output += tag.html;
+    } else if (token.startsWith('<!') || token.startsWith('<?')) {
+      output += token;
+      lastWasBlock = false;
+    } else {
+      let text = escape(decodeEntities(token));
+      if (inPre === 0) {
+        text = text.replace(/\s+/g, ' ');
+        if (lastWasBlock) text = text.replace(/^ /, '');
+      }
+      output += text;
+      lastWasBlock = false;
+    }
+  }
+
+  return output.trim();
+}
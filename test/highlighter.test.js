@@ -0,0 +1,238 @@
+/**
+ * test/highlighter.test.js
+ * Unit tests for src/highlighter.js and highlighted code block rendering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { highlight, parseInfoString, LANGUAGES } from '../src/highlighter.js';
+import { parseMarkdown } from '../src/parser.js';
+
+/**
+ * Lists the non-plain tokens of highlighted code as [type, text] pairs.
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<[string, string]>}
+ */
+function typed(code, lang) {
+  return highlight(code, lang)
+    .filter((token) => token.type !== null)
+    .map((token) => [token.type, token.text]);
+}
+
+describe('highlight', () => {
+  it('returns null for unknown languages', () => {
+    expect(highlight('x', 'cobol')).toBeNull();
+    expect(highlight('x', null)).toBeNull();
+  });
+
+  it('keeps all of the source text', () => {
+    const code = 'const a = `x ${y}`; // done\nif (a) { return /re/g.test(a); }';
+    expect(highlight(code, 'js').map((token) => token.text).join('')).toBe(code);
+  });
+
+  it('accepts aliases in any case', () => {
+    for (const lang of ['js', 'JavaScript', 'ts', 'sh', 'bash', 'py', 'xml', 'patch', 'jsonc']) {
+      expect(LANGUAGES).toContain(lang.toLowerCase());
+      expect(highlight('x', lang)).not.toBeNull();
+    }
+  });
+
+  it('highlights JavaScript', () => {
+    expect(typed('const n = 0x1f; // hex\nconsole.log(n, "s", null);', 'js')).toEqual([
+      ['keyword', 'const'],
+      ['number', '0x1f'],
+      ['comment', '// hex'],
+      ['built_in', 'console'],
+      ['function', 'log'],
+      ['string', '"s"'],
+      ['literal', 'null'],
+    ]);
+  });
+
+  it('tells regex literals from division', () => {
+    expect(typed('x = a / b / c', 'js')).toEqual([]);
+    expect(typed('x = /a\\/[/]b/gi', 'js')).toEqual([['regexp', '/a\\/[/]b/gi']]);
+    expect(typed('return /x/.test(s)', 'js')).toEqual([['keyword', 'return'], ['regexp', '/x/'], ['function', 'test']]);
+  });
+
+  it('keeps multi-line comments and template literals whole', () => {
+    expect(typed('/* a\nb */ `c\nd`', 'js')).toEqual([['comment', '/* a\nb */'], ['string', '`c\nd`']]);
+  });
+
+  it('highlights TypeScript types, keywords and decorators', () => {
+    expect(typed('@Injectable()\ninterface A { x: string }', 'ts')).toEqual([
+      ['meta', '@Injectable'],
+      ['keyword', 'interface'],
+      ['type', 'string'],
+    ]);
+  });
+
+  it('highlights JSON keys apart from string values', () => {
+    expect(typed('{"a": "b", "n": -1.5e3, "ok": true}', 'json')).toEqual([
+      ['property', '"a"'],
+      ['string', '"b"'],
+      ['property', '"n"'],
+      ['number', '-1.5e3'],
+      ['property', '"ok"'],
+      ['literal', 'true'],
+    ]);
+  });
+
+  it('highlights shell scripts', () => {
+    expect(typed('#!/bin/sh\nfor f in *.md; do echo "$f" ${HOME}; done # end', 'sh')).toEqual([
+      ['meta', '#!/bin/sh'],
+      ['keyword', 'for'],
+      ['keyword', 'in'],
+      ['keyword', 'do'],
+      ['built_in', 'echo'],
+      ['string', '"$f"'],
+      ['variable', '${HOME}'],
+      ['keyword', 'done'],
+      ['comment', '# end'],
+    ]);
+  });
+
+  it('only treats # at a word start as a shell comment', () => {
+    expect(typed('echo a#b', 'sh')).toEqual([['built_in', 'echo']]);
+    expect(typed('cat done.txt', 'sh')).toEqual([]);
+  });
+
+  it('highlights Python', () => {
+    expect(typed('@cache\ndef f(x=1):\n    """Doc."""\n    return None  # no', 'python')).toEqual([
+      ['meta', '@cache'],
+      ['keyword', 'def'],
+      ['function', 'f'],
+      ['number', '1'],
+      ['string', '"""Doc."""'],
+      ['keyword', 'return'],
+      ['literal', 'None'],
+      ['comment', '# no'],
+    ]);
+  });
+
+  it('highlights HTML tags, attributes and embedded script and style', () => {
+    expect(typed('<!-- c --><a href="/x" hidden>&amp;</a><script>let a;</script><style>b { top: 0 }</style>', 'html')).toEqual([
+      ['comment', '<!-- c -->'],
+      ['tag', 'a'],
+      ['attr', 'href'],
+      ['string', '"/x"'],
+      ['attr', 'hidden'],
+      ['literal', '&amp;'],
+      ['tag', 'a'],
+      ['tag', 'script'],
+      ['keyword', 'let'],
+      ['tag', 'script'],
+      ['tag', 'style'],
+      ['tag', 'b'],
+      ['property', 'top'],
+      ['number', '0'],
+      ['tag', 'style'],
+    ]);
+  });
+
+  it('takes linear time on HTML tags that never close', () => {
+    const start = performance.now();
+    for (const code of ['<a b'.repeat(16000), '<script'.repeat(16000)]) {
+      expect(typed(code, 'html')).toEqual([]);
+      expect(parseMarkdown(`\`\`\`html\n${code}\n\`\`\``, { highlight: true }).length).toBeGreaterThan(code.length);
+    }
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+
+  it('highlights CSS selectors, properties and values', () => {
+    expect(typed('@media (min-width: 40em) { .a:hover { color: #fff !important; width: calc(100% - 2px) } }', 'css')).toEqual([
+      ['keyword', '@media'],
+      ['property', 'min-width'],
+      ['number', '40em'],
+      ['selector', '.a'],
+      ['selector', ':hover'],
+      ['property', 'color'],
+      ['number', '#fff'],
+      ['keyword', '!important'],
+      ['property', 'width'],
+      ['function', 'calc'],
+      ['number', '100%'],
+      ['number', '2px'],
+    ]);
+  });
+
+  it('highlights diffs line by line', () => {
+    expect(typed('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-old\n+new\n same', 'diff')).toEqual([
+      ['meta', '--- a/x'],
+      ['meta', '+++ b/x'],
+      ['hunk', '@@ -1 +1 @@'],
+      ['deletion', '-old'],
+      ['addition', '+new'],
+    ]);
+  });
+});
+
+describe('parseInfoString', () => {
+  it('reads the language', () => {
+    expect(parseInfoString('js')).toEqual({ lang: 'js', highlightLines: [], lineNumbers: undefined });
+    expect(parseInfoString('')).toEqual({ lang: null, highlightLines: [], lineNumbers: undefined });
+  });
+
+  it('reads line ranges, with or without a space after the language', () => {
+    expect(parseInfoString('js {1,3-5}').highlightLines).toEqual([[1, 1], [3, 5]]);
+    expect(parseInfoString('js{ 2 - 4 }')).toMatchObject({ lang: 'js', highlightLines: [[2, 4]] });
+  });
+
+  it('ignores malformed ranges', () => {
+    expect(parseInfoString('js {a-b}').highlightLines).toEqual([]);
+  });
+
+  it('reads line number flags', () => {
+    expect(parseInfoString('py line-numbers').lineNumbers).toBe(true);
+    expect(parseInfoString('py {2} no-line-numbers')).toMatchObject({ highlightLines: [[2, 2]], lineNumbers: false });
+  });
+});
+
+describe('highlighted code blocks', () => {
+  it('renders token spans', () => {
+    expect(parseMarkdown('```js\nlet a = 1;\n```', { highlight: true })).toBe(
+      '<pre><code class="language-js"><span class="hl-keyword">let</span> a = <span class="hl-number">1</span>;</code></pre>'
+    );
+  });
+
+  it('leaves code blocks alone without the highlight option', () => {
+    expect(parseMarkdown('```js\nlet a = 1;\n```')).toBe('<pre><code class="language-js">let a = 1;</code></pre>');
+  });
+
+  it('falls back to escaped output for unknown languages', () => {
+    const markdown = '```cobol\nIF A < B\n```\n\n    <indented>';
+    expect(parseMarkdown(markdown, { highlight: true })).toBe(parseMarkdown(markdown));
+  });
+
+  it('escapes token text', () => {
+    expect(parseMarkdown('```html\n<b>"&"</b>\n```', { highlight: true })).toContain(
+      '&lt;<span class="hl-tag">b</span>&gt;&quot;&amp;&quot;&lt;/<span class="hl-tag">b</span>&gt;'
+    );
+  });
+
+  it('wraps lines and marks highlighted ones', () => {
+    expect(parseMarkdown('```js {2}\na\nb\nc\n```', { highlight: true })).toBe(
+      '<pre><code class="language-js"><span class="line">a</span>\n<span class="line highlighted">b</span>\n<span class="line">c</span></code></pre>'
+    );
+  });
+
+  it('splits tokens that span lines', () => {
+    expect(parseMarkdown('```js {1}\n/* a\nb */\n```', { highlight: true })).toBe(
+      '<pre><code class="language-js"><span class="line highlighted"><span class="hl-comment">/* a</span></span>\n'
+        + '<span class="line"><span class="hl-comment">b */</span></span></code></pre>'
+    );
+  });
+
+  it('numbers lines with the lineNumbers option or the info string', () => {
+    const numbered = '<pre class="line-numbers"><code class="language-txt"><span class="line">a</span>\n<span class="line">b</span></code></pre>';
+    expect(parseMarkdown('```txt\na\nb\n```', { highlight: true, lineNumbers: true })).toBe(numbered);
+    expect(parseMarkdown('```txt line-numbers\na\nb\n```', { highlight: true })).toBe(numbered);
+    expect(parseMarkdown('```txt no-line-numbers\na\n```', { highlight: true, lineNumbers: true })).toBe(
+      '<pre><code class="language-txt">a</code></pre>'
+    );
+  });
+
+  it('uses the language without attached line ranges as the class', () => {
+    expect(parseMarkdown('```py{1}\nx\n```', { highlight: true })).toContain('<code class="language-py">');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * test/includes.test.js
+ * Unit tests for src/includes.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MAX_INCLUDE_DEPTH, resolveIncludes } from '../src/includes.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-includes-'));
+  await mkdir(join(tmpDir, 'snippets'));
+  await mkdir(join(tmpDir, 'examples'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('resolveIncludes', () => {
+  it('replaces include lines with the file, relative to the including file', async () => {
+    await writeFile(join(tmpDir, 'snippets', 'license.md'), '---\ntitle: ignored\n---\nMIT licensed.\n<!-- include: ./footer.md -->\n');
+    await writeFile(join(tmpDir, 'snippets', 'footer.md'), '*Footer*\n');
+    const sourcePath = join(tmpDir, 'index.md');
+    const { markdown, files } = await resolveIncludes('# Doc\n<!-- include: ./snippets/license.md -->\nEnd', { sourcePath });
+    expect(markdown).toBe('# Doc\n\nMIT licensed.\n\n*Footer*\n\nEnd');
+    expect(files).toEqual([join(tmpDir, 'snippets', 'license.md'), join(tmpDir, 'snippets', 'footer.md')]);
+  });
+
+  it('maps each line of the result to the file and line it came from', async () => {
+    await writeFile(join(tmpDir, 'snippets', 'license.md'), '---\ntitle: ignored\n---\nMIT licensed.\n<!-- include: ./footer.md -->\n');
+    await writeFile(join(tmpDir, 'snippets', 'footer.md'), '*Footer*\n');
+    const sourcePath = join(tmpDir, 'index.md');
+    const license = join(tmpDir, 'snippets', 'license.md');
+    const { origins } = await resolveIncludes('# Doc\n<!-- include: ./snippets/license.md -->\nEnd', { sourcePath, lineOffset: 2 });
+    expect(origins).toEqual([
+      { path: sourcePath, line: 3 },
+      { path: sourcePath, line: 4 },
+      { path: license, line: 4 },
+      { path: license, line: 5 },
+      { path: join(tmpDir, 'snippets', 'footer.md'), line: 1 },
+      { path: sourcePath, line: 4 },
+      { path: sourcePath, line: 5 },
+    ]);
+  });
+
+  it('fills fenced code blocks from files, optionally a range of lines', async () => {
+    await writeFile(join(tmpDir, 'examples', 'app.js'), 'one\ntwo\nthree\nfour\n');
+    const sourcePath = join(tmpDir, 'index.md');
+    const md = [
+      '```js file=./examples/app.js lines=2-3 {1}',
+      '```',
+      '~~~ file="examples/app.js" lines=3-',
+      'placeholder',
+      '~~~',
+    ].join('\n');
+    expect((await resolveIncludes(md, { sourcePath })).markdown).toBe([
+      '```js {1}',
+      'two',
+      'three',
+      '```',
+      '~~~',
+      'three',
+      'four',
+      '~~~',
+    ].join('\n'));
+  });
+
+  it('lengthens the fence when the included code contains one', async () => {
+    await writeFile(join(tmpDir, 'examples', 'doc.md'), 'Text\n```sh\nls\n```\n');
+    const { markdown } = await resolveIncludes('```md file=examples/doc.md\n```', { sourcePath: join(tmpDir, 'a.md') });
+    expect(markdown).toBe('````md\nText\n```sh\nls\n```\n````');
+  });
+
+  it('leaves directives inside code blocks alone', async () => {
+    const md = '```\n<!-- include: ./missing.md -->\n```\n\n    <!-- include: ./missing.md -->';
+    expect((await resolveIncludes(md, { sourcePath: join(tmpDir, 'a.md') })).markdown).toBe(md);
+  });
+
+  it('names the include chain when a file is missing', async () => {
+    await writeFile(join(tmpDir, 'snippets', 'outer.md'), 'Outer\n\n<!-- include: inner.md -->\n');
+    const sourcePath = join(tmpDir, 'index.md');
+    // Line 2 of the content, after three lines of front matter
+    const error = await resolveIncludes('A\n<!-- include: snippets/outer.md -->', { sourcePath, lineOffset: 3 })
+      .catch((err) => err);
+    expect(error.message).toContain('Cannot include inner.md: File not found');
+    expect(error.message).toContain(`(include chain: ${sourcePath}:5 → ${join(tmpDir, 'snippets', 'outer.md')}:3)`);
+  });
+
+  it('reports include cycles', async () => {
+    await writeFile(join(tmpDir, 'a.md'), '<!-- include: b.md -->');
+    await writeFile(join(tmpDir, 'b.md'), 'B\n<!-- include: ./a.md -->');
+    await expect(resolveIncludes('<!-- include: b.md -->', { sourcePath: join(tmpDir, 'a.md') })).rejects.toThrow(
+      `Include cycle: ${join(tmpDir, 'a.md')} includes itself (include chain: ${join(tmpDir, 'a.md')}:1 → ${join(tmpDir, 'b.md')}:2)`
+    );
+  });
+
+  it('limits how deeply includes nest', async () => {
+    for (let i = 0; i <= MAX_INCLUDE_DEPTH; i++) {
+      await writeFile(join(tmpDir, `${i}.md`), `<!-- include: ${i + 1}.md -->`);
+    }
+    await writeFile(join(tmpDir, `${MAX_INCLUDE_DEPTH + 1}.md`), 'Deep');
+    await expect(resolveIncludes('<!-- include: 0.md -->', { sourcePath: join(tmpDir, 'index.md') })).rejects.toThrow(
+      `Includes nest more than ${MAX_INCLUDE_DEPTH} deep`
+    );
+    await expect(resolveIncludes('<!-- include: 2.md -->', { sourcePath: join(tmpDir, 'index.md') })).resolves.toMatchObject({
+      markdown: expect.stringContaining('Deep'),
+    });
+  });
+
+  it('rejects invalid and out-of-range line ranges', async () => {
+    await writeFile(join(tmpDir, 'examples', 'app.js'), 'one\ntwo\n');
+    const sourcePath = join(tmpDir, 'index.md');
+    await expect(resolveIncludes('```js file=examples/app.js lines=3-1\n```', { sourcePath })).rejects.toThrow(
+      'Invalid lines=3-1 for examples/app.js'
+    );
+    await expect(resolveIncludes('```js file=examples/app.js lines=2-5\n```', { sourcePath })).rejects.toThrow(
+      'lines=2-5 is past the end of examples/app.js (2 lines)'
+    );
+  });
+
+  it('resolves against the working directory without a source path', async () => {
+    const error = await resolveIncludes('<!-- include: nowhere.md -->').catch((err) => err);
+    expect(error.message).toContain('(include chain: <stdin>:1)');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * test/links.test.js
+ * Unit tests for src/links.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { checkLinks, collectAnchors, collectLinks, isRelativeUrl, rewriteLinks } from '../src/links.js';
+import { parseMarkdown, parseToAst } from '../src/parser.js';
+import { applyHeadingOptions } from '../src/headings.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-links-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('isRelativeUrl', () => {
+  it('tells document-relative URLs from the rest', () => {
+    expect(isRelativeUrl('setup.md')).toBe(true);
+    expect(isRelativeUrl('../guide/')).toBe(true);
+    expect(isRelativeUrl('#install')).toBe(true);
+    expect(isRelativeUrl('/docs/setup.md')).toBe(false);
+    expect(isRelativeUrl('//cdn.example.com/a.md')).toBe(false);
+    expect(isRelativeUrl('https://example.com/a.md')).toBe(false);
+    expect(isRelativeUrl('mailto:a@example.com')).toBe(false);
+  });
+});
+
+describe('rewriteLinks', () => {
+  it('points relative Markdown links at their pages, keeping queries and fragments', () => {
+    const html = parseMarkdown(
+      '[a](setup.md) [b](./guide/intro.markdown#start) [c](../README.MD?plain=1#top) [d](a%20b.md)',
+      { rewriteLinks: true }
+    );
+    expect(html).toBe(
+      '<p><a href="setup.html">a</a> <a href="./guide/intro.html#start">b</a> '
+      + '<a href="../README.html?plain=1#top">c</a> <a href="a%20b.html">d</a></p>'
+    );
+  });
+
+  it('leaves absolute URLs, other files and images alone', () => {
+    const md = '[a](https://example.com/a.md) [b](/docs/a.md) [c](notes.txt) [d](#setup.md) ![e](diagram.md)';
+    expect(parseMarkdown(md, { rewriteLinks: true })).toBe(parseMarkdown(md));
+  });
+
+  it('rewrites reference links', () => {
+    expect(parseMarkdown('[setup][s]\n\n[s]: setup.md#install', { rewriteLinks: true })).toBe(
+      '<p><a href="setup.html#install">setup</a></p>'
+    );
+  });
+
+  it('is off by default in the parser', () => {
+    expect(parseMarkdown('[a](setup.md)')).toBe('<p><a href="setup.md">a</a></p>');
+  });
+
+  it('returns the AST it was given', () => {
+    const ast = parseToAst('[a](b.md)');
+    expect(rewriteLinks(ast)).toBe(ast);
+    expect(ast.children[0].children[0].url).toBe('b.html');
+  });
+});
+
+describe('collectLinks', () => {
+  it('reports the source line of each link', () => {
+    const ast = parseToAst([
+      '# Title with [a](a.md)',
+      '',
+      'First line [b](b.md)',
+      'second *line [c](c.md)*',
+      '',
+      '> - quoted',
+      '>   [d](d.md)',
+      '',
+      '| col |',
+      '| --- |',
+      '| [e](e.md) |',
+    ].join('\n'));
+    expect(collectLinks(ast)).toEqual([
+      { url: 'a.md', line: 1 },
+      { url: 'b.md', line: 3 },
+      { url: 'c.md', line: 4 },
+      { url: 'd.md', line: 7 },
+      { url: 'e.md', line: 11 },
+    ]);
+  });
+
+  it('adds a line offset, e.g. for front matter', () => {
+    expect(collectLinks(parseToAst('[a](a.md)'), 3)).toEqual([{ url: 'a.md', line: 4 }]);
+  });
+});
+
+describe('collectAnchors', () => {
+  it('collects heading ids and ids in raw HTML', () => {
+    const ast = applyHeadingOptions(
+      parseToAst('# Intro\n\n## Intro\n\n<div id="box"></div>\n\nText <a name=\'old\'></a>'),
+      { headingIds: true }
+    );
+    expect([...collectAnchors(ast)]).toEqual(['intro', 'intro-1', 'box', 'old']);
+  });
+
+  it('collects footnote ids', () => {
+    expect([...collectAnchors(parseToAst('A[^1] B[^1]\n\n[^1]: Note'))]).toEqual(['fnref-1', 'fnref-1-2', 'fn-1']);
+  });
+
+  it('has no heading ids when they are turned off', () => {
+    expect(collectAnchors(parseToAst('# Intro')).size).toBe(0);
+  });
+});
+
+describe('checkLinks', () => {
+  beforeEach(async () => {
+    await mkdir(join(tmpDir, 'guide'));
+    await writeFile(join(tmpDir, 'index.md'), [
+      '---',
+      'title: Home',
+      '---',
+      '# Home',
+      '',
+      '[ok](guide/setup.md#install) [ok](guide/) [ok](#home) [ok](https://example.com/x.md)',
+      '[missing](nothing.md)',
+      '[bad fragment](guide/setup.md#nope)',
+      '[bad self](#nowhere)',
+    ].join('\n'));
+    await writeFile(join(tmpDir, 'guide', 'setup.md'), '# Setup\n\n## Install\n\n[back](../index.md#home) [raw](#anchor)\n\n<a id="anchor"></a>\n');
+  });
+
+  it('reports missing files and fragments with file and line', async () => {
+    const broken = await checkLinks([join(tmpDir, 'index.md'), join(tmpDir, 'guide', 'setup.md')], { headingIds: true });
+    expect(broken).toEqual([
+      { file: join(tmpDir, 'index.md'), line: 7, url: 'nothing.md', reason: 'nothing.md does not exist' },
+      { file: join(tmpDir, 'index.md'), line: 8, url: 'guide/setup.md#nope', reason: `no heading with id "nope" in ${join('guide', 'setup.md')}` },
+      { file: join(tmpDir, 'index.md'), line: 9, url: '#nowhere', reason: 'no heading with id "nowhere"' },
+    ]);
+  });
+
+  it('reads linked Markdown files that are not being checked', async () => {
+    const broken = await checkLinks([join(tmpDir, 'guide', 'setup.md')], { headingIds: true });
+    expect(broken).toEqual([]);
+  });
+
+  it('decodes percent-encoded paths and fragments', async () => {
+    await writeFile(join(tmpDir, 'a b.md'), '# Café\n');
+    await writeFile(join(tmpDir, 'enc.md'), '[x](a%20b.md#caf%C3%A9)');
+    expect(await checkLinks([join(tmpDir, 'enc.md')], { headingIds: true })).toEqual([]);
+  });
+
+  it('matches fragments against the ids the build generates', async () => {
+    const broken = await checkLinks([join(tmpDir, 'guide', 'setup.md')], { headingIds: false });
+    expect(broken.map(({ url }) => url)).toEqual(['../index.md#home']);
+  });
+
+  it('checks included files as part of the including page', async () => {
+    await mkdir(join(tmpDir, 'snippets'));
+    await writeFile(join(tmpDir, 'snippets', 'faq.md'), '---\ntitle: FAQ\n---\n## Questions\n\n[top](#home) [lost](#gone)\n');
+    await writeFile(join(tmpDir, 'page.md'), '# Page\n\n<!-- include: snippets/faq.md -->\n\n[faq](#questions) [missing](none.md)\n');
+    await writeFile(join(tmpDir, 'other.md'), '# Other\n<!-- include: snippets/faq.md -->\n[in page](page.md#questions)\n');
+    const broken = await checkLinks([join(tmpDir, 'page.md'), join(tmpDir, 'other.md')], { headingIds: true });
+    expect(broken).toEqual([
+      {
+        file: join(tmpDir, 'snippets', 'faq.md'),
+        line: 6,
+        url: '#home',
+        reason: 'no heading with id "home"',
+        includedIn: join(tmpDir, 'page.md'),
+      },
+      {
+        file: join(tmpDir, 'snippets', 'faq.md'),
+        line: 6,
+        url: '#gone',
+        reason: 'no heading with id "gone"',
+        includedIn: join(tmpDir, 'page.md'),
+      },
+      { file: join(tmpDir, 'page.md'), line: 5, url: 'none.md', reason: 'none.md does not exist' },
+    ]);
+  });
+
+  it('leaves includes alone in safe mode', async () => {
+    await writeFile(join(tmpDir, 'part.md'), '## Part\n');
+    await writeFile(join(tmpDir, 'page.md'), '<!-- include: part.md -->\n\n[part](#part)\n');
+    expect(await checkLinks([join(tmpDir, 'page.md')], { headingIds: true })).toEqual([]);
+    expect(await checkLinks([join(tmpDir, 'page.md')], { headingIds: true, safe: true })).toEqual([
+      { file: join(tmpDir, 'page.md'), line: 3, url: '#part', reason: 'no heading with id "part"' },
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * test/manifest.test.js
+ * Unit tests for src/manifest.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MANIFEST_FILE, buildFingerprint, hashContent, readManifest, writeManifest } from '../src/manifest.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-manifest-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('hashContent', () => {
+  it('hashes strings and buffers alike, keeping part boundaries', () => {
+    expect(hashContent('abc')).toBe(hashContent(Buffer.from('abc')));
+    expect(hashContent('ab', 'c')).not.toBe(hashContent('a', 'bc'));
+    expect(hashContent('abc')).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('buildFingerprint', () => {
+  it('changes with the options', async () => {
+    expect(await buildFingerprint({ toc: true })).toBe(await buildFingerprint({ toc: true }));
+    expect(await buildFingerprint({ toc: true })).not.toBe(await buildFingerprint({ toc: false }));
+  });
+
+  it('changes with the content of the template, plugins and inlined stylesheets', async () => {
+    const template = join(tmpDir, 'page.html');
+    const plugin = join(tmpDir, 'plugin.js');
+    const css = join(tmpDir, 'site.css');
+    await writeFile(template, '{{{content}}}');
+    await writeFile(plugin, 'export default { name: "a" };');
+    await writeFile(css, 'p {}');
+    const options = { template, plugins: [plugin], css: [css], inlineCss: true };
+    const before = await buildFingerprint(options);
+
+    await writeFile(template, '<main>{{{content}}}</main>');
+    const afterTemplate = await buildFingerprint(options);
+    expect(afterTemplate).not.toBe(before);
+
+    await writeFile(plugin, 'export default { name: "b" };');
+    const afterPlugin = await buildFingerprint(options);
+    expect(afterPlugin).not.toBe(afterTemplate);
+
+    await writeFile(css, 'p { margin: 0 }');
+    expect(await buildFingerprint(options)).not.toBe(afterPlugin);
+  });
+
+  it('ignores the content of linked stylesheets', async () => {
+    const css = join(tmpDir, 'site.css');
+    await writeFile(css, 'p {}');
+    const before = await buildFingerprint({ css: [css] });
+    await writeFile(css, 'p { margin: 0 }');
+    expect(await buildFingerprint({ css: [css] })).toBe(before);
+  });
+
+  it('hashes plugin objects by their source', async () => {
+    const a = { name: 'x', renderers: { text: (node) => node.value } };
+    const b = { name: 'x', renderers: { text: (node) => node.value.toUpperCase() } };
+    expect(await buildFingerprint({ plugins: [a] })).not.toBe(await buildFingerprint({ plugins: [b] }));
+  });
+});
+
+describe('readManifest / writeManifest', () => {
+  it('round-trips the entries', async () => {
+    const entries = { '../docs/a.md': { output: 'a.html', hash: 'abc' } };
+    await writeManifest(join(tmpDir, 'site'), { entries });
+    expect(await readManifest(join(tmpDir, 'site'))).toEqual({ entries });
+  });
+
+  it('reads a missing, corrupt or outdated manifest as empty', async () => {
+    expect(await readManifest(tmpDir)).toEqual({ entries: {} });
+
+    await writeFile(join(tmpDir, MANIFEST_FILE), '{ not json');
+    expect(await readManifest(tmpDir)).toEqual({ entries: {} });
+
+    await writeFile(join(tmpDir, MANIFEST_FILE), JSON.stringify({ version: 0, entries: { a: {} } }));
+    expect(await readManifest(tmpDir)).toEqual({ entries: {} });
+  });
+});
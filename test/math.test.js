@@ -0,0 +1,112 @@
+/**
+ * test/math.test.js
+ * Unit tests for src/math.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderMath, texToMathml } from '../src/math.js';
+
+/**
+ * Converts inline math and strips the `<math>` wrapper.
+ * @param {string} tex
+ * @returns {string}
+ */
+function inner(tex) {
+  return texToMathml(tex).replace(/^<math>|<\/math>$/g, '');
+}
+
+describe('texToMathml', () => {
+  it('marks up identifiers, numbers and operators', () => {
+    expect(inner('2x - 3.5 = y')).toBe('<mrow><mn>2</mn><mi>x</mi><mo>−</mo><mn>3.5</mn><mo>=</mo><mi>y</mi></mrow>');
+    expect(inner('a < b')).toBe('<mrow><mi>a</mi><mo>&lt;</mo><mi>b</mi></mrow>');
+  });
+
+  it('wraps display math in a block', () => {
+    expect(texToMathml('x', { display: true })).toBe('<math display="block"><mi>x</mi></math>');
+  });
+
+  it('renders sub- and superscripts in either order, and primes', () => {
+    expect(inner('x_i^2')).toBe('<msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup>');
+    expect(inner('x^2_i')).toBe('<msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup>');
+    expect(inner('e^{i\\pi}')).toBe('<msup><mi>e</mi><mrow><mi>i</mi><mi>π</mi></mrow></msup>');
+    expect(inner("f''")).toBe('<msup><mi>f</mi><mrow><mo>′</mo><mo>′</mo></mrow></msup>');
+  });
+
+  it('takes one digit of a number as an argument, as TeX does', () => {
+    expect(inner('x^10')).toBe('<mrow><msup><mi>x</mi><mn>1</mn></msup><mn>0</mn></mrow>');
+    expect(inner('\\frac12')).toBe('<mfrac><mn>1</mn><mn>2</mn></mfrac>');
+  });
+
+  it('renders fractions, roots and binomials', () => {
+    expect(inner('\\frac{a+b}{2}')).toBe('<mfrac><mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mn>2</mn></mfrac>');
+    expect(inner('\\sqrt{x}')).toBe('<msqrt><mi>x</mi></msqrt>');
+    expect(inner('\\sqrt[3]{x}')).toBe('<mroot><mi>x</mi><mn>3</mn></mroot>');
+    expect(inner('\\binom{n}{k}')).toBe(
+      '<mrow><mo fence="true" stretchy="true">(</mo><mfrac linethickness="0"><mi>n</mi><mi>k</mi></mfrac>'
+      + '<mo fence="true" stretchy="true">)</mo></mrow>'
+    );
+  });
+
+  it('renders Greek letters, capitals upright', () => {
+    expect(inner('\\alpha\\Omega')).toBe('<mrow><mi>α</mi><mi mathvariant="normal">Ω</mi></mrow>');
+  });
+
+  it('puts limits under and over sums, and beside integrals', () => {
+    expect(inner('\\sum_{i=0}^n')).toBe(
+      '<munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>0</mn></mrow><mi>n</mi></munderover>'
+    );
+    expect(inner('\\int_0^1')).toBe('<msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup>');
+    expect(inner('\\lim_{x \\to 0}')).toBe(
+      '<munder><mo movablelimits="true">lim</mo><mrow><mi>x</mi><mo>→</mo><mn>0</mn></mrow></munder>'
+    );
+    expect(inner('\\sin x')).toBe('<mrow><mi>sin</mi><mi>x</mi></mrow>');
+  });
+
+  it('renders matrices, cases and aligned equations as tables', () => {
+    expect(inner('\\begin{bmatrix} 1 & 0 \\\\ 0 & 1 \\\\ \\end{bmatrix}')).toBe(
+      '<mrow><mo fence="true" stretchy="true">[</mo><mtable>'
+      + '<mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr>'
+      + '<mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr>'
+      + '</mtable><mo fence="true" stretchy="true">]</mo></mrow>'
+    );
+    expect(inner('\\begin{cases} 1 & x > 0 \\\\ 0 & \\text{else} \\end{cases}')).toContain(
+      '<mtable columnalign="left left">'
+    );
+    expect(inner('\\begin{aligned} a &= b \\end{aligned}')).toBe(
+      '<mtable columnalign="right left"><mtr><mtd><mi>a</mi></mtd><mtd><mrow><mo>=</mo><mi>b</mi></mrow></mtd></mtr></mtable>'
+    );
+  });
+
+  it('renders delimiters, accents, fonts, text and spacing', () => {
+    expect(inner('\\left\\{ x \\right.')).toBe('<mrow><mo fence="true" stretchy="true">{</mo><mi>x</mi></mrow>');
+    expect(inner('\\vec{v}')).toBe('<mover accent="true"><mi>v</mi><mo stretchy="false">→</mo></mover>');
+    expect(inner('\\mathbb{R}')).toBe('<mi mathvariant="double-struck">R</mi>');
+    expect(inner('\\text{if } x')).toBe('<mrow><mtext>if </mtext><mi>x</mi></mrow>');
+    expect(inner('a\\quad b')).toBe('<mrow><mi>a</mi><mspace width="1em"></mspace><mi>b</mi></mrow>');
+  });
+
+  it('escapes text', () => {
+    expect(inner('\\text{<b> & "q"}')).toBe('<mtext>&lt;b&gt; &amp; &quot;q&quot;</mtext>');
+  });
+
+  it('throws on unsupported commands and unbalanced braces', () => {
+    expect(() => texToMathml('\\unknown')).toThrow('Unsupported command \\unknown');
+    expect(() => texToMathml('\\begin{array}{cc} a \\end{array}')).toThrow('Unsupported environment array');
+    expect(() => texToMathml('\\frac{a}{b')).toThrow();
+    expect(() => texToMathml('a}')).toThrow('Unexpected }');
+    expect(() => texToMathml('x^2^3')).toThrow('Double superscript');
+    expect(() => texToMathml('a \\\\ b')).toThrow();
+  });
+});
+
+describe('renderMath', () => {
+  it('renders supported math as MathML', () => {
+    expect(renderMath('x')).toBe('<math><mi>x</mi></math>');
+  });
+
+  it('falls back to the escaped source with its delimiters', () => {
+    expect(renderMath('\\href{x}<y>')).toBe('<span class="math">$\\href{x}&lt;y&gt;$</span>');
+    expect(renderMath('\\unknown', { display: true })).toBe('<span class="math display">$$\\unknown$$</span>');
+    expect(renderMath('\\unknown', { display: true, block: true })).toBe('<div class="math display">$$\\unknown$$</div>');
+  });
+});
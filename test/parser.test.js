@@ -4,16 +4,8 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import {
-  parseMarkdown,
-  escapeHtml,
-  extractCodeBlocks,
-  processBlockElements,
-  processInlineCode,
-  processBold,
-  processItalic,
-  processLinks,
-} from '../src/parser.js';
+import { parseMarkdown, parseToAst, renderHtml, escapeHtml } from '../src/parser.js';
+import { MAX_NESTING } from '../src/blockParser.js';
 
 describe('escapeHtml', () => {
   it('escapes ampersands', () => {
@@ -33,40 +25,91 @@ describe('escapeHtml', () => {
   });
 });
 
-describe('extractCodeBlocks', () => {
-  it('extracts a plain fenced code block', () => {
-    const input = '```\nconsole.log("hi");\n```';
-    const { text, blocks } = extractCodeBlocks(input);
-    expect(blocks).toHaveLength(1);
-    expect(blocks[0]).toContain('<pre><code>');
-    expect(blocks[0]).toContain('console.log');
-    expect(text).not.toContain('console.log');
+describe('parseToAst', () => {
+  it('returns a document node with block children', () => {
+    const ast = parseToAst('# Title\n\nText');
+    expect(ast.type).toBe('document');
+    expect(ast.children.map((node) => node.type)).toEqual(['heading', 'paragraph']);
+    expect(ast.children[0].level).toBe(1);
   });
 
-  it('extracts a fenced code block with language tag', () => {
-    const input = '```javascript\nconst x = 1;\n```';
-    const { text, blocks } = extractCodeBlocks(input);
-    expect(blocks[0]).toContain('class="language-javascript"');
+  it('parses inline content into child nodes', () => {
+    const [paragraph] = parseToAst('Some **bold** text').children;
+    expect(paragraph.children).toEqual([
+      { type: 'text', value: 'Some ' },
+      { type: 'strong', children: [{ type: 'text', value: 'bold' }] },
+      { type: 'text', value: ' text' },
+    ]);
   });
 
-  it('escapes HTML inside code blocks', () => {
-    const input = '```\n<script>alert(1)</script>\n```';
-    const { blocks } = extractCodeBlocks(input);
-    expect(blocks[0]).toContain('&lt;script&gt;');
-    expect(blocks[0]).not.toContain('<script>');
+  it('records fenced code blocks with their language', () => {
+    const [code] = parseToAst('```javascript\nconst x = 1;\n```').children;
+    expect(code).toMatchObject({ type: 'codeBlock', lang: 'javascript', value: 'const x = 1;' });
+  });
+
+  it('removes fence indentation from indented code blocks', () => {
+    const [code] = parseToAst('  ```\n  indented\n    deeper\n  ```').children;
+    expect(code.value).toBe('indented\n  deeper');
+  });
+
+  it('runs an unclosed fence to the end without the final newline', () => {
+    const [code] = parseToAst('```\naaa\n\n').children;
+    expect(code.value).toBe('aaa\n');
+  });
+
+  it('keeps separate code blocks separate', () => {
+    const ast = parseToAst('```\nblock one\n```\n\n```\nblock two\n```');
+    expect(ast.children.map((node) => node.value)).toEqual(['block one', 'block two']);
+  });
+
+  it('records source line positions on block nodes', () => {
+    const ast = parseToAst('# Title\n\nline one\nline two');
+    expect(ast.children[0].position).toEqual({ start: 1, end: 1 });
+    expect(ast.children[1].position).toEqual({ start: 3, end: 4 });
   });
 
-  it('handles multiple code blocks', () => {
-    const input = '```\nblock one\n```\n\n```\nblock two\n```';
-    const { blocks } = extractCodeBlocks(input);
-    expect(blocks).toHaveLength(2);
+  it('records the line of each table row', () => {
+    const ast = parseToAst('text\n\n| a |\n| - |\n| b |\n| c |');
+    expect(ast.children[1].children.map((row) => row.position)).toEqual([
+      { start: 3, end: 3 },
+      { start: 5, end: 5 },
+      { start: 6, end: 6 },
+    ]);
   });
 
-  it('returns unchanged text when no code blocks present', () => {
-    const input = 'Hello world';
-    const { text, blocks } = extractCodeBlocks(input);
-    expect(blocks).toHaveLength(0);
-    expect(text).toBe('Hello world');
+  it('collects reference definitions by normalized label', () => {
+    const ast = parseToAst('[My  Label]: /url "T"\n\nbody');
+    expect(ast.references['MY LABEL']).toEqual({ url: '/url', title: 'T' });
+    expect(ast.children).toHaveLength(1);
+  });
+
+  it('keeps the first definition of a duplicate label', () => {
+    const ast = parseToAst('[a]: /one\n[a]: /two');
+    expect(ast.references.A.url).toBe('/one');
+  });
+
+  it('throws TypeError for non-string input', () => {
+    expect(() => parseToAst(undefined)).toThrow(TypeError);
+  });
+});
+
+describe('renderHtml', () => {
+  it('renders an AST produced by parseToAst', () => {
+    expect(renderHtml(parseToAst('# Hi\n\n*there*'))).toBe('<h1>Hi</h1>\n<p><em>there</em></p>');
+  });
+
+  it('renders a transformed AST', () => {
+    const ast = parseToAst('# Title');
+    ast.children[0].level = 2;
+    expect(renderHtml(ast)).toBe('<h2>Title</h2>');
+  });
+
+  it('renders a single node', () => {
+    expect(renderHtml({ type: 'emphasis', children: [{ type: 'text', value: 'x' }] })).toBe('<em>x</em>');
+  });
+
+  it('throws for an unknown node type', () => {
+    expect(() => renderHtml({ type: 'mystery' })).toThrow('No renderer for node type "mystery"');
   });
 });
 
@@ -125,6 +168,66 @@ describe('Italic', () => {
   });
 });
 
+describe('Emphasis nesting', () => {
+  it('nests italic inside bold', () => {
+    expect(parseMarkdown('**bold *italic* bold**')).toBe('<p><strong>bold <em>italic</em> bold</strong></p>');
+  });
+  it('nests bold inside italic', () => {
+    expect(parseMarkdown('*a **b** c*')).toBe('<p><em>a <strong>b</strong> c</em></p>');
+  });
+  it('handles triple delimiters', () => {
+    expect(parseMarkdown('***both***')).toBe('<p><em><strong>both</strong></em></p>');
+  });
+  it('does not treat intraword underscores as emphasis', () => {
+    expect(parseMarkdown('call snake_case_name here')).toBe('<p>call snake_case_name here</p>');
+  });
+  it('allows intraword emphasis with asterisks', () => {
+    expect(parseMarkdown('foo*bar*baz')).toBe('<p>foo<em>bar</em>baz</p>');
+  });
+  it('leaves unmatched delimiters as text', () => {
+    expect(parseMarkdown('2 * 3 = 6 and *open')).toBe('<p>2 * 3 = 6 and *open</p>');
+  });
+  it('does not close emphasis across a code span', () => {
+    expect(parseMarkdown('*a `*` b*')).toBe('<p><em>a <code>*</code> b</em></p>');
+  });
+});
+
+describe('Escapes and entities', () => {
+  it('treats backslash-escaped punctuation literally', () => {
+    expect(parseMarkdown('\\*not emphasized\\*')).toBe('<p>*not emphasized*</p>');
+  });
+  it('decodes named and numeric character references', () => {
+    expect(parseMarkdown('&copy; &#35; &#x41;')).toBe('<p>© # A</p>');
+  });
+  it('escapes special characters in text', () => {
+    expect(parseMarkdown('a < b & c')).toBe('<p>a &lt; b &amp; c</p>');
+  });
+  it('leaves unknown entities as text', () => {
+    expect(parseMarkdown('&notanentity;')).toBe('<p>&amp;notanentity;</p>');
+  });
+});
+
+describe('Raw HTML', () => {
+  it('passes inline HTML tags through', () => {
+    expect(parseMarkdown('a <span class="x">b</span>')).toBe('<p>a <span class="x">b</span></p>');
+  });
+  it('passes HTML blocks through without Markdown processing', () => {
+    expect(parseMarkdown('<div>\n*raw*\n</div>')).toBe('<div>\n*raw*\n</div>');
+  });
+  it('ends an HTML block at a blank line', () => {
+    expect(parseMarkdown('<div>\n\n*md*\n\n</div>')).toBe('<div>\n<p><em>md</em></p>\n</div>');
+  });
+});
+
+describe('Indented code blocks', () => {
+  it('treats lines indented four spaces as code', () => {
+    expect(parseMarkdown('    let x = 1;\n    x++;')).toBe('<pre><code>let x = 1;\nx++;</code></pre>');
+  });
+  it('cannot interrupt a paragraph', () => {
+    expect(parseMarkdown('text\n    more')).toBe('<p>text more</p>');
+  });
+});
+
 describe('Inline code', () => {
   it('converts `code`', () => {
     expect(parseMarkdown('Use `console.log()` here.')).toContain('<code>console.log()</code>');
@@ -133,6 +236,12 @@ describe('Inline code', () => {
     const result = parseMarkdown('Use `<div>` element.');
     expect(result).toContain('<code>&lt;div&gt;</code>');
   });
+  it('does not process emphasis inside inline code', () => {
+    expect(parseMarkdown('`a * b * c`')).toBe('<p><code>a * b * c</code></p>');
+  });
+  it('supports backticks inside double-backtick spans', () => {
+    expect(parseMarkdown('`` a`b ``')).toBe('<p><code>a`b</code></p>');
+  });
 });
 
 describe('Links', () => {
@@ -146,6 +255,96 @@ describe('Links', () => {
   });
 });
 
+describe('Link titles', () => {
+  it('adds a title attribute from a double-quoted title', () => {
+    const result = parseMarkdown('[Home](https://x.io "Go home")');
+    expect(result).toContain('<a href="https://x.io" title="Go home">Home</a>');
+  });
+  it('accepts single-quoted and parenthesized titles', () => {
+    expect(parseMarkdown("[a](/a 'A')")).toContain('title="A"');
+    expect(parseMarkdown('[b](/b (B))')).toContain('title="B"');
+  });
+  it('accepts destinations in angle brackets', () => {
+    expect(parseMarkdown('[a](<my file.md>)')).toContain('href="my%20file.md"');
+  });
+  it('keeps balanced parentheses in the destination', () => {
+    const result = parseMarkdown('[wiki](https://en.wikipedia.org/wiki/Foo_(bar))');
+    expect(result).toContain('href="https://en.wikipedia.org/wiki/Foo_(bar)"');
+  });
+});
+
+describe('Images', () => {
+  it('converts ![alt](src)', () => {
+    expect(parseMarkdown('![A cat](cat.png)')).toBe('<p><img src="cat.png" alt="A cat" /></p>');
+  });
+  it('adds a title attribute', () => {
+    const result = parseMarkdown('![Logo](logo.svg "Company logo")');
+    expect(result).toContain('<img src="logo.svg" alt="Logo" title="Company logo" />');
+  });
+  it('supports an image inside a link', () => {
+    const result = parseMarkdown('[![build](badge.svg)](https://ci.example.com)');
+    expect(result).toContain('<a href="https://ci.example.com"><img src="badge.svg" alt="build" /></a>');
+  });
+  it('strips markup from alt text', () => {
+    expect(parseMarkdown('![**bold** cat](cat.png)')).toContain('alt="bold cat"');
+  });
+});
+
+describe('Autolinks', () => {
+  it('converts <https://...> to a link', () => {
+    const result = parseMarkdown('Visit <https://example.com/a?b=1>.');
+    expect(result).toContain('<a href="https://example.com/a?b=1">https://example.com/a?b=1</a>');
+  });
+  it('converts <email> to a mailto link', () => {
+    expect(parseMarkdown('<me@example.com>')).toContain('<a href="mailto:me@example.com">me@example.com</a>');
+  });
+  it('converts bare URLs and excludes trailing punctuation', () => {
+    const result = parseMarkdown('See https://example.com/docs.');
+    expect(result).toBe('<p>See <a href="https://example.com/docs">https://example.com/docs</a>.</p>');
+  });
+  it('does not link bare URLs inside inline code', () => {
+    expect(parseMarkdown('`curl https://example.com`')).not.toContain('<a ');
+  });
+  it('does not link bare URLs that are already link text', () => {
+    const result = parseMarkdown('[https://a.io](https://b.io)');
+    expect(result).toBe('<p><a href="https://b.io">https://a.io</a></p>');
+  });
+});
+
+describe('Reference links', () => {
+  const defs = '\n\n[docs]: https://docs.example.com "The docs"\n[logo]: <img/logo.png>';
+
+  it('resolves full references [text][id]', () => {
+    const result = parseMarkdown(`Read [the manual][docs].${defs}`);
+    expect(result).toContain('<a href="https://docs.example.com" title="The docs">the manual</a>');
+  });
+  it('resolves collapsed references [id][]', () => {
+    expect(parseMarkdown(`[Docs][]${defs}`)).toBe('<p><a href="https://docs.example.com" title="The docs">Docs</a></p>');
+  });
+  it('resolves shortcut references [id]', () => {
+    expect(parseMarkdown(`See [docs].${defs}`)).toContain('>docs</a>');
+  });
+  it('matches labels case-insensitively', () => {
+    expect(parseMarkdown(`[x][DOCS]${defs}`)).toContain('href="https://docs.example.com"');
+  });
+  it('resolves reference images', () => {
+    expect(parseMarkdown(`![Logo][logo]${defs}`)).toContain('<img src="img/logo.png" alt="Logo" />');
+  });
+  it('uses definitions that appear before the reference', () => {
+    expect(parseMarkdown('[a]: /first\n\n[a]')).toBe('<p><a href="/first">a</a></p>');
+  });
+  it('strips definitions from the output', () => {
+    const result = parseMarkdown(`Text${defs}`);
+    expect(result).toBe('<p>Text</p>');
+  });
+  it('leaves undefined references as text', () => {
+    expect(parseMarkdown('[missing][nope] and [alone]')).toBe('<p>[missing][nope] and [alone]</p>');
+  });
+  it('does not treat a definition inside a paragraph as a definition', () => {
+    expect(parseMarkdown('text\n[a]: /url')).toContain('[a]:');
+  });
+});
+
 describe('Fenced code blocks', () => {
   it('wraps in <pre><code>', () => {
     const result = parseMarkdown('```\nhello\n```');
@@ -180,6 +379,558 @@ describe('Paragraphs', () => {
   });
 });
 
+describe('Lists', () => {
+  it('converts an unordered list', () => {
+    const result = parseMarkdown('- one\n- two\n- three');
+    expect(result).toBe('<ul>\n<li>one</li>\n<li>two</li>\n<li>three</li>\n</ul>');
+  });
+
+  it('accepts * and + bullets', () => {
+    expect(parseMarkdown('* a\n* b')).toContain('<li>a</li>\n<li>b</li>');
+    expect(parseMarkdown('+ a\n+ b')).toContain('<li>a</li>\n<li>b</li>');
+  });
+
+  it('converts an ordered list', () => {
+    const result = parseMarkdown('1. first\n2. second');
+    expect(result).toBe('<ol>\n<li>first</li>\n<li>second</li>\n</ol>');
+  });
+
+  it('keeps a custom start number', () => {
+    const result = parseMarkdown('3. three\n4. four');
+    expect(result).toContain('<ol start="3">');
+    expect(result).toContain('<li>three</li>\n<li>four</li>');
+  });
+
+  it('nests lists by indentation', () => {
+    const result = parseMarkdown('- a\n  - a1\n  - a2\n- b');
+    expect(result).toBe(
+      '<ul>\n<li>a\n<ul>\n<li>a1</li>\n<li>a2</li>\n</ul>\n</li>\n<li>b</li>\n</ul>'
+    );
+  });
+
+  it('nests an ordered list inside a bullet list', () => {
+    const result = parseMarkdown('- steps\n  1. one\n  2. two');
+    expect(result).toContain('<li>steps\n<ol>\n<li>one</li>\n<li>two</li>\n</ol>\n</li>');
+  });
+
+  it('wraps items of a loose list in paragraphs', () => {
+    const result = parseMarkdown('- a\n\n- b');
+    expect(result).toContain('<li>\n<p>a</p>\n</li>');
+    expect(result).toContain('<li>\n<p>b</p>\n</li>');
+  });
+
+  it('supports multiple paragraphs in an item', () => {
+    const result = parseMarkdown('1. Intro\n\n   Details.\n2. Next');
+    expect(result).toContain('<p>Intro</p>\n<p>Details.</p>');
+    expect(result).toContain('<p>Next</p>');
+  });
+
+  it('supports fenced code blocks inside an item', () => {
+    const md = '- Install:\n\n  ```bash\n  npm install\n  ```\n- Done';
+    const result = parseMarkdown(md);
+    expect(result).toContain('<pre><code class="language-bash">npm install</code></pre>\n</li>');
+    expect(result).toContain('<p>Done</p>');
+  });
+
+  it('joins lazy continuation lines into the item', () => {
+    expect(parseMarkdown('- item\ncontinued')).toContain('<li>item continued</li>');
+  });
+
+  it('ends the list at a blank line followed by a paragraph', () => {
+    const result = parseMarkdown('- a\n- b\n\nAfter');
+    expect(result).toBe('<ul>\n<li>a</li>\n<li>b</li>\n</ul>\n<p>After</p>');
+  });
+
+  it('starts a new list when the bullet character changes', () => {
+    const result = parseMarkdown('- a\n+ b');
+    expect(result.match(/<ul>/g)).toHaveLength(2);
+  });
+
+  it('lets a list interrupt a paragraph', () => {
+    const result = parseMarkdown('Shopping:\n- milk');
+    expect(result).toBe('<p>Shopping:</p>\n<ul>\n<li>milk</li>\n</ul>');
+  });
+
+  it('does not let an ordered list not starting at 1 interrupt a paragraph', () => {
+    expect(parseMarkdown('The year\n2014. was good')).toBe('<p>The year 2014. was good</p>');
+  });
+
+  it('applies inline formatting inside items', () => {
+    expect(parseMarkdown('- **bold** item')).toContain('<li><strong>bold</strong> item</li>');
+  });
+
+  it('does not treat a dash without a space as a list', () => {
+    expect(parseMarkdown('-not a list')).toBe('<p>-not a list</p>');
+  });
+
+  it('parses lists nested deeper than MAX_NESTING as paragraph text', () => {
+    const result = parseMarkdown(Array.from({ length: 1000 }, (_, i) => `${'  '.repeat(i)}- a`).join('\n'));
+    expect(result.match(/<ul>/g)).toHaveLength(MAX_NESTING + 1);
+    expect(result).toContain('<li>a - a - a');
+  });
+});
+
+describe('Tables', () => {
+  it('renders a header row and body rows', () => {
+    const md = '| Name | Age |\n| --- | --- |\n| Ann | 30 |';
+    expect(parseMarkdown(md)).toBe(
+      '<table>\n<thead>\n<tr>\n<th>Name</th>\n<th>Age</th>\n</tr>\n</thead>\n' +
+        '<tbody>\n<tr>\n<td>Ann</td>\n<td>30</td>\n</tr>\n</tbody>\n</table>'
+    );
+  });
+
+  it('applies column alignment from the delimiter row', () => {
+    const md = '| a | b | c | d |\n| :--- | :---: | ---: | --- |\n| 1 | 2 | 3 | 4 |';
+    const result = parseMarkdown(md);
+    expect(result).toContain('<th align="left">a</th>');
+    expect(result).toContain('<th align="center">b</th>');
+    expect(result).toContain('<td align="right">3</td>');
+    expect(result).toContain('<td>4</td>');
+  });
+
+  it('accepts rows without leading and trailing pipes', () => {
+    const result = parseMarkdown('a | b\n--- | ---\n1 | 2');
+    expect(result).toContain('<th>a</th>\n<th>b</th>');
+    expect(result).toContain('<td>1</td>\n<td>2</td>');
+  });
+
+  it('unescapes escaped pipes inside cells', () => {
+    const result = parseMarkdown('| expr |\n| --- |\n| `a \\| b` |');
+    expect(result).toContain('<td><code>a | b</code></td>');
+  });
+
+  it('applies inline formatting inside cells', () => {
+    const md = '| col |\n| --- |\n| **bold** and [link](https://x.io) |';
+    const result = parseMarkdown(md);
+    expect(result).toContain('<td><strong>bold</strong> and <a href="https://x.io">link</a></td>');
+  });
+
+  it('pads short rows and drops extra cells', () => {
+    const result = parseMarkdown('| a | b |\n| - | - |\n| 1 |\n| 1 | 2 | 3 |');
+    expect(result).toContain('<td>1</td>\n<td></td>');
+    expect(result).not.toContain('<td>3</td>');
+  });
+
+  it('omits tbody when there are no body rows', () => {
+    const result = parseMarkdown('| a |\n| - |');
+    expect(result).not.toContain('<tbody>');
+  });
+
+  it('ends the table at a blank line', () => {
+    const result = parseMarkdown('| a |\n| - |\n| 1 |\n\nAfter');
+    expect(result).toContain('</table>\n<p>After</p>');
+  });
+
+  it('requires the delimiter row to match the header cell count', () => {
+    const result = parseMarkdown('| a | b |\n| --- |');
+    expect(result).not.toContain('<table>');
+  });
+
+  it('can interrupt a paragraph', () => {
+    const result = parseMarkdown('Intro\n| a |\n| - |');
+    expect(result).toContain('<p>Intro</p>\n<table>');
+  });
+});
+
+describe('Strikethrough', () => {
+  it('renders ~~text~~ as <del>', () => {
+    expect(parseMarkdown('~~old~~ and **~~both~~**')).toBe('<p><del>old</del> and <strong><del>both</del></strong></p>');
+  });
+
+  it('needs exactly two tildes on each side', () => {
+    expect(parseMarkdown('~one~ ~~~three~~~ ~~open')).toBe('<p>~one~ ~~~three~~~ ~~open</p>');
+  });
+
+  it('follows the flanking rules of emphasis', () => {
+    expect(parseMarkdown('a ~~ b ~~ c')).toBe('<p>a ~~ b ~~ c</p>');
+  });
+});
+
+describe('Task lists', () => {
+  it('renders [ ] and [x] items as disabled checkboxes', () => {
+    expect(parseMarkdown('- [ ] todo\n- [x] done\n- [X] also done\n- plain')).toBe([
+      '<ul>',
+      '<li class="task-list-item"><input type="checkbox" disabled="" /> todo</li>',
+      '<li class="task-list-item"><input type="checkbox" disabled="" checked="" /> done</li>',
+      '<li class="task-list-item"><input type="checkbox" disabled="" checked="" /> also done</li>',
+      '<li>plain</li>',
+      '</ul>',
+    ].join('\n'));
+  });
+
+  it('puts the checkbox inside the first paragraph of a loose item', () => {
+    expect(parseMarkdown('1. [x] first\n\n   more\n2. second')).toContain(
+      '<li class="task-list-item">\n<p><input type="checkbox" disabled="" checked="" /> first</p>\n<p>more</p>\n</li>'
+    );
+  });
+
+  it('needs a space and text after the marker', () => {
+    expect(parseMarkdown('- [ ]\n- [x]done\n- [y] no')).toBe('<ul>\n<li>[ ]</li>\n<li>[x]done</li>\n<li>[y] no</li>\n</ul>');
+  });
+
+  it('sets checked on the list item node', () => {
+    const [list] = parseToAst('- [x] done\n- [ ] todo').children;
+    expect(list.children.map((item) => item.checked)).toEqual([true, false]);
+    expect(list.children[0].children[0].children).toEqual([{ type: 'text', value: 'done' }]);
+  });
+});
+
+describe('Definition lists', () => {
+  it('renders terms and definitions', () => {
+    expect(parseMarkdown('Apple\n: A fruit.\n: A *company*.\n\nOrange\n: A color.')).toBe([
+      '<dl>',
+      '<dt>Apple</dt>',
+      '<dd>A fruit.</dd>',
+      '<dd>A <em>company</em>.</dd>',
+      '<dt>Orange</dt>',
+      '<dd>A color.</dd>',
+      '</dl>',
+    ].join('\n'));
+  });
+
+  it('allows several terms and indented definition content', () => {
+    const md = 'Term one\nTerm two\n\n:   First paragraph\n    continued.\n\n    Second paragraph.\n\nAfter';
+    expect(parseMarkdown(md)).toBe([
+      '<dl>',
+      '<dt>Term one</dt>',
+      '<dt>Term two</dt>',
+      '<dd>',
+      '<p>First paragraph continued.</p>',
+      '<p>Second paragraph.</p>',
+      '</dd>',
+      '</dl>',
+      '<p>After</p>',
+    ].join('\n'));
+  });
+
+  it('works inside containers and takes lazy continuation lines', () => {
+    expect(parseMarkdown('> Term\n> : definition\ncontinued')).toBe(
+      '<blockquote>\n<dl>\n<dt>Term</dt>\n<dd>definition continued</dd>\n</dl>\n</blockquote>'
+    );
+  });
+
+  it('needs a term, and leaves other blocks alone', () => {
+    expect(parseMarkdown(': no term')).toBe('<p>: no term</p>');
+    expect(parseMarkdown('# Heading\n: not a definition')).toBe('<h1>Heading</h1>\n<p>: not a definition</p>');
+  });
+
+  it('gives terms and definitions source positions', () => {
+    const [list] = parseToAst('Term\n: one\n: two\n  more').children;
+    expect(list.position).toEqual({ start: 1, end: 4 });
+    expect(list.children.map((node) => [node.type, node.position])).toEqual([
+      ['definitionTerm', { start: 1, end: 1 }],
+      ['definitionDescription', { start: 2, end: 2 }],
+      ['definitionDescription', { start: 3, end: 4 }],
+    ]);
+  });
+});
+
+describe('Footnotes', () => {
+  it('numbers references and appends the footnotes with back-references', () => {
+    expect(parseMarkdown('Claim[^src] and more[^2].\n\n[^2]: Second.\n[^src]: The *source*.')).toBe([
+      '<p>Claim<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup> and more<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup>.</p>',
+      '<section class="footnotes">',
+      '<ol>',
+      '<li id="fn-1">',
+      '<p>The <em>source</em>. <a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">↩</a></p>',
+      '</li>',
+      '<li id="fn-2">',
+      '<p>Second. <a href="#fnref-2" class="footnote-backref" aria-label="Back to reference 2">↩</a></p>',
+      '</li>',
+      '</ol>',
+      '</section>',
+    ].join('\n'));
+  });
+
+  it('takes indented paragraphs and blocks into a footnote', () => {
+    const html = parseMarkdown('Text[^1]\n\n[^1]: First\n    continued.\n\n    ```\n    code\n    ```\n\nAfter');
+    expect(html).toContain([
+      '<li id="fn-1">',
+      '<p>First continued.</p>',
+      '<pre><code>code</code></pre>',
+      '<p><a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">↩</a></p>',
+      '</li>',
+    ].join('\n'));
+    expect(html).toContain('<p>After</p>\n<section class="footnotes">');
+  });
+
+  it('leaves references to undefined footnotes as text', () => {
+    expect(parseMarkdown('See[^nope].')).toBe('<p>See[^nope].</p>');
+  });
+
+  it('matches labels case-insensitively, the first definition winning', () => {
+    expect(parseMarkdown('A[^Note]\n\n[^note]: one\n[^NOTE]: two')).toContain('<p>one <a href="#fnref-1"');
+  });
+});
+
+describe('Math', () => {
+  it('renders inline math as MathML, without emphasis inside', () => {
+    expect(parseMarkdown('Let $x_1$ and $x_2$ be *roots*.')).toBe(
+      '<p>Let <math><msub><mi>x</mi><mn>1</mn></msub></math> and '
+      + '<math><msub><mi>x</mi><mn>2</mn></msub></math> be <em>roots</em>.</p>'
+    );
+  });
+
+  it('renders $$ blocks and $$ spans as display math', () => {
+    expect(parseMarkdown('$$\n\\frac{a}{b}\n$$')).toBe('<math display="block"><mfrac><mi>a</mi><mi>b</mi></mfrac></math>');
+    expect(parseMarkdown('$$ x^2 $$')).toBe('<math display="block"><msup><mi>x</mi><mn>2</mn></msup></math>');
+    expect(parseMarkdown('So $$x$$ holds')).toBe('<p>So <math display="block"><mi>x</mi></math> holds</p>');
+  });
+
+  it('lets display math interrupt a paragraph and nest in containers', () => {
+    expect(parseMarkdown('Text\n$$\nx\n$$\nmore')).toBe('<p>Text</p>\n<math display="block"><mi>x</mi></math>\n<p>more</p>');
+    expect(parseMarkdown('> $$\n> x\n> $$')).toBe('<blockquote>\n<math display="block"><mi>x</mi></math>\n</blockquote>');
+  });
+
+  it('leaves dollar amounts, escaped and unclosed dollars as text', () => {
+    expect(parseMarkdown('It costs $5 and $10.')).toBe('<p>It costs $5 and $10.</p>');
+    expect(parseMarkdown('Pay \\$x$ now')).toBe('<p>Pay $x$ now</p>');
+    expect(parseMarkdown('$ x$ and $x $')).toBe('<p>$ x$ and $x $</p>');
+    expect(parseMarkdown('$$\nx\n\ny$$')).toBe('<p>$$ x</p>\n<p>y$$</p>');
+    expect(parseMarkdown('Pay $5 now, and pay 10$ later')).toBe('<p>Pay $5 now, and pay 10$ later</p>');
+    expect(parseMarkdown('US$5 or $x$5')).toBe('<p>US$5 or $x$5</p>');
+  });
+
+  it('scans for closing dollars in linear time', () => {
+    const text = 'Set $HOME and '.repeat(10000);
+    const start = performance.now();
+    expect(parseMarkdown(`${text}$$x`)).toBe(`<p>${text.trim()} $$x</p>`);
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+
+  it('keeps code spans ahead of math', () => {
+    expect(parseMarkdown('`$x$` and $`y`$')).toBe('<p><code>$x$</code> and $<code>y</code>$</p>');
+    expect(parseMarkdown('Price $20 to $30 or so, plus `$HOME` and $PATH')).toBe(
+      '<p>Price $20 to $30 or so, plus <code>$HOME</code> and $PATH</p>'
+    );
+    expect(parseMarkdown('Set $a `b$` and $c$')).toBe('<p>Set $a <code>b$</code> and <math><mi>c</mi></math></p>');
+  });
+
+  it('keeps links ahead of math', () => {
+    expect(parseMarkdown('[cost $5](x.html) and the $y$')).toBe(
+      '<p><a href="x.html">cost $5</a> and the <math><mi>y</mi></math></p>'
+    );
+    expect(parseMarkdown('[$a](x.html) $b]')).toBe('<p><a href="x.html">$a</a> $b]</p>');
+    expect(parseMarkdown('[see $\\sqrt[3]{x}$](x.html)')).toBe(
+      '<p><a href="x.html">see <math><mroot><mi>x</mi><mn>3</mn></mroot></math></a></p>'
+    );
+  });
+
+  it('falls back to the escaped source for unsupported commands', () => {
+    expect(parseMarkdown('$\\unknown{<b>}$')).toBe('<p><span class="math">$\\unknown{&lt;b&gt;}$</span></p>');
+    expect(parseMarkdown('$$\n\\unknown\n$$')).toBe('<div class="math display">$$\\unknown$$</div>');
+  });
+
+  it('uses the source for heading ids', () => {
+    expect(parseMarkdown('# Energy $E=mc^2$', { headingIds: true })).toContain('<h1 id="energy-emc2">');
+  });
+});
+
+describe('Admonitions', () => {
+  it('renders ::: containers as asides with a default or custom title', () => {
+    expect(parseMarkdown(':::note\nKeep *this* in mind.\n:::')).toBe([
+      '<aside class="admonition note">',
+      '<p class="admonition-title">Note</p>',
+      '<p>Keep <em>this</em> in mind.</p>',
+      '</aside>',
+    ].join('\n'));
+    expect(parseMarkdown('::: Warning Do **not** skip\nText\n:::')).toContain(
+      '<aside class="admonition warning">\n<p class="admonition-title">Do <strong>not</strong> skip</p>'
+    );
+  });
+
+  it('holds any Markdown, with ::: lines in fenced code left alone', () => {
+    expect(parseMarkdown(':::tip\n- one\n\n```\n:::\n```\n:::\nAfter')).toBe([
+      '<aside class="admonition tip">',
+      '<p class="admonition-title">Tip</p>',
+      '<ul>',
+      '<li>one</li>',
+      '</ul>',
+      '<pre><code>:::</code></pre>',
+      '</aside>',
+      '<p>After</p>',
+    ].join('\n'));
+  });
+
+  it('nests containers and runs an unclosed one to the end', () => {
+    const html = parseMarkdown(':::note\nOuter\n:::caution\nInner\n:::\nStill outer\n:::');
+    expect(html).toMatch(/<p>Inner<\/p>\n<\/aside>\n<p>Still outer<\/p>\n<\/aside>$/);
+    expect(parseMarkdown('Text\n:::important\nRest')).toBe([
+      '<p>Text</p>',
+      '<aside class="admonition important">',
+      '<p class="admonition-title">Important</p>',
+      '<p>Rest</p>',
+      '</aside>',
+    ].join('\n'));
+  });
+
+  it('turns GitHub-style [!NOTE] blockquotes into admonitions', () => {
+    expect(parseMarkdown('> [!WARNING]\n> Back up first.')).toBe([
+      '<aside class="admonition warning">',
+      '<p class="admonition-title">Warning</p>',
+      '<p>Back up first.</p>',
+      '</aside>',
+    ].join('\n'));
+    expect(parseMarkdown('> [!tip] Shortcut\n> Use `-f`.')).toContain('<p class="admonition-title">Shortcut</p>');
+  });
+
+  it('parses containers nested deeper than MAX_NESTING as paragraph text', () => {
+    const result = parseMarkdown(':::note\n'.repeat(3000));
+    expect(result.match(/<aside class="admonition note">/g)).toHaveLength(MAX_NESTING + 1);
+    expect(result).toContain(`<p class="admonition-title">Note</p>\n<p>${':::note '.repeat(3000 - MAX_NESTING - 2)}:::note</p>`);
+  });
+
+  it('leaves unknown kinds alone', () => {
+    expect(parseMarkdown(':::danger\nx\n:::')).toBe('<p>:::danger x :::</p>');
+    expect(parseMarkdown('> [!DANGER]\n> x')).toBe('<blockquote>\n<p>[!DANGER] x</p>\n</blockquote>');
+  });
+
+  it('records source positions', () => {
+    const [aside] = parseToAst('> [!NOTE]\n> One\n>\n> Two').children;
+    expect(aside.position).toEqual({ start: 1, end: 4 });
+    expect(aside.children.map((child) => child.position)).toEqual([
+      { start: 1, end: 1 },
+      { start: 2, end: 2 },
+      { start: 4, end: 4 },
+    ]);
+  });
+});
+
+describe('Extension options', () => {
+  const md = 'a ~~b~~[^1]\n\n- [x] c\n\nTerm\n: d\n\n[^1]: e';
+
+  it('turns each extension off on its own', () => {
+    expect(parseMarkdown(md, { strikethrough: false })).toContain('<p>a ~~b~~<sup');
+    expect(parseMarkdown(md, { taskLists: false })).toContain('<li>[x] c</li>');
+    expect(parseMarkdown(md, { definitionLists: false })).toContain('<p>Term : d</p>');
+    expect(parseMarkdown('$*a*$', { math: false })).toBe('<p>$<em>a</em>$</p>');
+    expect(parseMarkdown(':::note\na\n:::', { admonitions: false })).toBe('<p>:::note a :::</p>');
+    expect(parseMarkdown('> [!NOTE]\n> a', { admonitions: false })).toContain('<blockquote>');
+    // Without footnotes, `[^1]: e` is a link reference definition
+    const html = parseMarkdown(md, { footnotes: false });
+    expect(html).toContain('<p>a <del>b</del><a href="e">^1</a></p>');
+    expect(html).not.toContain('footnotes');
+  });
+
+  it('parses strict CommonMark with all of them off', () => {
+    const off = { footnotes: false, taskLists: false, strikethrough: false, definitionLists: false, math: false, admonitions: false };
+    expect(parseMarkdown(md, off)).toBe([
+      '<p>a ~~b~~<a href="e">^1</a></p>',
+      '<ul>',
+      '<li>[x] c</li>',
+      '</ul>',
+      '<p>Term : d</p>',
+    ].join('\n'));
+  });
+});
+
+describe('Blockquotes', () => {
+  it('wraps quoted lines in <blockquote>', () => {
+    expect(parseMarkdown('> quoted text')).toBe('<blockquote>\n<p>quoted text</p>\n</blockquote>');
+  });
+
+  it('joins consecutive quoted lines into one paragraph', () => {
+    expect(parseMarkdown('> one\n> two')).toContain('<p>one two</p>');
+  });
+
+  it('supports nested blockquotes', () => {
+    const result = parseMarkdown('> outer\n> > inner');
+    expect(result).toBe(
+      '<blockquote>\n<p>outer</p>\n<blockquote>\n<p>inner</p>\n</blockquote>\n</blockquote>'
+    );
+  });
+
+  it('keeps lazy continuation lines inside the quote', () => {
+    expect(parseMarkdown('> first\nlazy')).toBe('<blockquote>\n<p>first lazy</p>\n</blockquote>');
+  });
+
+  it('ends the quote at a blank line', () => {
+    const result = parseMarkdown('> quote\n\nafter');
+    expect(result).toBe('<blockquote>\n<p>quote</p>\n</blockquote>\n<p>after</p>');
+  });
+
+  it('can contain headings, lists and paragraphs', () => {
+    const result = parseMarkdown('> ## Note\n>\n> - a\n> - b\n>\n> Text');
+    expect(result).toContain('<h2>Note</h2>');
+    expect(result).toContain('<ul>\n<li>a</li>\n<li>b</li>\n</ul>');
+    expect(result).toContain('<p>Text</p>\n</blockquote>');
+  });
+
+  it('can contain fenced code blocks', () => {
+    const result = parseMarkdown('> ```js\n> const a = 1;\n> ```');
+    expect(result).toBe(
+      '<blockquote>\n<pre><code class="language-js">const a = 1;</code></pre>\n</blockquote>'
+    );
+  });
+
+  it('applies inline formatting inside quotes', () => {
+    expect(parseMarkdown('> **bold**')).toContain('<p><strong>bold</strong></p>');
+  });
+
+  it('parses quotes nested deeper than MAX_NESTING as paragraph text', () => {
+    const result = parseMarkdown(`${'> '.repeat(2000)}a`);
+    expect(result.match(/<blockquote>/g)).toHaveLength(MAX_NESTING + 1);
+    expect(result).toContain(`<blockquote>\n<p>${'&gt; '.repeat(2000 - MAX_NESTING - 1)}a</p>\n</blockquote>`);
+  });
+});
+
+describe('Thematic breaks', () => {
+  it('converts ---, *** and ___ to <hr />', () => {
+    expect(parseMarkdown('***')).toBe('<hr />');
+    expect(parseMarkdown('___')).toBe('<hr />');
+    expect(parseMarkdown('\n---')).toBe('<hr />');
+  });
+
+  it('accepts spaces between the characters', () => {
+    expect(parseMarkdown('* * *')).toBe('<hr />');
+    expect(parseMarkdown('- - -')).toBe('<hr />');
+  });
+
+  it('interrupts a paragraph', () => {
+    expect(parseMarkdown('text\n***\nmore')).toBe('<p>text</p>\n<hr />\n<p>more</p>');
+  });
+
+  it('requires at least three characters', () => {
+    expect(parseMarkdown('**')).not.toContain('<hr />');
+  });
+});
+
+describe('Setext headings', () => {
+  it('converts === underlines to h1', () => {
+    expect(parseMarkdown('Title\n=====')).toBe('<h1>Title</h1>');
+  });
+
+  it('converts --- underlines to h2', () => {
+    expect(parseMarkdown('Section\n---')).toBe('<h2>Section</h2>');
+  });
+
+  it('uses all preceding paragraph lines as heading content', () => {
+    expect(parseMarkdown('Multi\nline\n===')).toBe('<h1>Multi line</h1>');
+  });
+
+  it('treats --- after a blank line as a thematic break', () => {
+    expect(parseMarkdown('Text\n\n---')).toBe('<p>Text</p>\n<hr />');
+  });
+});
+
+describe('Hard line breaks', () => {
+  it('breaks after two trailing spaces', () => {
+    expect(parseMarkdown('line one  \nline two')).toBe('<p>line one<br />\nline two</p>');
+  });
+
+  it('breaks after a trailing backslash', () => {
+    expect(parseMarkdown('line one\\\nline two')).toBe('<p>line one<br />\nline two</p>');
+  });
+
+  it('joins lines without a break marker with a space', () => {
+    expect(parseMarkdown('line one\nline two')).toBe('<p>line one line two</p>');
+  });
+
+  it('ignores trailing spaces on the last line', () => {
+    expect(parseMarkdown('only line  ')).toBe('<p>only line</p>');
+  });
+});
+
 describe('Combined elements', () => {
   it('handles heading + paragraph + bold', () => {
     const md = '# Title\n\nThis is **bold** text.';
@@ -0,0 +1,235 @@
+/**
+ * test/plugins.test.js
+ * Unit tests for src/plugins.js and plugin support in the parser
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { resolvePlugins, isPathSpecifier, loadPlugin, loadPlugins } from '../src/plugins.js';
+import { BLOCK_RULES } from '../src/blockParser.js';
+import { parseMarkdown, parseToAst } from '../src/parser.js';
+import { NODE_RENDERERS } from '../src/renderer.js';
+import { convert } from '../src/converter.js';
+import { readFile } from '../src/fileHandler.js';
+
+const fixturesDir = fileURLToPath(new URL('./fixtures/plugins/', import.meta.url));
+
+// #123 → link to the issue tracker
+const issueRefs = {
+  name: 'issue-refs',
+  inlineRules: [
+    {
+      name: 'issueRef',
+      triggers: '#',
+      parse(state) {
+        const match = state.src.slice(state.pos).match(/^#(\d+)\b/);
+        if (!match) return false;
+        state.push({
+          type: 'link',
+          url: `https://tracker.example.com/issues/${match[1]}`,
+          title: null,
+          children: [{ type: 'text', value: match[0] }],
+        });
+        state.pos += match[0].length;
+        return true;
+      },
+    },
+  ],
+};
+
+// !!! note
+// Text
+// → <div class="callout">…</div>
+const callouts = {
+  name: 'callouts',
+  blockRules: [
+    {
+      name: 'callout',
+      interruptsParagraph: true,
+      parse(state, silent) {
+        if (!/^!!! /.test(state.lines[state.line])) return false;
+        if (silent) return true;
+        const start = state.line;
+        const content = [];
+        state.line++;
+        while (state.line < state.lines.length && state.lines[state.line].trim() !== '') {
+          content.push(state.lines[state.line]);
+          state.line++;
+        }
+        return { type: 'callout', kind: state.lines[start].slice(4).trim(), children: state.parseNested(content, start + 1) };
+      },
+    },
+  ],
+  renderers: {
+    callout: (node, ctx) => `<div class="callout ${node.kind}">\n${ctx.renderBlocks(node.children, node)}\n</div>`,
+  },
+};
+
+describe('resolvePlugins', () => {
+  it('returns the built-in rules without plugins', () => {
+    const resolved = resolvePlugins();
+    expect(resolved.blockRules).toBe(BLOCK_RULES);
+    expect(resolved.inlineRules).toEqual([]);
+    expect(resolved.renderers).toEqual({});
+  });
+
+  it('inserts block rules before paragraph by default', () => {
+    const names = resolvePlugins([callouts]).blockRules.map((rule) => rule.name);
+    expect(names.slice(-2)).toEqual(['callout', 'paragraph']);
+  });
+
+  it('places block rules relative to a named rule', () => {
+    const rule = (name, extra) => ({ name, parse: () => false, ...extra });
+    const names = resolvePlugins([
+      { blockRules: [rule('a', { before: 'list' }), rule('b', { after: 'fencedCode' }), rule('c', { after: 'fencedCode', priority: 5 })] },
+    ]).blockRules.map((r) => r.name);
+    expect(names.indexOf('a')).toBe(names.indexOf('list') - 1);
+    expect(names.slice(names.indexOf('fencedCode') + 1, names.indexOf('fencedCode') + 3)).toEqual(['c', 'b']);
+  });
+
+  it('orders inline rules by priority, then registration order', () => {
+    const rule = (name, priority) => ({ name, triggers: '#', priority, parse: () => false });
+    const resolved = resolvePlugins([{ inlineRules: [rule('low', -1), rule('first')] }, { inlineRules: [rule('second'), rule('high', 10)] }]);
+    expect(resolved.inlineRules.map((r) => r.name)).toEqual(['high', 'first', 'second', 'low']);
+  });
+
+  it('lets later plugins override earlier renderers', () => {
+    const resolved = resolvePlugins([{ renderers: { text: () => 'a' } }, { renderers: { text: () => 'b' } }]);
+    expect(resolved.renderers.text()).toBe('b');
+  });
+
+  it('rejects malformed plugins', () => {
+    expect(() => resolvePlugins([null])).toThrow('Plugin at index 0 must be an object');
+    expect(() => resolvePlugins([{ name: 'x', blockRules: [{ name: 'r' }] }])).toThrow('Plugin "x": each of blockRules needs a name and a parse function');
+    expect(() => resolvePlugins([{ name: 'x', inlineRules: [{ name: 'r', parse() {} }] }])).toThrow('needs a non-empty triggers string');
+    expect(() => resolvePlugins([{ name: 'x', renderers: { text: 'nope' } }])).toThrow('renderer for "text" must be a function');
+  });
+
+  it('rejects a block rule anchored to an unknown rule', () => {
+    expect(() => resolvePlugins([{ blockRules: [{ name: 'r', before: 'nope', parse: () => false }] }])).toThrow(
+      'Block rule "r" is positioned relative to unknown rule "nope"'
+    );
+  });
+});
+
+describe('inline rules', () => {
+  it('adds new inline syntax', () => {
+    expect(parseMarkdown('Fixed in #123.', { plugins: [issueRefs] })).toBe(
+      '<p>Fixed in <a href="https://tracker.example.com/issues/123">#123</a>.</p>'
+    );
+  });
+
+  it('falls back to built-in parsing when a rule declines', () => {
+    expect(parseMarkdown('Item #abc and *em*', { plugins: [issueRefs] })).toBe('<p>Item #abc and <em>em</em></p>');
+  });
+
+  it('does not apply inside code spans', () => {
+    expect(parseMarkdown('`#1` #2', { plugins: [issueRefs] })).toBe(
+      '<p><code>#1</code> <a href="https://tracker.example.com/issues/2">#2</a></p>'
+    );
+  });
+
+  it('creates custom node types rendered by plugin renderers', async () => {
+    const [mentions] = await loadPlugin('./mentions.js', fixturesDir);
+    expect(parseMarkdown('Thanks @octo-cat, not me@example.com', { plugins: [mentions] })).toBe(
+      '<p>Thanks <a class="mention" href="https://github.com/octo-cat">@octo-cat</a>, not me@example.com</p>'
+    );
+  });
+
+  it('runs higher-priority rules first', () => {
+    const shout = { inlineRules: [{ name: 'shout', triggers: '#', priority: 1, parse(state) { state.pushText('!'); state.pos++; return true; } }] };
+    expect(parseMarkdown('#1', { plugins: [issueRefs, shout] })).toBe('<p>!1</p>');
+  });
+
+  it('rejects a rule that matches without consuming input', () => {
+    const stuck = { inlineRules: [{ name: 'stuck', triggers: 'x', parse: () => true }] };
+    expect(() => parseMarkdown('x', { plugins: [stuck] })).toThrow('Inline rule "stuck" matched without consuming input');
+  });
+});
+
+describe('block rules', () => {
+  it('adds new block syntax with nested content', () => {
+    expect(parseMarkdown('!!! warning\nBe *careful*\n\nAfter', { plugins: [callouts] })).toBe(
+      '<div class="callout warning">\n<p>Be <em>careful</em></p>\n</div>\n<p>After</p>'
+    );
+  });
+
+  it('can interrupt a paragraph', () => {
+    expect(parseMarkdown('Text\n!!! tip\nHint', { plugins: [callouts] })).toBe(
+      '<p>Text</p>\n<div class="callout tip">\n<p>Hint</p>\n</div>'
+    );
+  });
+
+  it('records positions for plugin nodes', () => {
+    const ast = parseToAst('\n!!! note\nx', { plugins: [callouts] });
+    expect(ast.children[0].position).toEqual({ start: 2, end: 3 });
+  });
+
+  it('applies inside containers', () => {
+    expect(parseMarkdown('> !!! note\n> x', { plugins: [callouts] })).toContain('<blockquote>\n<div class="callout note">');
+  });
+});
+
+describe('renderer overrides', () => {
+  it('replaces the renderer for a built-in node type', () => {
+    const external = {
+      renderers: {
+        link: (node, ctx, parent) => NODE_RENDERERS.link(node, ctx, parent).replace('<a ', '<a rel="nofollow" '),
+      },
+    };
+    expect(parseMarkdown('[a](https://a.io)', { plugins: [external] })).toBe('<p><a rel="nofollow" href="https://a.io">a</a></p>');
+  });
+});
+
+describe('isPathSpecifier', () => {
+  it('tells file paths from package names', () => {
+    for (const path of ['./a.js', '../a.js', '/a.js', '.\\a.js', 'C:\\a.js', 'c:/a.js']) expect(isPathSpecifier(path)).toBe(true);
+    for (const name of ['md2html-plugin', '@scope/plugin', 'plugin/sub.js', '.hidden']) expect(isPathSpecifier(name)).toBe(false);
+  });
+});
+
+describe('loadPlugin', () => {
+  it('loads a plugin module relative to a base directory', async () => {
+    const plugins = await loadPlugin('./mentions.js', fixturesDir);
+    expect(plugins.map((plugin) => plugin.name)).toEqual(['mentions']);
+  });
+
+  it('reports a module that cannot be loaded', async () => {
+    await expect(loadPlugin('./missing.js', fixturesDir)).rejects.toThrow('Failed to load plugin ./missing.js');
+  });
+
+  it('requires a default export', async () => {
+    await expect(loadPlugin('./no-default.js', fixturesDir)).rejects.toThrow('Plugin ./no-default.js has no default export');
+  });
+
+  it('passes plugin objects through loadPlugins', async () => {
+    const plugins = await loadPlugins([issueRefs, './mentions.js'], fixturesDir);
+    expect(plugins.map((plugin) => plugin.name)).toEqual(['issue-refs', 'mentions']);
+  });
+});
+
+describe('convert with plugins', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'md2html-plugins-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('accepts plugin objects and module paths', async () => {
+    const inputPath = join(tmpDir, 'notes.md');
+    const outputPath = join(tmpDir, 'notes.html');
+    await writeFile(inputPath, 'See #7, thanks @ann');
+
+    await convert(inputPath, outputPath, { plugins: [issueRefs, join(fixturesDir, 'mentions.js')] });
+    const html = await readFile(outputPath);
+    expect(html).toContain('<a href="https://tracker.example.com/issues/7">#7</a>');
+    expect(html).toContain('<a class="mention" href="https://github.com/ann">@ann</a>');
+  });
+});
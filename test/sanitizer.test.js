@@ -0,0 +1,134 @@
+/**
+ * test/sanitizer.test.js
+ * Unit tests for src/sanitizer.js and safe-mode rendering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isSafeUrl, sanitizeHtml } from '../src/sanitizer.js';
+import { parseMarkdown } from '../src/parser.js';
+
+describe('isSafeUrl', () => {
+  it('allows relative URLs and fragments', () => {
+    expect(isSafeUrl('docs/intro.html')).toBe(true);
+    expect(isSafeUrl('/abs/path?x=1:2')).toBe(true);
+    expect(isSafeUrl('#section')).toBe(true);
+  });
+  it('allows http, https, mailto, tel and ftp', () => {
+    for (const url of ['http://a.io', 'HTTPS://a.io', 'mailto:a@b.c', 'tel:+123', 'ftp://a.io/f']) {
+      expect(isSafeUrl(url)).toBe(true);
+    }
+  });
+  it('blocks script schemes', () => {
+    expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeUrl('JavaScript:alert(1)')).toBe(false);
+    expect(isSafeUrl('vbscript:msgbox')).toBe(false);
+  });
+  it('sees through whitespace and control characters in the scheme', () => {
+    expect(isSafeUrl(' java\tscript:alert(1)')).toBe(false);
+    expect(isSafeUrl('java\nscript:alert(1)')).toBe(false);
+    expect(isSafeUrl('\x01javascript:alert(1)')).toBe(false);
+  });
+  it('blocks data: URLs for links', () => {
+    expect(isSafeUrl('data:text/html,<script>alert(1)</script>')).toBe(false);
+    expect(isSafeUrl('data:image/png;base64,AAAA')).toBe(false);
+  });
+  it('allows raster data: images, but not SVG', () => {
+    expect(isSafeUrl('data:image/png;base64,AAAA', { image: true })).toBe(true);
+    expect(isSafeUrl('data:image/svg+xml,<svg onload=alert(1)>', { image: true })).toBe(false);
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('keeps allowed tags', () => {
+    expect(sanitizeHtml('<p>Hi <b>there</b><br/></p>')).toBe('<p>Hi <b>there</b><br></p>');
+  });
+  it('removes disallowed tags but keeps their text', () => {
+    expect(sanitizeHtml('<form><button>Go</button></form>')).toBe('Go');
+  });
+  it('removes script and style elements with their content', () => {
+    expect(sanitizeHtml('a<script>alert(1)</script>b<STYLE>p{}</STYLE>c')).toBe('abc');
+  });
+  it('removes an unclosed script element to the end', () => {
+    expect(sanitizeHtml('a<script>alert(1)')).toBe('a');
+  });
+  it('drops event handlers and unknown attributes', () => {
+    expect(sanitizeHtml('<div onclick="x()" style="color:red" title="t">x</div>')).toBe('<div title="t">x</div>');
+  });
+  it('drops dangerous URLs, including entity-encoded ones', () => {
+    expect(sanitizeHtml('<a href="javascript:x()">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<a href="jav&#x61;script:x()">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<img src=javascript:x()>')).toBe('<img>');
+  });
+  it('keeps safe URLs, re-escaping values', () => {
+    expect(sanitizeHtml('<a href=\'https://a.io/?a=1&amp;b="2"\'>a</a>')).toBe('<a href="https://a.io/?a=1&amp;b=&quot;2&quot;">a</a>');
+  });
+  it('removes comments, declarations and processing instructions', () => {
+    expect(sanitizeHtml('a<!-- hidden -->b<!DOCTYPE html>c<?php x ?>d<![CDATA[e]]>f')).toBe('abcdf');
+  });
+  it('escapes a < that does not start a tag', () => {
+    expect(sanitizeHtml('1 < 2 <3')).toBe('1 &lt; 2 &lt;3');
+    expect(sanitizeHtml('<b x<i>y</i>')).toBe('&lt;b x<i>y</i>');
+  });
+  it('takes linear time on tags that never close', () => {
+    const html = '<a b'.repeat(16000);
+    const start = performance.now();
+    const escaped = html.replace(/</g, '&lt;');
+    expect(sanitizeHtml(html) === escaped).toBe(true);
+    expect(parseMarkdown(`<div>\n${html}`, { safe: true }) === `<div>\n${escaped}`).toBe(true);
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+  it('accepts a custom allowlist', () => {
+    expect(sanitizeHtml('<p><span class="x">y</span></p>', { span: ['class'] })).toBe('<span class="x">y</span>');
+  });
+});
+
+describe('parseMarkdown safe mode', () => {
+  it('passes raw HTML through by default', () => {
+    expect(parseMarkdown('<script>x</script>')).toBe('<script>x</script>');
+    expect(parseMarkdown('a <b onclick="x">b</b>')).toBe('<p>a <b onclick="x">b</b></p>');
+  });
+
+  it('keeps dangerous link URLs by default', () => {
+    expect(parseMarkdown('[a](javascript:x)')).toBe('<p><a href="javascript:x">a</a></p>');
+  });
+
+  it('sanitizes HTML blocks and inline HTML', () => {
+    expect(parseMarkdown('<script>x</script>\n\n<div onclick="x">ok</div>', { safe: true })).toBe('<div>ok</div>');
+    expect(parseMarkdown('a <b onclick="x">b</b> <iframe src="e"></iframe>', { safe: true })).toBe('<p>a <b>b</b> </p>');
+  });
+
+  it('renders links with dangerous schemes as text', () => {
+    expect(parseMarkdown('[click *me*](javascript:alert(1))', { safe: true })).toBe('<p>click <em>me</em></p>');
+    expect(parseMarkdown('<javascript:alert(1)>', { safe: true })).toBe('<p>javascript:alert(1)</p>');
+  });
+
+  it('checks reference link destinations', () => {
+    expect(parseMarkdown('[a][x]\n\n[x]: vbscript:x', { safe: true })).toBe('<p>a</p>');
+  });
+
+  it('renders images with dangerous sources as alt text', () => {
+    expect(parseMarkdown('![a & b](data:image/svg+xml,x)', { safe: true })).toBe('<p>a &amp; b</p>');
+  });
+
+  it('keeps safe links and images', () => {
+    expect(parseMarkdown('[a](https://a.io) ![i](img.png)', { safe: true })).toBe(
+      '<p><a href="https://a.io">a</a> <img src="img.png" alt="i" /></p>'
+    );
+  });
+
+  it('escapes raw HTML with html: "escape"', () => {
+    expect(parseMarkdown('<div>\nx\n</div>\n\na <b>b</b>', { html: 'escape' })).toBe(
+      '<p>&lt;div&gt;\nx\n&lt;/div&gt;</p>\n<p>a &lt;b&gt;b&lt;/b&gt;</p>'
+    );
+  });
+
+  it('passes trusted HTML through in safe mode with html: "raw"', () => {
+    expect(parseMarkdown('<div onclick="x">ok</div>\n\n[a](javascript:x)', { safe: true, html: 'raw' })).toBe(
+      '<div onclick="x">ok</div>\n<p>a</p>'
+    );
+  });
+
+  it('rejects an unknown html mode', () => {
+    expect(() => parseMarkdown('<b>x</b>', { html: 'strip' })).toThrow('Unknown html mode "strip"');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * test/server.test.js
+ * Tests for src/server.js, over real HTTP on a free port
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EVENTS_PATH, injectLiveReload, startServer } from '../src/server.js';
+
+// Files named vanishing.txt disappear between stat() and reading them
+vi.mock('fs', async (importOriginal) => {
+  const fs = await importOriginal();
+  return {
+    ...fs,
+    createReadStream: (path, ...rest) => fs.createReadStream(path.endsWith('vanishing.txt') ? `${path}.gone` : path, ...rest),
+  };
+});
+
+let tmpDir;
+let server;
+
+/**
+ * Reads Server-Sent Events from a stream until `count` events have arrived.
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {number} count
+ * @returns {Promise<{ event: string, data: object }[]>}
+ */
+async function readEvents(reader, count) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const events = [];
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(block);
+      const data = /^data: (.*)$/m.exec(block);
+      if (event) events.push({ event: event[1], data: JSON.parse(data[1]) });
+    }
+  }
+  return events;
+}
+
+/**
+ * Opens the event stream.
+ * @returns {Promise<{ reader: ReadableStreamDefaultReader, controller: AbortController }>}
+ */
+async function connect() {
+  const controller = new AbortController();
+  const res = await fetch(new URL(EVENTS_PATH, server.url), { signal: controller.signal });
+  expect(res.headers.get('content-type')).toBe('text/event-stream');
+  return { reader: res.body.getReader(), controller };
+}
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-serve-'));
+  await writeFile(join(tmpDir, 'page.html'), '<!DOCTYPE html>\n<html><body><p>Hello</p></body></html>\n');
+  await writeFile(join(tmpDir, 'style.css'), 'p { color: red; }');
+  await mkdir(join(tmpDir, 'guide'));
+  await writeFile(join(tmpDir, 'guide', 'index.html'), '<p>Guide</p>');
+  await mkdir(join(tmpDir, 'images'));
+  await writeFile(join(tmpDir, 'images', 'a b.png'), 'png');
+  server = await startServer({ root: tmpDir, port: 0 });
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('injectLiveReload', () => {
+  it('inserts the client script before the closing body tag', () => {
+    const html = injectLiveReload('<html><body><p>x</p></BODY></html>');
+    expect(html).toMatch(/<p>x<\/p><script>[\s\S]*<\/script>\n<\/BODY><\/html>$/);
+    expect(html).toContain(`new EventSource('${EVENTS_PATH}')`);
+  });
+
+  it('appends the script to fragments without a body', () => {
+    expect(injectLiveReload('<p>x</p>')).toMatch(/^<p>x<\/p>\n<script>[\s\S]*<\/script>\n$/);
+  });
+});
+
+describe('startServer', () => {
+  it('serves HTML pages with the live-reload script injected', async () => {
+    const res = await fetch(new URL('page.html', server.url));
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(res.headers.get('cache-control')).toBe('no-store');
+    const body = await res.text();
+    expect(body).toContain('<p>Hello</p><script>');
+    expect(body).toContain(EVENTS_PATH);
+  });
+
+  it('serves other files as they are, with their content type', async () => {
+    const css = await fetch(new URL('style.css', server.url));
+    expect(css.headers.get('content-type')).toBe('text/css; charset=utf-8');
+    expect(await css.text()).toBe('p { color: red; }');
+
+    const png = await fetch(new URL('images/a%20b.png', server.url));
+    expect(png.headers.get('content-type')).toBe('image/png');
+    expect(await png.text()).toBe('png');
+  });
+
+  it('answers HEAD requests without a body', async () => {
+    const res = await fetch(new URL('style.css', server.url), { method: 'HEAD' });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-length')).toBe('17');
+    expect(await res.text()).toBe('');
+  });
+
+  it('rejects other methods', async () => {
+    const res = await fetch(server.url, { method: 'POST' });
+    expect(res.status).toBe(405);
+    expect(res.headers.get('allow')).toBe('GET, HEAD');
+  });
+
+  it('serves index.html for directories, redirecting to the trailing slash', async () => {
+    const redirect = await fetch(new URL('guide', server.url), { redirect: 'manual' });
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.get('location')).toBe('/guide/');
+
+    const res = await fetch(new URL('guide/', server.url));
+    expect(await res.text()).toContain('<p>Guide</p>');
+  });
+
+  it('lists directories without an index page', async () => {
+    const res = await fetch(server.url);
+    expect(res.status).toBe(200);
+    const body = await res.text();
+    expect(body).toContain('<h1>Index of /</h1>');
+    expect(body.indexOf('href="guide/"')).toBeLessThan(body.indexOf('href="page.html"'));
+    expect(body).not.toContain('href="../"');
+
+    const nested = await (await fetch(new URL('images/', server.url))).text();
+    expect(nested).toContain('<a href="a%20b.png">a b.png</a>');
+    expect(nested).toContain('href="../"');
+  });
+
+  it('returns 404 pages that still reload', async () => {
+    const res = await fetch(new URL('missing.html', server.url));
+    expect(res.status).toBe(404);
+    const body = await res.text();
+    expect(body).toContain('<h1>Not found</h1>');
+    expect(body).toContain(EVENTS_PATH);
+  });
+
+  it('answers with an error page when a file cannot be read after all', async () => {
+    await writeFile(join(tmpDir, 'vanishing.txt'), 'gone');
+    const res = await fetch(new URL('vanishing.txt', server.url));
+    expect(res.status).toBe(404);
+    expect(await res.text()).toContain('<h1>Not found</h1>');
+    expect((await fetch(new URL('style.css', server.url))).status).toBe(200);
+  });
+
+  it('does not serve files outside the root', async () => {
+    const res = await fetch(new URL('/..%2f..%2fetc%2fpasswd', server.url));
+    expect(res.status).toBe(403);
+  });
+
+  it('pushes reload and build-error events to open pages', async () => {
+    const { reader, controller } = await connect();
+    server.showError('a.md: Invalid front matter');
+    server.reload();
+    const events = await readEvents(reader, 2);
+    controller.abort();
+    expect(events).toEqual([
+      { event: 'build-error', data: { message: 'a.md: Invalid front matter' } },
+      { event: 'reload', data: {} },
+    ]);
+  });
+
+  it('replays the current build error to pages opened later, until a reload', async () => {
+    server.showError('broken');
+    const first = await connect();
+    expect(await readEvents(first.reader, 1)).toEqual([{ event: 'build-error', data: { message: 'broken' } }]);
+    first.controller.abort();
+
+    server.reload();
+    const second = await connect();
+    server.showError('still broken');
+    expect(await readEvents(second.reader, 1)).toEqual([{ event: 'build-error', data: { message: 'still broken' } }]);
+    second.controller.abort();
+  });
+
+  it('reports a port that is already in use', async () => {
+    await expect(startServer({ root: tmpDir, port: server.port })).rejects.toThrow(`Port ${server.port} is already in use`);
+  });
+});
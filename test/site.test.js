@@ -0,0 +1,126 @@
+/**
+ * test/site.test.js
+ * Unit tests for src/site.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSite, readPageInfo } from '../src/site.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-site-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('readPageInfo', () => {
+  it('takes the title and order from the front matter', async () => {
+    await writeFile(join(tmpDir, 'a.md'), '---\ntitle: Getting started\norder: 2\n---\n# Other\n');
+    expect(await readPageInfo(join(tmpDir, 'a.md'))).toEqual({ title: 'Getting started', order: 2 });
+  });
+
+  it('falls back to the first heading, then the file name', async () => {
+    await writeFile(join(tmpDir, 'a.md'), 'Intro text\n\n# The *real* title\n\n# Second\n');
+    await writeFile(join(tmpDir, 'b.md'), '---\norder: first\n---\nNo heading\n');
+    expect(await readPageInfo(join(tmpDir, 'a.md'))).toEqual({ title: 'The real title' });
+    expect(await readPageInfo(join(tmpDir, 'b.md'))).toEqual({ title: 'b' });
+  });
+
+  it('falls back to the file name when the page cannot be read', async () => {
+    await writeFile(join(tmpDir, 'bad.md'), '---\ntitle: [x\n---\n');
+    expect(await readPageInfo(join(tmpDir, 'bad.md'))).toEqual({ title: 'bad' });
+    expect(await readPageInfo(join(tmpDir, 'missing.md'))).toEqual({ title: 'missing' });
+  });
+});
+
+describe('createSite', () => {
+  const pages = [
+    { file: 'index.md', output: 'index.html', title: 'Docs' },
+    { file: 'faq.md', output: 'faq.html', title: 'FAQ' },
+    { file: 'guide/setup.md', output: 'guide/setup.html', title: 'Setup' },
+    { file: 'guide/install.md', output: 'guide/install.html', title: 'Install', order: 1 },
+    { file: 'guide/index.md', output: 'guide/index.html', title: 'Guide', order: 1 },
+    { file: 'api/ref.md', output: 'api/ref.html', title: 'Reference' },
+  ];
+
+  it('orders pages by order, then title, and directories by their index', () => {
+    const site = createSite(pages);
+    expect(site.pageData('faq.md').nav).toBe([
+      '<ul>',
+      '<li><a href="index.html">Docs</a></li>',
+      '<li><a href="guide/index.html">Guide</a>',
+      '<ul>',
+      '<li><a href="guide/install.html">Install</a></li>',
+      '<li><a href="guide/setup.html">Setup</a></li>',
+      '</ul>',
+      '</li>',
+      '<li><a href="api/index.html">api</a>',
+      '<ul>',
+      '<li><a href="api/ref.html">Reference</a></li>',
+      '</ul>',
+      '</li>',
+      '<li><a href="faq.html" aria-current="page">FAQ</a></li>',
+      '</ul>',
+    ].join('\n'));
+  });
+
+  it('links previous and next pages in reading order', () => {
+    const site = createSite(pages);
+    expect(site.pageData('index.md').prev).toBeUndefined();
+    expect(site.pageData('index.md').next).toEqual({ title: 'Guide', url: 'guide/index.html' });
+    expect(site.pageData('guide/setup.md').prev).toEqual({ title: 'Install', url: 'install.html' });
+    expect(site.pageData('guide/setup.md').next).toEqual({ title: 'api', url: '../api/index.html' });
+    expect(site.pageData('faq.md').prev).toEqual({ title: 'Reference', url: 'api/ref.html' });
+    expect(site.pageData('faq.md').next).toBeUndefined();
+  });
+
+  it('builds breadcrumbs, with none on the home page', () => {
+    const site = createSite(pages);
+    expect(site.pageData('index.md').breadcrumbs).toBe('');
+    expect(site.pageData('guide/setup.md').breadcrumbs).toBe([
+      '<ol>',
+      '<li><a href="../index.html">Docs</a></li>',
+      '<li><a href="index.html">Guide</a></li>',
+      '<li aria-current="page">Setup</li>',
+      '</ol>',
+    ].join('\n'));
+    expect(site.pageData('guide/index.md').breadcrumbs).toBe([
+      '<ol>',
+      '<li><a href="../index.html">Docs</a></li>',
+      '<li aria-current="page">Guide</li>',
+      '</ol>',
+    ].join('\n'));
+  });
+
+  it('generates index pages for directories without one', () => {
+    const site = createSite(pages);
+    expect(site.indexes).toHaveLength(1);
+    const [index] = site.indexes;
+    expect(index).toMatchObject({ dir: 'api', output: 'api/index.html', title: 'api' });
+    expect(index.markdown).toBe('# api\n\n- [Reference](<ref.html>)\n');
+    expect(index.data.nav).toContain('<a href="index.html" aria-current="page">api</a>');
+    expect(index.data.next).toEqual({ title: 'Reference', url: 'ref.html' });
+  });
+
+  it('titles a generated home page "Home" and escapes generated Markdown', () => {
+    const site = createSite([{ file: 'a b.md', output: 'a b.html', title: 'C# & *stars*' }]);
+    expect(site.indexes[0].title).toBe('Home');
+    expect(site.indexes[0].markdown).toBe('# Home\n\n- [C\\# \\& \\*stars\\*](<a%20b.html>)\n');
+    expect(site.pageData('a b.md').nav).toContain('<a href="a%20b.html" aria-current="page">C# &amp; *stars*</a>');
+  });
+
+  it('changes its fingerprint when a title or the order changes', () => {
+    const { fingerprint } = createSite(pages);
+    expect(createSite(pages).fingerprint).toBe(fingerprint);
+    expect(createSite(pages.map((page) => (page.file === 'faq.md' ? { ...page, title: 'Questions' } : page))).fingerprint)
+      .not.toBe(fingerprint);
+    expect(createSite(pages.map((page) => (page.file === 'guide/setup.md' ? { ...page, order: 0 } : page))).fingerprint)
+      .not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * test/stylesheets.test.js
+ * Unit tests for src/stylesheets.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { THEMES, loadTheme, loadHighlightStylesheet, resolveStylesheets } from '../src/stylesheets.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-styles-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('themes', () => {
+  it('ships the built-in themes', () => {
+    expect(THEMES).toEqual(['auto', 'dark', 'github', 'light', 'print']);
+  });
+
+  it('loads theme CSS', async () => {
+    for (const theme of THEMES) {
+      expect(await loadTheme(theme)).toContain(`md2html theme: ${theme}`);
+    }
+  });
+
+  it('follows prefers-color-scheme in the auto and github themes', async () => {
+    expect(await loadTheme('auto')).toContain('@media (prefers-color-scheme: dark)');
+    expect(await loadTheme('github')).toContain('@media (prefers-color-scheme: dark)');
+  });
+
+  it('lets dark themes recolour highlighted code', async () => {
+    for (const theme of ['dark', 'auto', 'github']) {
+      expect(await loadTheme(theme)).toContain('--hl-keyword:');
+    }
+    expect(await loadHighlightStylesheet()).toContain('.hl-keyword { color: var(--hl-keyword');
+  });
+
+  it('rejects unknown themes', async () => {
+    await expect(loadTheme('solarized')).rejects.toThrow('Unknown theme "solarized" (available: auto, dark, github, light, print)');
+  });
+});
+
+describe('resolveStylesheets', () => {
+  it('returns nothing without options', async () => {
+    expect(await resolveStylesheets({}, join(tmpDir, 'out.html'))).toEqual({ styles: [], stylesheets: [] });
+  });
+
+  it('inlines the theme', async () => {
+    const { styles } = await resolveStylesheets({ theme: 'dark' }, join(tmpDir, 'out.html'));
+    expect(styles).toHaveLength(1);
+    expect(styles[0]).toContain('color-scheme: dark');
+  });
+
+  it('inlines the highlighting stylesheet after the theme', async () => {
+    const { styles } = await resolveStylesheets({ theme: 'dark', highlight: true }, join(tmpDir, 'out.html'));
+    expect(styles).toHaveLength(2);
+    expect(styles[0]).toContain('md2html theme: dark');
+    expect(styles[1]).toBe(await loadHighlightStylesheet());
+  });
+
+  it('links local stylesheets relative to the output file', async () => {
+    const cssPath = join(tmpDir, 'assets', 'site.css');
+    const { stylesheets } = await resolveStylesheets({ css: [cssPath] }, join(tmpDir, 'docs', 'guide', 'page.html'));
+    expect(stylesheets).toEqual(['../../assets/site.css']);
+  });
+
+  it('URL-encodes local stylesheet paths', async () => {
+    const cssPath = join(tmpDir, 'my assets', 'site #1?.css');
+    const { stylesheets } = await resolveStylesheets({ css: [cssPath] }, join(tmpDir, 'docs', 'page.html'));
+    expect(stylesheets).toEqual(['../my%20assets/site%20%231%3F.css']);
+  });
+
+  it('links URLs as given, in order', async () => {
+    const css = ['https://cdn.example.com/a.css', '//cdn.example.com/b.css', join(tmpDir, 'c.css')];
+    const { stylesheets } = await resolveStylesheets({ css }, join(tmpDir, 'out.html'));
+    expect(stylesheets).toEqual(['https://cdn.example.com/a.css', '//cdn.example.com/b.css', 'c.css']);
+  });
+
+  it('inlines local stylesheets after the theme with inlineCss', async () => {
+    await mkdir(join(tmpDir, 'assets'));
+    const cssPath = join(tmpDir, 'assets', 'site.css');
+    await writeFile(cssPath, 'body { color: red; }');
+    const result = await resolveStylesheets(
+      { theme: 'light', css: [cssPath, 'https://cdn.example.com/a.css'], inlineCss: true },
+      join(tmpDir, 'out.html')
+    );
+    expect(result.styles).toHaveLength(2);
+    expect(result.styles[0]).toContain('md2html theme: light');
+    expect(result.styles[1]).toBe('body { color: red; }');
+    expect(result.stylesheets).toEqual(['https://cdn.example.com/a.css']);
+  });
+
+  it('keeps inlined CSS from closing the style element', async () => {
+    const cssPath = join(tmpDir, 'evil.css');
+    await writeFile(cssPath, 'a{}</style><script>alert(1)</script>');
+    const { styles } = await resolveStylesheets({ css: [cssPath], inlineCss: true }, join(tmpDir, 'out.html'));
+    expect(styles[0]).toBe('a{}<\\/style><script>alert(1)</script>');
+  });
+
+  it('reports a missing inlined stylesheet', async () => {
+    await expect(resolveStylesheets({ css: [join(tmpDir, 'nope.css')], inlineCss: true }, join(tmpDir, 'out.html'))).rejects.toThrow(
+      'File not found'
+    );
+  });
+});
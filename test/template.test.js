@@ -0,0 +1,111 @@
+/**
+ * test/template.test.js
+ * Unit tests for src/template.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compileTemplate, renderTemplate } from '../src/template.js';
+
+describe('renderTemplate', () => {
+  it('inserts escaped values', () => {
+    expect(renderTemplate('<h1>{{ title }}</h1>', { title: 'Q&A <"x">' })).toBe('<h1>Q&amp;A &lt;&quot;x&quot;&gt;</h1>');
+  });
+
+  it('inserts raw values with triple braces', () => {
+    expect(renderTemplate('{{{content}}}', { content: '<p>Hi</p>' })).toBe('<p>Hi</p>');
+  });
+
+  it('follows dotted paths', () => {
+    expect(renderTemplate('{{meta.author.name}}', { meta: { author: { name: 'Ann' } } })).toBe('Ann');
+  });
+
+  it('renders missing values as empty', () => {
+    expect(renderTemplate('[{{missing}}][{{meta.missing.deep}}]', { meta: {} })).toBe('[][]');
+  });
+
+  it('does not expose prototype properties', () => {
+    expect(renderTemplate('[{{constructor}}][{{meta.toString}}]', { meta: {} })).toBe('[][]');
+  });
+
+  it('joins arrays with commas', () => {
+    expect(renderTemplate('{{tags}}', { tags: ['a', 'b'] })).toBe('a, b');
+  });
+
+  it('renders numbers and booleans', () => {
+    expect(renderTemplate('{{n}} {{flag}}', { n: 0, flag: false })).toBe('0 false');
+  });
+
+  it('supports if/else', () => {
+    const template = compileTemplate('{{#if user}}Hi {{user}}{{else}}Anonymous{{/if}}');
+    expect(template({ user: 'Ann' })).toBe('Hi Ann');
+    expect(template({ user: '' })).toBe('Anonymous');
+  });
+
+  it('treats empty arrays as false', () => {
+    expect(renderTemplate('{{#if tags}}tags{{else}}none{{/if}}', { tags: [] })).toBe('none');
+  });
+
+  it('supports unless', () => {
+    expect(renderTemplate('{{#unless draft}}published{{/unless}}', { draft: false })).toBe('published');
+  });
+
+  it('loops over arrays with this and @-variables', () => {
+    const template = '{{#each items}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+    expect(renderTemplate(template, { items: ['a', 'b', 'c'] })).toBe('0:a, 1:b, 2:c');
+  });
+
+  it('loops over arrays of objects, falling back to outer scopes', () => {
+    const template = '{{#each links}}<a href="{{base}}{{href}}">{{label}}</a>{{/each}}';
+    expect(renderTemplate(template, { base: '/docs/', links: [{ href: 'a.html', label: 'A' }, { href: 'b.html', label: 'B' }] })).toBe(
+      '<a href="/docs/a.html">A</a><a href="/docs/b.html">B</a>'
+    );
+  });
+
+  it('loops over object entries with @key', () => {
+    expect(renderTemplate('{{#each meta}}{{@key}}={{this}};{{/each}}', { meta: { a: 1, b: 2 } })).toBe('a=1;b=2;');
+  });
+
+  it('renders the else branch of an empty loop', () => {
+    expect(renderTemplate('{{#each items}}x{{else}}empty{{/each}}', { items: [] })).toBe('empty');
+  });
+
+  it('drops comments', () => {
+    expect(renderTemplate('a{{! note }}b', {})).toBe('ab');
+  });
+
+  it('removes lines that only hold block tags', () => {
+    const template = '<ul>\n  {{#each items}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n';
+    expect(renderTemplate(template, { items: ['a', 'b'] })).toBe('<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n');
+  });
+
+  it('keeps lines where block tags share the line with content', () => {
+    expect(renderTemplate('<p>{{#if x}}yes{{/if}}</p>\n', { x: true })).toBe('<p>yes</p>\n');
+  });
+
+  it('keeps variable-only lines', () => {
+    expect(renderTemplate('a\n  {{x}}\nb', { x: 1 })).toBe('a\n  1\nb');
+  });
+});
+
+describe('compileTemplate errors', () => {
+  it('reports unclosed blocks with the opening line', () => {
+    expect(() => compileTemplate('a\n{{#if x}}\nb', 'page.html')).toThrow('Template error in page.html:2: unclosed {{#if}}');
+  });
+
+  it('reports mismatched closing tags', () => {
+    expect(() => compileTemplate('{{#each x}}\n{{/if}}')).toThrow('Template error in template:2: {{/if}} does not close {{#each}} from line 1');
+  });
+
+  it('reports unknown block helpers', () => {
+    expect(() => compileTemplate('{{#with x}}{{/with}}')).toThrow('unknown block helper "#with"');
+  });
+
+  it('reports a stray else or closing tag', () => {
+    expect(() => compileTemplate('{{else}}')).toThrow('unexpected {{else}}');
+    expect(() => compileTemplate('{{/if}}')).toThrow('unexpected {{/if}}');
+  });
+
+  it('reports invalid names', () => {
+    expect(() => compileTemplate('{{ a b }}')).toThrow('invalid name "a b"');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * test/watcher.test.js
+ * Tests for src/watcher.js and watchBatch and watchFile from src/batch.js,
+ * against the real file system
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir, rename } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { watch } from '../src/watcher.js';
+import { watchBatch, watchFile } from '../src/batch.js';
+import { fileExists, readFile } from '../src/fileHandler.js';
+
+let tmpDir;
+let handle;
+
+/**
+ * Polls until a condition holds.
+ * @param {() => boolean | Promise<boolean>} condition
+ * @param {number} [timeout=5000]
+ */
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'md2html-watch-'));
+  vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterEach(async () => {
+  await handle?.close();
+  handle = undefined;
+  vi.restoreAllMocks();
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('watch', () => {
+  it('debounces each file separately', async () => {
+    await writeFile(join(tmpDir, 'a.md'), 'a');
+    await writeFile(join(tmpDir, 'b.md'), 'b');
+    const changed = [];
+    handle = watch(tmpDir, (path, event) => changed.push([path, event]));
+    await handle.ready;
+
+    await writeFile(join(tmpDir, 'a.md'), 'a2');
+    await writeFile(join(tmpDir, 'b.md'), 'b2');
+    await waitFor(() => changed.length === 2);
+    expect(changed).toEqual(expect.arrayContaining([[join(tmpDir, 'a.md'), 'change'], [join(tmpDir, 'b.md'), 'change']]));
+  });
+
+  it('reports added and removed files, and honours the filter', async () => {
+    const events = [];
+    handle = watch(tmpDir, {
+      onChange: (path, event) => events.push([event, path]),
+      onUnlink: (path) => events.push(['unlink', path]),
+    }, { filter: (path) => path.endsWith('.md') });
+    await handle.ready;
+
+    await writeFile(join(tmpDir, 'new.md'), 'x');
+    await writeFile(join(tmpDir, 'ignored.txt'), 'x');
+    await waitFor(() => events.length === 1);
+    await rm(join(tmpDir, 'new.md'));
+    await waitFor(() => events.length === 2);
+    expect(events).toEqual([['add', join(tmpDir, 'new.md')], ['unlink', join(tmpDir, 'new.md')]]);
+  });
+
+  it('can poll instead of using native events', async () => {
+    await writeFile(join(tmpDir, 'a.md'), 'a');
+    const changed = [];
+    handle = watch(join(tmpDir, 'a.md'), (path) => changed.push(path), { poll: true, interval: 50 });
+    await handle.ready;
+
+    await writeFile(join(tmpDir, 'a.md'), 'a2');
+    await waitFor(() => changed.length === 1);
+    expect(changed).toEqual([join(tmpDir, 'a.md')]);
+  });
+});
+
+describe('watchBatch', () => {
+  const docs = () => join(tmpDir, 'docs');
+  const site = () => join(tmpDir, 'site');
+
+  beforeEach(async () => {
+    await mkdir(join(tmpDir, 'docs', 'guide'), { recursive: true });
+    await writeFile(join(tmpDir, 'docs', 'index.md'), '# Home');
+  });
+
+  it('converts added and changed sources and copies assets', async () => {
+    const events = [];
+    handle = await watchBatch(docs(), site(), { onEvent: (event) => events.push(event) });
+    await handle.ready;
+
+    await writeFile(join(docs(), 'guide', 'intro.md'), '# Intro');
+    await writeFile(join(docs(), 'guide', 'logo.png'), 'PNG');
+    await writeFile(join(docs(), 'notes.txt'), 'not watched');
+    await waitFor(() => events.length === 2);
+
+    expect(await readFile(join(site(), 'guide', 'intro.html'))).toContain('<h1 id="intro">Intro</h1>');
+    expect(await readFile(join(site(), 'guide', 'logo.png'))).toBe('PNG');
+    expect(events.map((event) => event.type).sort()).toEqual(['converted', 'copied']);
+    expect(await fileExists(join(site(), 'index.html'))).toBe(false);
+  });
+
+  it('follows renames and removes the old output', async () => {
+    const events = [];
+    handle = await watchBatch(docs(), site(), { onEvent: (event) => events.push(event) });
+    await handle.ready;
+    await writeFile(join(docs(), 'old.md'), '# Old');
+    await waitFor(() => fileExists(join(site(), 'old.html')));
+
+    await rename(join(docs(), 'old.md'), join(docs(), 'new.md'));
+    await waitFor(async () => (await fileExists(join(site(), 'new.html'))) && !(await fileExists(join(site(), 'old.html'))));
+    expect(events.find((event) => event.type === 'removed')).toEqual({
+      type: 'removed',
+      inputPath: join(docs(), 'old.md'),
+      outputPath: join(site(), 'old.html'),
+    });
+  });
+
+  it('keeps the output of removed sources with keepOutputs', async () => {
+    const events = [];
+    handle = await watchBatch(docs(), site(), { keepOutputs: true, onEvent: (event) => events.push(event) });
+    await handle.ready;
+    await writeFile(join(docs(), 'page.md'), '# Page');
+    await waitFor(() => events.length === 1);
+
+    await rm(join(docs(), 'page.md'));
+    await writeFile(join(docs(), 'other.md'), '# Other');
+    await waitFor(() => events.length === 2);
+    expect(await fileExists(join(site(), 'page.html'))).toBe(true);
+  });
+
+  it('converts the sources that include a changed file again', async () => {
+    await writeFile(join(docs(), 'app.js'), 'v1');
+    await writeFile(join(docs(), 'index.md'), '```js file=app.js\n```');
+    const events = [];
+    handle = await watchBatch(docs(), site(), { onEvent: (event) => events.push(event) });
+    await handle.ready;
+    await writeFile(join(docs(), 'index.md'), '# Home\n\n```js file=app.js\n```');
+    await waitFor(() => events.length === 1);
+
+    await writeFile(join(docs(), 'app.js'), 'v2');
+    await waitFor(() => events.length === 2);
+    expect(events[1]).toMatchObject({ type: 'converted', inputPath: join(docs(), 'index.md') });
+    expect(await readFile(join(site(), 'index.html'))).toContain('v2');
+  });
+
+  it('reports failures without stopping', async () => {
+    const events = [];
+    handle = await watchBatch(docs(), site(), { onEvent: (event) => events.push(event) });
+    await handle.ready;
+
+    await writeFile(join(docs(), 'broken.md'), '---\ntitle: [x\n---\n');
+    await waitFor(() => events.length === 1);
+    expect(events[0]).toMatchObject({ type: 'failed', inputPath: join(docs(), 'broken.md') });
+
+    await writeFile(join(docs(), 'broken.md'), '# Fixed');
+    await waitFor(() => events.length === 2);
+    expect(events[1]).toMatchObject({ type: 'converted' });
+  });
+});
+
+describe('watchFile', () => {
+  it('converts the file again when it or a file it includes changes', async () => {
+    const inputPath = join(tmpDir, 'index.md');
+    const outputPath = join(tmpDir, 'index.html');
+    await writeFile(join(tmpDir, 'a.md'), 'A1');
+    await writeFile(join(tmpDir, 'b.md'), 'B1');
+    await writeFile(inputPath, '<!-- include: a.md -->');
+    const events = [];
+    handle = watchFile(inputPath, outputPath, { includedFiles: [join(tmpDir, 'a.md')], onEvent: (event) => events.push(event) });
+    await handle.ready;
+
+    await writeFile(join(tmpDir, 'a.md'), 'A2');
+    await waitFor(() => events.length === 1);
+    expect(events[0]).toEqual({ type: 'converted', inputPath, outputPath });
+    expect(await readFile(outputPath)).toContain('<p>A2</p>');
+
+    // Switching to another include watches that one instead
+    await writeFile(inputPath, '<!-- include: b.md -->');
+    await waitFor(() => events.length === 2);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await writeFile(join(tmpDir, 'b.md'), 'B2');
+    await waitFor(() => events.length === 3);
+    expect(await readFile(outputPath)).toContain('<p>B2</p>');
+    await writeFile(join(tmpDir, 'a.md'), 'A3');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(events).toHaveLength(3);
+  });
+
+  it('reports a removed include and removes the output with the file', async () => {
+    const inputPath = join(tmpDir, 'index.md');
+    const outputPath = join(tmpDir, 'index.html');
+    await writeFile(join(tmpDir, 'a.md'), 'A');
+    await writeFile(inputPath, '<!-- include: a.md -->');
+    await writeFile(outputPath, '<p>A</p>');
+    const events = [];
+    handle = watchFile(inputPath, outputPath, { includedFiles: [join(tmpDir, 'a.md')], onEvent: (event) => events.push(event) });
+    await handle.ready;
+
+    await rm(join(tmpDir, 'a.md'));
+    await waitFor(() => events.length === 1);
+    expect(events[0]).toMatchObject({ type: 'failed', inputPath, error: expect.stringContaining('Cannot include a.md') });
+
+    await rm(inputPath);
+    await waitFor(() => events.length === 2);
+    expect(events[1]).toEqual({ type: 'removed', inputPath, outputPath });
+    expect(await fileExists(outputPath)).toBe(false);
+  });
+});